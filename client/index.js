@@ -0,0 +1,291 @@
+// JavaScript client for the brbrbr API
+//
+// Used by the web app, the browser extension and the embeddable widget. It has no
+// dependencies and runs anywhere `fetch` does: browsers, extension service workers, Node 18+.
+
+/**
+ * Convert an /api/analyze response into camel-cased results
+ */
+export function normalizeResults(data) {
+  return {
+    humanPercentage: data.human_percentage,
+    aiPercentage: data.ai_percentage,
+    verdict: data.verdict,
+    detector: data.detector,
+    detectorId: data.detector_id ?? null,
+    profile: data.profile ?? null,
+    thresholds: data.thresholds ?? null,
+    language: data.language ?? null,
+    fallbackReason: data.fallback_reason ?? null,
+    breakdown: data.breakdown ?? null,
+    segments: data.segments ?? null,
+    chunks: data.chunks ?? null,
+    ensemble: data.ensemble ?? null,
+    cache: data.cache ?? null,
+    similarTo: data.similar_to ?? null,
+    process: data.process ?? null,
+    share: data.share ?? null,
+  }
+}
+
+/**
+ * Thrown when the server can't be reached or the connection to it is lost
+ */
+export class ServerUnavailableError extends Error {
+  name = 'ServerUnavailableError'
+}
+
+/**
+ * A request the server rejected or failed on, with the `code` from its
+ * `{ error: { code, message } }` body
+ * `retryAfter` holds the seconds from the `Retry-After` header of rate-limited requests.
+ */
+export class ApiError extends Error {
+  name = 'ApiError'
+
+  constructor(message, { status, code = null, retryAfter = null } = {}) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.retryAfter = retryAfter
+  }
+}
+
+// Statuses a proxy or gateway in front of the server answers with when the server is down
+const GATEWAY_STATUSES = [502, 503, 504]
+
+/**
+ * Whether the server can't be reached, directly or behind a gateway, so the caller may fall
+ * back to analyzing locally. Errors the server itself reports, with a `code`, don't count.
+ */
+export function serverUnreachable(err) {
+  return err instanceof ServerUnavailableError
+    || (err instanceof ApiError && err.code === null && GATEWAY_STATUSES.includes(err.status))
+}
+
+// Error for a failed response
+async function responseError(response) {
+  const body = await response.json().catch(() => null)
+  const fallback = response.status >= 500 ? 'The server failed' : 'Request failed'
+  return new ApiError(body?.error?.message || `${fallback} (HTTP ${response.status}).`, {
+    status: response.status,
+    code: body?.error?.code ?? null,
+    retryAfter: response.headers.get('Retry-After'),
+  })
+}
+
+// Read newline-delimited progress events until the result event arrives
+async function readResultStream(response, { signal, onProgress }) {
+  if (!response.body) {
+    throw new Error('Analysis failed. Please try again.')
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  // A chunk may end in the middle of a line
+  for (;;) {
+    let chunk
+    try {
+      chunk = await reader.read()
+    } catch (err) {
+      if (signal?.aborted) throw err
+      throw new ServerUnavailableError('Lost the connection to the server.')
+    }
+    const { value, done } = chunk
+    if (done) break
+    buffer += value
+
+    let newline
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim()
+      buffer = buffer.slice(newline + 1)
+      if (!line) continue
+
+      const event = JSON.parse(line)
+      if (event.type === 'result') {
+        return normalizeResults(event)
+      }
+      onProgress?.(event)
+    }
+  }
+
+  throw new ServerUnavailableError('The server closed the connection before the analysis finished.')
+}
+
+/**
+ * Client for one brbrbr server
+ * @param {{ baseUrl?: string, apiKey?: string | (() => string), fetch?: typeof fetch }} [options]
+ *   `baseUrl` defaults to the current origin; `apiKey` may be a function so a key entered
+ *   later is picked up by the next request.
+ */
+export function createClient({ baseUrl = '', apiKey = '', fetch: fetchImpl = globalThis.fetch } = {}) {
+  const root = baseUrl.replace(/\/+$/, '')
+  const currentApiKey = () => (typeof apiKey === 'function' ? apiKey() : apiKey)
+
+  // Send a request with the API key, turning network failures into ServerUnavailableError
+  // and error responses into ApiError
+  async function send(path, { method = 'GET', headers = {}, body, signal } = {}) {
+    let response
+    try {
+      const key = currentApiKey()
+      response = await fetchImpl(`${root}${path}`, {
+        method,
+        headers: {
+          ...(key && { 'X-API-Key': key }),
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal,
+      })
+    } catch (err) {
+      if (signal?.aborted) throw err
+      throw new ServerUnavailableError('Could not reach the server.')
+    }
+
+    if (!response.ok) {
+      throw await responseError(response)
+    }
+    return response
+  }
+
+  // GET a public endpoint
+  async function getJson(path, failure) {
+    let response
+    try {
+      response = await fetchImpl(`${root}${path}`)
+    } catch {
+      throw new ServerUnavailableError('Could not reach the server.')
+    }
+    if (!response.ok) {
+      throw new Error(failure)
+    }
+    return response.json()
+  }
+
+  // POST an analysis request
+  function postAnalysis(path, { text, segmentation, detector, profile, process, share, signal }) {
+    return send(path, {
+      method: 'POST',
+      body: {
+        text,
+        segmentation: segmentation || undefined,
+        detector: detector || undefined,
+        profile: profile || undefined,
+        process: process || undefined,
+        share: share || undefined,
+      },
+      signal,
+    })
+  }
+
+  return {
+    baseUrl: root,
+
+    /**
+     * Send text to /api/analyze
+     * @param {string} text - Text to analyze
+     * @param {{ segmentation?: string, detector?: string, profile?: string, process?: object, share?: { content?: string, expires_in_days?: number }, signal?: AbortSignal }} [options]
+     *   `process` holds writing-process statistics (see `ProcessStats` in the OpenAPI document);
+     *   `share` saves the result for a share link, returned in the result's `share`
+     */
+    async analyze(text, { segmentation, detector, profile, process, share, signal } = {}) {
+      const response = await postAnalysis('/api/analyze', { text, segmentation, detector, profile, process, share, signal })
+      return normalizeResults(await response.json())
+    },
+
+    /**
+     * Send text to /api/analyze/stream, reporting progress events as they arrive
+     * Aborting `signal` closes the connection, which also stops the analysis on the server.
+     * @param {string} text - Text to analyze
+     * @param {{ segmentation?: string, detector?: string, profile?: string, process?: object, share?: { content?: string, expires_in_days?: number }, signal?: AbortSignal, onProgress?: (event: object) => void }} [options]
+     */
+    async analyzeStream(text, { segmentation, detector, profile, process, share, signal, onProgress } = {}) {
+      const response = await postAnalysis('/api/analyze/stream', { text, segmentation, detector, profile, process, share, signal })
+      return readResultStream(response, { signal, onProgress })
+    },
+
+    /**
+     * List the detectors offered by the server
+     * @returns {Promise<{ default: string, detectors: { id: string, label: string, kind: string, available: boolean }[] }>}
+     */
+    listDetectors() {
+      return getJson('/api/detectors', 'Could not load detectors.')
+    },
+
+    /**
+     * List the detection profiles, the built-in one first
+     * @returns {Promise<{ default: string, profiles: object[] }>}
+     */
+    listProfiles() {
+      return getJson('/api/profiles', 'Could not load detection profiles.')
+    },
+
+    /**
+     * Fetch an earlier result the server still has cached, by the id from `cache.id`
+     * or `similar_to.id`; only results analyzed with the same API key are found
+     * @param {string} id - Result id
+     */
+    async getResult(id) {
+      const response = await send(`/api/results/${encodeURIComponent(id)}`)
+      return normalizeResults(await response.json())
+    },
+
+    /**
+     * Open a share link; no API key is needed
+     * `text` is set when the full text was shared, `excerpts` when only the most AI-like
+     * passages were.
+     * @param {string} id - Share id, from the `share` of a result
+     * @returns {Promise<{ id: string, path: string, content: string, createdAt: number, expiresAt: number, results: object, text: string | null, excerpts: { index: number, text: string, ai_percentage: number }[] | null }>}
+     */
+    async getShare(id) {
+      const response = await send(`/api/shares/${encodeURIComponent(id)}`)
+      const data = await response.json()
+      return {
+        id: data.id,
+        path: data.path,
+        content: data.content,
+        createdAt: data.created_at,
+        expiresAt: data.expires_at,
+        results: normalizeResults(data.result),
+        text: data.text ?? null,
+        excerpts: data.excerpts ?? null,
+      }
+    },
+
+    /**
+     * Revoke a share link for good, deleting the shared result
+     * @param {string} id - Share id
+     * @param {string} token - The `revoke_token` returned when the link was created
+     * @returns {Promise<object>} The link, with `revoked_at` set
+     */
+    async revokeShare(id, token) {
+      const response = await send(`/api/shares/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: { 'X-Share-Token': token },
+      })
+      const data = await response.json()
+      return data.share
+    },
+
+    /**
+     * Call any other endpoint, such as evaluation, profile editing or API key management,
+     * with the API key and the same errors as the methods above
+     * @param {string} path - Path from the server root, e.g. `/api/profiles`
+     * @param {{ method?: string, body?: object, token?: string, signal?: AbortSignal }} [options]
+     *   `body` is sent as JSON; `token` is sent as `Authorization: Bearer`, for the endpoints
+     *   that need the admin token
+     * @returns {Promise<object | null>} The response body; null when there is none
+     */
+    async request(path, { method, body, token, signal } = {}) {
+      const response = await send(path, {
+        method,
+        body,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal,
+      })
+      return response.status === 204 ? null : response.json()
+    },
+  }
+}
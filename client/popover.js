@@ -0,0 +1,237 @@
+// Result popover shown next to a text selection by the extension and the widget
+//
+// It draws the same human/AI percentage bars and verdict as the web app. Everything lives in a
+// shadow root, so the host page's styles can't leak in and ours can't leak out.
+
+const WIDTH = 300
+const MARGIN = 8
+
+const STYLES = `
+  :host { all: initial; }
+  .popover {
+    position: fixed;
+    z-index: 2147483647;
+    box-sizing: border-box;
+    width: ${WIDTH}px;
+    padding: 16px;
+    background: #fff;
+    color: #111827;
+    border: 2px solid #e5e7eb;
+    border-radius: 12px;
+    box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
+    font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .header { display: flex; align-items: center; justify-content: space-between; margin-bottom: 12px; }
+  .title { font-weight: 700; font-size: 15px; }
+  .close {
+    border: 0; background: none; cursor: pointer; color: #6b7280;
+    font-size: 18px; line-height: 1; padding: 2px 6px; border-radius: 6px;
+  }
+  .close:hover, .close:focus-visible { background: #f3f4f6; color: #111827; outline: none; }
+  .row { display: flex; align-items: center; justify-content: space-between; font-weight: 600; }
+  .value { font-size: 18px; font-weight: 700; }
+  .track { height: 10px; margin: 4px 0 12px; background: #e5e7eb; border-radius: 9999px; overflow: hidden; }
+  .bar { height: 100%; border-radius: 9999px; }
+  .bar.human { background: #111827; }
+  .bar.ai { background: #9ca3af; }
+  .verdict {
+    display: flex; align-items: center; justify-content: center; gap: 6px;
+    padding: 8px 12px; border-radius: 8px; font-weight: 600;
+    background: #d1d5db; color: #111827;
+  }
+  .verdict.human { background: #111827; color: #fff; }
+  .dot { width: 8px; height: 8px; border-radius: 9999px; background: #3b82f6; }
+  .note { margin: 10px 0 0; color: #6b7280; font-size: 12px; }
+  .message { margin: 0; }
+  .error { margin: 0; color: #b91c1c; }
+  .spinner {
+    width: 16px; height: 16px; border: 2px solid #e5e7eb; border-top-color: #3b82f6;
+    border-radius: 9999px; animation: spin 1s linear infinite; display: inline-block;
+    vertical-align: middle; margin-inline-end: 8px;
+  }
+  @keyframes spin { to { transform: rotate(360deg); } }
+`
+
+// English labels; pass `labels` to createPopover() to replace any of them
+export const DEFAULT_LABELS = {
+  title: 'brbrbr',
+  close: 'Close',
+  analyzing: 'Analyzing…',
+  human: 'Human',
+  ai: 'AI',
+  verdict: 'Verdict: {verdict}',
+  fallback: 'Scored with heuristics only: {reason}',
+  verdicts: {
+    'AI Generated': 'AI Generated',
+    'Human Written': 'Human Written',
+    Uncertain: 'Uncertain',
+  },
+}
+
+// Create an element with a class and text
+function element(document, tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+// One labelled percentage bar
+function bar(document, kind, label, value) {
+  const wrapper = element(document, 'div')
+  const row = element(document, 'div', 'row')
+  row.append(element(document, 'span', '', label), element(document, 'span', 'value', `${value}%`))
+
+  const track = element(document, 'div', 'track')
+  track.setAttribute('role', 'progressbar')
+  track.setAttribute('aria-label', label)
+  track.setAttribute('aria-valuenow', String(value))
+  track.setAttribute('aria-valuemin', '0')
+  track.setAttribute('aria-valuemax', '100')
+  const fill = element(document, 'div', `bar ${kind}`)
+  fill.style.width = `${value}%`
+  track.append(fill)
+
+  wrapper.append(row, track)
+  return wrapper
+}
+
+/**
+ * Popover for analysis results, positioned next to a rectangle such as a selection's
+ * bounding box; it closes on Escape, on a click outside it and with its close button
+ * @param {{ document?: Document, labels?: object, dir?: 'ltr' | 'rtl' }} [options]
+ */
+export function createPopover({ document = globalThis.document, labels = {}, dir = 'ltr' } = {}) {
+  const text = { ...DEFAULT_LABELS, ...labels, verdicts: { ...DEFAULT_LABELS.verdicts, ...labels.verdicts } }
+  let host = null
+  let panel = null
+  let body = null
+  let cleanup = null
+
+  function close() {
+    cleanup?.()
+    cleanup = null
+    host?.remove()
+    host = null
+  }
+
+  // Create the popover the first time something is shown
+  function open() {
+    if (host) return
+    host = element(document, 'div')
+    host.setAttribute('data-brbrbr-popover', '')
+    const shadow = host.attachShadow({ mode: 'open' })
+    shadow.append(element(document, 'style', '', STYLES))
+
+    panel = element(document, 'div', 'popover')
+    panel.setAttribute('role', 'dialog')
+    panel.setAttribute('dir', dir)
+    panel.setAttribute('aria-label', text.title)
+    const header = element(document, 'div', 'header')
+    const closeButton = element(document, 'button', 'close', '×')
+    closeButton.type = 'button'
+    closeButton.setAttribute('aria-label', text.close)
+    closeButton.addEventListener('click', close)
+    header.append(element(document, 'span', 'title', text.title), closeButton)
+
+    body = element(document, 'div')
+    body.setAttribute('aria-live', 'polite')
+    panel.append(header, body)
+    shadow.append(panel)
+    document.body.append(host)
+
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') close()
+    }
+    const onPointerDown = (event) => {
+      if (!event.composedPath().includes(host)) close()
+    }
+    document.addEventListener('keydown', onKeyDown, true)
+    document.addEventListener('pointerdown', onPointerDown, true)
+    cleanup = () => {
+      document.removeEventListener('keydown', onKeyDown, true)
+      document.removeEventListener('pointerdown', onPointerDown, true)
+    }
+  }
+
+  // Below the anchor if it fits, otherwise above it, always inside the viewport
+  function place(anchor) {
+    const view = document.defaultView
+    const left = Math.min(Math.max(anchor.left, MARGIN), view.innerWidth - WIDTH - MARGIN)
+    panel.style.left = `${Math.max(left, MARGIN)}px`
+    const height = panel.offsetHeight
+    const below = anchor.bottom + MARGIN
+    const top = below + height <= view.innerHeight ? below : anchor.top - height - MARGIN
+    panel.style.top = `${Math.max(top, MARGIN)}px`
+  }
+
+  function show(anchor, ...children) {
+    open()
+    body.replaceChildren(...children)
+    place(anchor)
+  }
+
+  return {
+    close,
+
+    /** Show a spinner while the analysis runs */
+    showLoading(anchor) {
+      const message = element(document, 'p', 'message')
+      message.append(element(document, 'span', 'spinner'), text.analyzing)
+      show(anchor, message)
+    },
+
+    /** Show the percentage bars and verdict of normalized results */
+    showResults(anchor, results) {
+      const verdictLabel = text.verdicts[results.verdict] ?? results.verdict
+      const verdict = element(document, 'div', `verdict${results.verdict === 'Human Written' ? ' human' : ''}`)
+      verdict.setAttribute('role', 'status')
+      verdict.setAttribute('aria-label', text.verdict.replace('{verdict}', verdictLabel))
+      verdict.append(element(document, 'span', 'dot'), element(document, 'span', '', verdictLabel))
+
+      const children = [
+        bar(document, 'human', text.human, results.humanPercentage),
+        bar(document, 'ai', text.ai, results.aiPercentage),
+        verdict,
+      ]
+      if (results.fallbackReason) {
+        children.push(element(document, 'p', 'note', text.fallback.replace('{reason}', results.fallbackReason)))
+      }
+      show(anchor, ...children)
+    },
+
+    /** Show why the analysis failed */
+    showError(anchor, message) {
+      const error = element(document, 'p', 'error', message)
+      error.setAttribute('role', 'alert')
+      show(anchor, error)
+    },
+  }
+}
+
+/**
+ * Bounding box of the current selection, including one inside a text field
+ * Returns null when nothing is selected.
+ */
+export function selectionAnchor(document = globalThis.document) {
+  const field = document.activeElement
+  if (field && /^(TEXTAREA|INPUT)$/.test(field.tagName) && field.selectionStart !== field.selectionEnd) {
+    return field.getBoundingClientRect()
+  }
+  const selection = document.getSelection()
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null
+  const rect = selection.getRangeAt(0).getBoundingClientRect()
+  return rect.width || rect.height ? rect : null
+}
+
+/**
+ * Text of the current selection, including one inside a text field
+ */
+export function selectedText(document = globalThis.document) {
+  const field = document.activeElement
+  if (field && /^(TEXTAREA|INPUT)$/.test(field.tagName)) {
+    const value = field.value.slice(field.selectionStart ?? 0, field.selectionEnd ?? 0)
+    if (value.trim()) return value
+  }
+  return document.getSelection()?.toString() ?? ''
+}
@@ -0,0 +1,3 @@
+// Content scripts can't be ES modules, so this one loads the built module that shares the
+// API client and popover code with the service worker
+import(chrome.runtime.getURL('dist/content.js'))
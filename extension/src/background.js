@@ -0,0 +1,56 @@
+// Service worker: adds the "Check with brbrbr" context menu and keyboard shortcut, and sends
+// the text to the configured server. Requests are made from here rather than from the page,
+// so they don't depend on the server's CORS settings.
+
+import { createClient, ApiError, ServerUnavailableError } from 'brbrbr-client'
+import { loadSettings, originPattern } from './settings'
+
+const MENU_ID = 'brbrbr-check'
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({ id: MENU_ID, title: 'Check with brbrbr', contexts: ['selection'] })
+})
+
+// Ask the content script in the frame with the selection to check it
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== MENU_ID || tab?.id === undefined) return
+  chrome.tabs.sendMessage(tab.id, { type: 'brbrbr:check', text: info.selectionText }, { frameId: info.frameId })
+    .catch(() => {})
+})
+
+// Without a frame id every frame gets the message; those without a selection ignore it
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== 'check-selection' || tab?.id === undefined) return
+  chrome.tabs.sendMessage(tab.id, { type: 'brbrbr:check' }).catch(() => {})
+})
+
+// Message for an error, with a hint where the settings need fixing
+function errorMessage(err) {
+  if (err instanceof ServerUnavailableError) {
+    return `${err.message} Check the server address in the brbrbr extension options.`
+  }
+  if (err instanceof ApiError && (err.code === 'missing_api_key' || err.code === 'invalid_api_key')) {
+    return 'This server needs a valid API key. Enter one in the brbrbr extension options.'
+  }
+  return err.message || 'Analysis failed. Please try again.'
+}
+
+async function analyze(text) {
+  const settings = await loadSettings()
+  const granted = await chrome.permissions.contains({ origins: [originPattern(settings.server)] })
+  if (!granted) {
+    throw new Error('brbrbr may not contact this server yet. Save the server address in the extension options.')
+  }
+  const client = createClient({ baseUrl: settings.server, apiKey: settings.apiKey })
+  return client.analyze(text, { detector: settings.detector, profile: settings.profile })
+}
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.type !== 'brbrbr:analyze') return false
+  analyze(message.text).then(
+    (results) => sendResponse({ results }),
+    (err) => sendResponse({ error: errorMessage(err) }),
+  )
+  // The response is sent asynchronously
+  return true
+})
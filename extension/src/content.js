@@ -0,0 +1,30 @@
+// Content script, loaded by ../loader.js in every frame: shows the popover next to the
+// selection and asks the service worker for the analysis
+
+import { createPopover, selectedText, selectionAnchor } from 'brbrbr-client/popover'
+
+const popover = createPopover()
+
+async function check(menuText) {
+  // The page's own selection keeps line breaks that the context menu's copy loses
+  const text = selectedText() || menuText || ''
+  if (!text.trim()) return
+  // Editors that draw their text on a canvas have no selection to point at
+  const anchor = selectionAnchor() ?? { left: 16, top: 16, bottom: 16 }
+
+  popover.showLoading(anchor)
+  try {
+    const { results, error } = await chrome.runtime.sendMessage({ type: 'brbrbr:analyze', text })
+    if (error) {
+      popover.showError(anchor, error)
+    } else {
+      popover.showResults(anchor, results)
+    }
+  } catch {
+    popover.showError(anchor, 'The brbrbr extension was updated. Reload the page and try again.')
+  }
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type === 'brbrbr:check') check(message.text)
+})
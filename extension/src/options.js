@@ -0,0 +1,64 @@
+// Options page: the server to use, its API key, and the detector and profile to ask for
+
+import { createClient } from 'brbrbr-client'
+import { loadSettings, originPattern, saveSettings } from './settings'
+
+const form = document.getElementById('options')
+const status = document.getElementById('status')
+
+function showStatus(message, isError = false) {
+  status.textContent = message
+  status.className = isError ? 'error' : ''
+}
+
+// Replace a select's options after its first ("Server default") one, keeping the choice
+function fillSelect(select, items, selected) {
+  select.length = 1
+  for (const item of items) {
+    select.add(new Option(item.label, item.id))
+  }
+  select.value = items.some((item) => item.id === selected) ? selected : ''
+}
+
+// Offer the server's detectors and profiles, if it can be reached yet
+async function loadChoices(settings) {
+  const granted = await chrome.permissions.contains({ origins: [originPattern(settings.server)] })
+  if (!granted) return
+
+  const client = createClient({ baseUrl: settings.server, apiKey: settings.apiKey })
+  try {
+    const [detectors, profiles] = await Promise.all([client.listDetectors(), client.listProfiles()])
+    fillSelect(form.detector, detectors.detectors, settings.detector)
+    fillSelect(form.profile, profiles.profiles.map((profile) => ({ id: profile.id, label: profile.name })), settings.profile)
+  } catch (err) {
+    showStatus(`Could not load the server's detectors and profiles: ${err.message}`, true)
+  }
+}
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault()
+  const settings = {
+    server: form.server.value.trim().replace(/\/+$/, ''),
+    apiKey: form.apiKey.value.trim(),
+    detector: form.detector.value,
+    profile: form.profile.value,
+  }
+
+  // Must be requested while handling the click
+  const granted = await chrome.permissions.request({ origins: [originPattern(settings.server)] })
+  if (!granted) {
+    showStatus('brbrbr needs permission to contact the server.', true)
+    return
+  }
+  await saveSettings(settings)
+  showStatus('Saved.')
+  loadChoices(settings)
+})
+
+const settings = await loadSettings()
+form.server.value = settings.server
+form.apiKey.value = settings.apiKey
+// Keep the saved choices selectable until the server's lists arrive
+fillSelect(form.detector, settings.detector ? [{ id: settings.detector, label: settings.detector }] : [], settings.detector)
+fillSelect(form.profile, settings.profile ? [{ id: settings.profile, label: settings.profile }] : [], settings.profile)
+loadChoices(settings)
@@ -0,0 +1,23 @@
+// Extension settings, kept in this browser's extension storage
+
+export const DEFAULT_SETTINGS = {
+  server: 'http://127.0.0.1:8080',
+  apiKey: '',
+  detector: '',
+  profile: '',
+}
+
+export async function loadSettings() {
+  return { ...DEFAULT_SETTINGS, ...(await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS))) }
+}
+
+export function saveSettings(settings) {
+  return chrome.storage.local.set(settings)
+}
+
+/**
+ * Host permission pattern for a server URL, e.g. `https://brbrbr.example.edu/*`
+ */
+export function originPattern(server) {
+  return `${new URL(server).origin}/*`
+}
@@ -1,24 +1,143 @@
-import { useState, useRef, useCallback, useMemo } from 'react'
-import { FileText, Trash2, Sparkles, User, Bot, CheckCircle, AlertCircle, Loader2 } from 'lucide-react'
+import { useState, useRef, useCallback, useMemo, useEffect } from 'react'
+import { FileText, Trash2, Sparkles, AlertCircle, Loader2, Files, History, XCircle, WifiOff, Terminal, KeyRound, SlidersHorizontal, Languages, Zap, Copy, FlaskConical } from 'lucide-react'
+import SegmentHeatmap from './components/SegmentHeatmap'
+import ChunkChart from './components/ChunkChart'
+import ScoreExplanation from './components/ScoreExplanation'
+import BatchPanel from './components/BatchPanel'
+import ExtractionPreview from './components/ExtractionPreview'
+import HistorySidebar from './components/HistorySidebar'
+import CompareView from './components/CompareView'
+import ExportMenu from './components/ExportMenu'
+import SharePanel from './components/SharePanel'
+import DetectorSelect from './components/DetectorSelect'
+import ProfileSelect from './components/ProfileSelect'
+import ResultBars from './components/ResultBars'
+import ComposeToggle from './components/ComposeToggle'
+import ProcessSummary from './components/ProcessSummary'
+import StoredResult from './components/StoredResult'
+import LocaleSelect from './components/LocaleSelect'
+import ApiPlayground from './components/ApiPlayground'
+import AdminPage from './components/AdminPage'
+import SettingsPage from './components/SettingsPage'
+import EvaluationPage from './components/EvaluationPage'
+import { useAnalysisHistory } from './hooks/useAnalysisHistory'
+import { useDetectors } from './hooks/useDetectors'
+import { useProfiles } from './hooks/useProfiles'
+import { useI18n } from './hooks/useI18n'
+import { useRoute } from './hooks/useRoute'
+import { useWritingRecorder } from './hooks/useWritingRecorder'
+import { analyzeTextStream, serverUnreachable } from './lib/api'
+import { analyzeLocally, LOCAL_DETECTOR } from './lib/heuristic'
+import { languageName } from './lib/i18n'
+import { UNDETERMINED } from './lib/language'
+import { extractText } from './lib/extract'
+import { ACCEPTED_EXTENSIONS } from './lib/files'
+import { countWords } from './lib/text'
+import { VERDICT_KEYS } from './lib/labels'
+
+// Granularity options for per-segment highlighting ('' disables it)
+const SEGMENTATION_OPTIONS = [
+  { value: 'sentence', labelKey: 'segmentation.sentence' },
+  { value: 'paragraph', labelKey: 'segmentation.paragraph' },
+  { value: '', labelKey: 'segmentation.off' },
+]
+
+// Give up on an analysis when the server reports no progress for this long
+// (long documents are scored chunk by chunk, so the total time is unbounded)
+const ANALYSIS_TIMEOUT_MS = 90000
+
+// Human-readable description of a progress event from /api/analyze/stream
+function describeProgress(event, t) {
+  switch (event?.stage) {
+    case 'calling_model':
+      return event.attempt > 1 ? t('progress.callingModelAttempt', { attempt: event.attempt }) : t('progress.callingModel')
+    case 'model_loading':
+      return t('progress.modelLoading', { seconds: Math.round(event.retry_in_secs) })
+    case 'falling_back':
+      return t('progress.fallingBack')
+    case 'scoring_chunks':
+      return t('progress.scoringChunks', { detector: event.detector, done: event.done, total: event.total })
+    case 'scoring_segments':
+      return t('progress.scoringSegments', { done: event.done, total: event.total })
+    default:
+      return t('progress.analyzing')
+  }
+}
+
+// Pages next to the analyzer, which lives at '/'
+const PAGES = [
+  { path: '/playground', labelKey: 'page.playground', Icon: Terminal, Component: ApiPlayground },
+  { path: '/admin', labelKey: 'page.admin', Icon: KeyRound, Component: AdminPage },
+  { path: '/settings', labelKey: 'page.settings', Icon: SlidersHorizontal, Component: SettingsPage },
+  { path: '/evaluation', labelKey: 'page.evaluation', Icon: FlaskConical, Component: EvaluationPage },
+]
+
+function formatDate(secs) {
+  return new Date(secs * 1000).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+const MODE_TABS = [
+  { value: 'single', labelKey: 'mode.single', Icon: FileText },
+  { value: 'batch', labelKey: 'mode.batch', Icon: Files },
+]
 
 function App() {
-  const [text, setText] = useState('')
+  const { t, locale } = useI18n()
+  const [path, navigate] = useRoute()
+  const page = PAGES.find((item) => item.path === path) ?? null
+  // Earlier results linked from near-duplicate notices live at /results/:id
+  const storedId = path.match(/^\/results\/([\w-]+)$/)?.[1] ?? null
+  const shareId = path.match(/^\/r\/([\w-]+)$/)?.[1] ?? null
+  const onAnalyzer = !page && !storedId && !shareId
+  const [mode, setMode] = useState('single')
+  // Compose mode records how the text is written; a recording survives reloads, with its text
+  const {
+    stats: writingStats,
+    restoredText,
+    start: startWriting,
+    stop: stopWriting,
+    record: recordWriting,
+    snapshot: snapshotWriting,
+  } = useWritingRecorder()
+  const [text, setText] = useState(restoredText ?? '')
   const [fileName, setFileName] = useState('')
   const [results, setResults] = useState(null)
+  // Text, file name and timestamp the current results belong to (used for exports), and the
+  // compose-mode recording of the text if there was one
+  const [analyzed, setAnalyzed] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [progress, setProgress] = useState(null)
   const [error, setError] = useState(null)
+  const [segmentation, setSegmentation] = useState('sentence')
+  // Detector id from /api/detectors ('' uses the server default)
+  const [detector, setDetector] = useState('')
+  const detectorList = useDetectors()
+  const profileList = useProfiles()
+  const profile = profileList.selected
+  // Pending upload: { file, extraction } shown for review before it replaces the text
+  const [pendingUpload, setPendingUpload] = useState(null)
+  const [extracting, setExtracting] = useState(false)
+  const [historyOpen, setHistoryOpen] = useState(false)
+  const [comparison, setComparison] = useState(null)
+  const history = useAnalysisHistory()
+  const { addEntry, updateEntry } = history
   const fileInputRef = useRef(null)
   const textareaRef = useRef(null)
+  const abortRef = useRef(null)
 
   // Memoized character count
   const charCount = useMemo(() => text.length, [text])
-  const wordCount = useMemo(() => {
-    const words = text.trim().split(/\s+/)
-    return text.trim() === '' ? 0 : words.length
-  }, [text])
+  const wordCount = useMemo(() => countWords(text), [text])
+
+  // Changes the app makes to the text (uploads, history) are part of the recording too
+  useEffect(() => {
+    recordWriting(text)
+  }, [text, recordWriting])
 
   const handleClear = useCallback(() => {
     setText('')
+    // A cleared editor starts a new recording
+    if (writingStats) startWriting('')
     setFileName('')
     setResults(null)
     setError(null)
@@ -27,41 +146,136 @@ function App() {
     }
     // Focus textarea after clear
     textareaRef.current?.focus()
-  }, [])
+  }, [writingStats, startWriting])
+
+  // Analyze text and record the outcome in history; `writing` is the compose-mode recording
+  // of the text, whose statistics are sent along
+  const runAnalysis = useCallback(async (textToAnalyze, sourceName, writing = null) => {
+    if (!textToAnalyze.trim()) return
+    const session = writing?.session ?? null
+    const process = writing?.stats ?? undefined
 
-  const handleAnalyze = useCallback(async () => {
-    if (!text.trim()) return
+    const controller = new AbortController()
+    let timeout = setTimeout(() => controller.abort('timeout'), ANALYSIS_TIMEOUT_MS)
+    abortRef.current = controller
+
+    // Every progress event shows the server is still working
+    const handleProgress = (event) => {
+      clearTimeout(timeout)
+      timeout = setTimeout(() => controller.abort('timeout'), ANALYSIS_TIMEOUT_MS)
+      setProgress(event)
+    }
 
     setLoading(true)
+    setProgress(null)
     setResults(null)
     setError(null)
 
-    try {
-      const response = await fetch('/api/analyze', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ text }),
-      })
-
-      if (!response.ok) {
-        throw new Error('Analysis failed. Please try again.')
-      }
+    // Settings of a server analysis, kept so share links can ask for the same result
+    const options = { segmentation, detector, profile: profile.id, process }
 
-      const data = await response.json()
+    // `serverOptions` is null for results computed in the browser, which can't be shared
+    const finish = (analysis, serverOptions = null) => {
+      const createdAt = new Date().toISOString()
+      setResults(analysis)
+      setAnalyzed({ text: textToAnalyze, fileName: sourceName, createdAt, session, options: serverOptions, shares: [] })
+      addEntry({ text: textToAnalyze, fileName: sourceName, createdAt, results: analysis, session, options: serverOptions })
+        .then((entry) => entry && setAnalyzed((current) => (
+          current?.createdAt === createdAt ? { ...current, entryId: entry.id } : current
+        )))
+    }
 
-      setResults({
-        humanPercentage: data.human_percentage,
-        aiPercentage: data.ai_percentage,
-        verdict: data.verdict
-      })
+    try {
+      if (detector === LOCAL_DETECTOR) {
+        finish(analyzeLocally(textToAnalyze, { segmentation, profile, process }))
+      } else {
+        finish(await analyzeTextStream(textToAnalyze, {
+          ...options,
+          signal: controller.signal,
+          onProgress: handleProgress,
+        }), options)
+      }
     } catch (err) {
-      setError(err.message || 'An error occurred during analysis')
+      // Without a working server, the heuristics still run in the browser
+      if (controller.signal.reason === 'timeout') {
+        finish(analyzeLocally(textToAnalyze, {
+          segmentation,
+          fallbackReason: t('fallback.timeout', { seconds: ANALYSIS_TIMEOUT_MS / 1000 }),
+          profile,
+          process,
+        }))
+      } else if (serverUnreachable(err)) {
+        finish(analyzeLocally(textToAnalyze, { segmentation, fallbackReason: err.message, profile, process }))
+      } else if (controller.signal.aborted) {
+        setError(t('error.cancelled'))
+      } else {
+        setError(err.message || t('error.analysis'))
+      }
     } finally {
+      clearTimeout(timeout)
+      abortRef.current = null
       setLoading(false)
+      setProgress(null)
     }
-  }, [text])
+  }, [segmentation, detector, profile, addEntry, t])
+
+  const handleCancel = useCallback(() => {
+    abortRef.current?.abort('cancelled')
+  }, [])
+
+  // Escape cancels a running analysis
+  useEffect(() => {
+    if (!loading) return
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') handleCancel()
+    }
+    document.addEventListener('keydown', handleEscape)
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [loading, handleCancel])
+
+  const handleAnalyze = useCallback(
+    () => runAnalysis(text, fileName, snapshotWriting()),
+    [runAnalysis, text, fileName, snapshotWriting],
+  )
+
+  // Plain clicks switch pages in place; modified clicks open a new tab as usual
+  const handleNavigate = useCallback((e, to) => {
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return
+    e.preventDefault()
+    navigate(to)
+  }, [navigate])
+
+  const handleOpenEntry = useCallback((entry) => {
+    setMode('single')
+    setText(entry.text)
+    setFileName(entry.fileName)
+    setResults(entry.results)
+    setAnalyzed({
+      text: entry.text,
+      fileName: entry.fileName,
+      createdAt: entry.createdAt,
+      session: entry.session ?? null,
+      options: entry.options ?? null,
+      shares: entry.shares ?? [],
+      entryId: entry.id,
+    })
+    setError(null)
+    setComparison(null)
+  }, [])
+
+  // Share links live with the analysis in history, the only place their revoke tokens are kept
+  const handleSharesChange = useCallback((shares) => {
+    setAnalyzed((current) => current && { ...current, shares })
+    if (analyzed?.entryId != null) updateEntry(analyzed.entryId, { shares })
+  }, [analyzed?.entryId, updateEntry])
+
+  const handleRerunEntry = useCallback((entry) => {
+    setMode('single')
+    setText(entry.text)
+    setFileName(entry.fileName)
+    setComparison(null)
+    runAnalysis(entry.text, entry.fileName)
+  }, [runAnalysis])
 
   const handleUploadClick = useCallback(() => {
     fileInputRef.current?.click()
@@ -71,21 +285,31 @@ function App() {
     const file = event.target.files?.[0]
     if (!file) return
 
-    setFileName(file.name)
+    setError(null)
+    setExtracting(true)
+
+    extractText(file)
+      .then((extraction) => setPendingUpload({ file, extraction }))
+      .catch((err) => setError(err.message || t('error.file')))
+      .finally(() => {
+        setExtracting(false)
+        event.target.value = ''
+      })
+  }, [t])
 
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      const content = e.target?.result
-      if (typeof content === 'string') {
-        setText(content)
-      }
-    }
-    reader.onerror = () => {
-      setError('Error reading file. Please try again.')
-      setFileName('')
-    }
-    reader.readAsText(file)
-  }, [])
+  const handleColumnsChange = useCallback((columns) => {
+    if (!pendingUpload) return
+    extractText(pendingUpload.file, { columns })
+      .then((extraction) => setPendingUpload({ file: pendingUpload.file, extraction }))
+      .catch((err) => setError(err.message))
+  }, [pendingUpload])
+
+  const handleAcceptUpload = useCallback(() => {
+    setText(pendingUpload.extraction.text)
+    setFileName(pendingUpload.file.name)
+    setResults(null)
+    setPendingUpload(null)
+  }, [pendingUpload])
 
   // Keyboard shortcut: Ctrl/Cmd + Enter to analyze
   const handleKeyDown = useCallback((e) => {
@@ -99,191 +323,409 @@ function App() {
     <div className="min-h-screen bg-white flex flex-col">
       {/* Header */}
       <header className="py-4 sm:py-6 px-4">
-        <div className="max-w-3xl mx-auto text-center">
-          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900">brbrbr</h1>
-          <p className="text-sm text-gray-500 mt-1 sr-only">AI Text Detection Tool</p>
+        <div className="max-w-3xl mx-auto text-center relative">
+          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900">
+            <a href="/" onClick={(e) => handleNavigate(e, '/')} className="focus:outline-none focus:ring-2 focus:ring-gray-400 rounded-lg">
+              brbrbr
+            </a>
+          </h1>
+          <p className="text-sm text-gray-500 mt-1 sr-only">{t('app.tagline')}</p>
+          <nav className="absolute start-0 top-1/2 -translate-y-1/2 flex gap-2" aria-label={t('nav.pages')}>
+            {PAGES.map((item) => (
+              <a
+                key={item.path}
+                href={item.path}
+                onClick={(e) => handleNavigate(e, item.path)}
+                aria-current={page === item ? 'page' : undefined}
+                className={`flex items-center gap-2 px-3 py-2 text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors ${
+                  page === item ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                <item.Icon className="w-4 h-4 text-accent" aria-hidden="true" />
+                <span className="sr-only sm:not-sr-only">{t(item.labelKey)}</span>
+              </a>
+            ))}
+          </nav>
+          {onAnalyzer && (
+            <button
+              onClick={() => setHistoryOpen((value) => !value)}
+              className="absolute end-0 top-1/2 -translate-y-1/2 flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+              aria-expanded={historyOpen}
+              aria-label={t('history.toggle')}
+            >
+              <History className="w-4 h-4 text-accent" aria-hidden="true" />
+              <span className="hidden sm:inline">{t('history.button')}</span>
+            </button>
+          )}
         </div>
       </header>
 
+      {historyOpen && onAnalyzer && (
+        <HistorySidebar
+          entries={history.entries}
+          error={history.error}
+          busy={loading}
+          onClose={() => setHistoryOpen(false)}
+          onOpen={handleOpenEntry}
+          onRerun={handleRerunEntry}
+          onDelete={history.removeEntry}
+          onCompare={setComparison}
+        />
+      )}
+
       {/* Main Content */}
       <main className="flex-1 px-4 py-4 sm:py-8" role="main">
-        <div className="max-w-3xl mx-auto space-y-4 sm:space-y-6">
-          {/* Text Input Area */}
-          <div className="space-y-3 sm:space-y-4">
-            {fileName && (
-              <div
-                className="flex items-center gap-2 text-sm text-gray-600 bg-gray-50 px-4 py-2 rounded-lg"
-                role="status"
-                aria-live="polite"
+        {page && (
+          <div className="max-w-3xl mx-auto">
+            {/* Pages share the profile list with the analyzer's profile choice */}
+            <page.Component profiles={profileList} />
+          </div>
+        )}
+
+        {(storedId || shareId) && (
+          <div className="max-w-3xl mx-auto">
+            <StoredResult id={storedId ?? shareId} shared={Boolean(shareId)} profiles={profileList} onNavigate={handleNavigate} />
+          </div>
+        )}
+
+        {/* The analyzer stays mounted so results and running analyses survive visiting other pages */}
+        <div className={`max-w-3xl mx-auto space-y-4 sm:space-y-6 ${onAnalyzer ? '' : 'hidden'}`}>
+          {/* Mode Tabs */}
+          <div className="flex items-center justify-center gap-2" role="tablist" aria-label={t('mode.label')}>
+            {MODE_TABS.map((tab) => (
+              <button
+                key={tab.value}
+                onClick={() => setMode(tab.value)}
+                disabled={loading}
+                role="tab"
+                aria-selected={mode === tab.value}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                  mode === tab.value
+                    ? 'bg-gray-900 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
               >
-                <FileText className="w-4 h-4 text-accent flex-shrink-0" aria-hidden="true" />
-                <span className="truncate">{fileName}</span>
+                <tab.Icon className="w-4 h-4 text-accent" aria-hidden="true" />
+                <span>{t(tab.labelKey)}</span>
+              </button>
+            ))}
+          </div>
+
+          {comparison && (
+            <CompareView entries={comparison} onClose={() => setComparison(null)} />
+          )}
+
+          {/* Detector and Profile Choice (shared by single and batch mode) */}
+          <DetectorSelect
+            detectors={detectorList.detectors}
+            defaultId={detectorList.defaultId}
+            error={detectorList.error}
+            value={detector}
+            onChange={setDetector}
+            disabled={loading}
+          />
+          <ProfileSelect
+            profiles={profileList.profiles}
+            value={profile.id}
+            onChange={profileList.select}
+            onEdit={(e) => handleNavigate(e, '/settings')}
+            error={profileList.error}
+            disabled={loading}
+          />
+
+          {/* Batch stays mounted so its queue keeps running while switching tabs */}
+          <div className={mode === 'batch' ? '' : 'hidden'}>
+            <BatchPanel detector={detector} profile={profile} />
+          </div>
+
+          {mode === 'single' && (
+            <>
+              {/* Text Input Area */}
+              <div className="space-y-3 sm:space-y-4">
+                {extracting && (
+                  <div className="flex items-center gap-2 text-sm text-gray-600 bg-gray-50 px-4 py-2 rounded-lg" role="status" aria-live="polite">
+                    <Loader2 className="w-4 h-4 text-accent animate-spin flex-shrink-0" aria-hidden="true" />
+                    <span>{t('input.extracting')}</span>
+                  </div>
+                )}
+                {pendingUpload && (
+                  <ExtractionPreview
+                    fileName={pendingUpload.file.name}
+                    extraction={pendingUpload.extraction}
+                    onColumnsChange={handleColumnsChange}
+                    onAccept={handleAcceptUpload}
+                    onCancel={() => setPendingUpload(null)}
+                  />
+                )}
+                {fileName && (
+                  <div
+                    className="flex items-center gap-2 text-sm text-gray-600 bg-gray-50 px-4 py-2 rounded-lg"
+                    role="status"
+                    aria-live="polite"
+                  >
+                    <FileText className="w-4 h-4 text-accent flex-shrink-0" aria-hidden="true" />
+                    <span className="truncate">{fileName}</span>
+                  </div>
+                )}
+                <div className="relative">
+                  <label htmlFor="text-input" className="sr-only">
+                    {t('input.label')}
+                  </label>
+                  <textarea
+                    id="text-input"
+                    ref={textareaRef}
+                    value={text}
+                    onChange={(e) => {
+                      recordWriting(e.target.value, e.nativeEvent.inputType)
+                      setText(e.target.value)
+                    }}
+                    onKeyDown={handleKeyDown}
+                    placeholder={t('input.placeholder')}
+                    className="w-full h-48 sm:h-64 p-3 sm:p-4 border-2 border-gray-300 rounded-lg resize-none focus:outline-none focus:border-gray-500 focus:ring-2 focus:ring-gray-200 transition-all text-gray-900 placeholder-gray-400 text-sm sm:text-base"
+                    disabled={loading}
+                    aria-describedby="char-count"
+                  />
+                  <div
+                    id="char-count"
+                    className="absolute bottom-2 end-2 text-xs text-gray-400 bg-white px-2 py-1 rounded"
+                    aria-live="polite"
+                  >
+                    {charCount > 0 && t('input.count', { words: wordCount, chars: charCount })}
+                  </div>
+                </div>
               </div>
-            )}
-            <div className="relative">
-              <label htmlFor="text-input" className="sr-only">
-                Enter text to analyze for AI detection
-              </label>
-              <textarea
-                id="text-input"
-                ref={textareaRef}
-                value={text}
-                onChange={(e) => setText(e.target.value)}
-                onKeyDown={handleKeyDown}
-                placeholder="Paste or type text here to analyze..."
-                className="w-full h-48 sm:h-64 p-3 sm:p-4 border-2 border-gray-300 rounded-lg resize-none focus:outline-none focus:border-gray-500 focus:ring-2 focus:ring-gray-200 transition-all text-gray-900 placeholder-gray-400 text-sm sm:text-base"
+
+              {/* Compose Mode */}
+              <ComposeToggle
+                stats={writingStats}
+                onStart={() => startWriting(text)}
+                onStop={stopWriting}
                 disabled={loading}
-                aria-describedby="char-count"
-                maxLength={50000}
               />
-              <div
-                id="char-count"
-                className="absolute bottom-2 right-2 text-xs text-gray-400 bg-white px-2 py-1 rounded"
-                aria-live="polite"
-              >
-                {charCount > 0 && `${wordCount} words · ${charCount} chars`}
+
+              {/* Highlighting Granularity */}
+              <div className="flex items-center justify-center gap-2 text-sm text-gray-600" role="radiogroup" aria-label={t('segmentation.ariaLabel')}>
+                <span>{t('segmentation.label')}</span>
+                {SEGMENTATION_OPTIONS.map((option) => (
+                  <button
+                    key={option.value || 'off'}
+                    onClick={() => setSegmentation(option.value)}
+                    disabled={loading}
+                    role="radio"
+                    aria-checked={segmentation === option.value}
+                    className={`px-3 py-1 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                      segmentation === option.value
+                        ? 'bg-gray-900 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {t(option.labelKey)}
+                  </button>
+                ))}
               </div>
-            </div>
-          </div>
 
-          {/* Action Buttons */}
-          <div className="flex flex-col sm:flex-row items-center justify-center gap-3 sm:gap-4">
-            <button
-              onClick={handleClear}
-              disabled={loading}
-              className="w-full sm:w-auto flex items-center justify-center gap-2 px-6 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-              title="Clear text"
-              aria-label="Clear all text"
-            >
-              <Trash2 className="w-5 h-5 text-accent" aria-hidden="true" />
-              <span>Clear</span>
-            </button>
+              {/* Action Buttons */}
+              <div className="flex flex-col sm:flex-row items-center justify-center gap-3 sm:gap-4">
+                {loading ? (
+                  <button
+                    onClick={handleCancel}
+                    className="w-full sm:w-auto flex items-center justify-center gap-2 px-6 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+                    title={t('action.cancelTitle')}
+                    aria-label={t('action.cancelLabel')}
+                  >
+                    <XCircle className="w-5 h-5 text-accent" aria-hidden="true" />
+                    <span>{t('action.cancel')}</span>
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleClear}
+                    className="w-full sm:w-auto flex items-center justify-center gap-2 px-6 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    title={t('action.clearTitle')}
+                    aria-label={t('action.clearLabel')}
+                  >
+                    <Trash2 className="w-5 h-5 text-accent" aria-hidden="true" />
+                    <span>{t('action.clear')}</span>
+                  </button>
+                )}
 
-            <button
-              onClick={handleAnalyze}
-              disabled={!text.trim() || loading}
-              className="w-full sm:w-auto flex items-center justify-center gap-2 px-8 py-3 bg-gray-900 text-white rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
-              title={loading ? "Analyzing..." : "Analyze text (Ctrl+Enter)"}
-              aria-label={loading ? "Analyzing text" : "Analyze text"}
-            >
-              {loading ? (
-                <>
-                  <Loader2 className="w-5 h-5 text-accent animate-spin" aria-hidden="true" />
-                  <span>Analyzing...</span>
-                </>
-              ) : (
-                <>
-                  <Sparkles className="w-5 h-5 text-accent" aria-hidden="true" />
-                  <span>Analyze</span>
-                </>
+                <button
+                  onClick={handleAnalyze}
+                  disabled={!text.trim() || loading}
+                  className="w-full sm:w-auto flex items-center justify-center gap-2 px-8 py-3 bg-gray-900 text-white rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+                  title={loading ? t('action.analyzing') : t('action.analyzeTitle')}
+                  aria-label={loading ? t('action.analyzingLabel') : t('action.analyzeLabel')}
+                >
+                  {loading ? (
+                    <>
+                      <Loader2 className="w-5 h-5 text-accent animate-spin" aria-hidden="true" />
+                      <span>{t('action.analyzing')}</span>
+                    </>
+                  ) : (
+                    <>
+                      <Sparkles className="w-5 h-5 text-accent" aria-hidden="true" />
+                      <span>{t('action.analyze')}</span>
+                    </>
+                  )}
+                </button>
+
+                <button
+                  onClick={handleUploadClick}
+                  disabled={loading}
+                  className="w-full sm:w-auto flex items-center justify-center gap-2 px-6 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  title={t('action.uploadTitle')}
+                  aria-label={t('action.uploadLabel')}
+                >
+                  <FileText className="w-5 h-5 text-accent" aria-hidden="true" />
+                  <span>{t('action.upload')}</span>
+                </button>
+              </div>
+
+              {/* Analysis Progress */}
+              {loading && (
+                <p className="text-center text-sm text-gray-500" role="status" aria-live="polite">
+                  {describeProgress(progress, t)}
+                </p>
               )}
-            </button>
 
-            <button
-              onClick={handleUploadClick}
-              disabled={loading}
-              className="w-full sm:w-auto flex items-center justify-center gap-2 px-6 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-              title="Upload file"
-              aria-label="Upload text file"
-            >
-              <FileText className="w-5 h-5 text-accent" aria-hidden="true" />
-              <span>Upload</span>
-            </button>
-          </div>
+              {/* Hidden File Input */}
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={ACCEPTED_EXTENSIONS.join(',')}
+                onChange={handleFileUpload}
+                className="sr-only"
+                aria-label={t('action.fileInput')}
+              />
 
-          {/* Hidden File Input */}
-          <input
-            ref={fileInputRef}
-            type="file"
-            accept=".txt,.md,.csv,.json"
-            onChange={handleFileUpload}
-            className="sr-only"
-            aria-label="File upload input"
-          />
+              {/* Error Message */}
+              {error && (
+                <div className="mt-6 sm:mt-8 animate-fadeIn" role="alert">
+                  <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 flex items-start gap-3">
+                    <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+                    <p className="text-red-800 text-sm sm:text-base">{error}</p>
+                  </div>
+                </div>
+              )}
 
-          {/* Error Message */}
-          {error && (
-            <div className="mt-6 sm:mt-8 animate-fadeIn" role="alert">
-              <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 flex items-start gap-3">
-                <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
-                <p className="text-red-800 text-sm sm:text-base">{error}</p>
-              </div>
-            </div>
-          )}
+              {/* Results Section */}
+              {results && (
+                <div className="mt-6 sm:mt-8 animate-fadeIn" role="region" aria-label={t('results.region')}>
+                  <div className="bg-gray-50 rounded-xl p-6 sm:p-8 border-2 border-gray-200">
+                    <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-4 sm:mb-6 text-center">
+                      {t('results.heading')}
+                    </h2>
 
-          {/* Results Section */}
-          {results && (
-            <div className="mt-6 sm:mt-8 animate-fadeIn" role="region" aria-label="Analysis results">
-              <div className="bg-gray-50 rounded-xl p-6 sm:p-8 border-2 border-gray-200">
-                <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-4 sm:mb-6 text-center">
-                  Analysis Results
-                </h2>
-
-                {/* Percentage Bars */}
-                <div className="space-y-4 sm:space-y-6 mb-6 sm:mb-8">
-                  {/* Human Percentage */}
-                  <div className="space-y-2">
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center gap-2">
-                        <User className="w-5 h-5 text-accent" aria-hidden="true" />
-                        <span className="font-semibold text-gray-900 text-sm sm:text-base">Human</span>
+                    {/* Text Language */}
+                    {results.language && (
+                      <div className="flex items-start justify-center gap-2 text-sm text-gray-600 mb-4 sm:mb-6" role="note">
+                        <Languages className="w-4 h-4 text-accent flex-shrink-0 mt-0.5" aria-hidden="true" />
+                        <p>
+                          {results.language.code === UNDETERMINED
+                            ? t('language.undetermined')
+                            : t(results.language.supported ? 'language.detected' : 'language.unsupported', {
+                              language: languageName(results.language.code, locale, results.language.name),
+                            })}
+                        </p>
                       </div>
-                      <span className="text-xl sm:text-2xl font-bold text-gray-900" aria-label={`${results.humanPercentage} percent human`}>
-                        {results.humanPercentage}%
-                      </span>
-                    </div>
-                    <div className="w-full bg-gray-200 rounded-full h-3 overflow-hidden" role="progressbar" aria-valuenow={results.humanPercentage} aria-valuemin="0" aria-valuemax="100">
-                      <div
-                        className="bg-gray-900 h-full rounded-full transition-all duration-1000 ease-out"
-                        style={{ width: `${results.humanPercentage}%` }}
-                      />
-                    </div>
-                  </div>
+                    )}
 
-                  {/* AI Percentage */}
-                  <div className="space-y-2">
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center gap-2">
-                        <Bot className="w-5 h-5 text-accent" aria-hidden="true" />
-                        <span className="font-semibold text-gray-900 text-sm sm:text-base">AI</span>
+                    {/* Local Result Notice */}
+                    {results.detector === LOCAL_DETECTOR && (
+                      <div className="flex items-start gap-2 text-sm text-gray-700 bg-white border-2 border-gray-200 rounded-lg px-4 py-3 mb-4 sm:mb-6" role="note">
+                        <WifiOff className="w-4 h-4 text-accent flex-shrink-0 mt-0.5" aria-hidden="true" />
+                        <p>
+                          <span className="font-semibold text-gray-900">{t('results.localTitle')} </span>
+                          {results.fallbackReason
+                            ? t('results.localBodyFallback', { reason: results.fallbackReason })
+                            : t('results.localBody')}
+                        </p>
                       </div>
-                      <span className="text-xl sm:text-2xl font-bold text-gray-900" aria-label={`${results.aiPercentage} percent AI`}>
-                        {results.aiPercentage}%
-                      </span>
-                    </div>
-                    <div className="w-full bg-gray-200 rounded-full h-3 overflow-hidden" role="progressbar" aria-valuenow={results.aiPercentage} aria-valuemin="0" aria-valuemax="100">
-                      <div
-                        className="bg-gray-400 h-full rounded-full transition-all duration-1000 ease-out"
-                        style={{ width: `${results.aiPercentage}%` }}
-                      />
-                    </div>
-                  </div>
-                </div>
+                    )}
 
-                {/* Verdict Badge */}
-                <div className="flex items-center justify-center">
-                  <div className={`flex items-center gap-2 px-4 sm:px-6 py-3 rounded-lg font-semibold text-sm sm:text-base ${
-                    results.verdict === 'Human Written'
-                      ? 'bg-gray-900 text-white'
-                      : 'bg-gray-300 text-gray-900'
-                  }`} role="status" aria-label={`Verdict: ${results.verdict}`}>
-                    {results.verdict === 'Human Written' ? (
-                      <CheckCircle className="w-5 h-5 text-accent" aria-hidden="true" />
-                    ) : (
-                      <AlertCircle className="w-5 h-5 text-accent" aria-hidden="true" />
+                    {/* Cached Result Notice */}
+                    {results.cache?.hit && (
+                      <div className="flex items-start gap-2 text-sm text-gray-700 bg-white border-2 border-gray-200 rounded-lg px-4 py-3 mb-4 sm:mb-6" role="note">
+                        <Zap className="w-4 h-4 text-accent flex-shrink-0 mt-0.5" aria-hidden="true" />
+                        <p>
+                          <span className="font-semibold text-gray-900">{t('results.cachedTitle')} </span>
+                          {t('results.cachedBody', { time: formatDate(results.cache.analyzed_at) })}
+                        </p>
+                      </div>
                     )}
-                    <span>{results.verdict}</span>
+
+                    {/* Near-Duplicate Notice */}
+                    {results.similarTo && (
+                      <div className="flex items-start gap-2 text-sm text-gray-700 bg-white border-2 border-gray-200 rounded-lg px-4 py-3 mb-4 sm:mb-6" role="note">
+                        <Copy className="w-4 h-4 text-accent flex-shrink-0 mt-0.5" aria-hidden="true" />
+                        <p>
+                          <span className="font-semibold text-gray-900">{t('results.similarTitle')} </span>
+                          {t('results.similarBody', {
+                            similarity: Math.round(results.similarTo.similarity * 100),
+                            time: formatDate(results.similarTo.analyzed_at),
+                            ai: results.similarTo.ai_percentage,
+                            verdict: t(VERDICT_KEYS[results.similarTo.verdict] ?? results.similarTo.verdict),
+                          })}{' '}
+                          <a
+                            href={`/results/${results.similarTo.id}`}
+                            onClick={(e) => handleNavigate(e, `/results/${results.similarTo.id}`)}
+                            className="font-semibold text-gray-900 underline rounded focus:outline-none focus:ring-2 focus:ring-gray-400"
+                          >
+                            {t('results.similarLink')}
+                          </a>
+                        </p>
+                      </div>
+                    )}
+
+                    <ResultBars results={results} />
+
+                    {/* Export and Share */}
+                    {analyzed && (
+                      <div className="flex flex-wrap justify-center gap-2 mt-4 sm:mt-6">
+                        <ExportMenu analysis={{ ...analyzed, results }} />
+                        {analyzed.options && results.detector !== LOCAL_DETECTOR && (
+                          <SharePanel
+                            text={analyzed.text}
+                            options={analyzed.options}
+                            links={analyzed.shares ?? []}
+                            onLinksChange={handleSharesChange}
+                          />
+                        )}
+                      </div>
+                    )}
+
+                    {/* Score Explanation */}
+                    <ScoreExplanation
+                      detector={results.detector}
+                      detectorId={results.detectorId}
+                      profileName={results.profile && (profileList.profiles.find((item) => item.id === results.profile)?.name ?? results.profile)}
+                      thresholds={results.thresholds}
+                      fallbackReason={results.fallbackReason}
+                      breakdown={results.breakdown}
+                      ensemble={results.ensemble}
+                    />
+
+                    {/* Writing Process */}
+                    {results.process && <ProcessSummary process={results.process} session={analyzed?.session} />}
+
+                    {/* Score Across Long Documents */}
+                    {results.chunks && <ChunkChart chunks={results.chunks} thresholds={results.thresholds ?? undefined} />}
+
+                    {/* Per-Segment Heat Map */}
+                    {results.segments && <SegmentHeatmap segments={results.segments} />}
                   </div>
                 </div>
-              </div>
-            </div>
+              )}
+            </>
           )}
         </div>
       </main>
 
       {/* Footer */}
       <footer className="py-3 sm:py-4 px-4 text-center text-gray-500 text-xs sm:text-sm" role="contentinfo">
-        AI Text Detector
+        <p>{t('app.footer')}</p>
+        <div className="mt-2">
+          <LocaleSelect />
+        </div>
       </footer>
     </div>
   )
@@ -0,0 +1,304 @@
+import { useState, useCallback, useEffect } from 'react'
+import { KeyRound, Plus, Ban, Copy, Check, AlertCircle, Loader2 } from 'lucide-react'
+import { listApiKeys, createApiKey, revokeApiKey, setApiKey, getAdminToken, setAdminToken } from '../lib/api'
+
+function formatDate(secs) {
+  return new Date(secs * 1000).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// Parse an optional whole-number input; '' means "not set"
+function parseLimit(value) {
+  return value.trim() === '' ? undefined : Number(value)
+}
+
+function AdminPage() {
+  const [token, setToken] = useState(getAdminToken)
+  const [keys, setKeys] = useState(null)
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [name, setName] = useState('')
+  const [rateLimit, setRateLimit] = useState('')
+  const [dailyQuota, setDailyQuota] = useState('')
+  // Secret of the key created last; the server never returns it again
+  const [created, setCreated] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [confirmRevoke, setConfirmRevoke] = useState(null)
+
+  const loadKeys = useCallback((adminToken) => {
+    setBusy(true)
+    setError(null)
+    listApiKeys(adminToken)
+      .then((list) => {
+        setKeys(list)
+        setAdminToken(adminToken)
+      })
+      .catch((err) => {
+        setKeys(null)
+        setError(err.message)
+      })
+      .finally(() => setBusy(false))
+  }, [])
+
+  // Reload with the token remembered from earlier in the session
+  useEffect(() => {
+    const saved = getAdminToken()
+    if (saved) loadKeys(saved)
+  }, [loadKeys])
+
+  const handleSignIn = useCallback((e) => {
+    e.preventDefault()
+    if (token.trim()) loadKeys(token.trim())
+  }, [token, loadKeys])
+
+  const handleSignOut = useCallback(() => {
+    setAdminToken('')
+    setToken('')
+    setKeys(null)
+    setCreated(null)
+  }, [])
+
+  const handleCreate = useCallback(async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    setCopied(false)
+    try {
+      const { key, secret } = await createApiKey(token.trim(), {
+        name: name.trim(),
+        rate_limit_per_minute: parseLimit(rateLimit),
+        daily_quota: parseLimit(dailyQuota),
+      })
+      setKeys((current) => [...(current ?? []), key])
+      setCreated({ name: key.name, secret })
+      setName('')
+      setRateLimit('')
+      setDailyQuota('')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }, [token, name, rateLimit, dailyQuota])
+
+  const handleRevoke = useCallback(async (id) => {
+    setConfirmRevoke(null)
+    setError(null)
+    try {
+      const revoked = await revokeApiKey(token.trim(), id)
+      setKeys((current) => current.map((key) => (key.id === id ? revoked : key)))
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [token])
+
+  const handleCopy = useCallback(() => {
+    navigator.clipboard.writeText(created.secret)
+      .then(() => setCopied(true))
+      .catch(() => setError('Could not copy; select the key and copy it manually.'))
+  }, [created])
+
+  const handleUseKey = useCallback(() => {
+    setApiKey(created.secret)
+    setCreated((current) => ({ ...current, inUse: true }))
+  }, [created])
+
+  return (
+    <section className="space-y-4 sm:space-y-6" aria-labelledby="admin-heading">
+      <div>
+        <h2 id="admin-heading" className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <KeyRound className="w-5 h-5 text-accent" aria-hidden="true" />
+          API keys
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Keys let other systems, such as your LMS, call the analysis API. Send a key in the <code>X-API-Key</code> header.
+        </p>
+      </div>
+
+      {/* Admin Token */}
+      {keys === null ? (
+        <form onSubmit={handleSignIn} className="flex flex-col sm:flex-row gap-2">
+          <label htmlFor="admin-token" className="sr-only">Admin token</label>
+          <input
+            id="admin-token"
+            type="password"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            placeholder="Admin token (ADMIN_TOKEN on the server)"
+            autoComplete="current-password"
+            className="flex-1 px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:outline-none focus:border-gray-500"
+          />
+          <button
+            type="submit"
+            disabled={busy || !token.trim()}
+            className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-900 text-white text-sm rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            {busy && <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />}
+            <span>Show keys</span>
+          </button>
+        </form>
+      ) : (
+        <div className="flex justify-end">
+          <button
+            onClick={handleSignOut}
+            className="px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+          >
+            Forget admin token
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-start gap-2 text-sm text-red-800 bg-red-50 border-2 border-red-200 rounded-lg p-3" role="alert">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* New Key Secret */}
+      {created && (
+        <div className="border-2 border-gray-900 rounded-lg p-4 space-y-2" role="status">
+          <p className="text-sm font-semibold text-gray-900">
+            Key “{created.name}” created. Copy it now: it won’t be shown again.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <code className="flex-1 px-3 py-2 bg-gray-100 rounded-lg text-sm break-all select-all">{created.secret}</code>
+            <button
+              onClick={handleCopy}
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+            >
+              {copied
+                ? <Check className="w-4 h-4 text-accent" aria-hidden="true" />
+                : <Copy className="w-4 h-4 text-accent" aria-hidden="true" />}
+              <span>{copied ? 'Copied' : 'Copy'}</span>
+            </button>
+            <button
+              onClick={handleUseKey}
+              disabled={created.inUse}
+              className="px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Send this key with the analyses you run in this browser"
+            >
+              {created.inUse ? 'Used in this browser' : 'Use in this browser'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {keys !== null && (
+        <>
+          {/* Create Key */}
+          <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+            <label className="sm:col-span-2 text-xs text-gray-600">
+              Name
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. LMS production"
+                maxLength={100}
+                required
+                className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-gray-500"
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Requests per minute
+              <input
+                type="number"
+                min="0"
+                value={rateLimit}
+                onChange={(e) => setRateLimit(e.target.value)}
+                placeholder="Server default"
+                className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-gray-500"
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Requests per day
+              <input
+                type="number"
+                min="1"
+                value={dailyQuota}
+                onChange={(e) => setDailyQuota(e.target.value)}
+                placeholder="Unlimited"
+                className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-gray-500"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={busy || !name.trim()}
+              className="sm:col-span-4 flex items-center justify-center gap-2 px-4 py-2 bg-gray-900 text-white text-sm rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4 text-accent" aria-hidden="true" />
+              <span>Create key</span>
+            </button>
+          </form>
+
+          {/* Key List */}
+          <div className="overflow-x-auto border-2 border-gray-200 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-start text-xs text-gray-600">
+                <tr>
+                  <th scope="col" className="px-3 py-2 font-semibold">Name</th>
+                  <th scope="col" className="px-3 py-2 font-semibold">Key</th>
+                  <th scope="col" className="px-3 py-2 font-semibold">Created</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end">Per minute</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end">Today</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end">Total</th>
+                  <th scope="col" className="px-3 py-2"><span className="sr-only">Actions</span></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {keys.map((key) => (
+                  <tr key={key.id} className={key.revoked_at ? 'text-gray-400' : 'text-gray-900'}>
+                    <td className="px-3 py-2">{key.name}</td>
+                    <td className="px-3 py-2 font-mono text-xs whitespace-nowrap">{key.prefix}…</td>
+                    <td className="px-3 py-2 whitespace-nowrap">{formatDate(key.created_at)}</td>
+                    <td className="px-3 py-2 text-end">{key.rate_limit_per_minute || '∞'}</td>
+                    <td className="px-3 py-2 text-end whitespace-nowrap">
+                      {key.requests_today}{key.daily_quota ? ` / ${key.daily_quota}` : ''}
+                    </td>
+                    <td className="px-3 py-2 text-end">{key.requests_total}</td>
+                    <td className="px-3 py-2 text-end whitespace-nowrap">
+                      {key.revoked_at ? (
+                        <span className="text-xs" title={formatDate(key.revoked_at)}>Revoked</span>
+                      ) : confirmRevoke === key.id ? (
+                        <span className="flex items-center justify-end gap-2 text-xs">
+                          <button
+                            onClick={() => handleRevoke(key.id)}
+                            className="px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-400"
+                          >
+                            Revoke for good
+                          </button>
+                          <button
+                            onClick={() => setConfirmRevoke(null)}
+                            className="px-2 py-1 text-gray-600 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+                          >
+                            Cancel
+                          </button>
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => setConfirmRevoke(key.id)}
+                          className="inline-flex items-center gap-1 text-xs text-gray-600 hover:text-red-700 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+                          aria-label={`Revoke key ${key.name}`}
+                        >
+                          <Ban className="w-3 h-3 text-accent" aria-hidden="true" />
+                          <span>Revoke</span>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {keys.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-3 py-6 text-center text-gray-500">No API keys yet.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default AdminPage
@@ -0,0 +1,306 @@
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { Terminal, Send, Loader2, AlertCircle, Braces } from 'lucide-react'
+import { getOpenApiDocument, getApiKey, setApiKey, getAdminToken } from '../lib/api'
+
+const METHODS = ['get', 'post', 'put', 'delete']
+
+const METHOD_STYLES = {
+  get: 'bg-gray-100 text-gray-700',
+  post: 'bg-gray-900 text-white',
+  put: 'bg-gray-700 text-white',
+  delete: 'bg-red-100 text-red-800',
+}
+
+// Flatten the document's paths into a list of operations
+function listOperations(document) {
+  return Object.entries(document.paths ?? {}).flatMap(([path, item]) =>
+    METHODS.filter((method) => item[method]).map((method) => {
+      const operation = item[method]
+      const schemes = (operation.security ?? []).flatMap((requirement) => Object.keys(requirement))
+      const example = operation.requestBody?.content?.['application/json']?.example
+      return {
+        id: operation.operationId ?? `${method} ${path}`,
+        method,
+        path,
+        summary: operation.summary ?? '',
+        description: operation.description ?? '',
+        admin: schemes.includes('AdminToken'),
+        needsKey: schemes.includes('ApiKey'),
+        pathParams: (operation.parameters ?? []).filter((param) => param.in === 'path').map((param) => param.name),
+        body: operation.requestBody ? JSON.stringify(example ?? {}, null, 2) : null,
+      }
+    })
+  )
+}
+
+function fillPath(path, params) {
+  return path.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name] ?? ''))
+}
+
+// Shell-quote a string for the curl example
+function quote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`
+}
+
+function curlCommand(operation, url, body) {
+  const parts = [`curl -X ${operation.method.toUpperCase()} ${quote(url)}`]
+  // Credentials come from environment variables rather than being pasted into the command
+  if (operation.admin) parts.push('-H "Authorization: Bearer $BRBRBR_ADMIN_TOKEN"')
+  if (operation.needsKey) parts.push('-H "X-API-Key: $BRBRBR_API_KEY"')
+  if (body !== null) {
+    parts.push(`-H ${quote('Content-Type: application/json')}`)
+    parts.push(`-d ${quote(JSON.stringify(JSON.parse(body)))}`)
+  }
+  return parts.join(' \\\n  ')
+}
+
+// Pretty-print JSON bodies, leaving NDJSON and text as they are
+function formatBody(text, contentType) {
+  if (!contentType?.includes('application/json')) return text
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2)
+  } catch {
+    return text
+  }
+}
+
+function ApiPlayground() {
+  const [spec, setSpec] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+  const [selectedId, setSelectedId] = useState(null)
+  const [apiKey, setApiKeyInput] = useState(getApiKey)
+  const [adminToken, setAdminTokenInput] = useState(getAdminToken)
+  const [params, setParams] = useState({})
+  const [body, setBody] = useState('')
+  const [sending, setSending] = useState(false)
+  const [response, setResponse] = useState(null)
+  const [requestError, setRequestError] = useState(null)
+
+  useEffect(() => {
+    getOpenApiDocument()
+      .then((document) => {
+        setSpec(document)
+        setBody(listOperations(document)[0]?.body ?? '')
+      })
+      .catch((err) => setLoadError(err.message))
+  }, [])
+
+  const operations = useMemo(() => (spec ? listOperations(spec) : []), [spec])
+  const operation = operations.find((item) => item.id === selectedId) ?? operations[0] ?? null
+
+  const selectOperation = useCallback((item) => {
+    setSelectedId(item.id)
+    setParams({})
+    setBody(item.body ?? '')
+    setResponse(null)
+    setRequestError(null)
+  }, [])
+
+  const handleApiKeyChange = useCallback((value) => {
+    setApiKeyInput(value)
+    setApiKey(value.trim())
+  }, [])
+
+  const url = operation ? `${window.location.origin}${fillPath(operation.path, params)}` : ''
+  const bodyError = useMemo(() => {
+    if (!operation?.body) return null
+    try {
+      JSON.parse(body)
+      return null
+    } catch {
+      return 'The request body is not valid JSON.'
+    }
+  }, [operation, body])
+
+  const handleSend = useCallback(async () => {
+    setSending(true)
+    setResponse(null)
+    setRequestError(null)
+
+    const headers = {}
+    if (operation.admin && adminToken.trim()) headers.Authorization = `Bearer ${adminToken.trim()}`
+    if (operation.needsKey && apiKey.trim()) headers['X-API-Key'] = apiKey.trim()
+    if (operation.body !== null) headers['Content-Type'] = 'application/json'
+
+    const started = performance.now()
+    try {
+      const reply = await fetch(url, {
+        method: operation.method.toUpperCase(),
+        headers,
+        body: operation.body !== null ? body : undefined,
+      })
+      const contentType = reply.headers.get('Content-Type')
+      const text = await reply.text()
+      setResponse({
+        status: reply.status,
+        statusText: reply.statusText,
+        elapsedMs: Math.round(performance.now() - started),
+        contentType,
+        retryAfter: reply.headers.get('Retry-After'),
+        body: formatBody(text, contentType),
+      })
+    } catch {
+      setRequestError('Could not reach the server.')
+    } finally {
+      setSending(false)
+    }
+  }, [operation, url, body, apiKey, adminToken])
+
+  if (loadError) {
+    return (
+      <div className="flex items-start gap-2 text-sm text-red-800 bg-red-50 border-2 border-red-200 rounded-lg p-3" role="alert">
+        <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+        <span>{loadError}</span>
+      </div>
+    )
+  }
+
+  if (!operation) {
+    return (
+      <div className="flex items-center justify-center gap-2 text-sm text-gray-500 py-8">
+        <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />
+        <span>Loading the API description…</span>
+      </div>
+    )
+  }
+
+  return (
+    <section className="space-y-4 sm:space-y-6" aria-labelledby="playground-heading">
+      <div>
+        <h2 id="playground-heading" className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <Terminal className="w-5 h-5 text-accent" aria-hidden="true" />
+          API playground
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Try the {spec.info?.title ?? 'API'} from your browser. The full description is at{' '}
+          <a href="/api/openapi.json" className="underline hover:text-gray-900" target="_blank" rel="noreferrer">
+            /api/openapi.json
+          </a>{' '}
+          (OpenAPI {spec.openapi}).
+        </p>
+      </div>
+
+      {/* Credentials */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <label className="text-xs text-gray-600">
+          API key (also sent with your analyses in this browser)
+          <input
+            type="password"
+            value={apiKey}
+            onChange={(e) => handleApiKeyChange(e.target.value)}
+            placeholder="brb_…"
+            autoComplete="off"
+            className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-gray-500"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Admin token (for key management)
+          <input
+            type="password"
+            value={adminToken}
+            onChange={(e) => setAdminTokenInput(e.target.value)}
+            autoComplete="off"
+            className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-gray-500"
+          />
+        </label>
+      </div>
+
+      {/* Operations */}
+      <ul className="border-2 border-gray-200 rounded-lg divide-y divide-gray-100" aria-label="Endpoints">
+        {operations.map((item) => (
+          <li key={item.id}>
+            <button
+              onClick={() => selectOperation(item)}
+              aria-current={item.id === operation.id}
+              className={`w-full flex items-center gap-3 px-3 py-2 text-start text-sm focus:outline-none focus:ring-2 focus:ring-inset focus:ring-gray-400 ${
+                item.id === operation.id ? 'bg-gray-50' : 'hover:bg-gray-50'
+              }`}
+            >
+              <span className={`w-16 flex-shrink-0 text-center px-2 py-0.5 rounded text-xs font-bold uppercase ${METHOD_STYLES[item.method]}`}>
+                {item.method}
+              </span>
+              <code className="text-gray-900 truncate">{item.path}</code>
+              <span className="ms-auto text-xs text-gray-500 hidden sm:inline truncate">{item.summary}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Request */}
+      <div className="space-y-3">
+        {operation.description && <p className="text-sm text-gray-600">{operation.description}</p>}
+
+        {operation.pathParams.map((name) => (
+          <label key={name} className="block text-xs text-gray-600">
+            {name}
+            <input
+              type="text"
+              value={params[name] ?? ''}
+              onChange={(e) => setParams((current) => ({ ...current, [name]: e.target.value }))}
+              className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-gray-500"
+            />
+          </label>
+        ))}
+
+        {operation.body !== null && (
+          <label className="block text-xs text-gray-600">
+            Request body
+            <textarea
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              rows={8}
+              spellCheck={false}
+              className="mt-1 w-full px-3 py-2 border-2 border-gray-300 rounded-lg font-mono text-xs text-gray-900 focus:outline-none focus:border-gray-500"
+            />
+          </label>
+        )}
+        {bodyError && <p className="text-xs text-red-700" role="alert">{bodyError}</p>}
+
+        <button
+          onClick={handleSend}
+          disabled={sending || Boolean(bodyError)}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-900 text-white text-sm rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {sending
+            ? <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />
+            : <Send className="w-4 h-4 text-accent" aria-hidden="true" />}
+          <span>Send request</span>
+        </button>
+
+        {!bodyError && (
+          <details className="text-xs text-gray-600">
+            <summary className="cursor-pointer">curl</summary>
+            <pre className="mt-2 p-3 bg-gray-50 rounded-lg overflow-x-auto text-gray-900">
+              {curlCommand(operation, url, operation.body !== null ? body : null)}
+            </pre>
+          </details>
+        )}
+      </div>
+
+      {/* Response */}
+      {requestError && (
+        <div className="flex items-start gap-2 text-sm text-red-800 bg-red-50 border-2 border-red-200 rounded-lg p-3" role="alert">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <span>{requestError}</span>
+        </div>
+      )}
+      {response && (
+        <div className="space-y-2" aria-live="polite">
+          <p className="flex items-center gap-2 text-sm">
+            <Braces className="w-4 h-4 text-accent" aria-hidden="true" />
+            <span className={`font-semibold ${response.status < 400 ? 'text-gray-900' : 'text-red-700'}`}>
+              {response.status} {response.statusText}
+            </span>
+            <span className="text-gray-500">· {response.elapsedMs} ms</span>
+            {response.retryAfter && <span className="text-gray-500">· retry after {response.retryAfter}s</span>}
+          </p>
+          <pre className="p-3 bg-gray-50 border-2 border-gray-200 rounded-lg overflow-auto max-h-96 text-xs text-gray-900">
+            {response.body || '(empty body)'}
+          </pre>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default ApiPlayground
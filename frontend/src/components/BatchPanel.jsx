@@ -0,0 +1,359 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
+import { FolderOpen, FileText, Trash2, RotateCcw, ArrowUp, ArrowDown, Loader2, AlertCircle, Upload, FileSpreadsheet } from 'lucide-react'
+import { analyzeText, serverUnreachable } from '../lib/api'
+import { buildCsvReport, downloadFile } from '../lib/exportReport'
+import { extractText } from '../lib/extract'
+import { analyzeLocally, LOCAL_DETECTOR } from '../lib/heuristic'
+import { DETECTOR_LABELS } from '../lib/labels'
+import { ACCEPTED_EXTENSIONS, collectDroppedFiles, isAcceptedFile } from '../lib/files'
+import { countWords } from '../lib/text'
+
+// Maximum number of /api/analyze requests in flight at once
+const CONCURRENCY = 3
+
+const VERDICT_FILTERS = [
+  { value: 'all', label: 'All verdicts' },
+  { value: 'AI Generated', label: 'AI Generated' },
+  { value: 'Uncertain', label: 'Uncertain' },
+  { value: 'Human Written', label: 'Human Written' },
+  { value: 'failed', label: 'Failed' },
+]
+
+const COLUMNS = [
+  { key: 'name', label: 'File', sortValue: (row) => row.path.toLowerCase() },
+  { key: 'words', label: 'Words', sortValue: (row) => row.words },
+  { key: 'ai', label: 'AI %', sortValue: (row) => row.results?.aiPercentage },
+  { key: 'verdict', label: 'Verdict', sortValue: (row) => row.results?.verdict },
+  { key: 'detector', label: 'Detector', sortValue: (row) => row.results?.detector },
+]
+
+function compareRows(a, b, column, direction) {
+  const left = column.sortValue(a)
+  const right = column.sortValue(b)
+  // Rows without a value (queued or failed) always sort last
+  if (left == null && right == null) return 0
+  if (left == null) return 1
+  if (right == null) return -1
+  const order = left < right ? -1 : left > right ? 1 : 0
+  return direction === 'asc' ? order : -order
+}
+
+function BatchPanel({ detector, profile }) {
+  const [rows, setRows] = useState([])
+  const [sort, setSort] = useState({ key: 'name', direction: 'asc' })
+  const [verdictFilter, setVerdictFilter] = useState('all')
+  const [skipped, setSkipped] = useState(0)
+  const [dragging, setDragging] = useState(false)
+  const nextId = useRef(1)
+  const started = useRef(new Set())
+  const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
+
+  const updateRow = useCallback((id, changes) => {
+    setRows((current) => current.map((row) => (row.id === id ? { ...row, ...changes } : row)))
+  }, [])
+
+  const processRow = useCallback(async (row) => {
+    updateRow(row.id, { status: 'running', error: null })
+    try {
+      let text = row.text
+      if (text == null) {
+        const extraction = await extractText(row.file)
+        text = extraction.text
+        updateRow(row.id, { text, words: countWords(text), warnings: extraction.warnings })
+      }
+      if (!text.trim()) {
+        throw new Error('No text could be extracted')
+      }
+      let results
+      if (detector === LOCAL_DETECTOR) {
+        results = analyzeLocally(text, { profile })
+      } else {
+        try {
+          results = await analyzeText(text, { detector, profile: profile.id })
+        } catch (err) {
+          if (!serverUnreachable(err)) throw err
+          results = analyzeLocally(text, { fallbackReason: err.message, profile })
+        }
+      }
+      updateRow(row.id, { status: 'done', results, createdAt: new Date().toISOString() })
+    } catch (err) {
+      updateRow(row.id, { status: 'error', error: err.message || 'Analysis failed' })
+    }
+  }, [updateRow, detector, profile])
+
+  // Queue runner: start queued rows whenever a slot frees up
+  useEffect(() => {
+    const active = rows.filter(
+      (row) => row.status === 'running' || (row.status === 'queued' && started.current.has(row.id))
+    ).length
+    const next = rows
+      .filter((row) => row.status === 'queued' && !started.current.has(row.id))
+      .slice(0, Math.max(0, CONCURRENCY - active))
+
+    next.forEach((row) => {
+      started.current.add(row.id)
+      processRow(row)
+    })
+  }, [rows, processRow])
+
+  const enqueueFiles = useCallback((entries) => {
+    const accepted = entries.filter(({ file }) => isAcceptedFile(file))
+    setSkipped(entries.length - accepted.length)
+    setRows((current) => [
+      ...current,
+      ...accepted.map(({ file, path }) => ({
+        id: nextId.current++,
+        file,
+        path,
+        text: null,
+        words: null,
+        warnings: [],
+        status: 'queued',
+        results: null,
+        error: null,
+      })),
+    ])
+  }, [])
+
+  const handleFileSelect = useCallback((event) => {
+    const files = Array.from(event.target.files ?? [])
+    enqueueFiles(files.map((file) => ({ file, path: file.webkitRelativePath || file.name })))
+    event.target.value = ''
+  }, [enqueueFiles])
+
+  const handleDrop = useCallback(async (event) => {
+    event.preventDefault()
+    setDragging(false)
+    enqueueFiles(await collectDroppedFiles(event.dataTransfer))
+  }, [enqueueFiles])
+
+  const handleRetry = useCallback((id) => {
+    started.current.delete(id)
+    updateRow(id, { status: 'queued', error: null })
+  }, [updateRow])
+
+  const handleClear = useCallback(() => {
+    started.current.clear()
+    setRows([])
+    setSkipped(0)
+  }, [])
+
+  const handleSort = useCallback((key) => {
+    setSort((current) => ({
+      key,
+      direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc',
+    }))
+  }, [])
+
+  const handleExportCsv = useCallback(() => {
+    const entries = rows
+      .filter((row) => row.status === 'done')
+      .map((row) => ({ createdAt: row.createdAt, fileName: row.path, text: row.text, results: row.results }))
+    downloadFile(`brbrbr-batch-${entries.length}-files.csv`, buildCsvReport(entries), 'text/csv')
+  }, [rows])
+
+  const finished = rows.filter((row) => row.status === 'done' || row.status === 'error').length
+  const busy = finished < rows.length
+
+  const visibleRows = useMemo(() => {
+    const column = COLUMNS.find((c) => c.key === sort.key)
+    return rows
+      .filter((row) => {
+        if (verdictFilter === 'all') return true
+        if (verdictFilter === 'failed') return row.status === 'error'
+        return row.results?.verdict === verdictFilter
+      })
+      .sort((a, b) => compareRows(a, b, column, sort.direction))
+  }, [rows, sort, verdictFilter])
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      {/* Drop Zone */}
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragging(true) }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center gap-3 p-6 sm:p-8 border-2 border-dashed rounded-lg text-center transition-colors ${
+          dragging ? 'border-gray-900 bg-gray-50' : 'border-gray-300'
+        }`}
+      >
+        <Upload className="w-8 h-8 text-accent" aria-hidden="true" />
+        <p className="text-sm sm:text-base text-gray-700">
+          Drop files or a whole folder here
+        </p>
+        <p className="text-xs text-gray-500">Supported: {ACCEPTED_EXTENSIONS.join(', ')}</p>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+          >
+            <FileText className="w-4 h-4 text-accent" aria-hidden="true" />
+            <span>Choose files</span>
+          </button>
+          <button
+            onClick={() => folderInputRef.current?.click()}
+            className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+          >
+            <FolderOpen className="w-4 h-4 text-accent" aria-hidden="true" />
+            <span>Choose folder</span>
+          </button>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          onChange={handleFileSelect}
+          className="sr-only"
+          aria-label="Batch file upload input"
+        />
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          directory=""
+          onChange={handleFileSelect}
+          className="sr-only"
+          aria-label="Batch folder upload input"
+        />
+      </div>
+
+      {skipped > 0 && (
+        <div className="flex items-center gap-2 text-sm text-gray-600 bg-gray-50 px-4 py-2 rounded-lg" role="status">
+          <AlertCircle className="w-4 h-4 text-accent flex-shrink-0" aria-hidden="true" />
+          <span>Skipped {skipped} unsupported {skipped === 1 ? 'file' : 'files'}.</span>
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          {/* Progress */}
+          <div className="space-y-2" aria-live="polite">
+            <div className="flex items-center justify-between text-sm text-gray-700">
+              <span className="flex items-center gap-2">
+                {busy && <Loader2 className="w-4 h-4 text-accent animate-spin" aria-hidden="true" />}
+                {finished} of {rows.length} analyzed
+              </span>
+              <button
+                onClick={handleClear}
+                className="flex items-center gap-1 text-gray-500 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+                aria-label="Clear batch"
+              >
+                <Trash2 className="w-4 h-4 text-accent" aria-hidden="true" />
+                <span>Clear</span>
+              </button>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden" role="progressbar" aria-valuenow={finished} aria-valuemin="0" aria-valuemax={rows.length}>
+              <div
+                className="bg-gray-900 h-full rounded-full transition-all duration-300 ease-out"
+                style={{ width: `${(finished / rows.length) * 100}%` }}
+              />
+            </div>
+          </div>
+
+          {/* Filter and Export */}
+          <div className="flex items-center justify-end gap-2 text-sm text-gray-700">
+            <button
+              onClick={handleExportCsv}
+              disabled={!rows.some((row) => row.status === 'done')}
+              className="flex items-center gap-2 px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed me-auto"
+            >
+              <FileSpreadsheet className="w-4 h-4 text-accent" aria-hidden="true" />
+              <span>Export CSV</span>
+            </button>
+            <label htmlFor="verdict-filter">Show</label>
+            <select
+              id="verdict-filter"
+              value={verdictFilter}
+              onChange={(e) => setVerdictFilter(e.target.value)}
+              className="px-3 py-1 border-2 border-gray-300 rounded-lg bg-white focus:outline-none focus:border-gray-500"
+            >
+              {VERDICT_FILTERS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Results Table */}
+          <div className="overflow-x-auto border-2 border-gray-200 rounded-lg">
+            <table className="w-full text-sm text-start" aria-label="Batch analysis results">
+              <thead className="bg-gray-50 text-gray-700">
+                <tr>
+                  {COLUMNS.map((column) => (
+                    <th
+                      key={column.key}
+                      scope="col"
+                      className="px-3 py-2 font-semibold"
+                      aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                    >
+                      <button
+                        onClick={() => handleSort(column.key)}
+                        className="flex items-center gap-1 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+                      >
+                        <span>{column.label}</span>
+                        {sort.key === column.key && (sort.direction === 'asc'
+                          ? <ArrowUp className="w-3 h-3 text-accent" aria-hidden="true" />
+                          : <ArrowDown className="w-3 h-3 text-accent" aria-hidden="true" />
+                        )}
+                      </button>
+                    </th>
+                  ))}
+                  <th scope="col" className="px-3 py-2"><span className="sr-only">Status</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map((row) => (
+                  <tr key={row.id} className="border-t border-gray-200">
+                    <td className="px-3 py-2 text-gray-900 max-w-xs">
+                      <div className="flex items-center gap-1">
+                        <span className="truncate" title={row.path}>{row.path}</span>
+                        {row.warnings.length > 0 && (
+                          <span title={row.warnings.join('\n')} aria-label={`Extraction notes: ${row.warnings.join('; ')}`}>
+                            <AlertCircle className="w-4 h-4 text-accent flex-shrink-0" aria-hidden="true" />
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">{row.words ?? '–'}</td>
+                    <td className="px-3 py-2 font-semibold text-gray-900">
+                      {row.results ? `${Math.round(row.results.aiPercentage * 10) / 10}%` : '–'}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">{row.results?.verdict ?? '–'}</td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {row.results ? (DETECTOR_LABELS[row.results.detector] ?? row.results.detector) : '–'}
+                    </td>
+                    <td className="px-3 py-2 text-end whitespace-nowrap">
+                      {(row.status === 'queued' || row.status === 'running') && (
+                        <span className="flex items-center justify-end gap-1 text-gray-500">
+                          {row.status === 'running' && <Loader2 className="w-4 h-4 text-accent animate-spin" aria-hidden="true" />}
+                          {row.status === 'running' ? 'Analyzing' : 'Queued'}
+                        </span>
+                      )}
+                      {row.status === 'error' && (
+                        <button
+                          onClick={() => handleRetry(row.id)}
+                          className="inline-flex items-center gap-1 text-red-700 hover:text-red-900 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+                          title={row.error}
+                          aria-label={`Retry ${row.path}`}
+                        >
+                          <RotateCcw className="w-4 h-4" aria-hidden="true" />
+                          <span>Retry</span>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visibleRows.length === 0 && (
+              <p className="px-3 py-4 text-sm text-gray-500 text-center">No files match this filter.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BatchPanel
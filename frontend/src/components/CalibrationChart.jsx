@@ -0,0 +1,93 @@
+import { useMemo } from 'react'
+import { roundScore } from '../lib/text'
+
+// Chart geometry in SVG user units; the chart scales to its container width
+const WIDTH = 320
+const HEIGHT = 260
+const PADDING = { top: 8, right: 8, bottom: 28, left: 36 }
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom
+
+const xFor = (score) => PADDING.left + (score / 100) * PLOT_WIDTH
+const yFor = (share) => PADDING.top + (1 - share / 100) * PLOT_HEIGHT
+
+// Reliability diagram: for each score range, the mean score of its samples against the share
+// of them that are AI-written. A calibrated detector stays on the diagonal; dots grow with the
+// number of samples in the range.
+function CalibrationChart({ series }) {
+  const lines = useMemo(
+    () => series.map((item) => {
+      const bins = item.calibration.filter((bin) => bin.count > 0)
+      const largest = Math.max(1, ...bins.map((bin) => bin.count))
+      return {
+        ...item,
+        dots: bins.map((bin) => ({
+          bin,
+          x: xFor(bin.mean_score),
+          y: yFor(bin.ai_share),
+          r: 2 + 3 * Math.sqrt(bin.count / largest),
+        })),
+      }
+    }),
+    [series],
+  )
+
+  return (
+    <figure className="space-y-2">
+      <figcaption className="font-semibold text-gray-900 text-sm">Calibration</figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto border-2 border-gray-200 rounded-lg bg-white"
+        role="img"
+        aria-label={`Calibration of ${series.length} detector(s): ${series
+          .map((item) => `${item.label}, off by ${roundScore(item.calibrationError)} points on average`)
+          .join('; ')}`}
+      >
+        {/* Axis Labels */}
+        {[0, 50, 100].map((value) => (
+          <g key={value}>
+            <text x={PADDING.left - 6} y={yFor(value) + 3} textAnchor="end" className="fill-gray-400 text-[10px]">
+              {value}%
+            </text>
+            <text x={xFor(value)} y={HEIGHT - PADDING.bottom + 12} textAnchor="middle" className="fill-gray-400 text-[10px]">
+              {value}%
+            </text>
+          </g>
+        ))}
+        <text x={PADDING.left + PLOT_WIDTH / 2} y={HEIGHT - 2} textAnchor="middle" className="fill-gray-500 text-[10px]">
+          Mean AI score
+        </text>
+        <text
+          transform={`translate(10 ${PADDING.top + PLOT_HEIGHT / 2}) rotate(-90)`}
+          textAnchor="middle"
+          className="fill-gray-500 text-[10px]"
+        >
+          Share of AI samples
+        </text>
+
+        {/* Perfect Calibration */}
+        <line x1={xFor(0)} y1={yFor(0)} x2={xFor(100)} y2={yFor(100)} className="stroke-gray-300" strokeDasharray="4 4" />
+
+        {lines.map((item) => (
+          <g key={item.id}>
+            <polyline
+              points={item.dots.map((dot) => `${dot.x},${dot.y}`).join(' ')}
+              fill="none"
+              className={item.color.stroke}
+              strokeWidth="1.5"
+            />
+            {item.dots.map((dot) => (
+              <circle key={dot.bin.lower} cx={dot.x} cy={dot.y} r={dot.r} className={item.color.fill}>
+                <title>
+                  {`${item.label}, scores ${roundScore(dot.bin.lower)}–${roundScore(dot.bin.upper)}%: ${dot.bin.count} sample(s), mean score ${roundScore(dot.bin.mean_score)}%, ${roundScore(dot.bin.ai_share)}% AI`}
+                </title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+    </figure>
+  )
+}
+
+export default CalibrationChart
@@ -0,0 +1,87 @@
+import { useMemo } from 'react'
+import { roundScore } from '../lib/text'
+import { DEFAULT_PROFILE } from '../lib/heuristic'
+
+// Chart geometry in SVG user units; the chart scales to its container width
+const WIDTH = 600
+const HEIGHT = 160
+const PADDING = { top: 8, right: 8, bottom: 20, left: 32 }
+
+// Score of each chunk across a long document, plotted at the chunk's middle word,
+// with the verdict thresholds of the profile it was scored with (older results have none)
+function ChunkChart({ chunks, thresholds = DEFAULT_PROFILE.thresholds }) {
+  const { items, min, max, spread } = chunks
+
+  const points = useMemo(() => {
+    const last = items[items.length - 1]
+    const totalWords = Math.max(1, last.start_word + last.word_count)
+    const plotWidth = WIDTH - PADDING.left - PADDING.right
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+    return items.map((chunk) => ({
+      chunk,
+      x: PADDING.left + ((chunk.start_word + chunk.word_count / 2) / totalWords) * plotWidth,
+      y: PADDING.top + (1 - chunk.ai_percentage / 100) * plotHeight,
+    }))
+  }, [items])
+
+  const yFor = (score) => PADDING.top + (1 - score / 100) * (HEIGHT - PADDING.top - PADDING.bottom)
+
+  return (
+    <div className="mt-6 sm:mt-8 space-y-3">
+      <div className="flex flex-col sm:flex-row sm:items-baseline justify-between gap-1">
+        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">AI score across the document</h3>
+        <p className="text-xs text-gray-500">
+          {items.length} sections · min {roundScore(min)}% · max {roundScore(max)}% · spread {roundScore(spread)} pts
+        </p>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto border-2 border-gray-200 rounded-lg bg-white"
+        role="img"
+        aria-label={`AI score of ${items.length} document sections, from ${roundScore(min)}% to ${roundScore(max)}%`}
+      >
+        {/* Axis Labels */}
+        {[0, 50, 100].map((score) => (
+          <text key={score} x={PADDING.left - 6} y={yFor(score) + 3} textAnchor="end" className="fill-gray-400 text-[10px]">
+            {score}%
+          </text>
+        ))}
+        <text x={PADDING.left} y={HEIGHT - 4} className="fill-gray-400 text-[10px]">Start</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" className="fill-gray-400 text-[10px]">End</text>
+
+        {/* Verdict Thresholds */}
+        {[thresholds.human, thresholds.ai].map((score) => (
+          <line
+            key={score}
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={yFor(score)}
+            y2={yFor(score)}
+            className="stroke-gray-300"
+            strokeDasharray="4 4"
+          />
+        ))}
+
+        <polyline
+          points={points.map((point) => `${point.x},${point.y}`).join(' ')}
+          fill="none"
+          className="stroke-blue-500"
+          strokeWidth="2"
+        />
+        {points.map((point) => (
+          <circle key={point.chunk.index} cx={point.x} cy={point.y} r="3" className="fill-blue-500">
+            <title>
+              {`Section ${point.chunk.index + 1} (words ${point.chunk.start_word + 1}–${point.chunk.start_word + point.chunk.word_count}): ${roundScore(point.chunk.ai_percentage)}% AI`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+      <p className="text-xs text-gray-500">
+        Long texts are scored in overlapping sections; the overall score is their length-weighted average. Dashed lines mark the {roundScore(thresholds.human)}% and {roundScore(thresholds.ai)}% verdict thresholds.
+      </p>
+    </div>
+  )
+}
+
+export default ChunkChart
@@ -0,0 +1,95 @@
+import { X, ArrowRight } from 'lucide-react'
+import { DETECTOR_LABELS, FACTOR_LABELS } from '../lib/labels'
+import { countWords, roundScore } from '../lib/text'
+
+function formatDelta(delta) {
+  const rounded = roundScore(delta)
+  return rounded > 0 ? `+${rounded}` : `${rounded}`
+}
+
+function CompareView({ entries, onClose }) {
+  const [before, after] = entries
+
+  const rows = [
+    { label: 'Analyzed', values: entries.map((entry) => new Date(entry.createdAt).toLocaleString()) },
+    { label: 'Words', values: entries.map((entry) => countWords(entry.text)) },
+    { label: 'Detector', values: entries.map((entry) => DETECTOR_LABELS[entry.results.detector] ?? entry.results.detector ?? '–') },
+    { label: 'Verdict', values: entries.map((entry) => entry.results.verdict) },
+    {
+      label: 'AI %',
+      values: entries.map((entry) => `${roundScore(entry.results.aiPercentage)}%`),
+      delta: after.results.aiPercentage - before.results.aiPercentage,
+    },
+  ]
+
+  // Per-factor rows when both analyses carry a heuristic breakdown
+  if (before.results.breakdown && after.results.breakdown) {
+    before.results.breakdown.factors.forEach((factor) => {
+      const other = after.results.breakdown.factors.find((item) => item.name === factor.name)
+      if (!other) return
+      rows.push({
+        label: FACTOR_LABELS[factor.name] ?? factor.name,
+        values: [`${roundScore(factor.score)}%`, `${roundScore(other.score)}%`],
+        delta: other.score - factor.score,
+        secondary: true,
+      })
+    })
+  }
+
+  return (
+    <div className="mt-6 sm:mt-8 animate-fadeIn" role="region" aria-label="Comparison">
+      <div className="bg-gray-50 rounded-xl p-4 sm:p-6 border-2 border-gray-200 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl sm:text-2xl font-bold text-gray-900">Comparison</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-500 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400"
+            aria-label="Close comparison"
+          >
+            <X className="w-5 h-5" aria-hidden="true" />
+          </button>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-start">
+            <thead>
+              <tr className="text-gray-700 border-b border-gray-200">
+                <th scope="col" className="py-2 pe-3"><span className="sr-only">Field</span></th>
+                {entries.map((entry) => (
+                  <th key={entry.id} scope="col" className="py-2 px-3 font-semibold text-gray-900 max-w-[12rem] truncate">
+                    {entry.fileName || 'Pasted text'}
+                  </th>
+                ))}
+                <th scope="col" className="py-2 ps-3 font-semibold text-end">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.label} className="border-b border-gray-100 last:border-0">
+                  <th scope="row" className={`py-2 pe-3 font-medium ${row.secondary ? 'text-gray-500 ps-3' : 'text-gray-900'}`}>
+                    {row.label}
+                  </th>
+                  {row.values.map((value, index) => (
+                    <td key={index} className="py-2 px-3 text-gray-700">{value}</td>
+                  ))}
+                  <td className="py-2 ps-3 text-end font-semibold text-gray-900">
+                    {row.delta !== undefined ? formatDelta(row.delta) : ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Texts Side by Side */}
+        <div className="grid grid-cols-1 sm:grid-cols-[1fr_auto_1fr] gap-3 items-start">
+          <pre className="max-h-64 overflow-y-auto bg-white border border-gray-200 rounded p-3 text-xs text-gray-900 whitespace-pre-wrap font-sans">{before.text}</pre>
+          <ArrowRight className="hidden sm:block w-5 h-5 text-accent mt-4 rtl:rotate-180" aria-hidden="true" />
+          <pre className="max-h-64 overflow-y-auto bg-white border border-gray-200 rounded p-3 text-xs text-gray-900 whitespace-pre-wrap font-sans">{after.text}</pre>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CompareView
@@ -0,0 +1,38 @@
+import { PenLine } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+
+// Compose mode switch under the editor, with what has been recorded so far
+function ComposeToggle({ stats, onStart, onStop, disabled }) {
+  const { t } = useI18n()
+  const recording = stats !== null
+
+  return (
+    <div className="space-y-1 text-center">
+      <label className="inline-flex items-center gap-2 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={recording}
+          onChange={(e) => (e.target.checked ? onStart() : onStop())}
+          disabled={disabled}
+          className="rounded border-gray-300"
+        />
+        <PenLine className="w-4 h-4 text-accent" aria-hidden="true" />
+        <span>{t('compose.label')}</span>
+      </label>
+      {recording && (
+        <p className="text-xs text-gray-500" aria-live="polite">
+          {stats.typed_chars + stats.pasted_chars > 0
+            ? t('compose.status', {
+              typed: stats.typed_chars,
+              pasted: stats.pasted_chars,
+              pastes: stats.paste_count,
+              revisions: stats.revisions,
+            })
+            : t('compose.hint')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default ComposeToggle
@@ -0,0 +1,37 @@
+import { Cpu } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import { LOCAL_DETECTOR } from '../lib/heuristic'
+
+// Dropdown of the detectors from /api/detectors ('' selects the server default),
+// plus the local heuristic, which works even when the server can't be reached
+function DetectorSelect({ detectors, defaultId, error, value, onChange, disabled }) {
+  const { t } = useI18n()
+  const defaultLabel = detectors.find((detector) => detector.id === defaultId)?.label
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
+        <Cpu className="w-4 h-4 text-accent" aria-hidden="true" />
+        <label htmlFor="detector-select">{t('detector.label')}</label>
+        <select
+          id="detector-select"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          className="max-w-xs px-3 py-1 border-2 border-gray-300 rounded-lg bg-white text-gray-900 focus:outline-none focus:border-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <option value="">{defaultLabel ? t('detector.serverDefaultNamed', { label: defaultLabel }) : t('detector.serverDefault')}</option>
+          {detectors.map((detector) => (
+            <option key={detector.id} value={detector.id}>
+              {detector.available ? detector.label : t('detector.notConfigured', { label: detector.label })}
+            </option>
+          ))}
+          <option value={LOCAL_DETECTOR}>{t('detector.local')}</option>
+        </select>
+      </div>
+      {error && <p className="text-xs text-gray-500 text-center">{error}</p>}
+    </div>
+  )
+}
+
+export default DetectorSelect
@@ -0,0 +1,375 @@
+import { useState, useCallback, useMemo } from 'react'
+import { FlaskConical, Upload, Download, Play, AlertCircle, Loader2 } from 'lucide-react'
+import RocChart from './RocChart'
+import CalibrationChart from './CalibrationChart'
+import { useDetectors } from '../hooks/useDetectors'
+import { evaluateCorpus, getBuiltinCorpus } from '../lib/api'
+import { parseCorpus, CORPUS_EXTENSIONS } from '../lib/corpus'
+import { readFileAsText } from '../lib/files'
+import { downloadFile } from '../lib/exportReport'
+import { roundScore } from '../lib/text'
+
+// One color per evaluated detector, shared by the table and the charts
+const SERIES_COLORS = [
+  { stroke: 'stroke-blue-500', fill: 'fill-blue-500', swatch: 'bg-blue-500' },
+  { stroke: 'stroke-amber-500', fill: 'fill-amber-500', swatch: 'bg-amber-500' },
+  { stroke: 'stroke-emerald-500', fill: 'fill-emerald-500', swatch: 'bg-emerald-500' },
+  { stroke: 'stroke-purple-500', fill: 'fill-purple-500', swatch: 'bg-purple-500' },
+  { stroke: 'stroke-rose-500', fill: 'fill-rose-500', swatch: 'bg-rose-500' },
+]
+
+const VERDICT_LABELS = { human: 'Human', uncertain: 'Uncertain', ai: 'AI' }
+
+// A rate from 0 to 1 as a percentage; `null` when the rate is undefined
+function formatRate(rate) {
+  return rate == null ? '—' : `${roundScore(rate * 100)}%`
+}
+
+// Whether a verdict matches the sample's label ("Uncertain" never does)
+function isCorrect(result) {
+  return result.verdict === (result.label === 'ai' ? 'AI Generated' : 'Human Written')
+}
+
+function EvaluationPage({ profiles: profileList }) {
+  const { detectors, error: detectorsError } = useDetectors()
+  const profile = profileList.selected
+  // Corpus read from an uploaded file; the built-in one is used without it
+  const [uploaded, setUploaded] = useState(null)
+  const [fileError, setFileError] = useState(null)
+  // Detectors left out of the run; all of them are evaluated by default
+  const [skipped, setSkipped] = useState(() => new Set())
+  const [mock, setMock] = useState(false)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState(null)
+  const [report, setReport] = useState(null)
+
+  const chosen = detectors.filter((detector) => !skipped.has(detector.id))
+
+  const series = useMemo(
+    () => (report?.detectors ?? []).map((item, index) => ({
+      id: item.id,
+      label: item.label,
+      color: SERIES_COLORS[index % SERIES_COLORS.length],
+      roc: item.metrics.roc,
+      rocAuc: item.metrics.roc_auc,
+      calibration: item.metrics.calibration,
+      calibrationError: item.metrics.calibration_error,
+    })),
+    [report],
+  )
+
+  // Rows of the per-sample table: each sample with the result of every detector
+  const sampleRows = useMemo(() => {
+    if (!report) return []
+    return report.detectors[0].results.map((sample, index) => ({
+      id: sample.id,
+      label: sample.label,
+      results: report.detectors.map((item) => item.results[index]),
+    }))
+  }, [report])
+
+  const toggleDetector = useCallback((id) => {
+    setSkipped((current) => {
+      const next = new Set(current)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }, [])
+
+  const handleFile = useCallback(async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setFileError(null)
+    try {
+      setUploaded(parseCorpus(await readFileAsText(file), file.name))
+    } catch (err) {
+      setUploaded(null)
+      setFileError(err.message)
+    }
+  }, [])
+
+  const handleTemplate = useCallback(async () => {
+    setError(null)
+    try {
+      const corpus = await getBuiltinCorpus()
+      downloadFile('corpus.json', JSON.stringify(corpus, null, 2), 'application/json')
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  const handleRun = useCallback(async () => {
+    setRunning(true)
+    setError(null)
+    try {
+      setReport(await evaluateCorpus({
+        corpus: uploaded ?? undefined,
+        detectors: chosen.map((detector) => detector.id),
+        profile: profile.id,
+        mock,
+      }))
+    } catch (err) {
+      setError(err.message || 'Evaluation failed. Please try again.')
+    } finally {
+      setRunning(false)
+    }
+  }, [uploaded, chosen, profile, mock])
+
+  const handleDownloadReport = useCallback(() => {
+    downloadFile('evaluation.json', JSON.stringify(report, null, 2), 'application/json')
+  }, [report])
+
+  const uploadedCounts = uploaded && {
+    human: uploaded.samples.filter((sample) => sample.label === 'human').length,
+    ai: uploaded.samples.filter((sample) => sample.label === 'ai').length,
+  }
+
+  return (
+    <section className="space-y-4 sm:space-y-6" aria-labelledby="evaluation-heading">
+      <div>
+        <h2 id="evaluation-heading" className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <FlaskConical className="w-5 h-5 text-accent" aria-hidden="true" />
+          Evaluation
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Score a set of texts whose origin is known with each detector and see how often the verdicts are right, how
+          well the scores separate AI from human writing and whether a score of 80% really means AI four times out of five.
+        </p>
+      </div>
+
+      {/* Corpus */}
+      <fieldset className="space-y-2">
+        <legend className="font-semibold text-gray-900 text-sm">Labeled samples</legend>
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+          <label className="flex-1 flex items-center gap-2 px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-700 cursor-pointer hover:border-gray-400 focus-within:ring-2 focus-within:ring-gray-400">
+            <Upload className="w-4 h-4 text-accent" aria-hidden="true" />
+            <span className="truncate">
+              {uploaded
+                ? `${uploaded.name}: ${uploaded.samples.length} samples (${uploadedCounts.human} human, ${uploadedCounts.ai} AI)`
+                : 'Built-in samples · upload a .json or .jsonl file to use your own'}
+            </span>
+            <input type="file" accept={CORPUS_EXTENSIONS.join(',')} onChange={handleFile} className="sr-only" />
+          </label>
+          {uploaded && (
+            <button
+              onClick={() => setUploaded(null)}
+              className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-400"
+            >
+              Use built-in samples
+            </button>
+          )}
+          <button
+            onClick={handleTemplate}
+            className="flex items-center justify-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+          >
+            <Download className="w-4 h-4 text-accent" aria-hidden="true" />
+            <span>Built-in samples as a template</span>
+          </button>
+        </div>
+        {fileError && (
+          <p className="flex items-start gap-2 text-sm text-red-800" role="alert">
+            <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+            <span>{fileError}</span>
+          </p>
+        )}
+        <p className="text-xs text-gray-500">
+          Each sample needs a <code>text</code> and a <code>label</code> of <code>human</code> or <code>ai</code>; an{' '}
+          <code>id</code> and a <code>note</code> are optional.
+        </p>
+      </fieldset>
+
+      {/* Detectors */}
+      <fieldset className="space-y-2">
+        <legend className="font-semibold text-gray-900 text-sm">Detectors</legend>
+        {detectorsError && <p className="text-sm text-gray-600">{detectorsError}</p>}
+        <div className="flex flex-wrap gap-x-4 gap-y-2">
+          {detectors.map((detector) => (
+            <label key={detector.id} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={!skipped.has(detector.id)}
+                onChange={() => toggleDetector(detector.id)}
+                className="rounded border-gray-300"
+              />
+              <span>{detector.label}</span>
+              {!detector.available && <span className="text-xs text-gray-500">(not configured)</span>}
+            </label>
+          ))}
+        </div>
+        <label className="flex items-start gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={mock} onChange={(e) => setMock(e.target.checked)} className="mt-1 rounded border-gray-300" />
+          <span>
+            Replay recorded scores instead of calling remote models
+            <span className="block text-xs text-gray-500">
+              Reproducible runs without network access: samples use the <code>scores</code> recorded in the file, and
+              the heuristics where there are none.
+            </span>
+          </span>
+        </label>
+        <p className="text-xs text-gray-500">Verdicts use the thresholds of the “{profile.name}” profile.</p>
+      </fieldset>
+
+      <button
+        onClick={handleRun}
+        disabled={running || chosen.length === 0}
+        className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-900 text-white rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+      >
+        {running ? (
+          <Loader2 className="w-4 h-4 text-accent animate-spin" aria-hidden="true" />
+        ) : (
+          <Play className="w-4 h-4 text-accent" aria-hidden="true" />
+        )}
+        <span>{running ? 'Evaluating…' : 'Run evaluation'}</span>
+      </button>
+
+      {error && (
+        <div className="flex items-start gap-2 text-sm text-red-800 bg-red-50 border-2 border-red-200 rounded-lg p-3" role="alert">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {report && (
+        <div className="space-y-4 sm:space-y-6 animate-fadeIn" role="region" aria-label="Evaluation results">
+          <div className="flex flex-col sm:flex-row sm:items-baseline justify-between gap-2">
+            <p className="text-sm text-gray-600">
+              {report.corpus || 'Corpus'}: {report.samples} samples ({report.human_samples} human, {report.ai_samples} AI) ·
+              thresholds {roundScore(report.thresholds.human)}% / {roundScore(report.thresholds.ai)}%
+              {report.mock && ' · recorded scores'}
+            </p>
+            <button
+              onClick={handleDownloadReport}
+              className="flex items-center justify-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+            >
+              <Download className="w-4 h-4 text-accent" aria-hidden="true" />
+              <span>Report (JSON)</span>
+            </button>
+          </div>
+
+          {/* Metrics */}
+          <div className="overflow-x-auto border-2 border-gray-200 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-start text-xs text-gray-600">
+                <tr>
+                  <th scope="col" className="px-3 py-2 font-semibold">Detector</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end" title="Right verdicts; “Uncertain” counts as wrong">Accuracy</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end" title="Samples with a verdict other than “Uncertain”">Coverage</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end" title="AI verdicts that were right / AI samples found">AI precision / recall</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end" title="Human verdicts that were right / human samples found">Human precision / recall</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end" title="Chance that an AI sample scores above a human one">ROC-AUC</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end" title="Mean squared error of the score; lower is better">Brier</th>
+                  <th scope="col" className="px-3 py-2 font-semibold text-end" title="Mean gap between score and AI share, in points">Calibration error</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 text-gray-900">
+                {report.detectors.map((item, index) => (
+                  <tr key={item.id}>
+                    <th scope="row" className="px-3 py-2 font-normal text-start">
+                      <span className="flex items-center gap-2">
+                        <span className={`w-3 h-3 rounded-full flex-shrink-0 ${series[index].color.swatch}`} aria-hidden="true" />
+                        <span>{item.label}</span>
+                      </span>
+                      {item.fallbacks > 0 && (
+                        <span className="block text-xs text-gray-500">{item.fallbacks} scored by the heuristics instead</span>
+                      )}
+                    </th>
+                    <td className="px-3 py-2 text-end">{formatRate(item.metrics.accuracy)}</td>
+                    <td className="px-3 py-2 text-end">{formatRate(item.metrics.coverage)}</td>
+                    <td className="px-3 py-2 text-end whitespace-nowrap">
+                      {formatRate(item.metrics.ai.precision)} / {formatRate(item.metrics.ai.recall)}
+                    </td>
+                    <td className="px-3 py-2 text-end whitespace-nowrap">
+                      {formatRate(item.metrics.human.precision)} / {formatRate(item.metrics.human.recall)}
+                    </td>
+                    <td className="px-3 py-2 text-end">{item.metrics.roc_auc == null ? '—' : item.metrics.roc_auc.toFixed(3)}</td>
+                    <td className="px-3 py-2 text-end">{item.metrics.brier_score.toFixed(3)}</td>
+                    <td className="px-3 py-2 text-end">{roundScore(item.metrics.calibration_error)} pts</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <RocChart series={series} />
+            <CalibrationChart series={series} />
+          </div>
+
+          {/* Confusion Matrices */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {report.detectors.map((item) => (
+              <table key={item.id} className="w-full text-sm border-2 border-gray-200 rounded-lg">
+                <caption className="text-start font-semibold text-gray-900 text-sm mb-2">{item.label}</caption>
+                <thead className="bg-gray-50 text-xs text-gray-600">
+                  <tr>
+                    <th scope="col" className="px-3 py-2 font-semibold text-start">Label \ verdict</th>
+                    {Object.entries(VERDICT_LABELS).map(([key, label]) => (
+                      <th key={key} scope="col" className="px-3 py-2 font-semibold text-end">{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 text-gray-900">
+                  {['human', 'ai'].map((label) => (
+                    <tr key={label}>
+                      <th scope="row" className="px-3 py-2 font-normal text-start">{VERDICT_LABELS[label]}</th>
+                      {Object.keys(VERDICT_LABELS).map((verdict) => (
+                        <td
+                          key={verdict}
+                          className={`px-3 py-2 text-end ${verdict === label ? 'font-semibold text-green-700' : ''}`}
+                        >
+                          {item.metrics.confusion[label][verdict]}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ))}
+          </div>
+
+          {/* Per-Sample Scores */}
+          <details className="border-2 border-gray-200 rounded-lg">
+            <summary className="px-3 py-2 text-sm font-semibold text-gray-900 cursor-pointer">Scores of each sample</summary>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-start text-xs text-gray-600">
+                  <tr>
+                    <th scope="col" className="px-3 py-2 font-semibold">Sample</th>
+                    <th scope="col" className="px-3 py-2 font-semibold">Label</th>
+                    {report.detectors.map((item) => (
+                      <th key={item.id} scope="col" className="px-3 py-2 font-semibold text-end">{item.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 text-gray-900">
+                  {sampleRows.map((row) => (
+                    <tr key={row.id}>
+                      <td className="px-3 py-2 font-mono text-xs">{row.id}</td>
+                      <td className="px-3 py-2">{VERDICT_LABELS[row.label]}</td>
+                      {row.results.map((result, index) => (
+                        <td
+                          key={report.detectors[index].id}
+                          className={`px-3 py-2 text-end whitespace-nowrap ${isCorrect(result) ? '' : 'text-red-700'}`}
+                          title={result.fallback_reason ?? result.verdict}
+                        >
+                          {roundScore(result.ai_percentage)}%{result.fallback_reason && ' *'}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="px-3 py-2 text-xs text-gray-500">
+              Scores in red got the wrong verdict or “Uncertain”; * marks scores the heuristics gave in place of the detector; hover for the reason.
+            </p>
+          </details>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default EvaluationPage
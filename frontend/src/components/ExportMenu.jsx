@@ -0,0 +1,73 @@
+import { useState, useRef, useEffect, useCallback } from 'react'
+import { Download, Printer, FileCode, FileJson, ChevronDown } from 'lucide-react'
+import { buildHtmlReport, buildJsonReport, downloadFile, exportFileName, printHtml } from '../lib/exportReport'
+
+function ExportMenu({ analysis }) {
+  const [open, setOpen] = useState(false)
+  const menuRef = useRef(null)
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const handlePrint = useCallback(() => {
+    printHtml(buildHtmlReport(analysis))
+    setOpen(false)
+  }, [analysis])
+
+  const handleHtml = useCallback(() => {
+    downloadFile(`${exportFileName(analysis)}.html`, buildHtmlReport(analysis), 'text/html')
+    setOpen(false)
+  }, [analysis])
+
+  const handleJson = useCallback(() => {
+    downloadFile(`${exportFileName(analysis)}.json`, buildJsonReport(analysis), 'application/json')
+    setOpen(false)
+  }, [analysis])
+
+  const items = [
+    { label: 'Print / Save as PDF', Icon: Printer, onClick: handlePrint },
+    { label: 'HTML report', Icon: FileCode, onClick: handleHtml },
+    { label: 'JSON', Icon: FileJson, onClick: handleJson },
+  ]
+
+  return (
+    <div className="relative inline-block" ref={menuRef}>
+      <button
+        onClick={() => setOpen((value) => !value)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Download className="w-4 h-4 text-accent" aria-hidden="true" />
+        <span>Export</span>
+        <ChevronDown className="w-4 h-4 text-gray-500" aria-hidden="true" />
+      </button>
+      {open && (
+        <ul className="absolute end-0 mt-2 w-56 bg-white border-2 border-gray-200 rounded-lg shadow-lg z-10 py-1" role="menu">
+          {items.map((item) => (
+            <li key={item.label} role="none">
+              <button
+                onClick={item.onClick}
+                className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 focus:outline-none focus:bg-gray-100 text-start"
+                role="menuitem"
+              >
+                <item.Icon className="w-4 h-4 text-accent" aria-hidden="true" />
+                <span>{item.label}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,93 @@
+import { FileText, AlertCircle, Check, X } from 'lucide-react'
+import { countWords } from '../lib/text'
+
+const FORMAT_LABELS = {
+  pdf: 'PDF document',
+  docx: 'Word document',
+  odt: 'OpenDocument text',
+  html: 'Web page',
+  json: 'JSON (text fields only)',
+  csv: 'CSV (selected columns only)',
+  text: 'Plain text',
+}
+
+// Characters shown in the preview; the full text is still used for analysis
+const PREVIEW_LENGTH = 2000
+
+function ExtractionPreview({ fileName, extraction, onColumnsChange, onAccept, onCancel }) {
+  const { text, format, warnings, columns, selectedColumns } = extraction
+  const words = countWords(text)
+
+  const toggleColumn = (column) => {
+    const next = selectedColumns.includes(column)
+      ? selectedColumns.filter((name) => name !== column)
+      : columns.filter((name) => name === column || selectedColumns.includes(name))
+    onColumnsChange(next)
+  }
+
+  return (
+    <div className="bg-gray-50 border-2 border-gray-200 rounded-lg p-4 space-y-3 animate-fadeIn" role="region" aria-label="Extracted text preview">
+      <div className="flex items-center gap-2 text-sm text-gray-700">
+        <FileText className="w-4 h-4 text-accent flex-shrink-0" aria-hidden="true" />
+        <span className="truncate font-semibold text-gray-900">{fileName}</span>
+        <span className="text-gray-500 whitespace-nowrap">· {FORMAT_LABELS[format] ?? format} · {words} words</span>
+      </div>
+
+      {/* CSV Column Picker */}
+      {format === 'csv' && columns.length > 0 && (
+        <fieldset className="text-sm text-gray-700">
+          <legend className="font-semibold text-gray-900 mb-1">Columns to analyze</legend>
+          <div className="flex flex-wrap gap-3">
+            {columns.map((column) => (
+              <label key={column} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={selectedColumns.includes(column)}
+                  onChange={() => toggleColumn(column)}
+                />
+                <span>{column || '(unnamed)'}</span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      )}
+
+      {/* Extraction Warnings */}
+      {warnings.length > 0 && (
+        <ul className="text-sm text-gray-600 space-y-1" aria-label="Extraction warnings">
+          {warnings.map((warning) => (
+            <li key={warning} className="flex items-start gap-2">
+              <AlertCircle className="w-4 h-4 text-accent flex-shrink-0 mt-0.5" aria-hidden="true" />
+              <span>{warning}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <pre className="max-h-48 overflow-y-auto bg-white border border-gray-200 rounded p-3 text-xs sm:text-sm text-gray-900 whitespace-pre-wrap font-sans">
+        {text ? text.slice(0, PREVIEW_LENGTH) : 'No text could be extracted from this file.'}
+        {text.length > PREVIEW_LENGTH && '…'}
+      </pre>
+
+      <div className="flex flex-col sm:flex-row justify-end gap-3">
+        <button
+          onClick={onCancel}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+        >
+          <X className="w-4 h-4 text-accent" aria-hidden="true" />
+          <span>Cancel</span>
+        </button>
+        <button
+          onClick={onAccept}
+          disabled={!text.trim()}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-900 text-white text-sm rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          <Check className="w-4 h-4 text-accent" aria-hidden="true" />
+          <span>Use this text</span>
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ExtractionPreview
@@ -0,0 +1,167 @@
+import { useState, useMemo, useCallback } from 'react'
+import { X, Search, FolderOpen, RotateCcw, Trash2, GitCompare, AlertCircle, FileSpreadsheet } from 'lucide-react'
+import { buildCsvReport, downloadFile } from '../lib/exportReport'
+import { roundScore } from '../lib/text'
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+function HistorySidebar({ entries, error, busy, onClose, onOpen, onRerun, onDelete, onCompare }) {
+  const [query, setQuery] = useState('')
+  const [selected, setSelected] = useState([])
+
+  const visibleEntries = useMemo(() => {
+    const needle = query.trim().toLowerCase()
+    if (!needle) return entries
+    return entries.filter((entry) =>
+      entry.fileName.toLowerCase().includes(needle)
+      || entry.snippet.toLowerCase().includes(needle)
+      || entry.results.verdict.toLowerCase().includes(needle)
+    )
+  }, [entries, query])
+
+  const toggleSelected = useCallback((id) => {
+    setSelected((current) => (
+      current.includes(id) ? current.filter((item) => item !== id) : [...current, id]
+    ))
+  }, [])
+
+  const handleDelete = useCallback((id) => {
+    setSelected((current) => current.filter((item) => item !== id))
+    onDelete(id)
+  }, [onDelete])
+
+  const handleCompare = useCallback(() => {
+    // Compare in chronological order: older entry on the left
+    const pair = entries.filter((entry) => selected.includes(entry.id)).reverse()
+    onCompare(pair)
+  }, [entries, selected, onCompare])
+
+  const handleExportCsv = useCallback(() => {
+    const chosen = entries.filter((entry) => selected.includes(entry.id))
+    downloadFile(`brbrbr-history-${chosen.length}-analyses.csv`, buildCsvReport(chosen), 'text/csv')
+  }, [entries, selected])
+
+  return (
+    <aside
+      className="fixed inset-y-0 end-0 z-20 w-full sm:w-96 bg-white border-s-2 border-gray-200 shadow-xl flex flex-col animate-fadeIn"
+      aria-label="Analysis history"
+    >
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h2 className="text-lg font-bold text-gray-900">History</h2>
+        <button
+          onClick={onClose}
+          className="p-1 rounded text-gray-500 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400"
+          aria-label="Close history"
+        >
+          <X className="w-5 h-5" aria-hidden="true" />
+        </button>
+      </div>
+
+      <div className="px-4 py-3 space-y-3 border-b border-gray-200">
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute start-3 top-1/2 -translate-y-1/2" aria-hidden="true" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search file names and text…"
+            className="w-full ps-9 pe-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:outline-none focus:border-gray-500"
+            aria-label="Search history"
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={handleCompare}
+            disabled={selected.length !== 2}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-gray-900 text-white text-sm rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+            title="Select exactly two analyses to compare"
+          >
+            <GitCompare className="w-4 h-4 text-accent" aria-hidden="true" />
+            <span>Compare</span>
+          </button>
+          <button
+            onClick={handleExportCsv}
+            disabled={selected.length === 0}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FileSpreadsheet className="w-4 h-4 text-accent" aria-hidden="true" />
+            <span>Export CSV</span>
+          </button>
+        </div>
+        <p className="text-xs text-gray-500" aria-live="polite">{selected.length} selected</p>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-3 flex items-start gap-2 text-sm text-red-800 bg-red-50 border-2 border-red-200 rounded-lg p-2" role="alert">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+        {visibleEntries.map((entry) => (
+          <li key={entry.id} className="px-4 py-3 space-y-2">
+            <div className="flex items-start gap-3">
+              <input
+                type="checkbox"
+                checked={selected.includes(entry.id)}
+                onChange={() => toggleSelected(entry.id)}
+                className="mt-1"
+                aria-label={`Select ${entry.fileName || 'analysis'} for comparison`}
+              />
+              <div className="min-w-0 flex-1">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="truncate text-sm font-semibold text-gray-900">
+                    {entry.fileName || 'Pasted text'}
+                  </span>
+                  <span className="text-sm font-bold text-gray-900 whitespace-nowrap">
+                    {roundScore(entry.results.aiPercentage)}% AI
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {formatDate(entry.createdAt)} · {entry.results.verdict}
+                </p>
+                <p className="text-xs text-gray-600 line-clamp-2 mt-1">{entry.snippet}</p>
+              </div>
+            </div>
+            <div className="flex items-center justify-end gap-3 text-xs">
+              <button
+                onClick={() => onOpen(entry)}
+                disabled={busy}
+                className="flex items-center gap-1 text-gray-600 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded disabled:opacity-50"
+              >
+                <FolderOpen className="w-3 h-3 text-accent" aria-hidden="true" />
+                <span>Open</span>
+              </button>
+              <button
+                onClick={() => onRerun(entry)}
+                disabled={busy}
+                className="flex items-center gap-1 text-gray-600 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded disabled:opacity-50"
+              >
+                <RotateCcw className="w-3 h-3 text-accent" aria-hidden="true" />
+                <span>Re-run</span>
+              </button>
+              <button
+                onClick={() => handleDelete(entry.id)}
+                className="flex items-center gap-1 text-gray-600 hover:text-red-700 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+                aria-label={`Delete ${entry.fileName || 'analysis'} from history`}
+              >
+                <Trash2 className="w-3 h-3 text-accent" aria-hidden="true" />
+                <span>Delete</span>
+              </button>
+            </div>
+          </li>
+        ))}
+        {visibleEntries.length === 0 && (
+          <li className="px-4 py-6 text-sm text-gray-500 text-center">
+            {entries.length === 0 ? 'Analyses you run are saved here.' : 'No analyses match your search.'}
+          </li>
+        )}
+      </ul>
+    </aside>
+  )
+}
+
+export default HistorySidebar
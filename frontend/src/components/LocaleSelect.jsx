@@ -0,0 +1,27 @@
+import { Languages } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import { LOCALES } from '../lib/i18n'
+
+// Dropdown of the interface languages; each is listed under its own name
+function LocaleSelect() {
+  const { t, locale, setLocale } = useI18n()
+
+  return (
+    <div className="flex items-center justify-center gap-2">
+      <Languages className="w-4 h-4 text-accent" aria-hidden="true" />
+      <label htmlFor="locale-select" className="sr-only">{t('locale.label')}</label>
+      <select
+        id="locale-select"
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white text-gray-700 focus:outline-none focus:border-gray-500"
+      >
+        {LOCALES.map((item) => (
+          <option key={item.code} value={item.code} lang={item.code}>{item.name}</option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+export default LocaleSelect
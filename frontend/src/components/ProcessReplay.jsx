@@ -0,0 +1,166 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Play, Pause, RotateCcw } from 'lucide-react'
+import { replay } from '../lib/writingProcess'
+import { formatDuration } from '../lib/text'
+
+// Timeline geometry in SVG user units; the timeline scales to its container width
+const WIDTH = 600
+const HEIGHT = 40
+const PADDING = 4
+
+// Time between replay frames, in milliseconds of real time
+const FRAME_MS = 100
+const SPEEDS = [1, 4, 16, 64]
+
+const ORIGIN_STYLES = {
+  initial: 'text-gray-500',
+  type: 'text-gray-900',
+  paste: 'bg-amber-100 text-gray-900',
+  other: 'bg-blue-50 text-gray-900',
+}
+
+// Number of edits made up to `time` (edits are in time order)
+function editsBefore(events, time) {
+  let low = 0
+  let high = events.length
+  while (low < high) {
+    const middle = (low + high) >> 1
+    if (events[middle].t <= time) low = middle + 1
+    else high = middle
+  }
+  return low
+}
+
+// Playback of how a text was written in compose mode, with a timeline of its edits:
+// typing as short gray ticks, pastes as amber bars sized by their length, deletions in red
+function ProcessReplay({ session }) {
+  const { events } = session
+  const duration = events.length ? events[events.length - 1].t : 0
+  const [time, setTime] = useState(duration)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(16)
+
+  const count = editsBefore(events, time)
+  const { runs } = useMemo(() => replay(session, count), [session, count])
+
+  const largestPaste = useMemo(
+    () => Math.max(1, ...events.filter((event) => event.kind === 'paste').map((event) => event.inserted.length)),
+    [events],
+  )
+  const xFor = (t) => PADDING + (duration ? t / duration : 0) * (WIDTH - 2 * PADDING)
+
+  useEffect(() => {
+    if (!playing) return
+    const timer = setInterval(() => {
+      setTime((current) => Math.min(current + FRAME_MS * speed, duration))
+    }, FRAME_MS)
+    return () => clearInterval(timer)
+  }, [playing, speed, duration])
+
+  // Stop at the end of the recording
+  useEffect(() => {
+    if (playing && time >= duration) setPlaying(false)
+  }, [playing, time, duration])
+
+  const handlePlay = () => {
+    if (!playing && time >= duration) setTime(0)
+    setPlaying((value) => !value)
+  }
+
+  if (events.length === 0) {
+    return <p className="text-sm text-gray-500">Nothing was written while recording.</p>
+  }
+
+  return (
+    <div className="space-y-3">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto border-2 border-gray-200 rounded-lg bg-white"
+        role="img"
+        aria-label={`Timeline of ${events.length} edits over ${formatDuration(duration)}`}
+      >
+        {events.map((event, index) => {
+          const x = xFor(event.t)
+          if (event.kind === 'paste') {
+            const height = 8 + (HEIGHT - 2 * PADDING - 8) * Math.sqrt(event.inserted.length / largestPaste)
+            return <rect key={index} x={x - 1.5} y={HEIGHT - PADDING - height} width="3" height={height} className="fill-amber-500" />
+          }
+          const deletion = event.kind === 'delete'
+          return (
+            <line
+              key={index}
+              x1={x}
+              x2={x}
+              y1={HEIGHT - PADDING}
+              y2={HEIGHT - PADDING - (deletion ? 12 : 6)}
+              className={deletion ? 'stroke-red-400' : 'stroke-gray-400'}
+            />
+          )
+        })}
+        <line x1={xFor(time)} x2={xFor(time)} y1="0" y2={HEIGHT} className="stroke-gray-900" strokeWidth="1.5" />
+      </svg>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+        <button
+          onClick={handlePlay}
+          className="flex items-center gap-2 px-3 py-1 bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+        >
+          {playing ? (
+            <Pause className="w-4 h-4 text-accent" aria-hidden="true" />
+          ) : time >= duration ? (
+            <RotateCcw className="w-4 h-4 text-accent" aria-hidden="true" />
+          ) : (
+            <Play className="w-4 h-4 text-accent" aria-hidden="true" />
+          )}
+          <span>{playing ? 'Pause' : time >= duration ? 'Replay' : 'Play'}</span>
+        </button>
+        <label className="flex-1 min-w-40">
+          <span className="sr-only">Replay position</span>
+          <input
+            type="range"
+            min="0"
+            max={duration}
+            step="100"
+            value={time}
+            onChange={(e) => {
+              setPlaying(false)
+              setTime(Number(e.target.value))
+            }}
+            aria-valuetext={`${formatDuration(time)}, edit ${count} of ${events.length}`}
+            className="w-full"
+          />
+        </label>
+        <span className="text-xs text-gray-500 tabular-nums">
+          {formatDuration(time)} / {formatDuration(duration)}
+        </span>
+        <label className="text-xs text-gray-600">
+          <span className="sr-only">Replay speed</span>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:outline-none focus:border-gray-500"
+          >
+            {SPEEDS.map((value) => (
+              <option key={value} value={value}>{value}×</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto p-3 border-2 border-gray-200 rounded-lg bg-white text-sm whitespace-pre-wrap break-words" aria-live="off">
+        {runs.length > 0
+          ? runs.map((run, index) => (
+            <span key={index} className={ORIGIN_STYLES[run.origin]}>{run.text}</span>
+          ))
+          : <span className="text-gray-400">(empty)</span>}
+      </div>
+      <p className="text-xs text-gray-500">
+        <span className="px-1 bg-amber-100 text-gray-900">Pasted</span>{' '}
+        <span className="px-1 bg-blue-50 text-gray-900">Undo, corrections and other changes</span>{' '}
+        <span className="text-gray-500">Already there when recording started</span>
+      </p>
+    </div>
+  )
+}
+
+export default ProcessReplay
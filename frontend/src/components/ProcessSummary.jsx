@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import { PenLine, ChevronDown, ChevronRight } from 'lucide-react'
+import ProcessReplay from './ProcessReplay'
+import { processAiPercentage } from '../lib/writingProcess'
+import { formatDuration, roundScore } from '../lib/text'
+
+// How the text was written in compose mode and how that moved the score, with a replay
+// of the recording when this browser still has it
+function ProcessSummary({ process, session }) {
+  const [replaying, setReplaying] = useState(false)
+  const { stats } = process
+  const aiPercentage = processAiPercentage(process)
+
+  const rows = [
+    ['Typed', `${stats.typed_chars} characters in ${stats.bursts} burst${stats.bursts === 1 ? '' : 's'}`],
+    ['Pasted', `${stats.pasted_chars} characters (${roundScore(process.pasted_share * 100)}% of the written text) in ${stats.paste_count} paste${stats.paste_count === 1 ? '' : 's'}${stats.paste_count > 0 ? `, the largest ${stats.largest_paste}` : ''}`],
+    ['Deleted', `${stats.deleted_chars} characters in ${stats.revisions} revision${stats.revisions === 1 ? '' : 's'}`],
+    ['Time spent', formatDuration(stats.duration_ms)],
+    ['Typing rhythm', stats.interval_variation == null
+      ? 'Too few keystrokes to tell'
+      : `Gaps between keys vary by ${roundScore(stats.interval_variation * 100)}%${process.mechanical_typing ? ' (machine-even)' : ''}`],
+  ]
+  if (stats.initial_chars > 0) {
+    rows.push(['Already there', `${stats.initial_chars} characters when recording started`])
+  }
+
+  return (
+    <div className="mt-6 sm:mt-8 border-2 border-gray-200 rounded-lg bg-white px-4 py-3 space-y-3 text-sm text-gray-700">
+      <p className="flex items-center gap-2 font-semibold text-gray-900 text-sm sm:text-base">
+        <PenLine className="w-4 h-4 text-accent" aria-hidden="true" />
+        How the text was written
+      </p>
+      <p>
+        {process.weight > 0
+          ? `The writing process counts for ${roundScore(process.weight * 100)}% of the score: the text alone scored ${roundScore(process.text_ai_percentage)}% AI, the process ${roundScore(process.score)}%, which makes ${roundScore(aiPercentage)}%.`
+          : 'Nothing was written while recording, so the score is the text’s alone.'}
+        {process.long_bursts && ' The text was typed in long runs without pauses, as when copying it from somewhere else.'}
+      </p>
+
+      <table className="w-full text-start">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label} className="border-b border-gray-100 last:border-0">
+              <th scope="row" className="py-1 pe-4 font-medium text-gray-900 text-start whitespace-nowrap align-top">{label}</th>
+              <td className="py-1">{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {session && (
+        <div>
+          <button
+            onClick={() => setReplaying((value) => !value)}
+            className="flex items-center gap-2 font-semibold text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-400"
+            aria-expanded={replaying}
+          >
+            {replaying ? (
+              <ChevronDown className="w-4 h-4 text-gray-500" aria-hidden="true" />
+            ) : (
+              <ChevronRight className="w-4 h-4 text-gray-500 rtl:rotate-180" aria-hidden="true" />
+            )}
+            Replay the writing
+          </button>
+          {replaying && (
+            <div className="mt-3">
+              <ProcessReplay key={`${session.startedAt}-${session.events.length}`} session={session} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ProcessSummary
@@ -0,0 +1,37 @@
+import { SlidersHorizontal } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+
+// Dropdown of the detection profiles, with a link to edit them in Settings
+function ProfileSelect({ profiles, value, onChange, onEdit, error, disabled }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
+        <SlidersHorizontal className="w-4 h-4 text-accent" aria-hidden="true" />
+        <label htmlFor="profile-select">{t('profile.label')}</label>
+        <select
+          id="profile-select"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          className="max-w-xs px-3 py-1 border-2 border-gray-300 rounded-lg bg-white text-gray-900 focus:outline-none focus:border-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+        <a
+          href="/settings"
+          onClick={onEdit}
+          className="text-xs underline hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+        >
+          {t('profile.edit')}
+        </a>
+      </div>
+      {error && <p className="text-xs text-gray-500 text-center">{error}</p>}
+    </div>
+  )
+}
+
+export default ProfileSelect
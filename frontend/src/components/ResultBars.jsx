@@ -0,0 +1,72 @@
+import { User, Bot, CheckCircle, AlertCircle } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import { VERDICT_KEYS } from '../lib/labels'
+
+// Human and AI percentage bars with the verdict badge
+function ResultBars({ results }) {
+  const { t } = useI18n()
+  const verdictLabel = VERDICT_KEYS[results.verdict] ? t(VERDICT_KEYS[results.verdict]) : results.verdict
+
+  return (
+    <>
+      {/* Percentage Bars */}
+      <div className="space-y-4 sm:space-y-6 mb-6 sm:mb-8">
+        {/* Human Percentage */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <User className="w-5 h-5 text-accent" aria-hidden="true" />
+              <span className="font-semibold text-gray-900 text-sm sm:text-base">{t('results.human')}</span>
+            </div>
+            <span className="text-xl sm:text-2xl font-bold text-gray-900" aria-label={t('results.humanPercent', { value: results.humanPercentage })}>
+              {results.humanPercentage}%
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-3 overflow-hidden" role="progressbar" aria-valuenow={results.humanPercentage} aria-valuemin="0" aria-valuemax="100">
+            <div
+              className="bg-gray-900 h-full rounded-full transition-all duration-1000 ease-out"
+              style={{ width: `${results.humanPercentage}%` }}
+            />
+          </div>
+        </div>
+
+        {/* AI Percentage */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <Bot className="w-5 h-5 text-accent" aria-hidden="true" />
+              <span className="font-semibold text-gray-900 text-sm sm:text-base">{t('results.ai')}</span>
+            </div>
+            <span className="text-xl sm:text-2xl font-bold text-gray-900" aria-label={t('results.aiPercent', { value: results.aiPercentage })}>
+              {results.aiPercentage}%
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-3 overflow-hidden" role="progressbar" aria-valuenow={results.aiPercentage} aria-valuemin="0" aria-valuemax="100">
+            <div
+              className="bg-gray-400 h-full rounded-full transition-all duration-1000 ease-out"
+              style={{ width: `${results.aiPercentage}%` }}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Verdict Badge */}
+      <div className="flex items-center justify-center">
+        <div className={`flex items-center gap-2 px-4 sm:px-6 py-3 rounded-lg font-semibold text-sm sm:text-base ${
+          results.verdict === 'Human Written'
+            ? 'bg-gray-900 text-white'
+            : 'bg-gray-300 text-gray-900'
+        }`} role="status" aria-label={t('results.verdict', { verdict: verdictLabel })}>
+          {results.verdict === 'Human Written' ? (
+            <CheckCircle className="w-5 h-5 text-accent" aria-hidden="true" />
+          ) : (
+            <AlertCircle className="w-5 h-5 text-accent" aria-hidden="true" />
+          )}
+          <span>{verdictLabel}</span>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default ResultBars
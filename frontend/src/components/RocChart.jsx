@@ -0,0 +1,71 @@
+import { useMemo } from 'react'
+
+// Chart geometry in SVG user units; the chart scales to its container width
+const WIDTH = 320
+const HEIGHT = 260
+const PADDING = { top: 8, right: 8, bottom: 28, left: 36 }
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom
+
+const xFor = (rate) => PADDING.left + rate * PLOT_WIDTH
+const yFor = (rate) => PADDING.top + (1 - rate) * PLOT_HEIGHT
+
+// ROC curve of each evaluated detector: the share of AI samples caught against the share of
+// human samples wrongly flagged as the threshold drops; the diagonal is guessing
+function RocChart({ series }) {
+  const lines = useMemo(
+    () => series.map((item) => ({
+      ...item,
+      // The server leaves out the curve's start at (0, 0)
+      points: [{ false_positive_rate: 0, true_positive_rate: 0 }, ...item.roc]
+        .map((point) => `${xFor(point.false_positive_rate)},${yFor(point.true_positive_rate)}`)
+        .join(' '),
+    })),
+    [series],
+  )
+
+  return (
+    <figure className="space-y-2">
+      <figcaption className="font-semibold text-gray-900 text-sm">ROC curve</figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto border-2 border-gray-200 rounded-lg bg-white"
+        role="img"
+        aria-label={`ROC curves of ${series.length} detector(s): ${series
+          .map((item) => `${item.label}, area ${item.rocAuc == null ? 'undefined' : item.rocAuc.toFixed(2)}`)
+          .join('; ')}`}
+      >
+        {/* Axis Labels */}
+        {[0, 0.5, 1].map((rate) => (
+          <g key={rate}>
+            <text x={PADDING.left - 6} y={yFor(rate) + 3} textAnchor="end" className="fill-gray-400 text-[10px]">
+              {rate * 100}%
+            </text>
+            <text x={xFor(rate)} y={HEIGHT - PADDING.bottom + 12} textAnchor="middle" className="fill-gray-400 text-[10px]">
+              {rate * 100}%
+            </text>
+          </g>
+        ))}
+        <text x={PADDING.left + PLOT_WIDTH / 2} y={HEIGHT - 2} textAnchor="middle" className="fill-gray-500 text-[10px]">
+          Human samples flagged as AI
+        </text>
+        <text
+          transform={`translate(10 ${PADDING.top + PLOT_HEIGHT / 2}) rotate(-90)`}
+          textAnchor="middle"
+          className="fill-gray-500 text-[10px]"
+        >
+          AI samples caught
+        </text>
+
+        {/* Chance Diagonal */}
+        <line x1={xFor(0)} y1={yFor(0)} x2={xFor(1)} y2={yFor(1)} className="stroke-gray-300" strokeDasharray="4 4" />
+
+        {lines.map((item) => (
+          <polyline key={item.id} points={item.points} fill="none" className={item.color.stroke} strokeWidth="2" />
+        ))}
+      </svg>
+    </figure>
+  )
+}
+
+export default RocChart
@@ -0,0 +1,145 @@
+import { useState } from 'react'
+import { ChevronDown, ChevronRight, Info } from 'lucide-react'
+import { DETECTOR_LABELS, FACTOR_LABELS } from '../lib/labels'
+import { LOCAL_DETECTOR } from '../lib/heuristic'
+
+function round(value) {
+  return Math.round(value * 10) / 10
+}
+
+function ScoreExplanation({ detector, detectorId, profileName, thresholds, fallbackReason, breakdown, ensemble }) {
+  const [open, setOpen] = useState(false)
+  const usedHeuristic = detector === 'heuristic' || detector === LOCAL_DETECTOR
+
+  return (
+    <div className="mt-6 sm:mt-8 border-2 border-gray-200 rounded-lg bg-white">
+      <button
+        onClick={() => setOpen((value) => !value)}
+        className="w-full flex items-center justify-between gap-2 px-4 py-3 text-start focus:outline-none focus:ring-2 focus:ring-gray-400 rounded-lg"
+        aria-expanded={open}
+        aria-controls="score-explanation"
+      >
+        <span className="flex items-center gap-2 font-semibold text-gray-900 text-sm sm:text-base">
+          <Info className="w-4 h-4 text-accent" aria-hidden="true" />
+          Why this score?
+        </span>
+        {open ? (
+          <ChevronDown className="w-4 h-4 text-gray-500" aria-hidden="true" />
+        ) : (
+          <ChevronRight className="w-4 h-4 text-gray-500 rtl:rotate-180" aria-hidden="true" />
+        )}
+      </button>
+
+      {open && (
+        <div id="score-explanation" className="px-4 pb-4 space-y-4 text-sm text-gray-700">
+          {/* Detector */}
+          <div>
+            <p>
+              <span className="font-semibold text-gray-900">Detector: </span>
+              {DETECTOR_LABELS[detector] ?? detector}
+              {detectorId && detectorId !== detector && <span className="text-gray-500"> ({detectorId})</span>}
+            </p>
+            {usedHeuristic && fallbackReason && (
+              <p className="text-gray-500 mt-1">
+                {detector === LOCAL_DETECTOR
+                  ? `Server unavailable (${fallbackReason}), the heuristics ran in your browser instead.`
+                  : `Selected detector unavailable (${fallbackReason}), heuristics were used instead.`}
+              </p>
+            )}
+          </div>
+
+          {/* Detection Profile */}
+          {profileName && (
+            <p>
+              <span className="font-semibold text-gray-900">Profile: </span>
+              {profileName}
+              {thresholds && (
+                <span className="text-gray-500">
+                  {' '}(AI generated from {round(thresholds.ai)}%, human written up to {round(thresholds.human)}%)
+                </span>
+              )}
+            </p>
+          )}
+
+          {/* Ensemble Members */}
+          {ensemble && (
+            <div>
+              <p className="font-semibold text-gray-900 mb-2">Ensemble members (averaged with equal weight)</p>
+              <table className="w-full text-start">
+                <thead>
+                  <tr className="text-xs text-gray-500 border-b border-gray-200">
+                    <th scope="col" className="py-1 font-medium">Detector</th>
+                    <th scope="col" className="py-1 font-medium text-end">AI score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ensemble.map((member) => (
+                    <tr key={member.id} className="border-b border-gray-100 last:border-0">
+                      <td className="py-1">{member.id}</td>
+                      <td className="py-1 text-end">
+                        {member.ai_percentage != null ? (
+                          <span className="font-semibold text-gray-900">{round(member.ai_percentage)}%</span>
+                        ) : (
+                          <span className="text-gray-500" title={member.error}>Failed, left out</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {breakdown && (
+            <>
+              {/* Factor Table */}
+              <div>
+                <p className="font-semibold text-gray-900 mb-2">
+                  {usedHeuristic
+                    ? 'Heuristic signals behind the score'
+                    : `Heuristic signals for reference (heuristic score: ${round(breakdown.ai_percentage)}%)`}
+                </p>
+                <table className="w-full text-start">
+                  <thead>
+                    <tr className="text-xs text-gray-500 border-b border-gray-200">
+                      <th scope="col" className="py-1 font-medium">Signal</th>
+                      <th scope="col" className="py-1 font-medium text-end">Score</th>
+                      <th scope="col" className="py-1 font-medium text-end">Weight</th>
+                      <th scope="col" className="py-1 font-medium text-end">Contribution</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {breakdown.factors.map((factor) => (
+                      <tr key={factor.name} className="border-b border-gray-100 last:border-0">
+                        <td className="py-1">{FACTOR_LABELS[factor.name] ?? factor.name}</td>
+                        <td className="py-1 text-end">{round(factor.score)}%</td>
+                        <td className="py-1 text-end">{round(factor.weight * 100)}%</td>
+                        <td className="py-1 text-end font-semibold text-gray-900">{round(factor.score * factor.weight)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Matched Phrases */}
+              <div>
+                <p className="font-semibold text-gray-900 mb-2">Matched AI phrases</p>
+                {breakdown.matched_phrases.length > 0 ? (
+                  <ul className="flex flex-wrap gap-2">
+                    {breakdown.matched_phrases.map((phrase) => (
+                      <li key={phrase} className="px-2 py-1 bg-gray-100 rounded text-gray-900">“{phrase}”</li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-gray-500">None found.</p>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ScoreExplanation
@@ -0,0 +1,99 @@
+import { useState, useRef, useCallback, useMemo } from 'react'
+import { Crosshair } from 'lucide-react'
+
+// Segments below this score get no overlay at all
+const HEAT_FLOOR = 30
+
+// Accent blue, with opacity growing with the AI score
+function heatColor(score) {
+  const intensity = Math.max(0, (score - HEAT_FLOOR) / (100 - HEAT_FLOOR))
+  return `rgba(59, 130, 246, ${(intensity * 0.45).toFixed(3)})`
+}
+
+function formatScore(score) {
+  return `${Math.round(score * 10) / 10}% AI`
+}
+
+function SegmentHeatmap({ segments }) {
+  const [activeIndex, setActiveIndex] = useState(null)
+  const segmentRefs = useRef([])
+
+  // Index of the segment with the highest AI score (ignoring whitespace-only segments)
+  const topIndex = useMemo(() => {
+    let best = -1
+    segments.forEach((segment, index) => {
+      if (!segment.text.trim()) return
+      if (best === -1 || segment.ai_percentage > segments[best].ai_percentage) {
+        best = index
+      }
+    })
+    return best
+  }, [segments])
+
+  const handleJumpToTop = useCallback(() => {
+    if (topIndex === -1) return
+    setActiveIndex(topIndex)
+    segmentRefs.current[topIndex]?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    segmentRefs.current[topIndex]?.focus({ preventScroll: true })
+  }, [topIndex])
+
+  if (segments.length === 0) return null
+
+  return (
+    <div className="mt-6 sm:mt-8 space-y-3">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <h3 className="font-semibold text-gray-900 text-sm sm:text-base">Highlighted Text</h3>
+        <button
+          onClick={handleJumpToTop}
+          disabled={topIndex === -1}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          title="Scroll to the passage with the highest AI score"
+        >
+          <Crosshair className="w-4 h-4 text-accent" aria-hidden="true" />
+          <span>Jump to most AI-like passage</span>
+        </button>
+      </div>
+
+      {/* Legend */}
+      <div className="flex items-center gap-2 text-xs text-gray-500" aria-hidden="true">
+        <span>Human-like</span>
+        <div
+          className="h-2 w-24 rounded-full border border-gray-200"
+          style={{ background: `linear-gradient(to right, ${heatColor(HEAT_FLOOR)}, ${heatColor(100)})` }}
+        />
+        <span>AI-like</span>
+      </div>
+
+      <div className="max-h-96 overflow-y-auto bg-white border-2 border-gray-200 rounded-lg p-3 sm:p-4 text-sm sm:text-base text-gray-900 whitespace-pre-wrap leading-relaxed">
+        {segments.map((segment, index) => (
+          <span
+            key={index}
+            ref={(el) => { segmentRefs.current[index] = el }}
+            tabIndex={segment.text.trim() ? 0 : -1}
+            onMouseEnter={() => setActiveIndex(index)}
+            onMouseLeave={() => setActiveIndex(null)}
+            onFocus={() => setActiveIndex(index)}
+            onBlur={() => setActiveIndex(null)}
+            className={`relative rounded-sm transition-shadow focus:outline-none ${
+              activeIndex === index ? 'ring-2 ring-gray-900' : ''
+            }`}
+            style={{ backgroundColor: heatColor(segment.ai_percentage) }}
+            aria-label={`${formatScore(segment.ai_percentage)}: ${segment.text}`}
+          >
+            {segment.text}
+            {activeIndex === index && segment.text.trim() && (
+              <span
+                className="absolute start-0 bottom-full mb-1 z-10 whitespace-nowrap bg-gray-900 text-white text-xs font-semibold px-2 py-1 rounded shadow"
+                role="tooltip"
+              >
+                {formatScore(segment.ai_percentage)}
+              </span>
+            )}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default SegmentHeatmap
@@ -0,0 +1,487 @@
+import { useState, useCallback, useMemo } from 'react'
+import { SlidersHorizontal, Plus, Trash2, Copy, Save, X, Check, AlertCircle, Loader2, Lock } from 'lucide-react'
+import { createProfile, updateProfile, deleteProfile, getAdminToken, setAdminToken } from '../lib/api'
+import { DEFAULT_PROFILE } from '../lib/heuristic'
+import { SUPPORTED_LANGUAGES } from '../lib/language'
+import { FACTOR_LABELS } from '../lib/labels'
+
+const FACTORS = Object.keys(DEFAULT_PROFILE.factor_weights)
+
+const inputClass = 'w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:border-gray-500 disabled:bg-gray-50 disabled:text-gray-500'
+
+// Phrase rows need stable keys while they are edited, added and removed
+let nextRowKey = 0
+
+// Editable copy of a profile's settings; `id` is null for a profile not saved yet
+function toDraft(profile, overrides = {}) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    description: profile.description ?? '',
+    phrases: profile.phrases.map((entry) => ({ ...entry, key: nextRowKey++ })),
+    factor_weights: { ...profile.factor_weights },
+    thresholds: { ...profile.thresholds },
+    ...overrides,
+  }
+}
+
+// Settings in the shape the API expects
+function toSettings(draft) {
+  return {
+    name: draft.name.trim(),
+    description: draft.description.trim(),
+    phrases: draft.phrases
+      .filter((entry) => entry.phrase.trim())
+      .map((entry) => ({ phrase: entry.phrase.trim().toLowerCase(), weight: entry.weight, language: entry.language || undefined })),
+    factor_weights: draft.factor_weights,
+    thresholds: draft.thresholds,
+  }
+}
+
+// First problem with the draft, checked before saving (the server checks again)
+function validate(draft) {
+  if (!draft.name.trim()) return 'Give the profile a name.'
+  // The same phrase may be listed once per language
+  const phrases = draft.phrases
+    .filter((entry) => entry.phrase.trim())
+    .map((entry) => `${entry.language ?? ''}:${entry.phrase.trim().toLowerCase()}`)
+  const duplicate = phrases.find((phrase, index) => phrases.indexOf(phrase) !== index)
+  if (duplicate) return `“${duplicate.slice(duplicate.indexOf(':') + 1)}” is listed twice.`
+  if (draft.phrases.some((entry) => !(entry.weight >= 0 && entry.weight <= 10))) return 'Phrase weights must be between 0 and 10.'
+  const weights = Object.values(draft.factor_weights)
+  if (weights.some((weight) => !(weight >= 0))) return 'Factor weights must be zero or more.'
+  if (weights.reduce((sum, weight) => sum + weight, 0) <= 0) return 'At least one factor weight must be above zero.'
+  const { ai, human } = draft.thresholds
+  if (!(human >= 0 && ai <= 100 && human < ai)) return 'The human threshold must be below the AI threshold, both between 0 and 100.'
+  return null
+}
+
+function SettingsPage({ profiles: profileList }) {
+  const { profiles, selected, select, reload } = profileList
+  const [draft, setDraft] = useState(() => toDraft(selected))
+  const [newPhrase, setNewPhrase] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const [saved, setSaved] = useState(false)
+  const [needsToken, setNeedsToken] = useState(false)
+  const [token, setToken] = useState(getAdminToken)
+  const [confirmDelete, setConfirmDelete] = useState(false)
+
+  const readOnly = profiles.find((profile) => profile.id === draft.id)?.read_only ?? false
+  const problem = useMemo(() => validate(draft), [draft])
+  const totalWeight = FACTORS.reduce((sum, factor) => sum + (draft.factor_weights[factor] || 0), 0)
+
+  const edit = useCallback((changes) => {
+    setDraft((current) => ({ ...current, ...changes }))
+    setSaved(false)
+  }, [])
+
+  const openProfile = useCallback((profile) => {
+    setDraft(toDraft(profile))
+    setError(null)
+    setSaved(false)
+    setConfirmDelete(false)
+  }, [])
+
+  const handleNew = useCallback(() => {
+    openProfile({ ...DEFAULT_PROFILE, id: null, name: 'New profile', description: '' })
+  }, [openProfile])
+
+  const handleDuplicate = useCallback(() => {
+    setDraft((current) => toDraft(current, { id: null, name: `${current.name} (copy)` }))
+    setSaved(false)
+    setConfirmDelete(false)
+  }, [])
+
+  // Run a change, asking for the admin token if the server wants one
+  const withToken = useCallback(async (change) => {
+    setBusy(true)
+    setError(null)
+    try {
+      return await change()
+    } catch (err) {
+      if (err.status === 401) setNeedsToken(true)
+      setError(err.message)
+      return null
+    } finally {
+      setBusy(false)
+    }
+  }, [])
+
+  const handleSave = useCallback(async (e) => {
+    e.preventDefault()
+    const settings = toSettings(draft)
+    const profile = await withToken(() => (draft.id ? updateProfile(draft.id, settings) : createProfile(settings)))
+    if (!profile) return
+    await reload()
+    setDraft(toDraft(profile))
+    setSaved(true)
+  }, [draft, withToken, reload])
+
+  const handleDelete = useCallback(async () => {
+    setConfirmDelete(false)
+    const id = draft.id
+    const done = await withToken(() => deleteProfile(id).then(() => true))
+    if (!done) return
+    if (selected.id === id) select(DEFAULT_PROFILE.id)
+    await reload()
+    openProfile(profiles[0])
+  }, [draft, withToken, selected, select, reload, openProfile, profiles])
+
+  const handleTokenSubmit = useCallback((e) => {
+    e.preventDefault()
+    setAdminToken(token.trim())
+    setNeedsToken(false)
+    setError(null)
+  }, [token])
+
+  const handleAddPhrase = useCallback((e) => {
+    e.preventDefault()
+    const phrase = newPhrase.trim().toLowerCase()
+    if (!phrase) return
+    setDraft((current) => ({ ...current, phrases: [...current.phrases, { phrase, weight: 1, key: nextRowKey++ }] }))
+    setNewPhrase('')
+    setSaved(false)
+  }, [newPhrase])
+
+  const editPhrase = (key, changes) => {
+    edit({ phrases: draft.phrases.map((entry) => (entry.key === key ? { ...entry, ...changes } : entry)) })
+  }
+
+  return (
+    <section className="space-y-4 sm:space-y-6" aria-labelledby="settings-heading">
+      <div>
+        <h2 id="settings-heading" className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <SlidersHorizontal className="w-5 h-5 text-accent" aria-hidden="true" />
+          Detection profiles
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          A profile sets which phrases count as AI-typical, how the heuristic signals are weighted and where the verdict
+          thresholds lie. Profiles are saved on the server and can be picked for each analysis.
+        </p>
+      </div>
+
+      {/* Profile List */}
+      <div className="flex flex-wrap items-center gap-2" role="list" aria-label="Profiles">
+        {profiles.map((profile) => (
+          <button
+            key={profile.id}
+            role="listitem"
+            onClick={() => openProfile(profile)}
+            aria-current={profile.id === draft.id}
+            className={`flex items-center gap-2 px-3 py-2 text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors ${
+              profile.id === draft.id ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {profile.read_only && <Lock className="w-3 h-3 text-accent" aria-hidden="true" />}
+            <span>{profile.name}</span>
+            {profile.id === selected.id && <span className="text-xs opacity-75">(in use)</span>}
+          </button>
+        ))}
+        <button
+          onClick={handleNew}
+          className="flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+        >
+          <Plus className="w-4 h-4 text-accent" aria-hidden="true" />
+          <span>New profile</span>
+        </button>
+      </div>
+
+      {/* Admin Token */}
+      {needsToken && (
+        <form onSubmit={handleTokenSubmit} className="flex flex-col sm:flex-row gap-2">
+          <label htmlFor="settings-admin-token" className="sr-only">Admin token</label>
+          <input
+            id="settings-admin-token"
+            type="password"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            placeholder="Admin token (ADMIN_TOKEN on the server)"
+            autoComplete="current-password"
+            className="flex-1 px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:outline-none focus:border-gray-500"
+          />
+          <button
+            type="submit"
+            disabled={!token.trim()}
+            className="px-4 py-2 bg-gray-900 text-white text-sm rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            Use token
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div className="flex items-start gap-2 text-sm text-red-800 bg-red-50 border-2 border-red-200 rounded-lg p-3" role="alert">
+          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Profile Editor */}
+      <form onSubmit={handleSave} className="space-y-4 sm:space-y-6">
+        {readOnly && (
+          <p className="text-sm text-gray-600 bg-gray-50 px-4 py-2 rounded-lg">
+            The built-in profile can’t be changed. Duplicate it to make your own.
+          </p>
+        )}
+
+        <fieldset disabled={readOnly} className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <label className="text-xs text-gray-600">
+            Name
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => edit({ name: e.target.value })}
+              maxLength={100}
+              required
+              className={`mt-1 ${inputClass}`}
+            />
+          </label>
+          <label className="sm:col-span-2 text-xs text-gray-600">
+            Description
+            <input
+              type="text"
+              value={draft.description}
+              onChange={(e) => edit({ description: e.target.value })}
+              placeholder="e.g. Business writing: “leverage” and “best practices” are normal here"
+              className={`mt-1 ${inputClass}`}
+            />
+          </label>
+        </fieldset>
+
+        {/* Verdict Thresholds */}
+        <fieldset disabled={readOnly} className="space-y-2">
+          <legend className="font-semibold text-gray-900 text-sm">Verdict thresholds</legend>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <label className="text-xs text-gray-600">
+              “AI Generated” from (% AI)
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="1"
+                value={Number.isNaN(draft.thresholds.ai) ? '' : draft.thresholds.ai}
+                onChange={(e) => edit({ thresholds: { ...draft.thresholds, ai: e.target.valueAsNumber } })}
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              “Human Written” up to (% AI)
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="1"
+                value={Number.isNaN(draft.thresholds.human) ? '' : draft.thresholds.human}
+                onChange={(e) => edit({ thresholds: { ...draft.thresholds, human: e.target.valueAsNumber } })}
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+          </div>
+          <p className="text-xs text-gray-500">Scores in between are “Uncertain”.</p>
+        </fieldset>
+
+        {/* Factor Weights */}
+        <fieldset disabled={readOnly} className="space-y-2">
+          <legend className="font-semibold text-gray-900 text-sm">Heuristic signal weights</legend>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {FACTORS.map((factor) => (
+              <label key={factor} className="text-xs text-gray-600">
+                {FACTOR_LABELS[factor]}
+                <span className="flex items-center gap-2 mt-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.05"
+                    value={Number.isNaN(draft.factor_weights[factor]) ? '' : draft.factor_weights[factor]}
+                    onChange={(e) => edit({ factor_weights: { ...draft.factor_weights, [factor]: e.target.valueAsNumber } })}
+                    className={inputClass}
+                  />
+                  <span className="w-12 text-end text-gray-500">
+                    {totalWeight > 0 ? `${Math.round(((draft.factor_weights[factor] || 0) / totalWeight) * 100)}%` : '–'}
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">Weights are relative; the percentages show each signal’s share of the score.</p>
+        </fieldset>
+
+        {/* Phrase List */}
+        <fieldset disabled={readOnly} className="space-y-2">
+          <legend className="font-semibold text-gray-900 text-sm">AI-typical phrases ({draft.phrases.length})</legend>
+          <p className="text-xs text-gray-500">
+            Matched case-insensitively anywhere in the text. A weight of 1 counts as one match; three matches give the
+            phrase signal its highest score. Set a weight to 0 to ignore a phrase. A phrase with a language is only looked
+            for in text detected as that language.
+          </p>
+          <div className="overflow-x-auto border-2 border-gray-200 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-start text-xs text-gray-600">
+                <tr>
+                  <th scope="col" className="px-3 py-2 font-semibold">Phrase</th>
+                  <th scope="col" className="px-3 py-2 font-semibold w-36">Language</th>
+                  <th scope="col" className="px-3 py-2 font-semibold w-28">Weight</th>
+                  <th scope="col" className="px-3 py-2 w-10"><span className="sr-only">Remove</span></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {draft.phrases.map((entry) => (
+                  <tr key={entry.key}>
+                    <td className="px-3 py-1">
+                      <input
+                        type="text"
+                        value={entry.phrase}
+                        onChange={(e) => editPhrase(entry.key, { phrase: e.target.value })}
+                        maxLength={200}
+                        aria-label="Phrase"
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="px-3 py-1">
+                      <select
+                        value={entry.language ?? ''}
+                        onChange={(e) => editPhrase(entry.key, { language: e.target.value || null })}
+                        aria-label={`Language of “${entry.phrase}”`}
+                        className={inputClass}
+                      >
+                        <option value="">Any</option>
+                        {SUPPORTED_LANGUAGES.map((language) => (
+                          <option key={language.code} value={language.code}>{language.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-1">
+                      <input
+                        type="number"
+                        min="0"
+                        max="10"
+                        step="0.1"
+                        value={Number.isNaN(entry.weight) ? '' : entry.weight}
+                        onChange={(e) => editPhrase(entry.key, { weight: e.target.valueAsNumber })}
+                        aria-label={`Weight of “${entry.phrase}”`}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="px-3 py-1 text-end">
+                      {!readOnly && (
+                        <button
+                          type="button"
+                          onClick={() => edit({ phrases: draft.phrases.filter((item) => item.key !== entry.key) })}
+                          className="p-1 text-gray-500 hover:text-red-700 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+                          aria-label={`Remove “${entry.phrase}”`}
+                        >
+                          <X className="w-4 h-4" aria-hidden="true" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {draft.phrases.length === 0 && (
+                  <tr>
+                    <td colSpan={4} className="px-3 py-6 text-center text-gray-500">No phrases; the phrase signal always scores low.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          {!readOnly && (
+            <div className="flex gap-2">
+              <label htmlFor="new-phrase" className="sr-only">New phrase</label>
+              <input
+                id="new-phrase"
+                type="text"
+                value={newPhrase}
+                onChange={(e) => setNewPhrase(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleAddPhrase(e)
+                }}
+                maxLength={200}
+                placeholder="Add a phrase, e.g. “in today’s fast-paced world”"
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                type="button"
+                onClick={handleAddPhrase}
+                disabled={!newPhrase.trim()}
+                className="flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Plus className="w-4 h-4 text-accent" aria-hidden="true" />
+                <span>Add</span>
+              </button>
+            </div>
+          )}
+        </fieldset>
+
+        {!readOnly && problem && <p className="text-xs text-red-700" role="alert">{problem}</p>}
+
+        {/* Actions */}
+        <div className="flex flex-col sm:flex-row gap-2">
+          {!readOnly && (
+            <button
+              type="submit"
+              disabled={busy || Boolean(problem)}
+              className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-900 text-white text-sm rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-600 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              {busy
+                ? <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />
+                : saved ? <Check className="w-4 h-4 text-accent" aria-hidden="true" /> : <Save className="w-4 h-4 text-accent" aria-hidden="true" />}
+              <span>{saved ? 'Saved' : draft.id ? 'Save changes' : 'Save profile'}</span>
+            </button>
+          )}
+          {draft.id && (
+            <>
+              <button
+                type="button"
+                onClick={() => select(draft.id)}
+                disabled={selected.id === draft.id}
+                className="px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {selected.id === draft.id ? 'Used for analyses' : 'Use for analyses'}
+              </button>
+              <button
+                type="button"
+                onClick={handleDuplicate}
+                className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+              >
+                <Copy className="w-4 h-4 text-accent" aria-hidden="true" />
+                <span>Duplicate</span>
+              </button>
+            </>
+          )}
+          {draft.id && !readOnly && (
+            confirmDelete ? (
+              <span className="flex items-center gap-2 sm:ms-auto text-sm">
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  className="px-3 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-400"
+                >
+                  Delete for good
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setConfirmDelete(false)}
+                  className="px-3 py-2 text-gray-600 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded-lg"
+                >
+                  Cancel
+                </button>
+              </span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setConfirmDelete(true)}
+                className="flex items-center justify-center gap-2 sm:ms-auto px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 hover:text-red-700 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+              >
+                <Trash2 className="w-4 h-4 text-accent" aria-hidden="true" />
+                <span>Delete</span>
+              </button>
+            )
+          )}
+        </div>
+      </form>
+    </section>
+  )
+}
+
+export default SettingsPage
@@ -0,0 +1,200 @@
+import { useState, useRef, useEffect } from 'react'
+import { Share2, ChevronDown, Loader2, Copy, Check, Ban, AlertCircle } from 'lucide-react'
+import { analyzeText, revokeShare } from '../lib/api'
+
+const CONTENT_CHOICES = [
+  { value: 'scores', label: 'Scores only', hint: 'The text is not stored on the server.' },
+  { value: 'excerpts', label: 'Scores and highlighted excerpts', hint: 'Up to five of the most AI-like sentences or paragraphs, not the full text.' },
+  { value: 'full', label: 'Scores and the full text', hint: 'The whole text is stored on the server until the link expires or is revoked.' },
+]
+
+const EXPIRY_DAYS = [1, 7, 30, 90, 365]
+
+function formatDate(secs) {
+  return new Date(secs * 1000).toLocaleDateString(undefined, { dateStyle: 'medium' })
+}
+
+function linkUrl(link) {
+  return `${window.location.origin}${link.path}`
+}
+
+// What happened to a link so far
+function linkStatus(link) {
+  const content = CONTENT_CHOICES.find((choice) => choice.value === link.content)?.label ?? link.content
+  if (link.revoked_at) return `${content} · revoked on ${formatDate(link.revoked_at)}`
+  if (link.expires_at * 1000 <= Date.now()) return `${content} · expired on ${formatDate(link.expires_at)}`
+  return `${content} · works until ${formatDate(link.expires_at)}`
+}
+
+// Read-only links to the result for colleagues. Creating one sends the text to the server
+// again with the same settings, which the result cache usually answers right away; the
+// server keeps only as much of the text as the chosen content needs.
+function SharePanel({ text, options, links, onLinksChange }) {
+  const [open, setOpen] = useState(false)
+  const [content, setContent] = useState('scores')
+  const [days, setDays] = useState(30)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const [copiedId, setCopiedId] = useState(null)
+  const panelRef = useRef(null)
+
+  // Close when clicking anywhere outside the panel
+  useEffect(() => {
+    if (!open) return
+    const handleClick = (e) => {
+      if (!panelRef.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const handleCreate = async () => {
+    setBusy(true)
+    setError(null)
+    try {
+      const results = await analyzeText(text, { ...options, share: { content, expires_in_days: days } })
+      onLinksChange([results.share, ...links])
+    } catch (err) {
+      setError(err.message || 'Could not create the link.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRevoke = async (link) => {
+    setError(null)
+    try {
+      const revoked = await revokeShare(link.id, link.revoke_token)
+      onLinksChange(links.map((item) => (item.id === link.id ? { ...item, revoked_at: revoked.revoked_at } : item)))
+    } catch (err) {
+      setError(err.message || 'Could not revoke the link.')
+    }
+  }
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(linkUrl(link))
+      setCopiedId(link.id)
+    } catch {
+      // Without clipboard access the link can still be selected and copied by hand
+    }
+  }
+
+  return (
+    <div className="relative inline-block" ref={panelRef}>
+      <button
+        onClick={() => setOpen((value) => !value)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors"
+        aria-expanded={open}
+      >
+        <Share2 className="w-4 h-4 text-accent" aria-hidden="true" />
+        <span>Share</span>
+        <ChevronDown className="w-4 h-4 text-gray-500" aria-hidden="true" />
+      </button>
+      {open && (
+        <div
+          className="absolute end-0 mt-2 w-80 sm:w-96 bg-white border-2 border-gray-200 rounded-lg shadow-lg z-10 p-4 space-y-4 text-start text-sm text-gray-700"
+          onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        >
+          <fieldset className="space-y-2">
+            <legend className="font-semibold text-gray-900 mb-1">What the link shows</legend>
+            {CONTENT_CHOICES.map((choice) => (
+              <label key={choice.value} className="flex items-start gap-2">
+                <input
+                  type="radio"
+                  name="share-content"
+                  value={choice.value}
+                  checked={content === choice.value}
+                  onChange={() => setContent(choice.value)}
+                  className="mt-1"
+                />
+                <span>
+                  {choice.label}
+                  <span className="block text-xs text-gray-500">{choice.hint}</span>
+                </span>
+              </label>
+            ))}
+          </fieldset>
+
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <label className="flex items-center gap-2">
+              <span>Expires after</span>
+              <select
+                value={days}
+                onChange={(e) => setDays(Number(e.target.value))}
+                className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:outline-none focus:border-gray-500"
+              >
+                {EXPIRY_DAYS.map((value) => (
+                  <option key={value} value={value}>{value === 1 ? '1 day' : `${value} days`}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={handleCreate}
+              disabled={busy}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy && <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />}
+              <span>{busy ? 'Creating link…' : 'Create link'}</span>
+            </button>
+          </div>
+
+          {error && (
+            <p className="flex items-start gap-2 text-red-800" role="alert">
+              <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+              {error}
+            </p>
+          )}
+
+          {links.length > 0 && (
+            <ul className="space-y-3 border-t-2 border-gray-100 pt-3">
+              {links.map((link) => {
+                const active = !link.revoked_at && link.expires_at * 1000 > Date.now()
+                return (
+                  <li key={link.id} className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        readOnly
+                        value={linkUrl(link)}
+                        onFocus={(e) => e.target.select()}
+                        aria-label="Share link"
+                        className={`flex-1 min-w-0 px-2 py-1 border-2 border-gray-200 rounded-lg text-xs ${active ? 'text-gray-900' : 'text-gray-400 line-through'}`}
+                      />
+                      {active && (
+                        <>
+                          <button
+                            onClick={() => handleCopy(link)}
+                            className="p-1.5 bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400"
+                            aria-label="Copy link"
+                            title="Copy link"
+                          >
+                            {copiedId === link.id
+                              ? <Check className="w-4 h-4 text-accent" aria-hidden="true" />
+                              : <Copy className="w-4 h-4 text-accent" aria-hidden="true" />}
+                          </button>
+                          <button
+                            onClick={() => handleRevoke(link)}
+                            className="p-1.5 bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400"
+                            aria-label="Revoke link"
+                            title="Revoke link"
+                          >
+                            <Ban className="w-4 h-4 text-red-500" aria-hidden="true" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500">{linkStatus(link)}</p>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SharePanel
@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react'
+import { ArrowLeft, AlertCircle, Loader2, Clock, Share2, EyeOff } from 'lucide-react'
+import ResultBars from './ResultBars'
+import ScoreExplanation from './ScoreExplanation'
+import ChunkChart from './ChunkChart'
+import SegmentHeatmap from './SegmentHeatmap'
+import ProcessSummary from './ProcessSummary'
+import { useI18n } from '../hooks/useI18n'
+import { getResult, getShare } from '../lib/api'
+
+function formatDate(secs) {
+  return new Date(secs * 1000).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// Excerpts as heatmap segments, with blank lines between them since they come from
+// different parts of the text
+function excerptSegments(excerpts) {
+  return excerpts.flatMap((excerpt, index) => [
+    ...(index > 0 ? [{ text: '\n\n', ai_percentage: 0 }] : []),
+    { text: excerpt.text, ai_percentage: excerpt.ai_percentage },
+  ])
+}
+
+// A result shown read-only: an earlier one the server still has cached at /results/:id,
+// or a shared one at /r/:id with as much of the text as its link includes
+function StoredResult({ id, shared = false, profiles, onNavigate }) {
+  const { t } = useI18n()
+  // Outcome of loading `id`: { id, data } or { id, error }
+  const [loaded, setLoaded] = useState(null)
+
+  useEffect(() => {
+    let current = true
+    const load = shared ? getShare(id) : getResult(id).then((results) => ({ results }))
+    load
+      .then((data) => current && setLoaded({ id, data }))
+      .catch((err) => current && setLoaded({ id, error: err.message || t('stored.error') }))
+    return () => {
+      current = false
+    }
+  }, [id, shared, t])
+
+  const data = loaded?.id === id ? loaded.data : null
+  const results = data?.results ?? null
+  const error = loaded?.id === id ? loaded.error : null
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      <a
+        href="/"
+        onClick={(e) => onNavigate(e, '/')}
+        className="inline-flex items-center gap-2 text-sm text-gray-700 hover:text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-400"
+      >
+        <ArrowLeft className="w-4 h-4 text-accent rtl:rotate-180" aria-hidden="true" />
+        {t('stored.back')}
+      </a>
+
+      {!results && !error && (
+        <p className="flex items-center justify-center gap-2 text-gray-600" role="status">
+          <Loader2 className="w-5 h-5 text-accent animate-spin" aria-hidden="true" />
+          {t('stored.loading')}
+        </p>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 flex items-start gap-3" role="alert">
+          <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" aria-hidden="true" />
+          <p className="text-red-800 text-sm sm:text-base">{error}</p>
+        </div>
+      )}
+
+      {results && (
+        <div className="bg-gray-50 rounded-xl p-6 sm:p-8 border-2 border-gray-200 animate-fadeIn" role="region" aria-label={t('results.region')}>
+          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-2 text-center">
+            {t(shared ? 'stored.sharedHeading' : 'stored.heading')}
+          </h2>
+          {shared && (
+            <p className="flex items-center justify-center gap-2 text-sm text-gray-600 mb-2">
+              <Share2 className="w-4 h-4 text-accent" aria-hidden="true" />
+              {t('stored.sharedAt', { time: formatDate(data.createdAt), expires: formatDate(data.expiresAt) })}
+            </p>
+          )}
+          {shared && data.content !== 'full' && (
+            <p className="flex items-center justify-center gap-2 text-sm text-gray-600 mb-4 sm:mb-6">
+              <EyeOff className="w-4 h-4 text-accent" aria-hidden="true" />
+              {t(data.content === 'excerpts' ? 'stored.excerptsOnly' : 'stored.scoresOnly')}
+            </p>
+          )}
+          {!shared && results.cache && (
+            <p className="flex items-center justify-center gap-2 text-sm text-gray-600 mb-4 sm:mb-6">
+              <Clock className="w-4 h-4 text-accent" aria-hidden="true" />
+              {t('stored.analyzedAt', { time: formatDate(results.cache.analyzed_at) })}
+            </p>
+          )}
+
+          <ResultBars results={results} />
+
+          <ScoreExplanation
+            detector={results.detector}
+            detectorId={results.detectorId}
+            profileName={results.profile && (profiles.profiles.find((item) => item.id === results.profile)?.name ?? results.profile)}
+            thresholds={results.thresholds}
+            fallbackReason={results.fallbackReason}
+            breakdown={results.breakdown}
+            ensemble={results.ensemble}
+          />
+
+          {results.process && <ProcessSummary process={results.process} />}
+
+          {results.chunks && <ChunkChart chunks={results.chunks} thresholds={results.thresholds ?? undefined} />}
+
+          {results.segments && <SegmentHeatmap segments={results.segments} />}
+
+          {data.excerpts?.length > 0 && <SegmentHeatmap segments={excerptSegments(data.excerpts)} />}
+
+          {data.text && !results.segments && (
+            <div className="mt-6 sm:mt-8">
+              <h3 className="font-semibold text-gray-900 text-sm sm:text-base mb-2">{t('stored.text')}</h3>
+              <div className="max-h-96 overflow-y-auto p-3 border-2 border-gray-200 rounded-lg bg-white text-sm text-gray-700 whitespace-pre-wrap break-words">
+                {data.text}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StoredResult
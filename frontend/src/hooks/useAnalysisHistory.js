@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react'
+import { saveAnalysis, listAnalyses, updateAnalysis, deleteAnalysis } from '../lib/historyStore'
+
+/**
+ * Analysis history backed by IndexedDB
+ * Saving never blocks analysis: storage errors are reported through `error`
+ */
+export function useAnalysisHistory() {
+  const [entries, setEntries] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    listAnalyses()
+      .then(setEntries)
+      .catch(() => setError('History is unavailable in this browser.'))
+  }, [])
+
+  const addEntry = useCallback(async (analysis) => {
+    try {
+      const entry = await saveAnalysis(analysis)
+      setEntries((current) => [entry, ...current])
+      return entry
+    } catch {
+      setError('Could not save this analysis to history.')
+      return null
+    }
+  }, [])
+
+  const updateEntry = useCallback(async (id, changes) => {
+    try {
+      const entry = await updateAnalysis(id, changes)
+      if (entry) setEntries((current) => current.map((item) => (item.id === id ? entry : item)))
+    } catch {
+      setError('Could not update this analysis in history.')
+    }
+  }, [])
+
+  const removeEntry = useCallback(async (id) => {
+    try {
+      await deleteAnalysis(id)
+      setEntries((current) => current.filter((entry) => entry.id !== id))
+    } catch {
+      setError('Could not delete this analysis.')
+    }
+  }, [])
+
+  return { entries, error, addEntry, updateEntry, removeEntry }
+}
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react'
+import { listDetectors } from '../lib/api'
+
+/**
+ * Detectors offered by the server, loaded once
+ * When the list can't be loaded (e.g. offline), the local heuristic is still offered.
+ */
+export function useDetectors() {
+  const [detectors, setDetectors] = useState([])
+  const [defaultId, setDefaultId] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    listDetectors()
+      .then((data) => {
+        setDetectors(data.detectors)
+        setDefaultId(data.default)
+      })
+      .catch(() => setError('Server detectors are unavailable; analyses fall back to the local heuristic.'))
+  }, [])
+
+  return { detectors, defaultId, error }
+}
@@ -0,0 +1,13 @@
+import { useCallback, useSyncExternalStore } from 'react'
+import { getLocale, localeDirection, setLocale, subscribeLocale, translate } from '../lib/i18n'
+
+/**
+ * Current interface locale and a `t(key, values)` translator bound to it
+ * Every component using it re-renders when the locale changes.
+ */
+export function useI18n() {
+  const locale = useSyncExternalStore(subscribeLocale, getLocale)
+  const t = useCallback((key, values) => translate(locale, key, values), [locale])
+
+  return { t, locale, setLocale, dir: localeDirection(locale) }
+}
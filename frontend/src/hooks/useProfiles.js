@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react'
+import { listProfiles } from '../lib/api'
+import { DEFAULT_PROFILE } from '../lib/heuristic'
+
+// Id of the profile picked for analyses in this browser
+const SELECTED_STORAGE = 'brbrbr.profile'
+// Last list loaded from the server, so offline analyses can use the same rules
+const CACHE_STORAGE = 'brbrbr.profiles'
+
+function cachedProfiles() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_STORAGE))
+    return Array.isArray(cached) && cached.length > 0 ? cached : [DEFAULT_PROFILE]
+  } catch {
+    return [DEFAULT_PROFILE]
+  }
+}
+
+/**
+ * Detection profiles from the server and the one selected for analyses
+ * A selected profile that no longer exists falls back to the built-in one.
+ */
+export function useProfiles() {
+  const [profiles, setProfiles] = useState(cachedProfiles)
+  const [selectedId, setSelectedId] = useState(() => localStorage.getItem(SELECTED_STORAGE) || DEFAULT_PROFILE.id)
+  const [error, setError] = useState(null)
+
+  const reload = useCallback(() => {
+    return listProfiles()
+      .then((data) => {
+        setProfiles(data.profiles)
+        setError(null)
+        localStorage.setItem(CACHE_STORAGE, JSON.stringify(data.profiles))
+      })
+      .catch(() => setError('Profiles could not be loaded from the server; using the last known ones.'))
+  }, [])
+
+  useEffect(() => {
+    reload()
+  }, [reload])
+
+  const select = useCallback((id) => {
+    setSelectedId(id)
+    localStorage.setItem(SELECTED_STORAGE, id)
+  }, [])
+
+  const selected = profiles.find((profile) => profile.id === selectedId) ?? profiles[0]
+
+  return { profiles, selected, select, error, reload }
+}
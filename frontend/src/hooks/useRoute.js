@@ -0,0 +1,24 @@
+import { useState, useEffect, useCallback } from 'react'
+
+/**
+ * Current path of the app, kept in sync with the browser history
+ * The server answers every non-API path with the app, so paths can be bookmarked.
+ */
+export function useRoute() {
+  const [path, setPath] = useState(() => window.location.pathname)
+
+  useEffect(() => {
+    const handlePopState = () => setPath(window.location.pathname)
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+
+  const navigate = useCallback((to) => {
+    if (to !== window.location.pathname) {
+      window.history.pushState(null, '', to)
+    }
+    setPath(to)
+  }, [])
+
+  return [path, navigate]
+}
@@ -0,0 +1,68 @@
+import { useState, useCallback, useEffect, useRef } from 'react'
+import { createSession, resumeRecording, recordEdit, recordingStats, snapshotSession } from '../lib/writingProcess'
+
+// The session being recorded is kept in the browser, so a reload continues it
+const SESSION_STORAGE = 'brbrbr.composeSession'
+
+// Saving after every keystroke would rewrite the whole session each time
+const SAVE_DELAY_MS = 1000
+
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Compose mode: records how the text in the editor is written
+ * Pass every change of the text to `record`, with the input event's `inputType` for the
+ * user's edits. The recording grows in place rather than being copied on every keystroke;
+ * renders get its running `stats`, null while compose mode is off, and `snapshot()` returns
+ * a copy of the session with its statistics to send or keep. `restoredText` is the text of a
+ * recording continued from an earlier visit.
+ */
+export function useWritingRecorder() {
+  const [restored] = useState(() => {
+    const session = loadSession()
+    return session && resumeRecording(session)
+  })
+  const recordingRef = useRef(restored)
+  const [stats, setStats] = useState(() => restored && recordingStats(restored))
+
+  const start = useCallback((text) => {
+    recordingRef.current = resumeRecording(createSession(text))
+    setStats(recordingStats(recordingRef.current))
+  }, [])
+  const stop = useCallback(() => {
+    recordingRef.current = null
+    setStats(null)
+  }, [])
+  const record = useCallback((text, inputType) => {
+    const recording = recordingRef.current
+    if (recording && recordEdit(recording, text, inputType)) setStats(recordingStats(recording))
+  }, [])
+  const snapshot = useCallback(() => {
+    const recording = recordingRef.current
+    return recording && { session: snapshotSession(recording), stats: recordingStats(recording) }
+  }, [])
+
+  // Every recorded edit changes the statistics, so they tell when the session needs saving
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      try {
+        if (recordingRef.current) {
+          localStorage.setItem(SESSION_STORAGE, JSON.stringify(recordingRef.current.session))
+        } else {
+          localStorage.removeItem(SESSION_STORAGE)
+        }
+      } catch {
+        // Storage full or unavailable: the recording goes on in memory
+      }
+    }, SAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [stats])
+
+  return { stats, restoredText: restored?.session.text, start, stop, record, snapshot }
+}
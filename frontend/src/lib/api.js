@@ -0,0 +1,263 @@
+// Client for the brbrbr backend API
+//
+// All requests go through the brbrbr-client package (also used by the browser extension and
+// the widget); this module adds the app's stored credentials and error messages.
+
+import { createClient, ApiError } from 'brbrbr-client'
+
+export { normalizeResults, serverUnreachable, ApiError, ServerUnavailableError } from 'brbrbr-client'
+
+// Browser-local storage of the API key sent with analysis requests
+const API_KEY_STORAGE = 'brbrbr.apiKey'
+
+export function getApiKey() {
+  return localStorage.getItem(API_KEY_STORAGE) || ''
+}
+
+export function setApiKey(key) {
+  if (key) {
+    localStorage.setItem(API_KEY_STORAGE, key)
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE)
+  }
+}
+
+// The admin token is kept for the browser session only
+const ADMIN_TOKEN_STORAGE = 'brbrbr.adminToken'
+
+export function getAdminToken() {
+  return sessionStorage.getItem(ADMIN_TOKEN_STORAGE) || ''
+}
+
+export function setAdminToken(token) {
+  if (token) {
+    sessionStorage.setItem(ADMIN_TOKEN_STORAGE, token)
+  } else {
+    sessionStorage.removeItem(ADMIN_TOKEN_STORAGE)
+  }
+}
+
+const client = createClient({ apiKey: getApiKey })
+
+// Same error with a message the user can act on: from `messages`, by error code, for what
+// only some requests can fail with, or else for what any request can
+function friendlyError(err, messages = {}) {
+  if (!(err instanceof ApiError)) return err
+  return new ApiError(messages[err.code] ?? failureMessage(err), { status: err.status, code: err.code, retryAfter: err.retryAfter })
+}
+
+// Error message for a rejected request
+function failureMessage({ code, retryAfter, message }) {
+  switch (code) {
+    case 'missing_api_key':
+    case 'invalid_api_key':
+      return 'This server needs a valid API key. Enter one on the API page.'
+    case 'rate_limited':
+      return `Too many requests. Please wait ${retryAfter ?? 'a few'} seconds and try again.`
+    case 'quota_exceeded':
+      return 'This API key has used up its daily quota.'
+    default:
+      return message || 'Request failed. Please try again.'
+  }
+}
+
+// Requests naming a detector and a profile
+const DETECTOR_MESSAGES = {
+  unknown_detector: 'The selected detector is not available on this server. Please pick another one.',
+  unknown_profile: 'The selected detection profile no longer exists. Please pick another one in Settings.',
+}
+
+// Analyses and the stored results they point to
+const ANALYSIS_MESSAGES = {
+  ...DETECTOR_MESSAGES,
+  payload_too_large: 'This text is too long for the server to accept. Try splitting it into smaller documents.',
+  not_found: 'This result is no longer stored on the server. Results are kept for a limited time.',
+  sharing_disabled: 'Share links are disabled on this server.',
+}
+
+// Opening and revoking share links
+const SHARE_MESSAGES = {
+  not_found: 'This link does not exist. Check that it was copied in full.',
+  share_expired: 'This link has expired.',
+  share_revoked: 'This link has been revoked by the person who shared it.',
+  sharing_disabled: 'Share links are disabled on this server.',
+}
+
+// Call an endpoint the client has no method of its own for; `messages` as for friendlyError()
+async function request(path, options, messages) {
+  try {
+    return await client.request(path, options)
+  } catch (err) {
+    throw friendlyError(err, messages)
+  }
+}
+
+/**
+ * List the detectors offered by the server
+ * @returns {Promise<{ default: string, detectors: { id: string, label: string, kind: string, available: boolean }[] }>}
+ */
+export function listDetectors() {
+  return client.listDetectors()
+}
+
+/**
+ * Send text to /api/analyze
+ * @param {string} text - Text to analyze
+ * @param {{ segmentation?: string, detector?: string, profile?: string, process?: object, share?: object, signal?: AbortSignal }} [options]
+ *   `share` asks for a share link to the result (see `ShareOptions` in the OpenAPI document)
+ */
+export async function analyzeText(text, options) {
+  try {
+    return await client.analyze(text, options)
+  } catch (err) {
+    throw friendlyError(err, ANALYSIS_MESSAGES)
+  }
+}
+
+/**
+ * Send text to /api/analyze/stream, reporting progress events as they arrive
+ * Aborting `signal` closes the connection, which also stops the analysis on the server.
+ * @param {string} text - Text to analyze
+ * @param {{ segmentation?: string, detector?: string, profile?: string, process?: object, signal?: AbortSignal, onProgress?: (event: object) => void }} [options]
+ */
+export async function analyzeTextStream(text, options) {
+  try {
+    return await client.analyzeStream(text, options)
+  } catch (err) {
+    throw friendlyError(err, ANALYSIS_MESSAGES)
+  }
+}
+
+/**
+ * Fetch an earlier result the server still has cached
+ * @param {string} id - Result id, from `cache.id` or `similarTo.id` of a result
+ */
+export async function getResult(id) {
+  try {
+    return await client.getResult(id)
+  } catch (err) {
+    throw friendlyError(err, ANALYSIS_MESSAGES)
+  }
+}
+
+/**
+ * Open a share link
+ * @param {string} id - Share id, from the `/r/:id` path
+ */
+export async function getShare(id) {
+  try {
+    return await client.getShare(id)
+  } catch (err) {
+    throw friendlyError(err, SHARE_MESSAGES)
+  }
+}
+
+/**
+ * Revoke a share link for good
+ * @param {string} id - Share id
+ * @param {string} token - The `revoke_token` returned when the link was created
+ */
+export async function revokeShare(id, token) {
+  try {
+    return await client.revokeShare(id, token)
+  } catch (err) {
+    throw friendlyError(err, SHARE_MESSAGES)
+  }
+}
+
+/**
+ * Score a labeled corpus with each detector and report accuracy, ROC and calibration
+ * @param {{ corpus?: { name?: string, samples: object[] }, detectors?: string[], profile?: string, mock?: boolean }} options - Without `corpus` the built-in one is used
+ */
+export function evaluateCorpus({ corpus, detectors, profile, mock }) {
+  return request('/api/evaluation', { method: 'POST', body: { corpus, detectors, profile, mock } }, DETECTOR_MESSAGES)
+}
+
+/**
+ * The server's built-in labeled corpus, also a template for uploaded ones
+ * @returns {Promise<{ name: string, samples: { id: string, label: 'human' | 'ai', note?: string, text: string }[] }>}
+ */
+export function getBuiltinCorpus() {
+  return request('/api/evaluation/corpus')
+}
+
+/**
+ * List the detection profiles, the built-in one first
+ * @returns {Promise<{ default: string, profiles: object[] }>}
+ */
+export function listProfiles() {
+  return client.listProfiles()
+}
+
+// Change a profile, sending the admin token if one was entered this session
+function profileRequest(path, { method, body }) {
+  return request(`/api/profiles${path}`, { method, body, token: getAdminToken() })
+}
+
+/**
+ * Save a new detection profile
+ * @param {{ name: string, description?: string, phrases: { phrase: string, weight: number, language?: string }[], factor_weights: object, thresholds: { ai: number, human: number } }} settings
+ */
+export async function createProfile(settings) {
+  const data = await profileRequest('', { method: 'POST', body: settings })
+  return data.profile
+}
+
+/**
+ * Replace the settings of a saved profile
+ * @param {string} id - Profile id
+ * @param {object} settings - Same shape as for createProfile()
+ */
+export async function updateProfile(id, settings) {
+  const data = await profileRequest(`/${encodeURIComponent(id)}`, { method: 'PUT', body: settings })
+  return data.profile
+}
+
+/**
+ * Delete a saved profile
+ * @param {string} id - Profile id
+ */
+export async function deleteProfile(id) {
+  await profileRequest(`/${encodeURIComponent(id)}`, { method: 'DELETE' })
+}
+
+/**
+ * The server's OpenAPI document, from /api/openapi.json
+ */
+export function getOpenApiDocument() {
+  return request('/api/openapi.json')
+}
+
+// Call a key management endpoint with the admin token
+function adminRequest(path, token, { method, body } = {}) {
+  return request(`/api/admin/keys${path}`, { method, body, token })
+}
+
+/**
+ * List all API keys, including revoked ones
+ * @param {string} token - The server's ADMIN_TOKEN
+ */
+export async function listApiKeys(token) {
+  const data = await adminRequest('', token)
+  return data.keys
+}
+
+/**
+ * Create an API key; the returned `secret` is only available from this response
+ * @param {string} token - The server's ADMIN_TOKEN
+ * @param {{ name: string, rate_limit_per_minute?: number, daily_quota?: number }} settings
+ * @returns {Promise<{ key: object, secret: string }>}
+ */
+export function createApiKey(token, settings) {
+  return adminRequest('', token, { method: 'POST', body: settings })
+}
+
+/**
+ * Revoke an API key for good
+ * @param {string} token - The server's ADMIN_TOKEN
+ * @param {string} id - Key id
+ */
+export async function revokeApiKey(token, id) {
+  const data = await adminRequest(`/${encodeURIComponent(id)}`, token, { method: 'DELETE' })
+  return data.key
+}
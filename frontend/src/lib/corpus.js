@@ -0,0 +1,49 @@
+// Labeled corpora for the Evaluation page
+//
+// Same formats as `brbrbr evaluate`: a JSON object { name, samples: [...] } or JSON Lines with
+// one sample per line. The server validates the samples again before scoring them.
+
+export const CORPUS_EXTENSIONS = ['.json', '.jsonl']
+
+const LABELS = ['human', 'ai']
+
+/**
+ * Parse a labeled corpus file
+ * @param {string} content - File content
+ * @param {string} fileName - Used as the corpus name when the file doesn't give one
+ * @returns {{ name: string, samples: { id?: string, label: 'human' | 'ai', note?: string, text: string, scores?: object }[] }}
+ */
+export function parseCorpus(content, fileName) {
+  const name = fileName.replace(/\.jsonl?$/i, '')
+  let corpus
+  try {
+    const data = JSON.parse(content)
+    // A JSON Lines file with a single sample is also valid JSON
+    corpus = data?.samples === undefined && data?.text !== undefined
+      ? { name, samples: [data] }
+      : { name: data?.name || name, samples: data?.samples }
+  } catch {
+    const lines = content.split('\n').map((line) => line.trim())
+    const samples = []
+    lines.forEach((line, index) => {
+      if (!line) return
+      try {
+        samples.push(JSON.parse(line))
+      } catch {
+        throw new Error(`Invalid sample on line ${index + 1}.`)
+      }
+    })
+    corpus = { name, samples }
+  }
+
+  if (!Array.isArray(corpus.samples) || corpus.samples.length === 0) {
+    throw new Error('The file has no samples. Expected { "samples": [...] } or one sample per line.')
+  }
+  const invalid = corpus.samples.findIndex(
+    (sample) => typeof sample?.text !== 'string' || !sample.text.trim() || !LABELS.includes(sample.label),
+  )
+  if (invalid !== -1) {
+    throw new Error(`Sample ${invalid + 1} needs a non-empty "text" and a "label" of "human" or "ai".`)
+  }
+  return corpus
+}
@@ -0,0 +1,264 @@
+// Report exports for analyses: printable HTML, JSON and CSV
+//
+// Exports only depend on the analysis itself (including its timestamp), never
+// on the time of export, so exporting the same analysis twice gives identical files.
+
+import { DETECTOR_LABELS, FACTOR_LABELS } from './labels'
+import { countWords, roundScore } from './text'
+
+// Characters of the analyzed text included in the HTML report
+const EXCERPT_LENGTH = 3000
+
+// Number of most AI-like segments listed in the HTML report
+const TOP_SEGMENTS = 10
+
+/**
+ * Rebuild the /api/analyze response payload from normalized results
+ */
+export function toResponsePayload(results) {
+  const payload = {
+    human_percentage: results.humanPercentage,
+    ai_percentage: results.aiPercentage,
+    verdict: results.verdict,
+  }
+  if (results.detector) payload.detector = results.detector
+  if (results.detectorId) payload.detector_id = results.detectorId
+  if (results.profile) payload.profile = results.profile
+  if (results.thresholds) payload.thresholds = results.thresholds
+  if (results.language) payload.language = results.language
+  if (results.fallbackReason) payload.fallback_reason = results.fallbackReason
+  if (results.breakdown) payload.breakdown = results.breakdown
+  if (results.segments) payload.segments = results.segments
+  if (results.chunks) payload.chunks = results.chunks
+  if (results.ensemble) payload.ensemble = results.ensemble
+  return payload
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// UTC keeps the rendered timestamp independent of the exporting machine
+function formatTimestamp(iso) {
+  return iso.replace('T', ' ').replace(/\.\d+Z$/, ' UTC')
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/\.[^.]+$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'text'
+}
+
+/**
+ * Base file name for an analysis export, without extension
+ */
+export function exportFileName({ fileName, createdAt }) {
+  const stamp = createdAt.replace(/\.\d+Z$/, 'Z').replace(/[-:]/g, '')
+  return `brbrbr-${slugify(fileName || 'pasted text')}-${stamp}`
+}
+
+const REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+  h2 { font-size: 1.125rem; margin: 2rem 0 0.5rem; border-bottom: 2px solid #e5e7eb; padding-bottom: 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.875rem; margin: 0; }
+  .scores { display: flex; gap: 2rem; margin: 1rem 0; }
+  .score strong { display: block; font-size: 2rem; }
+  .verdict { display: inline-block; padding: 0.5rem 1rem; border-radius: 0.5rem; background: #111827; color: #fff; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+  th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  td.num, th.num { text-align: right; white-space: nowrap; }
+  pre { white-space: pre-wrap; font-family: inherit; font-size: 0.875rem; background: #f9fafb; border: 1px solid #e5e7eb; padding: 0.75rem; border-radius: 0.25rem; }
+  @media print { body { margin: 0; } }
+`
+
+/**
+ * Self-contained HTML report (no external scripts, styles or fonts)
+ * @param {{ text: string, fileName?: string, createdAt: string, results: object }} analysis
+ */
+export function buildHtmlReport({ text, fileName, createdAt, results }) {
+  const source = fileName || 'Pasted text'
+  const excerpt = text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text
+  const sections = []
+
+  sections.push(`
+    <h1>brbrbr analysis report</h1>
+    <p class="meta">Source: ${escapeHtml(source)} · ${countWords(text)} words · ${text.length} characters</p>
+    <p class="meta">Analyzed: ${escapeHtml(formatTimestamp(createdAt))}</p>
+    <p class="meta">Detector: ${escapeHtml(DETECTOR_LABELS[results.detector] ?? results.detector ?? 'Unknown')}${
+      results.detectorId ? ` (${escapeHtml(results.detectorId)})` : ''
+    }${
+      results.fallbackReason ? ` (fallback: ${escapeHtml(results.fallbackReason)})` : ''
+    }</p>${results.profile ? `
+    <p class="meta">Profile: ${escapeHtml(results.profile)}${
+      results.thresholds ? ` (AI generated from ${results.thresholds.ai}%, human written up to ${results.thresholds.human}%)` : ''
+    }</p>` : ''}${results.language ? `
+    <p class="meta">Language: ${escapeHtml(results.language.name)}${
+      results.language.supported ? '' : ' (not supported, scored with generic rules)'
+    }</p>` : ''}
+    <div class="scores">
+      <div class="score">Human<strong>${roundScore(results.humanPercentage)}%</strong></div>
+      <div class="score">AI<strong>${roundScore(results.aiPercentage)}%</strong></div>
+    </div>
+    <p><span class="verdict">${escapeHtml(results.verdict)}</span></p>`)
+
+  if (results.breakdown) {
+    const rows = results.breakdown.factors.map((factor) => `
+      <tr>
+        <td>${escapeHtml(FACTOR_LABELS[factor.name] ?? factor.name)}</td>
+        <td class="num">${roundScore(factor.score)}%</td>
+        <td class="num">${roundScore(factor.weight * 100)}%</td>
+      </tr>`).join('')
+    const phrases = results.breakdown.matched_phrases.length > 0
+      ? results.breakdown.matched_phrases.map((phrase) => `“${escapeHtml(phrase)}”`).join(', ')
+      : 'None'
+    sections.push(`
+    <h2>Heuristic signals</h2>
+    <p class="meta">Heuristic score: ${roundScore(results.breakdown.ai_percentage)}%</p>
+    <table>
+      <thead><tr><th>Signal</th><th class="num">Score</th><th class="num">Weight</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p>Matched AI phrases: ${phrases}</p>`)
+  }
+
+  if (results.ensemble) {
+    const rows = results.ensemble.map((member) => `
+      <tr>
+        <td>${escapeHtml(member.id)}</td>
+        <td class="num">${member.ai_percentage != null ? `${roundScore(member.ai_percentage)}%` : `Failed: ${escapeHtml(member.error ?? 'unknown error')}`}</td>
+      </tr>`).join('')
+    sections.push(`
+    <h2>Ensemble members</h2>
+    <table>
+      <thead><tr><th>Detector</th><th class="num">AI %</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`)
+  }
+
+  if (results.chunks) {
+    const rows = results.chunks.items.map((chunk) => `
+      <tr>
+        <td class="num">${chunk.index + 1}</td>
+        <td class="num">${chunk.start_word + 1}–${chunk.start_word + chunk.word_count}</td>
+        <td class="num">${roundScore(chunk.ai_percentage)}%</td>
+      </tr>`).join('')
+    sections.push(`
+    <h2>Score across the document</h2>
+    <p class="meta">Min ${roundScore(results.chunks.min)}% · max ${roundScore(results.chunks.max)}% · spread ${roundScore(results.chunks.spread)} pts</p>
+    <table>
+      <thead><tr><th class="num">Section</th><th class="num">Words</th><th class="num">AI %</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`)
+  }
+
+  if (results.segments?.length) {
+    // Stable sort by score, then by position, so ties are always listed the same way
+    const top = results.segments
+      .map((segment, index) => ({ ...segment, index }))
+      .filter((segment) => segment.text.trim())
+      .sort((a, b) => b.ai_percentage - a.ai_percentage || a.index - b.index)
+      .slice(0, TOP_SEGMENTS)
+    const rows = top.map((segment) => `
+      <tr>
+        <td class="num">${segment.index + 1}</td>
+        <td>${escapeHtml(segment.text.trim())}</td>
+        <td class="num">${roundScore(segment.ai_percentage)}%</td>
+      </tr>`).join('')
+    sections.push(`
+    <h2>Most AI-like passages</h2>
+    <table>
+      <thead><tr><th class="num">#</th><th>Passage</th><th class="num">AI %</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`)
+  }
+
+  sections.push(`
+    <h2>Text${text.length > EXCERPT_LENGTH ? ' (excerpt)' : ''}</h2>
+    <pre>${escapeHtml(excerpt)}</pre>`)
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>brbrbr report: ${escapeHtml(source)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>${sections.join('\n')}
+</body>
+</html>
+`
+}
+
+/**
+ * JSON export mirroring the /api/analyze response
+ */
+export function buildJsonReport({ results }) {
+  return `${JSON.stringify(toResponsePayload(results), null, 2)}\n`
+}
+
+const CSV_COLUMNS = [
+  ['analyzed_at', (entry) => entry.createdAt],
+  ['file_name', (entry) => entry.fileName || ''],
+  ['words', (entry) => countWords(entry.text)],
+  ['human_percentage', (entry) => entry.results.humanPercentage],
+  ['ai_percentage', (entry) => entry.results.aiPercentage],
+  ['verdict', (entry) => entry.results.verdict],
+  ['detector', (entry) => entry.results.detector ?? ''],
+  ['detector_id', (entry) => entry.results.detectorId ?? ''],
+  ['profile', (entry) => entry.results.profile ?? ''],
+  ['language', (entry) => entry.results.language?.code ?? ''],
+  ['excerpt', (entry) => entry.text.trim().slice(0, 200).replace(/\s+/g, ' ')],
+]
+
+function csvField(value) {
+  const string = String(value)
+  return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string
+}
+
+/**
+ * CSV export with one row per analysis, oldest first
+ */
+export function buildCsvReport(entries) {
+  const sorted = [...entries].sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  const lines = [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...sorted.map((entry) => CSV_COLUMNS.map(([, value]) => csvField(value(entry))).join(',')),
+  ]
+  return `${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * Save content as a file through a temporary download link
+ */
+export function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  document.body.append(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Open the browser print dialog for an HTML report ("Save as PDF")
+ */
+export function printHtml(html) {
+  const frame = document.createElement('iframe')
+  frame.style.position = 'fixed'
+  frame.style.width = '0'
+  frame.style.height = '0'
+  frame.style.border = '0'
+  frame.srcdoc = html
+  frame.onload = () => {
+    frame.contentWindow.focus()
+    frame.contentWindow.print()
+    // Remove once the dialog has closed
+    setTimeout(() => frame.remove(), 1000)
+  }
+  document.body.append(frame)
+}
@@ -0,0 +1,331 @@
+// Client-side text extraction for uploaded documents
+//
+// Every extractor resolves to an Extraction:
+//   { text, format, warnings, columns?, selectedColumns? }
+// `warnings` lists pages or sections whose text could not be extracted.
+
+import { readFileAsText } from './files'
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+const ODT_TEXT_NS = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0'
+
+// Minimum number of words for a JSON string or CSV cell to count as prose
+const MIN_PROSE_WORDS = 3
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li', 'main', 'nav', 'ol',
+  'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul',
+])
+
+export function detectFormat(fileName) {
+  const extension = fileName.toLowerCase().split('.').pop()
+  switch (extension) {
+    case 'pdf':
+    case 'docx':
+    case 'odt':
+    case 'json':
+    case 'csv':
+      return extension
+    case 'html':
+    case 'htm':
+      return 'html'
+    default:
+      return 'text'
+  }
+}
+
+function wordCount(value) {
+  return value.trim() === '' ? 0 : value.trim().split(/\s+/).length
+}
+
+// Collapse runs of spaces on each line and runs of blank lines between paragraphs
+function tidy(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+function parseXml(source, fileName) {
+  const doc = new DOMParser().parseFromString(source, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`${fileName} is not valid XML`)
+  }
+  return doc
+}
+
+async function extractPdf(file) {
+  const pdfjs = await import('pdfjs-dist')
+  const { default: workerUrl } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise
+  const pages = []
+  const warnings = []
+
+  for (let number = 1; number <= pdf.numPages; number++) {
+    try {
+      const page = await pdf.getPage(number)
+      const content = await page.getTextContent()
+      const pageText = content.items
+        .map((item) => (item.str ?? '') + (item.hasEOL ? '\n' : ''))
+        .join('')
+      if (pageText.trim() === '') {
+        warnings.push(`Page ${number}: no text layer (scanned image?)`)
+      } else {
+        pages.push(pageText)
+      }
+    } catch (err) {
+      warnings.push(`Page ${number}: ${err.message}`)
+    }
+  }
+
+  await pdf.destroy()
+  return { text: tidy(pages.join('\n\n')), format: 'pdf', warnings }
+}
+
+async function loadZipEntry(file, entryName) {
+  const { default: JSZip } = await import('jszip')
+  const zip = await JSZip.loadAsync(await file.arrayBuffer())
+  const entry = zip.file(entryName)
+  if (!entry) {
+    throw new Error(`${file.name} has no ${entryName}; is it a valid document?`)
+  }
+  return entry.async('string')
+}
+
+function docxRunText(node) {
+  let text = ''
+  for (const child of node.childNodes) {
+    if (child.nodeType !== Node.ELEMENT_NODE) continue
+    if (child.namespaceURI === WORD_NS) {
+      if (child.localName === 't') text += child.textContent
+      else if (child.localName === 'tab') text += '\t'
+      else if (child.localName === 'br' || child.localName === 'cr') text += '\n'
+      // Deleted revisions are not part of the final document
+      else if (child.localName === 'del') continue
+      else text += docxRunText(child)
+    } else if (child.localName !== 'Fallback') {
+      // Skip mc:Fallback, which repeats the mc:Choice content for older readers
+      text += docxRunText(child)
+    }
+  }
+  return text
+}
+
+async function extractDocx(file) {
+  const doc = parseXml(await loadZipEntry(file, 'word/document.xml'), file.name)
+  const paragraphs = Array.from(doc.getElementsByTagNameNS(WORD_NS, 'p'))
+    // Paragraphs nested in text boxes are reached through their parent paragraph
+    .filter((p) => !p.parentNode.closest?.('txbxContent'))
+    .map(docxRunText)
+
+  const warnings = []
+  const drawings = doc.getElementsByTagNameNS(WORD_NS, 'drawing').length
+  if (drawings > 0) {
+    warnings.push(`${drawings} embedded ${drawings === 1 ? 'image or chart' : 'images or charts'} skipped`)
+  }
+  warnings.push('Headers, footers, footnotes and comments are not included')
+
+  return { text: tidy(paragraphs.join('\n\n')), format: 'docx', warnings }
+}
+
+function odtNodeText(node) {
+  let text = ''
+  for (const child of node.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.textContent
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      if (child.namespaceURI === ODT_TEXT_NS && child.localName === 's') {
+        text += ' '.repeat(Number(child.getAttributeNS(ODT_TEXT_NS, 'c')) || 1)
+      } else if (child.namespaceURI === ODT_TEXT_NS && child.localName === 'tab') {
+        text += '\t'
+      } else if (child.namespaceURI === ODT_TEXT_NS && child.localName === 'line-break') {
+        text += '\n'
+      } else if (child.namespaceURI === ODT_TEXT_NS && child.localName === 'note') {
+        // Footnotes would interrupt the sentence they are anchored in
+        continue
+      } else {
+        text += odtNodeText(child)
+      }
+    }
+  }
+  return text
+}
+
+async function extractOdt(file) {
+  const doc = parseXml(await loadZipEntry(file, 'content.xml'), file.name)
+  const blocks = Array.from(doc.getElementsByTagNameNS(ODT_TEXT_NS, '*'))
+    .filter((el) => el.localName === 'p' || el.localName === 'h')
+    // Paragraphs nested in frames are already part of their parent's text
+    .filter((el) => !el.parentNode.closest?.('p, h, note'))
+    .map(odtNodeText)
+
+  const warnings = []
+  const frames = doc.getElementsByTagNameNS('urn:oasis:names:tc:opendocument:xmlns:drawing:1.0', 'image').length
+  if (frames > 0) {
+    warnings.push(`${frames} embedded ${frames === 1 ? 'image' : 'images'} skipped`)
+  }
+  warnings.push('Footnotes are not included')
+
+  return { text: tidy(blocks.join('\n\n')), format: 'odt', warnings }
+}
+
+async function extractHtml(file) {
+  const doc = new DOMParser().parseFromString(await readFileAsText(file), 'text/html')
+  const body = doc.body ?? doc.documentElement
+
+  body.querySelectorAll('script, style, noscript, template, svg, iframe, nav, form').forEach((el) => el.remove())
+  body.querySelectorAll('br').forEach((el) => el.replaceWith('\n'))
+  body.querySelectorAll('*').forEach((el) => {
+    if (BLOCK_TAGS.has(el.localName)) {
+      el.append('\n\n')
+    }
+  })
+
+  const warnings = []
+  const images = doc.querySelectorAll('img').length
+  if (images > 0) {
+    warnings.push(`${images} ${images === 1 ? 'image' : 'images'} skipped`)
+  }
+
+  // Line breaks inside a paragraph are just source formatting in HTML
+  const text = body.textContent
+    .split(/\n{2,}/)
+    .map((block) => block.replace(/\s+/g, ' '))
+    .join('\n\n')
+
+  return { text: tidy(text), format: 'html', warnings }
+}
+
+// Walk a JSON value and collect string fields that read like prose
+function collectJsonText(value, path, found) {
+  if (typeof value === 'string') {
+    if (wordCount(value) >= MIN_PROSE_WORDS && !/^https?:\/\//.test(value)) {
+      found.push({ path, text: value })
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectJsonText(item, `${path}[${index}]`, found))
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => collectJsonText(item, path ? `${path}.${key}` : key, found))
+  }
+  return found
+}
+
+async function extractJson(file) {
+  let data
+  try {
+    data = JSON.parse(await readFileAsText(file))
+  } catch (err) {
+    throw new Error(`${file.name} is not valid JSON (${err.message})`)
+  }
+
+  const fields = collectJsonText(data, '', [])
+  const warnings = fields.length === 0 ? ['No text fields found'] : []
+  return { text: fields.map((field) => field.text.trim()).join('\n\n'), format: 'json', warnings }
+}
+
+/**
+ * Parse CSV with quoted fields (RFC 4180)
+ * @returns {string[][]}
+ */
+export function parseCsv(source) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''))
+}
+
+async function extractCsv(file, { columns } = {}) {
+  const [header = [], ...records] = parseCsv(await readFileAsText(file))
+
+  // By default pick the columns whose cells read like prose
+  const selectedColumns = columns ?? header.filter((_, index) => {
+    const cells = records.map((record) => record[index] ?? '').filter((cell) => cell.trim() !== '')
+    if (cells.length === 0) return false
+    const average = cells.reduce((sum, cell) => sum + wordCount(cell), 0) / cells.length
+    return average >= MIN_PROSE_WORDS
+  })
+
+  const indexes = selectedColumns.map((name) => header.indexOf(name)).filter((index) => index !== -1)
+  const warnings = []
+  if (indexes.length === 0) {
+    warnings.push('No text columns selected')
+  }
+  const ragged = records.filter((record) => record.length !== header.length).length
+  if (ragged > 0) {
+    warnings.push(`${ragged} ${ragged === 1 ? 'row has' : 'rows have'} a different number of columns than the header`)
+  }
+
+  const text = records
+    .map((record) => indexes.map((index) => (record[index] ?? '').trim()).filter(Boolean).join('\n\n'))
+    .filter(Boolean)
+    .join('\n\n')
+
+  return { text, format: 'csv', warnings, columns: header, selectedColumns }
+}
+
+async function extractPlainText(file) {
+  return { text: await readFileAsText(file), format: 'text', warnings: [] }
+}
+
+/**
+ * Extract readable prose from an uploaded file
+ * @param {File} file
+ * @param {{ columns?: string[] }} [options] - CSV columns to include
+ */
+export async function extractText(file, options = {}) {
+  switch (detectFormat(file.name)) {
+    case 'pdf':
+      return extractPdf(file)
+    case 'docx':
+      return extractDocx(file)
+    case 'odt':
+      return extractOdt(file)
+    case 'html':
+      return extractHtml(file)
+    case 'json':
+      return extractJson(file)
+    case 'csv':
+      return extractCsv(file, options)
+    default:
+      return extractPlainText(file)
+  }
+}
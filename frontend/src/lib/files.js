@@ -0,0 +1,82 @@
+// File reading helpers shared by single and batch analysis
+// (document formats are converted to text in extract.js)
+
+export const ACCEPTED_EXTENSIONS = ['.txt', '.md', '.csv', '.json', '.pdf', '.docx', '.odt', '.html', '.htm']
+
+export function isAcceptedFile(file) {
+  const name = file.name.toLowerCase()
+  return ACCEPTED_EXTENSIONS.some((extension) => name.endsWith(extension))
+}
+
+/**
+ * Read a File as text
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      const content = e.target?.result
+      if (typeof content === 'string') {
+        resolve(content)
+      } else {
+        reject(new Error('Error reading file. Please try again.'))
+      }
+    }
+    reader.onerror = () => reject(new Error('Error reading file. Please try again.'))
+    reader.readAsText(file)
+  })
+}
+
+// Directory readers return entries in pages, so keep reading until empty
+function readAllEntries(directoryReader) {
+  return new Promise((resolve, reject) => {
+    const entries = []
+    const readPage = () => {
+      directoryReader.readEntries((page) => {
+        if (page.length === 0) {
+          resolve(entries)
+        } else {
+          entries.push(...page)
+          readPage()
+        }
+      }, reject)
+    }
+    readPage()
+  })
+}
+
+async function collectEntryFiles(entry, path) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+    return [{ file, path: `${path}${file.name}` }]
+  }
+
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader())
+    const nested = await Promise.all(
+      children.map((child) => collectEntryFiles(child, `${path}${entry.name}/`))
+    )
+    return nested.flat()
+  }
+
+  return []
+}
+
+/**
+ * Collect files from a drop event, descending into dropped folders
+ * @returns {Promise<Array<{ file: File, path: string }>>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  // Entries must be grabbed synchronously, before the event is recycled
+  const entries = Array.from(dataTransfer.items ?? [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files ?? []).map((file) => ({ file, path: file.name }))
+  }
+
+  const nested = await Promise.all(entries.map((entry) => collectEntryFiles(entry, '')))
+  return nested.flat()
+}
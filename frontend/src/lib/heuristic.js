@@ -0,0 +1,327 @@
+// JavaScript port of the server's heuristic detector (src/analyzer.rs, src/chunking.rs)
+//
+// Runs entirely in the browser, as a fallback when the server can't be reached or when
+// the local detector is picked. The default profile is read from the same file as on the
+// server (src/default_profile.json). Phrase scoring, chunking and segmentation mirror the Rust
+// code and must be kept in sync with it. Text is split into sentences and words by the rules
+// of its language (see ./language.js).
+
+import {
+  CLOSED_TERMINATORS,
+  SENTENCE_TERMINATORS,
+  UNDETERMINED,
+  detectLanguage,
+  isCjk,
+  normalizeWord,
+  splitWords,
+  wordSpans,
+} from './language'
+import { assessProcess, processAiPercentage } from './writingProcess'
+import defaultSettings from '../../../src/default_profile.json'
+
+// Detector id and kind of results computed in the browser
+export const LOCAL_DETECTOR = 'local_heuristic'
+
+/**
+ * The built-in detection profile, in the shape returned by /api/profiles
+ */
+export const DEFAULT_PROFILE = { id: 'default', ...defaultSettings, read_only: true }
+
+// Long-document chunking (see src/chunking.rs)
+const CHUNK_WORDS = 300
+const CHUNK_OVERLAP_WORDS = 50
+
+// Length with every Han or kana character counted as three, as on the server
+function textLength(text) {
+  let length = 0
+  for (const char of text) length += isCjk(char) ? 3 : 1
+  return length
+}
+
+function countMatches(text, chars) {
+  let count = 0
+  for (const char of text) if (chars.includes(char)) count++
+  return count
+}
+
+function splitOnTerminators(text) {
+  const sentences = ['']
+  for (const char of text) {
+    if (SENTENCE_TERMINATORS.includes(char)) sentences.push('')
+    else sentences[sentences.length - 1] += char
+  }
+  return sentences
+}
+
+// AI text often has more uniform sentence lengths
+function analyzeSentenceUniformity(text) {
+  const sentences = splitOnTerminators(text).filter((sentence) => sentence.trim())
+  if (sentences.length < 3) return 50
+
+  const lengths = sentences.map(textLength)
+  const average = lengths.reduce((sum, length) => sum + length, 0) / lengths.length
+  const variance = lengths.reduce((sum, length) => sum + (length - average) ** 2, 0) / lengths.length
+
+  // Low variance = more uniform = more AI-like
+  if (variance < 200) return 70
+  if (variance < 500) return 40
+  return 20
+}
+
+// AI text sometimes has lower unique word ratio
+function analyzeVocabularyDiversity(text, language) {
+  let all = splitWords(text, language).map((word) => normalizeWord(word, language))
+  if (all.length < 10) return 50
+  // Chinese and Japanese words are mostly two characters long; compare pairs of characters
+  if (language.tokenization === 'characters') {
+    all = all.slice(1).map((word, index) => all[index] + word)
+  }
+
+  const unique = new Set(all.filter(Boolean))
+  const ratio = unique.size / all.length
+
+  // Higher diversity = more human-like
+  if (ratio > 0.7) return 20
+  if (ratio > 0.5) return 40
+  return 70
+}
+
+// Phrases without a language apply to every text; text of undetermined language gets every phrase
+function appliesTo(entry, language) {
+  return !entry.language || entry.language === language.code || language.code === UNDETERMINED
+}
+
+// The profile's phrases for the language found in the text, and the sum of their weights
+function detectAiPhrases(text, phrases, language) {
+  const lower = text.toLowerCase()
+  const matches = phrases.filter((entry) => entry.weight > 0 && appliesTo(entry, language) && lower.includes(entry.phrase))
+  return {
+    matched: matches.map((entry) => entry.phrase),
+    weight: matches.reduce((sum, entry) => sum + entry.weight, 0),
+  }
+}
+
+// Each unit of phrase weight counts as one match; fractions fall in between
+const PHRASE_SCORES = [30, 55, 70, 85]
+
+function scorePhraseMatches(matches) {
+  if (matches >= 3) return PHRASE_SCORES[3]
+  const lower = Math.floor(Math.max(0, matches))
+  return PHRASE_SCORES[lower] + (PHRASE_SCORES[lower + 1] - PHRASE_SCORES[lower]) * (matches - lower)
+}
+
+function analyzePunctuation(text, language) {
+  const totalChars = textLength(text)
+  if (totalChars === 0) return 50
+
+  const exclamationRatio = (countMatches(text, language.exclamations) / totalChars) * 100
+  const commaRatio = (countMatches(text, language.commas) / totalChars) * 100
+
+  let score = 50
+  // Less emotional = more AI-like
+  if (exclamationRatio < 0.5) score += 15
+  // Consistent comma usage
+  if (commaRatio > 2 && commaRatio < 4) score += 10
+  return Math.min(100, Math.max(0, score))
+}
+
+function analyzeStructure(text, language) {
+  const wordCount = wordSpans(text, language).length
+  const paragraphCount = text.split('\n\n').filter((paragraph) => paragraph.trim()).length
+  if (paragraphCount <= 1) return 40
+
+  // Integer division, as on the server
+  const wordsPerParagraph = Math.floor(wordCount / paragraphCount)
+  return wordsPerParagraph > 50 && wordsPerParagraph < 150 ? 60 : 40
+}
+
+/**
+ * Heuristic breakdown in the same shape as the server's `breakdown` field
+ * @param {string} text
+ * @param {object} [profile] - Detection profile from /api/profiles
+ * @param {object} [language] - Language from detectLanguage()
+ */
+export function analyzeHeuristic(text, profile = DEFAULT_PROFILE, language = detectLanguage(text)) {
+  const weights = profile.factor_weights
+  const phrases = detectAiPhrases(text, profile.phrases, language)
+  const factors = [
+    { name: 'sentence_uniformity', score: analyzeSentenceUniformity(text), weight: weights.sentence_uniformity },
+    { name: 'vocabulary_diversity', score: analyzeVocabularyDiversity(text, language), weight: weights.vocabulary_diversity },
+    { name: 'ai_phrases', score: scorePhraseMatches(phrases.weight), weight: weights.ai_phrases },
+    { name: 'punctuation', score: analyzePunctuation(text, language), weight: weights.punctuation },
+    { name: 'structure', score: analyzeStructure(text, language), weight: weights.structure },
+  ]
+  const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0)
+  const weighted = factors.reduce((sum, factor) => sum + factor.score * factor.weight, 0)
+
+  return {
+    ai_percentage: Math.min(100, Math.max(0, weighted / totalWeight)),
+    // Each weight as its share of the total
+    factors: factors.map((factor) => ({ ...factor, weight: factor.weight / totalWeight })),
+    matched_phrases: phrases.matched,
+  }
+}
+
+/**
+ * Overlapping windows of CHUNK_WORDS words, as the language counts them; short texts are a single chunk
+ */
+export function splitChunks(text, language = detectLanguage(text)) {
+  const spans = wordSpans(text, language)
+  if (spans.length <= CHUNK_WORDS) {
+    return [{ start_word: 0, word_count: spans.length, text }]
+  }
+
+  const chunks = []
+  for (let start = 0; ; start += CHUNK_WORDS - CHUNK_OVERLAP_WORDS) {
+    const end = Math.min(start + CHUNK_WORDS, spans.length)
+    chunks.push({ start_word: start, word_count: end - start, text: text.slice(spans[start][0], spans[end - 1][1]) })
+    if (end === spans.length) break
+  }
+  return chunks
+}
+
+// Length-weighted mean of chunk scores, plus the per-chunk summary
+function aggregate(chunks, scores) {
+  const totalWords = chunks.reduce((sum, chunk) => sum + chunk.word_count, 0)
+  const weighted = chunks.reduce((sum, chunk, index) => sum + scores[index] * chunk.word_count, 0)
+  const min = Math.min(...scores)
+  const max = Math.max(...scores)
+
+  return {
+    ai_percentage: totalWords === 0 ? 50 : weighted / totalWords,
+    min,
+    max,
+    spread: max - min,
+    items: chunks.map((chunk, index) => ({
+      index,
+      start_word: chunk.start_word,
+      word_count: chunk.word_count,
+      ai_percentage: scores[index],
+    })),
+  }
+}
+
+function isWhitespace(char) {
+  return /\s/.test(char)
+}
+
+// Closing quotes and brackets kept with the sentence they end
+const CLOSERS = '"\')”’」』）'
+
+// Split on the terminators of every supported language, keeping the terminator and the
+// whitespace that follows it
+function splitSentences(text) {
+  const segments = []
+  let start = 0
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i++]
+    if (!SENTENCE_TERMINATORS.includes(char)) continue
+    let closed = CLOSED_TERMINATORS.includes(char)
+
+    // Swallow repeated terminators and closing quotes ("?!", ".\"", "。」")
+    while (i < text.length && (SENTENCE_TERMINATORS + CLOSERS).includes(text[i])) {
+      closed ||= CLOSED_TERMINATORS.includes(text[i])
+      i++
+    }
+    // A terminator only ends a sentence before whitespace or end of text ("3.5", "e.g"),
+    // except for the full-width ones of Chinese and Japanese, which are written without spaces
+    if (i < text.length && !isWhitespace(text[i]) && !closed) continue
+    while (i < text.length && isWhitespace(text[i])) i++
+
+    segments.push(text.slice(start, i))
+    start = i
+  }
+
+  if (start < text.length) segments.push(text.slice(start))
+  return segments
+}
+
+// Split on blank lines, keeping the blank lines with the preceding paragraph
+function splitParagraphs(text) {
+  const segments = []
+  let start = 0
+  let offset = 0
+  let seenContent = false
+  let inGap = false
+
+  for (const line of text.match(/[^\n]*\n|[^\n]+$/g) ?? []) {
+    const blank = !line.trim()
+
+    if (!blank && inGap) {
+      segments.push(text.slice(start, offset))
+      start = offset
+      inGap = false
+    }
+
+    if (blank && seenContent) {
+      inGap = true
+    } else if (!blank) {
+      seenContent = true
+    }
+
+    offset += line.length
+  }
+
+  if (start < text.length) segments.push(text.slice(start))
+  return segments
+}
+
+// Chunk-aware heuristic score of a whole text, as the server computes it
+function scoreText(text, profile, language) {
+  if (!text.trim()) return { aiPercentage: 50, breakdown: null, chunks: null }
+
+  const breakdown = analyzeHeuristic(text, profile, language)
+  const chunks = splitChunks(text, language)
+  const scores = chunks.length === 1
+    ? [breakdown.ai_percentage]
+    : chunks.map((chunk) => analyzeHeuristic(chunk.text, profile, language).ai_percentage)
+  const aggregated = aggregate(chunks, scores)
+  const { ai_percentage: aiPercentage, ...summary } = aggregated
+
+  return { aiPercentage, breakdown, chunks: chunks.length > 1 ? summary : null }
+}
+
+function getVerdict(aiPercentage, thresholds) {
+  if (aiPercentage >= thresholds.ai) return 'AI Generated'
+  if (aiPercentage <= thresholds.human) return 'Human Written'
+  return 'Uncertain'
+}
+
+/**
+ * Analyze text in the browser, returning results shaped like normalizeResults()
+ * @param {string} text - Text to analyze
+ * @param {{ segmentation?: string, fallbackReason?: string, profile?: object, process?: object }} [options]
+ *   `process` holds writing-process statistics from the compose-mode recording
+ */
+export function analyzeLocally(text, { segmentation, fallbackReason = null, profile = DEFAULT_PROFILE, process = null } = {}) {
+  const language = detectLanguage(text)
+  const { aiPercentage: textAiPercentage, breakdown, chunks } = scoreText(text, profile, language)
+  // Writing-process statistics shift the score as on the server
+  const processSignal = process && assessProcess(process, text, textAiPercentage)
+  const aiPercentage = processSignal ? processAiPercentage(processSignal) : textAiPercentage
+  const segments = segmentation && text.trim()
+    ? (segmentation === 'paragraph' ? splitParagraphs(text) : splitSentences(text)).map((segment) => ({
+      text: segment,
+      ai_percentage: scoreText(segment, profile, language).aiPercentage,
+    }))
+    : null
+
+  return {
+    humanPercentage: 100 - aiPercentage,
+    aiPercentage,
+    verdict: getVerdict(aiPercentage, profile.thresholds),
+    detector: LOCAL_DETECTOR,
+    detectorId: LOCAL_DETECTOR,
+    profile: profile.id,
+    thresholds: profile.thresholds,
+    language: { code: language.code, name: language.name, supported: language.supported },
+    fallbackReason,
+    breakdown,
+    segments,
+    chunks,
+    ensemble: null,
+    process: processSignal,
+  }
+}
@@ -0,0 +1,86 @@
+// Persistent analysis history, stored locally in IndexedDB
+
+const DB_NAME = 'brbrbr'
+const DB_VERSION = 1
+const STORE = 'analyses'
+
+// Characters of the analyzed text kept for list display and search
+export const SNIPPET_LENGTH = 200
+
+let dbPromise = null
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+          store.createIndex('createdAt', 'createdAt')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+// Run a single request inside a transaction and resolve with its result
+async function withStore(mode, run) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = run(transaction.objectStore(STORE))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Save an analysis and return the stored entry
+ * @param {{ text: string, fileName?: string, createdAt?: string, results: object, session?: object, options?: object }} analysis
+ *   `session` is the compose-mode recording of how the text was written, kept for its replay;
+ *   `options` are the server analysis settings, kept to create share links later
+ */
+export async function saveAnalysis({ text, fileName, createdAt, results, session, options }) {
+  const entry = {
+    createdAt: createdAt || new Date().toISOString(),
+    fileName: fileName || '',
+    snippet: text.trim().slice(0, SNIPPET_LENGTH),
+    text,
+    results,
+    ...(session && { session }),
+    ...(options && { options }),
+  }
+  const id = await withStore('readwrite', (store) => store.add(entry))
+  return { ...entry, id }
+}
+
+/**
+ * All saved analyses, newest first
+ */
+export async function listAnalyses() {
+  const entries = await withStore('readonly', (store) => store.index('createdAt').getAll())
+  return entries.reverse()
+}
+
+/**
+ * Change fields of a saved analysis, such as its share links, and return the updated entry
+ */
+export async function updateAnalysis(id, changes) {
+  const entry = await withStore('readonly', (store) => store.get(id))
+  if (!entry) return null
+  const updated = { ...entry, ...changes }
+  await withStore('readwrite', (store) => store.put(updated))
+  return updated
+}
+
+export function deleteAnalysis(id) {
+  return withStore('readwrite', (store) => store.delete(id))
+}
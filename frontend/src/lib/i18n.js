@@ -0,0 +1,66 @@
+// Interface translations
+//
+// The locale is picked once from the browser (or the user's earlier choice) and can be
+// changed from the footer. Changing it sets `lang` and `dir` on the document, so right-to-left
+// locales flip the layout through Tailwind's logical utilities (`ms-*`, `text-start`, `rtl:*`).
+
+import { findLocale, LOCALES } from './messages'
+
+export { LOCALES, translate } from './messages'
+
+const STORAGE_KEY = 'brbrbr.locale'
+
+// Saved choice first, then the browser's preferred languages, then English
+function initialLocale() {
+  const saved = localStorage.getItem(STORAGE_KEY)
+  if (findLocale(saved)) return saved
+  const preferred = (navigator.languages ?? [navigator.language])
+    .map((tag) => tag?.split('-')[0].toLowerCase())
+    .find(findLocale)
+  return preferred ?? 'en'
+}
+
+let current = initialLocale()
+const listeners = new Set()
+
+function applyToDocument(code) {
+  document.documentElement.lang = code
+  document.documentElement.dir = findLocale(code).dir
+}
+
+applyToDocument(current)
+
+export function getLocale() {
+  return current
+}
+
+export function localeDirection(code) {
+  return findLocale(code)?.dir ?? 'ltr'
+}
+
+/**
+ * Switch the interface language and remember it in this browser
+ */
+export function setLocale(code) {
+  if (!findLocale(code) || code === current) return
+  current = code
+  localStorage.setItem(STORAGE_KEY, code)
+  applyToDocument(code)
+  listeners.forEach((listener) => listener())
+}
+
+export function subscribeLocale(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Name of a text language (an ISO 639-1 code from the API) in the interface locale
+ */
+export function languageName(code, locale, fallback = code) {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(code) ?? fallback
+  } catch {
+    return fallback
+  }
+}
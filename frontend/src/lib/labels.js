@@ -0,0 +1,25 @@
+// Display names for identifiers returned by the API
+
+export const FACTOR_LABELS = {
+  sentence_uniformity: 'Sentence length uniformity',
+  vocabulary_diversity: 'Vocabulary diversity',
+  ai_phrases: 'AI-common phrases',
+  punctuation: 'Punctuation patterns',
+  structure: 'Text structure',
+}
+
+export const DETECTOR_LABELS = {
+  hugging_face: 'Hugging Face model',
+  open_ai: 'OpenAI-compatible model',
+  http: 'HTTP classifier',
+  heuristic: 'Heuristic analysis',
+  local_heuristic: 'Local heuristic (in your browser)',
+  ensemble: 'Ensemble of detectors',
+}
+
+// Translation keys of the verdicts the API returns
+export const VERDICT_KEYS = {
+  'AI Generated': 'verdict.ai',
+  'Human Written': 'verdict.human',
+  Uncertain: 'verdict.uncertain',
+}
@@ -0,0 +1,221 @@
+// JavaScript port of the server's language detection and tokenization (src/language.rs)
+//
+// Used by the in-browser heuristics, so offline results treat Chinese, Arabic or Swedish
+// text the way the server does. Keep in sync with the Rust code.
+
+// Reported when the text has too few letters or common words to tell
+export const UNDETERMINED = 'und'
+
+// Characters that end a sentence in any supported language
+export const SENTENCE_TERMINATORS = '.!?。！？؟۔'
+
+// Terminators that end a sentence even when no whitespace follows (Chinese, Japanese)
+export const CLOSED_TERMINATORS = '。！？'
+
+function whitespace(code, name, supported, stopwords) {
+  return { code, name, supported, tokenization: 'whitespace', commas: ',', exclamations: '!', clitics: [], stopwords }
+}
+
+const LANGUAGES = [
+  // Supported: own rules and default phrase lists
+  whitespace('en', 'English', true, [
+    'the', 'and', 'of', 'to', 'is', 'that', 'it', 'in', 'for', 'with',
+    'was', 'are', 'this', 'be', 'on', 'not', 'you', 'we', 'have', 'as',
+  ]),
+  whitespace('es', 'Spanish', true, [
+    'el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una',
+    'es', 'por', 'con', 'para', 'no', 'se', 'del', 'lo', 'como', 'pero',
+  ]),
+  whitespace('fr', 'French', true, [
+    'le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'que',
+    'en', 'du', 'pour', 'pas', 'dans', 'qui', 'sur', 'ce', 'avec', 'il',
+  ]),
+  whitespace('de', 'German', true, [
+    'der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den',
+    'mit', 'sich', 'auf', 'dem', 'auch', 'es', 'ich', 'von', 'für', 'wir',
+  ]),
+  whitespace('sv', 'Swedish', true, [
+    'och', 'att', 'det', 'som', 'en', 'är', 'på', 'för', 'med', 'inte',
+    'av', 'till', 'har', 'den', 'jag', 'de', 'om', 'ett', 'var', 'vi',
+  ]),
+  {
+    ...whitespace('ar', 'Arabic', true, []),
+    commas: ',،',
+    // "and the", "with the", "like the", "so the", "the", "and"
+    clitics: ['وال', 'بال', 'كال', 'فال', 'ال', 'و'],
+  },
+  { ...whitespace('zh', 'Chinese', true, []), tokenization: 'characters', commas: '，、,', exclamations: '！!' },
+  { ...whitespace('ja', 'Japanese', true, []), tokenization: 'characters', commas: '、，,', exclamations: '！!' },
+  // Detected, but scored with generic rules
+  whitespace('pt', 'Portuguese', false, [
+    'o', 'a', 'os', 'de', 'que', 'e', 'do', 'da', 'em', 'um',
+    'uma', 'não', 'para', 'com', 'por', 'se', 'mais', 'as', 'dos', 'é',
+  ]),
+  whitespace('it', 'Italian', false, [
+    'il', 'la', 'di', 'che', 'e', 'un', 'una', 'per', 'non', 'è',
+    'con', 'sono', 'del', 'della', 'gli', 'le', 'si', 'da', 'in', 'ma',
+  ]),
+  whitespace('nl', 'Dutch', false, [
+    'de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te',
+    'zijn', 'voor', 'met', 'ik', 'die', 'er', 'aan', 'ook', 'wij', 'maar',
+  ]),
+  whitespace('ru', 'Russian', false, []),
+  whitespace('uk', 'Ukrainian', false, []),
+  whitespace('el', 'Greek', false, []),
+  whitespace('he', 'Hebrew', false, []),
+  whitespace('hi', 'Hindi', false, []),
+  whitespace('ko', 'Korean', false, []),
+]
+
+// Languages with their own rules and default phrase lists
+export const SUPPORTED_LANGUAGES = LANGUAGES.filter((language) => language.supported)
+
+export const UNKNOWN = {
+  ...whitespace(UNDETERMINED, 'Unknown', false, []),
+  commas: ',،，、',
+  exclamations: '!！',
+}
+
+/**
+ * Language by code, or undefined
+ */
+export function languageByCode(code) {
+  return code === UNDETERMINED ? UNKNOWN : LANGUAGES.find((language) => language.code === code)
+}
+
+// Scripts in the order that breaks ties between equally common ones
+const SCRIPTS = ['latin', 'han', 'kana', 'hangul', 'arabic', 'hebrew', 'cyrillic', 'greek', 'devanagari']
+
+// Language of the scripts used by a single language
+const SCRIPT_LANGUAGES = { hangul: 'ko', arabic: 'ar', hebrew: 'he', greek: 'el', devanagari: 'hi' }
+
+const ALPHABETIC = /\p{Alphabetic}/u
+const ALPHANUMERIC = /[\p{Alphabetic}\p{N}]/u
+
+function inRanges(point, ranges) {
+  return ranges.some(([from, to]) => point >= from && point <= to)
+}
+
+function script(char) {
+  const point = char.codePointAt(0)
+  if (inRanges(point, [[0x3040, 0x30ff], [0x31f0, 0x31ff]])) return 'kana'
+  if (inRanges(point, [[0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xf900, 0xfaff], [0x20000, 0x2a6df]])) return 'han'
+  if (inRanges(point, [[0x1100, 0x11ff], [0xac00, 0xd7af]])) return 'hangul'
+  if (inRanges(point, [[0x0600, 0x06ff], [0x0750, 0x077f], [0xfb50, 0xfdff], [0xfe70, 0xfeff]])) return 'arabic'
+  if (inRanges(point, [[0x0590, 0x05ff]])) return 'hebrew'
+  if (inRanges(point, [[0x0400, 0x04ff]])) return 'cyrillic'
+  if (inRanges(point, [[0x0370, 0x03ff]])) return 'greek'
+  if (inRanges(point, [[0x0900, 0x097f]])) return 'devanagari'
+  return ALPHABETIC.test(char) ? 'latin' : null
+}
+
+/**
+ * Han or kana character, which counts as a word of its own in Chinese and Japanese
+ */
+export function isCjk(char) {
+  const kind = script(char)
+  return kind === 'han' || kind === 'kana'
+}
+
+// Latin-script language whose common words occur most often; undetermined on a tie
+// or when fewer than two common words are found
+function detectLatin(text) {
+  const words = text.toLowerCase().split(/[^\p{Alphabetic}\p{N}']+/u).filter(Boolean)
+  const counts = LANGUAGES
+    .filter((language) => language.stopwords.length > 0)
+    .map((language) => [language.code, words.filter((word) => language.stopwords.includes(word)).length])
+    .sort((a, b) => b[1] - a[1])
+
+  const [[code, best], [, second]] = counts
+  return best >= 2 && best > second ? code : UNDETERMINED
+}
+
+/**
+ * Detect the language of a text, with the rules used to analyze it
+ * @param {string} text
+ */
+export function detectLanguage(text) {
+  const counts = Object.fromEntries(SCRIPTS.map((name) => [name, 0]))
+  for (const char of text) {
+    const kind = script(char)
+    if (kind) counts[kind]++
+  }
+
+  // Chinese and Japanese share Han characters; kana only appear in Japanese
+  const kana = counts.kana
+  counts.han += kana
+  counts.kana = 0
+
+  let dominant = null
+  for (const name of SCRIPTS) {
+    if (counts[name] > (dominant ? counts[dominant] : 0)) dominant = name
+  }
+
+  let code = SCRIPT_LANGUAGES[dominant] ?? UNDETERMINED
+  if (dominant === 'han') code = kana * 10 >= counts.han ? 'ja' : 'zh'
+  // Letters only Ukrainian uses among Cyrillic languages
+  if (dominant === 'cyrillic') code = /[єїіґ]/.test(text) ? 'uk' : 'ru'
+  if (dominant === 'latin') code = detectLatin(text)
+
+  return languageByCode(code) ?? UNKNOWN
+}
+
+// Full-width punctuation and spaces separate words without being one
+function isSeparator(char) {
+  return /\s/.test(char) || inRanges(char.codePointAt(0), [[0x3000, 0x303f], [0xff00, 0xff0f], [0xff1a, 0xff20]])
+}
+
+/**
+ * [start, end) string offsets of the words in `text` under the language's tokenization
+ */
+export function wordSpans(text, language) {
+  if (language.tokenization === 'whitespace') {
+    return Array.from(text.matchAll(/\S+/g), (match) => [match.index, match.index + match[0].length])
+  }
+
+  const spans = []
+  let run = null
+  let i = 0
+  for (const char of text) {
+    const cjk = isCjk(char)
+    if (cjk || isSeparator(char)) {
+      if (run !== null) spans.push([run, i])
+      run = null
+      if (cjk) spans.push([i, i + char.length])
+    } else if (run === null) {
+      run = i
+    }
+    i += char.length
+  }
+  if (run !== null) spans.push([run, text.length])
+  return spans
+}
+
+/**
+ * Words of `text` under the language's tokenization
+ */
+export function splitWords(text, language) {
+  return wordSpans(text, language).map(([start, end]) => text.slice(start, end))
+}
+
+/**
+ * Word reduced to the form used to compare vocabulary: lowercase, without surrounding
+ * punctuation, Arabic vowel marks, or clitic prefixes
+ */
+export function normalizeWord(word, language) {
+  const chars = Array.from(word.toLowerCase())
+  let start = 0
+  let end = chars.length
+  while (start < end && !ALPHANUMERIC.test(chars[start])) start++
+  while (end > start && !ALPHANUMERIC.test(chars[end - 1])) end--
+  // Arabic short vowels and other marks, and the tatweel used to stretch words
+  const normalized = chars.slice(start, end).join('').replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+
+  for (const clitic of language.clitics) {
+    // Keep short words whole, as the "prefix" is then likely part of the word
+    if (normalized.startsWith(clitic) && Array.from(normalized.slice(clitic.length)).length > 2) {
+      return normalized.slice(clitic.length)
+    }
+  }
+  return normalized
+}
@@ -0,0 +1,29 @@
+// Message tables of the interface locales
+//
+// Kept free of side effects so the embeddable widget can use them without touching the
+// host page; the app picks and stores its locale in ./i18n.js.
+
+import en from '../locales/en'
+import es from '../locales/es'
+import sv from '../locales/sv'
+import ar from '../locales/ar'
+
+export const LOCALES = [
+  { code: 'en', name: 'English', dir: 'ltr', messages: en },
+  { code: 'es', name: 'Español', dir: 'ltr', messages: es },
+  { code: 'sv', name: 'Svenska', dir: 'ltr', messages: sv },
+  { code: 'ar', name: 'العربية', dir: 'rtl', messages: ar },
+]
+
+export function findLocale(code) {
+  return LOCALES.find((locale) => locale.code === code)
+}
+
+/**
+ * Message for `key` in the locale, with `{name}` placeholders filled from `values`
+ * Keys the locale doesn't translate fall back to English, unknown keys to the key itself.
+ */
+export function translate(code, key, values = {}) {
+  const template = findLocale(code)?.messages[key] ?? en[key] ?? key
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match))
+}
@@ -0,0 +1,19 @@
+// Text statistics shared across views
+
+import { detectLanguage, wordSpans } from './language'
+
+// Words as the server counts them: Chinese and Japanese characters count one each
+export function countWords(text) {
+  return wordSpans(text, detectLanguage(text)).length
+}
+
+// Scores are shown with one decimal place
+export function roundScore(value) {
+  return Math.round(value * 10) / 10
+}
+
+// Milliseconds as minutes and seconds, e.g. 4:05
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
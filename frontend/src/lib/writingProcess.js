@@ -0,0 +1,265 @@
+// Writing-process recording for the editor's compose mode
+//
+// A session is the text the editor started with plus every edit made after it: when it
+// happened, where, how many characters it removed, what it inserted and whether it was typed,
+// pasted, moved or deleted. The statistics sent with the text come from it, and so does the replay.
+// `assessProcess()` mirrors src/process.rs and must be kept in sync with it. Edits are kept in
+// UTF-16 code units, as the editor reports them, but the statistics count code points, as the
+// server does.
+
+// A gap this long between keystrokes ends a burst of typing
+export const BURST_PAUSE_MS = 2000
+
+// Fewer keystroke gaps say nothing about the typing rhythm
+const MIN_INTERVALS = 20
+
+// Same constants as src/process.rs
+const PROCESS_WEIGHT = 0.35
+const MIN_TYPED_FOR_RHYTHM = 50
+const MECHANICAL_VARIATION = 0.2
+const TRANSCRIPTION_BURST_CHARS = 400
+const MAX_REVISION_CREDIT = 20
+
+/**
+ * Start recording from the text already in the editor
+ * `text` is the text after the last edit; `t` of an edit counts milliseconds from `startedAt`.
+ * @returns {{ startedAt: number, initialText: string, text: string, events: { t: number, at: number, removed: number, inserted: string, kind: string }[] }}
+ */
+export function createSession(initialText) {
+  return { startedAt: Date.now(), initialText, text: initialText, events: [] }
+}
+
+// Characters of `text` as the server counts them: an emoji is one, not two
+function charCount(text) {
+  return Array.from(text).length
+}
+
+/**
+ * The single edit that turns `before` into `after`: the characters between their common
+ * start and end were replaced
+ */
+export function diffText(before, after) {
+  const shortest = Math.min(before.length, after.length)
+  let start = 0
+  while (start < shortest && before[start] === after[start]) start++
+  let end = 0
+  while (end < shortest - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++
+  return { at: start, removed: before.length - start - end, inserted: after.slice(start, after.length - end) }
+}
+
+// Kind of an edit by the `inputType` of its input event and the one before it: undo, redo,
+// spelling corrections and changes made by the app itself are 'other'. Text dragged within
+// the editor is first removed, then dropped: the drop is a 'move', not a paste.
+function editKind(inputType, inserted, previousInputType) {
+  if (inputType === 'insertFromDrop' && previousInputType === 'deleteByDrag') return 'move'
+  if (inputType === 'insertFromPaste' || inputType === 'insertFromPasteAsQuotation' || inputType === 'insertFromDrop') {
+    return 'paste'
+  }
+  if (inputType?.startsWith('delete')) return 'delete'
+  if (inputType?.startsWith('insert') && inputType !== 'insertReplacementText') return 'type'
+  return inserted ? 'other' : 'delete'
+}
+
+// Statistics of a session with no edits yet, and what counting the next edit needs: the sum
+// and sum of squares of the keystroke gaps give their variation without keeping them
+function startTally(initialText) {
+  return {
+    stats: {
+      duration_ms: 0,
+      initial_chars: charCount(initialText),
+      typed_chars: 0,
+      pasted_chars: 0,
+      deleted_chars: 0,
+      paste_count: 0,
+      largest_paste: 0,
+      bursts: 0,
+      revisions: 0,
+    },
+    firstEdit: null,
+    lastKind: null,
+    lastDeletion: null,
+    lastKeystroke: null,
+    gaps: 0,
+    gapSum: 0,
+    gapSquares: 0,
+  }
+}
+
+// Count one edit into the tally; `removedText` is the text it replaced
+function tallyEdit(tally, event, removedText) {
+  const { stats } = tally
+  tally.firstEdit ??= event.t
+  stats.duration_ms = event.t - tally.firstEdit
+  // Moved text is back in the editor, so the drag that removed it deleted nothing
+  if (event.kind === 'move' && tally.lastDeletion) {
+    stats.deleted_chars -= tally.lastDeletion.chars
+    if (tally.lastDeletion.revision) stats.revisions--
+  }
+  const deleted = charCount(removedText)
+  stats.deleted_chars += deleted
+  // A run of deletions is one revision
+  const revision = event.removed > 0 && !(tally.lastKind === 'delete' && event.kind === 'delete')
+  if (revision) stats.revisions++
+  tally.lastKind = event.kind
+  tally.lastDeletion = { chars: deleted, revision }
+
+  const inserted = charCount(event.inserted)
+  // A paste over text that starts or ends the same way may insert nothing new
+  if (event.kind === 'paste' && inserted > 0) {
+    stats.pasted_chars += inserted
+    stats.paste_count++
+    stats.largest_paste = Math.max(stats.largest_paste, inserted)
+  } else if (event.kind === 'type') {
+    stats.typed_chars += inserted
+    if (tally.lastKeystroke === null || event.t - tally.lastKeystroke >= BURST_PAUSE_MS) {
+      stats.bursts++
+    } else {
+      const gap = event.t - tally.lastKeystroke
+      tally.gaps++
+      tally.gapSum += gap
+      tally.gapSquares += gap * gap
+    }
+    tally.lastKeystroke = event.t
+  }
+}
+
+/**
+ * Continue recording `session`: its edits are counted once, and every edit recorded after
+ * that is appended to `session.events` in place and counted on its own, so a keystroke costs
+ * the same however long the recording is
+ * @returns {{ session: object, tally: object, lastInputType: string | null }}
+ */
+export function resumeRecording(session) {
+  const tally = startTally(session.initialText)
+  let text = session.initialText
+  for (const event of session.events) {
+    const end = event.at + event.removed
+    tallyEdit(tally, event, text.slice(event.at, end))
+    text = text.slice(0, event.at) + event.inserted + text.slice(end)
+  }
+  return { session, tally, lastInputType: null }
+}
+
+/**
+ * Add the edit that changed the recorded text to `text`
+ * @param {string} [inputType] - `inputType` of the input event; leave out for changes the app made
+ * @returns {boolean} whether the text changed
+ */
+export function recordEdit(recording, text, inputType) {
+  const { session } = recording
+  if (text === session.text) return false
+  const edit = diffText(session.text, text)
+  const kind = editKind(inputType, edit.inserted, recording.lastInputType)
+  const event = { t: Date.now() - session.startedAt, ...edit, kind }
+  tallyEdit(recording.tally, event, session.text.slice(edit.at, edit.at + edit.removed))
+  session.events.push(event)
+  session.text = text
+  recording.lastInputType = inputType ?? null
+  return true
+}
+
+/**
+ * Statistics of a recording so far in the shape `/api/analyze` expects as `process`
+ */
+export function recordingStats(recording) {
+  const { stats, gaps, gapSum, gapSquares } = recording.tally
+  let intervalVariation = null
+  if (gaps >= MIN_INTERVALS) {
+    const mean = gapSum / gaps
+    const variance = Math.max(gapSquares / gaps - mean ** 2, 0)
+    intervalVariation = mean > 0 ? Math.sqrt(variance) / mean : 0
+  }
+  return { ...stats, interval_variation: intervalVariation }
+}
+
+/**
+ * A copy of the recorded session that later edits leave alone, to send or keep
+ */
+export function snapshotSession(recording) {
+  const { session } = recording
+  return { ...session, events: session.events.slice() }
+}
+
+function ratio(part, whole) {
+  return whole === 0 ? 0 : part / whole
+}
+
+/**
+ * Weigh the writing process against the score the text got on its own, as the server does
+ * @returns {{ stats: object, pasted_share: number, mechanical_typing: boolean, long_bursts: boolean, score: number, weight: number, text_ai_percentage: number }}
+ */
+export function assessProcess(stats, text, textAiPercentage) {
+  const written = stats.typed_chars + stats.pasted_chars
+  const pastedShare = ratio(stats.pasted_chars, written)
+  const typedShare = written === 0 ? 0 : 1 - pastedShare
+
+  const mechanicalTyping = stats.typed_chars >= MIN_TYPED_FOR_RHYTHM
+    && stats.interval_variation != null && stats.interval_variation < MECHANICAL_VARIATION
+  const longBursts = !mechanicalTyping
+    && stats.typed_chars >= TRANSCRIPTION_BURST_CHARS
+    && Math.floor(stats.typed_chars / Math.max(stats.bursts, 1)) >= TRANSCRIPTION_BURST_CHARS
+
+  // Pasted text and scripted typing count in full, transcription-like typing by half
+  const typedElsewhere = mechanicalTyping ? 1 : longBursts ? 0.5 : 0
+  const elsewhereShare = pastedShare + typedShare * typedElsewhere
+  const revisionCredit = Math.min(ratio(stats.deleted_chars, written) * 100, MAX_REVISION_CREDIT)
+  const score = Math.min(Math.max(elsewhereShare * 100 - revisionCredit, 0), 100)
+
+  // Only the text the recording saw typed or pasted speaks for the process: not what was
+  // already there when it started, nor what undo and other changes it can't attribute put in
+  const textChars = charCount(text)
+  const accounted = Math.min(Math.max(stats.initial_chars + written - stats.deleted_chars, 0), textChars)
+  const coverage = written === 0 ? 0 : ratio(Math.max(accounted - stats.initial_chars, 0), textChars)
+
+  return {
+    stats,
+    pasted_share: pastedShare,
+    mechanical_typing: mechanicalTyping,
+    long_bursts: longBursts,
+    score,
+    weight: PROCESS_WEIGHT * coverage,
+    text_ai_percentage: textAiPercentage,
+  }
+}
+
+/**
+ * The text's score moved toward the process score by the process weight
+ */
+export function processAiPercentage(signal) {
+  return signal.text_ai_percentage * (1 - signal.weight) + signal.score * signal.weight
+}
+
+// Origin codes used while replaying: one code unit per character of the text
+const ORIGIN_CODES = { type: 't', paste: 'p', other: 'o' }
+const ORIGINS = { i: 'initial', t: 'type', p: 'paste', o: 'other' }
+
+/**
+ * The text after the first `count` edits, as runs of characters by where they came from:
+ * 'initial' (there when the recording started), 'type', 'paste' or 'other'; moved text keeps
+ * where it came from
+ * @returns {{ text: string, runs: { origin: string, text: string }[] }}
+ */
+export function replay(session, count = session.events.length) {
+  let text = session.initialText
+  let origins = 'i'.repeat(text.length)
+  let removedOrigins = ''
+
+  for (const event of session.events.slice(0, count)) {
+    const end = event.at + event.removed
+    const inserted = event.kind === 'move' && removedOrigins.length === event.inserted.length
+      ? removedOrigins
+      : (ORIGIN_CODES[event.kind] ?? 'o').repeat(event.inserted.length)
+    removedOrigins = origins.slice(event.at, end)
+    text = text.slice(0, event.at) + event.inserted + text.slice(end)
+    origins = origins.slice(0, event.at) + inserted + origins.slice(end)
+  }
+
+  const runs = []
+  for (let start = 0; start < text.length;) {
+    let end = start + 1
+    while (end < text.length && origins[end] === origins[start]) end++
+    runs.push({ origin: ORIGINS[origins[start]], text: text.slice(start, end) })
+    start = end
+  }
+  return { text, runs }
+}
@@ -0,0 +1,107 @@
+// Arabic interface strings (see ./en.js); the layout switches to right-to-left
+
+export default {
+  'app.tagline': 'أداة لكشف النصوص المولّدة بالذكاء الاصطناعي',
+  'app.footer': 'كاشف نصوص الذكاء الاصطناعي',
+  'nav.pages': 'الصفحات',
+  'page.playground': 'الواجهة البرمجية',
+  'page.admin': 'المفاتيح',
+  'page.settings': 'الإعدادات',
+  'page.evaluation': 'التقييم',
+  'history.toggle': 'إظهار سجل التحليلات أو إخفاؤه',
+  'history.button': 'السجل',
+  'locale.label': 'لغة الواجهة',
+
+  'mode.label': 'نمط التحليل',
+  'mode.single': 'نص واحد',
+  'mode.batch': 'دفعة',
+
+  'detector.label': 'الكاشف',
+  'detector.serverDefault': 'الافتراضي في الخادم',
+  'detector.serverDefaultNamed': 'الافتراضي في الخادم ({label})',
+  'detector.notConfigured': '{label} (غير مُعدّ)',
+  'detector.local': 'التحليل التقديري المحلي (دون اتصال، في متصفحك)',
+  'profile.label': 'الملف',
+  'profile.edit': 'تعديل',
+
+  'input.extracting': 'جارٍ استخراج النص…',
+  'input.label': 'أدخل النص المراد تحليله',
+  'input.placeholder': 'الصق النص المراد تحليله أو اكتبه هنا...',
+  'input.count': '{words} كلمة · {chars} حرف',
+  'compose.label': 'اكتب هنا وسجّل كيفية كتابة النص',
+  'compose.hint': 'جارٍ التسجيل: تُحفظ الكتابة واللصق والحذف في هذا المتصفح وتُرسل مع النص، وتُحتسب في الحكم.',
+  'compose.status': 'جارٍ التسجيل · {typed} حرف مكتوب · {pasted} ملصق ({pastes} مرات) · {revisions} تعديلات',
+
+  'segmentation.label': 'التمييز حسب',
+  'segmentation.ariaLabel': 'تمييز الدرجات حسب',
+  'segmentation.sentence': 'الجمل',
+  'segmentation.paragraph': 'الفقرات',
+  'segmentation.off': 'إيقاف',
+
+  'action.cancel': 'إلغاء',
+  'action.cancelTitle': 'إلغاء التحليل (Esc)',
+  'action.cancelLabel': 'إلغاء التحليل',
+  'action.clear': 'مسح',
+  'action.clearTitle': 'مسح النص',
+  'action.clearLabel': 'مسح النص بالكامل',
+  'action.analyze': 'تحليل',
+  'action.analyzeTitle': 'تحليل النص (Ctrl+Enter)',
+  'action.analyzeLabel': 'تحليل النص',
+  'action.analyzing': 'جارٍ التحليل...',
+  'action.analyzingLabel': 'جارٍ تحليل النص',
+  'action.upload': 'رفع ملف',
+  'action.uploadTitle': 'رفع ملف',
+  'action.uploadLabel': 'رفع ملف نصي',
+  'action.fileInput': 'اختيار ملف',
+
+  'progress.analyzing': 'جارٍ التحليل…',
+  'progress.callingModel': 'جارٍ استدعاء النموذج…',
+  'progress.callingModelAttempt': 'جارٍ استدعاء النموذج (المحاولة {attempt})…',
+  'progress.modelLoading': 'النموذج قيد التحميل، إعادة المحاولة خلال {seconds} ث…',
+  'progress.fallingBack': 'الكاشف غير متاح، يجري الاعتماد على التحليل التقديري…',
+  'progress.scoringChunks': 'تقييم مستند طويل باستخدام {detector} (القسم {done} من {total})…',
+  'progress.scoringSegments': 'تقييم المقاطع ({done} من {total})…',
+
+  'error.cancelled': 'أُلغي التحليل.',
+  'error.analysis': 'حدث خطأ أثناء التحليل',
+  'error.file': 'تعذّرت قراءة الملف. حاول مرة أخرى.',
+  'fallback.timeout': 'لم يُحرز الخادم أي تقدم خلال {seconds} ثانية',
+
+  'results.heading': 'نتائج التحليل',
+  'results.region': 'نتائج التحليل',
+  'results.localTitle': 'درجة تقديرية محلية.',
+  'results.localBody': 'حُسبت هذه الدرجة في متصفحك بالاعتماد على المؤشرات التقديرية وحدها، دون أي نموذج ذكاء اصطناعي، وهي أقل دقة من درجة النموذج.',
+  'results.localBodyFallback': 'تعذّر استخدام الخادم ({reason})، لذا حُسبت هذه الدرجة في متصفحك بالاعتماد على المؤشرات التقديرية وحدها، دون أي نموذج ذكاء اصطناعي، وهي أقل دقة من درجة النموذج.',
+  'results.cachedTitle': 'نتيجة مُعاد استخدامها.',
+  'results.cachedBody': 'سبق تحليل هذا النص بالإعدادات نفسها في {time}، لذا تُعرض تلك النتيجة بدلًا من تشغيل النموذج مرة أخرى.',
+  'results.similarTitle': 'مشابه لنص سابق.',
+  'results.similarBody': 'يتطابق نحو {similarity}% من هذا النص مع نص حلّلته في {time}، وحصل على {ai}% ذكاء اصطناعي ({verdict}).',
+  'results.similarLink': 'عرض تلك النتيجة',
+  'results.human': 'بشري',
+  'results.ai': 'ذكاء اصطناعي',
+  'results.humanPercent': '{value} بالمئة بشري',
+  'results.aiPercent': '{value} بالمئة ذكاء اصطناعي',
+  'results.verdict': 'الحكم: {verdict}',
+
+  'verdict.ai': 'مولَّد بالذكاء الاصطناعي',
+  'verdict.human': 'مكتوب بيد إنسان',
+  'verdict.uncertain': 'غير مؤكد',
+
+  'language.detected': 'لغة النص: {language}',
+  'language.unsupported': 'لا توجد قواعد للغة {language} بعد، لذا استُخدمت قواعد عامة والدرجة أقل موثوقية.',
+  'language.undetermined': 'تعذّر تحديد لغة النص، لذا استُخدمت قواعد عامة.',
+
+  'widget.check': 'الفحص باستخدام brbrbr',
+  'widget.close': 'إغلاق',
+  'widget.fallback': 'قُيّمت بالمؤشرات التقديرية وحدها: {reason}',
+  'stored.back': 'العودة إلى المحلّل',
+  'stored.loading': 'جارٍ تحميل النتيجة…',
+  'stored.error': 'تعذّر تحميل هذه النتيجة.',
+  'stored.heading': 'تحليل سابق',
+  'stored.analyzedAt': 'حُلّل في {time}',
+  'stored.sharedHeading': 'تحليل مُشارَك',
+  'stored.sharedAt': 'شُورك في {time}؛ يعمل الرابط حتى {expires}',
+  'stored.scoresOnly': 'شُوركت الدرجات فقط، دون النص.',
+  'stored.excerptsOnly': 'شُوركت فقط مقاطع النص الأكثر شبهًا بكتابة الذكاء الاصطناعي.',
+  'stored.text': 'النص المُحلَّل',
+}
@@ -0,0 +1,108 @@
+// English interface strings; the reference for every other locale.
+// Keys missing from a translation fall back to these. `{name}` marks a value filled in at runtime.
+
+export default {
+  'app.tagline': 'AI Text Detection Tool',
+  'app.footer': 'AI Text Detector',
+  'nav.pages': 'Pages',
+  'page.playground': 'API',
+  'page.admin': 'Keys',
+  'page.settings': 'Settings',
+  'page.evaluation': 'Evaluation',
+  'history.toggle': 'Toggle analysis history',
+  'history.button': 'History',
+  'locale.label': 'Interface language',
+
+  'mode.label': 'Analysis mode',
+  'mode.single': 'Single text',
+  'mode.batch': 'Batch',
+
+  'detector.label': 'Detector',
+  'detector.serverDefault': 'Server default',
+  'detector.serverDefaultNamed': 'Server default ({label})',
+  'detector.notConfigured': '{label} (not configured)',
+  'detector.local': 'Local heuristic (offline, in your browser)',
+  'profile.label': 'Profile',
+  'profile.edit': 'Edit',
+
+  'input.extracting': 'Extracting text…',
+  'input.label': 'Enter text to analyze for AI detection',
+  'input.placeholder': 'Paste or type text here to analyze...',
+  'input.count': '{words} words · {chars} chars',
+  'compose.label': 'Compose here and record how the text is written',
+  'compose.hint': 'Recording: typing, pastes and deletions are kept in this browser and sent with the text, where they count toward the verdict.',
+  'compose.status': 'Recording · {typed} characters typed · {pasted} pasted ({pastes} pastes) · {revisions} revisions',
+
+  'segmentation.label': 'Highlight by',
+  'segmentation.ariaLabel': 'Highlight scores by',
+  'segmentation.sentence': 'Sentences',
+  'segmentation.paragraph': 'Paragraphs',
+  'segmentation.off': 'Off',
+
+  'action.cancel': 'Cancel',
+  'action.cancelTitle': 'Cancel analysis (Esc)',
+  'action.cancelLabel': 'Cancel analysis',
+  'action.clear': 'Clear',
+  'action.clearTitle': 'Clear text',
+  'action.clearLabel': 'Clear all text',
+  'action.analyze': 'Analyze',
+  'action.analyzeTitle': 'Analyze text (Ctrl+Enter)',
+  'action.analyzeLabel': 'Analyze text',
+  'action.analyzing': 'Analyzing...',
+  'action.analyzingLabel': 'Analyzing text',
+  'action.upload': 'Upload',
+  'action.uploadTitle': 'Upload file',
+  'action.uploadLabel': 'Upload text file',
+  'action.fileInput': 'File upload input',
+
+  'progress.analyzing': 'Analyzing…',
+  'progress.callingModel': 'Calling model…',
+  'progress.callingModelAttempt': 'Calling model (attempt {attempt})…',
+  'progress.modelLoading': 'Model is loading, retrying in {seconds}s…',
+  'progress.fallingBack': 'Detector unavailable, falling back to heuristics…',
+  'progress.scoringChunks': 'Scoring long document with {detector} (section {done} of {total})…',
+  'progress.scoringSegments': 'Scoring passages ({done} of {total})…',
+
+  'error.cancelled': 'Analysis cancelled.',
+  'error.analysis': 'An error occurred during analysis',
+  'error.file': 'Error reading file. Please try again.',
+  'fallback.timeout': 'the server made no progress for {seconds} seconds',
+
+  'results.heading': 'Analysis Results',
+  'results.region': 'Analysis results',
+  'results.localTitle': 'Local heuristic score.',
+  'results.localBody': 'This score was computed in your browser with the heuristic signals only, without any AI model. It is less accurate than a model score.',
+  'results.localBodyFallback': 'The server could not be used ({reason}), so this score was computed in your browser with the heuristic signals only, without any AI model. It is less accurate than a model score.',
+  'results.cachedTitle': 'Reused result.',
+  'results.cachedBody': 'This text was already analyzed with the same settings on {time}, so that result is shown instead of running the model again.',
+  'results.similarTitle': 'Similar to an earlier text.',
+  'results.similarBody': 'About {similarity}% of this text matches one you analyzed on {time}, which scored {ai}% AI ({verdict}).',
+  'results.similarLink': 'View that result',
+  'results.human': 'Human',
+  'results.ai': 'AI',
+  'results.humanPercent': '{value} percent human',
+  'results.aiPercent': '{value} percent AI',
+  'results.verdict': 'Verdict: {verdict}',
+
+  'verdict.ai': 'AI Generated',
+  'verdict.human': 'Human Written',
+  'verdict.uncertain': 'Uncertain',
+
+  'language.detected': 'Text language: {language}',
+  'language.unsupported': 'There are no rules for {language} yet, so the heuristics used generic ones and the score is less reliable.',
+  'language.undetermined': 'The language of the text could not be determined, so the heuristics used generic rules.',
+
+  'widget.check': 'Check with brbrbr',
+  'widget.close': 'Close',
+  'widget.fallback': 'Scored with heuristics only: {reason}',
+  'stored.back': 'Back to the analyzer',
+  'stored.loading': 'Loading result…',
+  'stored.error': 'Could not load this result.',
+  'stored.heading': 'Earlier Analysis',
+  'stored.analyzedAt': 'Analyzed on {time}',
+  'stored.sharedHeading': 'Shared Analysis',
+  'stored.sharedAt': 'Shared on {time}; the link works until {expires}',
+  'stored.scoresOnly': 'Only the scores were shared, not the text.',
+  'stored.excerptsOnly': 'Only the most AI-like passages of the text were shared.',
+  'stored.text': 'Analyzed text',
+}
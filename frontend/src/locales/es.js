@@ -0,0 +1,107 @@
+// Spanish interface strings (see ./en.js)
+
+export default {
+  'app.tagline': 'Herramienta de detección de texto generado por IA',
+  'app.footer': 'Detector de texto generado por IA',
+  'nav.pages': 'Páginas',
+  'page.playground': 'API',
+  'page.admin': 'Claves',
+  'page.settings': 'Ajustes',
+  'page.evaluation': 'Evaluación',
+  'history.toggle': 'Mostrar u ocultar el historial de análisis',
+  'history.button': 'Historial',
+  'locale.label': 'Idioma de la interfaz',
+
+  'mode.label': 'Modo de análisis',
+  'mode.single': 'Un texto',
+  'mode.batch': 'Lote',
+
+  'detector.label': 'Detector',
+  'detector.serverDefault': 'Predeterminado del servidor',
+  'detector.serverDefaultNamed': 'Predeterminado del servidor ({label})',
+  'detector.notConfigured': '{label} (sin configurar)',
+  'detector.local': 'Heurística local (sin conexión, en tu navegador)',
+  'profile.label': 'Perfil',
+  'profile.edit': 'Editar',
+
+  'input.extracting': 'Extrayendo texto…',
+  'input.label': 'Introduce el texto que quieres analizar',
+  'input.placeholder': 'Pega o escribe aquí el texto que quieres analizar...',
+  'input.count': '{words} palabras · {chars} caracteres',
+  'compose.label': 'Escribir aquí y registrar cómo se escribe el texto',
+  'compose.hint': 'Grabando: lo que se teclea, pega y borra se guarda en este navegador y se envía con el texto, donde cuenta para el veredicto.',
+  'compose.status': 'Grabando · {typed} caracteres tecleados · {pasted} pegados ({pastes} veces) · {revisions} revisiones',
+
+  'segmentation.label': 'Resaltar por',
+  'segmentation.ariaLabel': 'Resaltar puntuaciones por',
+  'segmentation.sentence': 'Frases',
+  'segmentation.paragraph': 'Párrafos',
+  'segmentation.off': 'No',
+
+  'action.cancel': 'Cancelar',
+  'action.cancelTitle': 'Cancelar el análisis (Esc)',
+  'action.cancelLabel': 'Cancelar el análisis',
+  'action.clear': 'Borrar',
+  'action.clearTitle': 'Borrar el texto',
+  'action.clearLabel': 'Borrar todo el texto',
+  'action.analyze': 'Analizar',
+  'action.analyzeTitle': 'Analizar el texto (Ctrl+Intro)',
+  'action.analyzeLabel': 'Analizar el texto',
+  'action.analyzing': 'Analizando...',
+  'action.analyzingLabel': 'Analizando el texto',
+  'action.upload': 'Subir',
+  'action.uploadTitle': 'Subir un archivo',
+  'action.uploadLabel': 'Subir un archivo de texto',
+  'action.fileInput': 'Selector de archivo',
+
+  'progress.analyzing': 'Analizando…',
+  'progress.callingModel': 'Consultando el modelo…',
+  'progress.callingModelAttempt': 'Consultando el modelo (intento {attempt})…',
+  'progress.modelLoading': 'El modelo se está cargando, nuevo intento en {seconds} s…',
+  'progress.fallingBack': 'Detector no disponible, se usan las heurísticas…',
+  'progress.scoringChunks': 'Puntuando el documento largo con {detector} (sección {done} de {total})…',
+  'progress.scoringSegments': 'Puntuando fragmentos ({done} de {total})…',
+
+  'error.cancelled': 'Análisis cancelado.',
+  'error.analysis': 'Se produjo un error durante el análisis',
+  'error.file': 'No se pudo leer el archivo. Inténtalo de nuevo.',
+  'fallback.timeout': 'el servidor no avanzó durante {seconds} segundos',
+
+  'results.heading': 'Resultados del análisis',
+  'results.region': 'Resultados del análisis',
+  'results.localTitle': 'Puntuación heurística local.',
+  'results.localBody': 'Esta puntuación se calculó en tu navegador solo con las señales heurísticas, sin ningún modelo de IA. Es menos precisa que la de un modelo.',
+  'results.localBodyFallback': 'No se pudo usar el servidor ({reason}), así que esta puntuación se calculó en tu navegador solo con las señales heurísticas, sin ningún modelo de IA. Es menos precisa que la de un modelo.',
+  'results.cachedTitle': 'Resultado reutilizado.',
+  'results.cachedBody': 'Este texto ya se analizó con la misma configuración el {time}, así que se muestra ese resultado en lugar de volver a ejecutar el modelo.',
+  'results.similarTitle': 'Similar a un texto anterior.',
+  'results.similarBody': 'Alrededor del {similarity}% de este texto coincide con uno que analizaste el {time}, que obtuvo un {ai}% de IA ({verdict}).',
+  'results.similarLink': 'Ver ese resultado',
+  'results.human': 'Humano',
+  'results.ai': 'IA',
+  'results.humanPercent': '{value} por ciento humano',
+  'results.aiPercent': '{value} por ciento IA',
+  'results.verdict': 'Veredicto: {verdict}',
+
+  'verdict.ai': 'Generado por IA',
+  'verdict.human': 'Escrito por una persona',
+  'verdict.uncertain': 'Dudoso',
+
+  'language.detected': 'Idioma del texto: {language}',
+  'language.unsupported': 'Todavía no hay reglas para el idioma {language}, así que las heurísticas usaron reglas genéricas y la puntuación es menos fiable.',
+  'language.undetermined': 'No se pudo determinar el idioma del texto, así que las heurísticas usaron reglas genéricas.',
+
+  'widget.check': 'Comprobar con brbrbr',
+  'widget.close': 'Cerrar',
+  'widget.fallback': 'Puntuado solo con heurísticas: {reason}',
+  'stored.back': 'Volver al analizador',
+  'stored.loading': 'Cargando resultado…',
+  'stored.error': 'No se pudo cargar este resultado.',
+  'stored.heading': 'Análisis anterior',
+  'stored.analyzedAt': 'Analizado el {time}',
+  'stored.sharedHeading': 'Análisis compartido',
+  'stored.sharedAt': 'Compartido el {time}; el enlace funciona hasta el {expires}',
+  'stored.scoresOnly': 'Solo se compartieron las puntuaciones, no el texto.',
+  'stored.excerptsOnly': 'Solo se compartieron los pasajes del texto que más parecen escritos por IA.',
+  'stored.text': 'Texto analizado',
+}
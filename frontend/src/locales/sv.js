@@ -0,0 +1,107 @@
+// Swedish interface strings (see ./en.js)
+
+export default {
+  'app.tagline': 'Verktyg för att upptäcka AI-genererad text',
+  'app.footer': 'AI-textdetektor',
+  'nav.pages': 'Sidor',
+  'page.playground': 'API',
+  'page.admin': 'Nycklar',
+  'page.settings': 'Inställningar',
+  'page.evaluation': 'Utvärdering',
+  'history.toggle': 'Visa eller dölj analyshistoriken',
+  'history.button': 'Historik',
+  'locale.label': 'Gränssnittets språk',
+
+  'mode.label': 'Analysläge',
+  'mode.single': 'En text',
+  'mode.batch': 'Flera texter',
+
+  'detector.label': 'Detektor',
+  'detector.serverDefault': 'Serverns standard',
+  'detector.serverDefaultNamed': 'Serverns standard ({label})',
+  'detector.notConfigured': '{label} (inte konfigurerad)',
+  'detector.local': 'Lokal heuristik (offline, i din webbläsare)',
+  'profile.label': 'Profil',
+  'profile.edit': 'Redigera',
+
+  'input.extracting': 'Hämtar text…',
+  'input.label': 'Skriv in texten som ska analyseras',
+  'input.placeholder': 'Klistra in eller skriv texten som ska analyseras här...',
+  'input.count': '{words} ord · {chars} tecken',
+  'compose.label': 'Skriv här och spela in hur texten skrivs',
+  'compose.hint': 'Inspelning pågår: det du skriver, klistrar in och raderar sparas i den här webbläsaren och skickas med texten, där det räknas in i bedömningen.',
+  'compose.status': 'Spelar in · {typed} tecken skrivna · {pasted} inklistrade ({pastes} gånger) · {revisions} ändringar',
+
+  'segmentation.label': 'Markera per',
+  'segmentation.ariaLabel': 'Markera poäng per',
+  'segmentation.sentence': 'Mening',
+  'segmentation.paragraph': 'Stycke',
+  'segmentation.off': 'Av',
+
+  'action.cancel': 'Avbryt',
+  'action.cancelTitle': 'Avbryt analysen (Esc)',
+  'action.cancelLabel': 'Avbryt analysen',
+  'action.clear': 'Rensa',
+  'action.clearTitle': 'Rensa texten',
+  'action.clearLabel': 'Rensa all text',
+  'action.analyze': 'Analysera',
+  'action.analyzeTitle': 'Analysera texten (Ctrl+Enter)',
+  'action.analyzeLabel': 'Analysera texten',
+  'action.analyzing': 'Analyserar...',
+  'action.analyzingLabel': 'Analyserar texten',
+  'action.upload': 'Ladda upp',
+  'action.uploadTitle': 'Ladda upp en fil',
+  'action.uploadLabel': 'Ladda upp en textfil',
+  'action.fileInput': 'Filväljare',
+
+  'progress.analyzing': 'Analyserar…',
+  'progress.callingModel': 'Anropar modellen…',
+  'progress.callingModelAttempt': 'Anropar modellen (försök {attempt})…',
+  'progress.modelLoading': 'Modellen laddas, försöker igen om {seconds} s…',
+  'progress.fallingBack': 'Detektorn är inte tillgänglig, använder heuristik i stället…',
+  'progress.scoringChunks': 'Bedömer långt dokument med {detector} (avsnitt {done} av {total})…',
+  'progress.scoringSegments': 'Bedömer textavsnitt ({done} av {total})…',
+
+  'error.cancelled': 'Analysen avbröts.',
+  'error.analysis': 'Ett fel uppstod under analysen',
+  'error.file': 'Filen kunde inte läsas. Försök igen.',
+  'fallback.timeout': 'servern kom inte framåt på {seconds} sekunder',
+
+  'results.heading': 'Analysresultat',
+  'results.region': 'Analysresultat',
+  'results.localTitle': 'Lokal heuristisk poäng.',
+  'results.localBody': 'Poängen beräknades i din webbläsare enbart med de heuristiska signalerna, utan någon AI-modell. Den är mindre träffsäker än en modells poäng.',
+  'results.localBodyFallback': 'Servern kunde inte användas ({reason}), så poängen beräknades i din webbläsare enbart med de heuristiska signalerna, utan någon AI-modell. Den är mindre träffsäker än en modells poäng.',
+  'results.cachedTitle': 'Återanvänt resultat.',
+  'results.cachedBody': 'Den här texten analyserades redan med samma inställningar {time}, så det resultatet visas i stället för att köra modellen igen.',
+  'results.similarTitle': 'Liknar en tidigare text.',
+  'results.similarBody': 'Omkring {similarity}% av den här texten stämmer med en som du analyserade {time} och som fick {ai}% AI ({verdict}).',
+  'results.similarLink': 'Visa det resultatet',
+  'results.human': 'Människa',
+  'results.ai': 'AI',
+  'results.humanPercent': '{value} procent människa',
+  'results.aiPercent': '{value} procent AI',
+  'results.verdict': 'Bedömning: {verdict}',
+
+  'verdict.ai': 'AI-genererad',
+  'verdict.human': 'Skriven av människa',
+  'verdict.uncertain': 'Osäker',
+
+  'language.detected': 'Textens språk: {language}',
+  'language.unsupported': 'Det finns ännu inga regler för {language}, så heuristiken använde allmänna regler och poängen är mindre tillförlitlig.',
+  'language.undetermined': 'Textens språk kunde inte avgöras, så heuristiken använde allmänna regler.',
+
+  'widget.check': 'Kontrollera med brbrbr',
+  'widget.close': 'Stäng',
+  'widget.fallback': 'Bedömd enbart med heuristik: {reason}',
+  'stored.back': 'Tillbaka till analysen',
+  'stored.loading': 'Läser in resultat…',
+  'stored.error': 'Det gick inte att läsa in resultatet.',
+  'stored.heading': 'Tidigare analys',
+  'stored.analyzedAt': 'Analyserad {time}',
+  'stored.sharedHeading': 'Delad analys',
+  'stored.sharedAt': 'Delad {time}; länken fungerar till {expires}',
+  'stored.scoresOnly': 'Bara poängen delades, inte texten.',
+  'stored.excerptsOnly': 'Bara de mest AI-liknande avsnitten av texten delades.',
+  'stored.text': 'Analyserad text',
+}
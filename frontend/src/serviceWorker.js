@@ -0,0 +1,45 @@
+// Service worker template: caches the built app so it loads and works offline
+//
+// Not bundled with the app. The build (see vite.config.js) replaces the two
+// placeholders with the list of built files and a version derived from it, and
+// writes the result to sw.js. API requests always go to the network.
+
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST
+const CACHE_NAME = `brbrbr-${self.__PRECACHE_VERSION}`
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+// Drop the caches of previous builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => name.startsWith('brbrbr-') && name !== CACHE_NAME)
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+  if (url.pathname.startsWith('/api/') || url.pathname === '/health') return
+
+  // Pages: network first so new deployments show up, the cached app shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match('/')))
+    return
+  }
+
+  // Built assets have content hashes in their names, so cached copies never go stale
+  event.respondWith(caches.match(request).then((cached) => cached ?? fetch(request)))
+})
@@ -0,0 +1,109 @@
+// Embeddable widget, built into static/widget.js by `npm run build`
+//
+// A page that includes
+//   <script src="https://brbrbr.example.edu/widget.js" data-api-key="brb_..." defer></script>
+// gets a "Check with brbrbr" button next to any text the reader selects, and the result in a
+// popover. The server's CORS_ALLOWED_ORIGINS must list the page's origin.
+//
+// Options come from data attributes on the script tag: data-server (default: where the script
+// was loaded from), data-api-key, data-detector, data-profile and data-locale (default: the
+// page's language). `window.brbrbrWidget.check(text)` checks text without a selection.
+
+import { createClient } from 'brbrbr-client'
+import { createPopover, selectedText, selectionAnchor } from 'brbrbr-client/popover'
+import { findLocale, translate } from './lib/messages'
+
+const MIN_SELECTION_LENGTH = 20
+
+const script = document.currentScript
+const options = script?.dataset ?? {}
+const client = createClient({
+  baseUrl: options.server || (script?.src ? new URL(script.src).origin : ''),
+  apiKey: options.apiKey,
+})
+
+const requested = (options.locale || document.documentElement.lang || navigator.language || 'en').split('-')[0].toLowerCase()
+const locale = findLocale(requested) ?? findLocale('en')
+const t = (key) => translate(locale.code, key)
+
+const popover = createPopover({
+  dir: locale.dir,
+  labels: {
+    close: t('widget.close'),
+    analyzing: t('action.analyzing'),
+    human: t('results.human'),
+    ai: t('results.ai'),
+    verdict: t('results.verdict'),
+    fallback: t('widget.fallback'),
+    verdicts: {
+      'AI Generated': t('verdict.ai'),
+      'Human Written': t('verdict.human'),
+      Uncertain: t('verdict.uncertain'),
+    },
+  },
+})
+
+// Floating button next to the selection, in its own shadow root like the popover
+const buttonHost = document.createElement('div')
+const button = document.createElement('button')
+button.type = 'button'
+button.textContent = t('widget.check')
+button.setAttribute('style', [
+  'position: fixed',
+  'z-index: 2147483646',
+  'padding: 6px 12px',
+  'border: 0',
+  'border-radius: 8px',
+  'background: #111827',
+  'color: #fff',
+  'font: 600 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2)',
+  'cursor: pointer',
+].join(';'))
+buttonHost.attachShadow({ mode: 'open' }).append(button)
+
+function hideButton() {
+  buttonHost.remove()
+}
+
+// Show the button under the selection once it is long enough to be worth checking
+function updateButton() {
+  const anchor = selectionAnchor()
+  if (!anchor || selectedText().trim().length < MIN_SELECTION_LENGTH) {
+    hideButton()
+    return
+  }
+  button.style.left = `${Math.max(anchor.left, 8)}px`
+  button.style.top = `${Math.min(anchor.bottom + 8, window.innerHeight - 40)}px`
+  if (!buttonHost.isConnected) document.body.append(buttonHost)
+}
+
+/**
+ * Analyze text (by default the current selection) and show the result in the popover
+ */
+export async function check(text = selectedText()) {
+  const anchor = selectionAnchor() ?? { left: 16, top: 16, bottom: 16 }
+  hideButton()
+  if (!text.trim()) return
+
+  popover.showLoading(anchor)
+  try {
+    const results = await client.analyze(text, { detector: options.detector, profile: options.profile })
+    popover.showResults(anchor, results)
+  } catch (err) {
+    popover.showError(anchor, err.message || t('error.analysis'))
+  }
+}
+
+// Keep the selection while the button is pressed
+button.addEventListener('mousedown', (event) => event.preventDefault())
+button.addEventListener('click', () => check())
+document.addEventListener('mouseup', (event) => {
+  // Clicks on the button or in the popover (seen here as their shadow hosts) keep things as they are
+  if (event.target === buttonHost || event.target.closest?.('[data-brbrbr-popover]')) return
+  setTimeout(updateButton)
+})
+document.addEventListener('keyup', (event) => {
+  if (event.key === 'Escape') hideButton()
+  else updateButton()
+})
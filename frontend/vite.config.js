@@ -1,9 +1,32 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emit sw.js from src/serviceWorker.js with the list of built files to precache
+function serviceWorker() {
+  return {
+    name: 'brbrbr-service-worker',
+    apply: 'build',
+    generateBundle(_options, bundle) {
+      const urls = ['/', ...Object.keys(bundle).filter((name) => name.startsWith('assets/')).map((name) => `/${name}`)]
+      const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+      const source = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(urls))
+        .replace('self.__PRECACHE_VERSION', JSON.stringify(version))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  // brbrbr-client is linked from ../client rather than installed, and the built-in profile is
+  // read from the server's sources
+  server: {
+    fs: { allow: ['.', '../client', '../src/default_profile.json'] },
+  },
   build: {
     outDir: '../static',
     emptyOutDir: true,
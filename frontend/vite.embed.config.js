@@ -0,0 +1,47 @@
+import { fileURLToPath } from 'node:url'
+import { defineConfig } from 'vite'
+
+const extensionSource = (name) => fileURLToPath(new URL(`../extension/src/${name}.js`, import.meta.url))
+
+// Scripts that run on other sites' pages, built next to the app:
+//   vite build --config vite.embed.config.js --mode widget     -> ../static/widget.js
+//   vite build --config vite.embed.config.js --mode extension  -> ../extension/dist/
+export default defineConfig(({ mode }) => {
+  if (mode === 'extension') {
+    return {
+      // The extension's sources live outside this package, next to its manifest
+      resolve: {
+        alias: { 'brbrbr-client': fileURLToPath(new URL('../client', import.meta.url)) },
+      },
+      build: {
+        outDir: '../extension/dist',
+        emptyOutDir: true,
+        copyPublicDir: false,
+        lib: {
+          entry: {
+            background: extensionSource('background'),
+            content: extensionSource('content'),
+            options: extensionSource('options'),
+          },
+          formats: ['es'],
+          fileName: (_format, name) => `${name}.js`,
+        },
+      },
+    }
+  }
+
+  // One classic script, added to the app's build output
+  return {
+    build: {
+      outDir: '../static',
+      emptyOutDir: false,
+      copyPublicDir: false,
+      lib: {
+        entry: 'src/widget.js',
+        name: 'brbrbrWidget',
+        formats: ['iife'],
+        fileName: () => 'widget.js',
+      },
+    },
+  }
+})
@@ -0,0 +1,65 @@
+/// Admin Module
+///
+/// Endpoints behind the admin token for creating, listing and revoking API keys,
+/// used by the frontend's admin page.
+
+use actix_web::{web, HttpResponse};
+use std::sync::Mutex;
+use crate::api_keys::{unix_now, ApiKeyStore, NewApiKey};
+use crate::auth::{lock, AdminAuth};
+use crate::config::ServerConfig;
+use crate::errors::ApiError;
+
+/// Longest accepted key name, in characters
+const MAX_NAME_CHARS: usize = 100;
+
+/// Mount the key management routes (under `/api`)
+pub fn configure(cfg: &mut web::ServiceConfig) {
+    cfg.route("/admin/keys", web::get().to(list_keys))
+        .route("/admin/keys", web::post().to(create_key))
+        .route("/admin/keys/{id}", web::delete().to(revoke_key));
+}
+
+async fn list_keys(_admin: AdminAuth, store: web::Data<Mutex<ApiKeyStore>>) -> HttpResponse {
+    HttpResponse::Ok().json(serde_json::json!({ "keys": lock(&store).list() }))
+}
+
+async fn create_key(
+    _admin: AdminAuth,
+    new: web::Json<NewApiKey>,
+    store: web::Data<Mutex<ApiKeyStore>>,
+    config: web::Data<ServerConfig>,
+) -> Result<HttpResponse, ApiError> {
+    let new = new.into_inner();
+    let name_chars = new.name.trim().chars().count();
+    if name_chars == 0 || name_chars > MAX_NAME_CHARS {
+        return Err(ApiError::bad_request(
+            "invalid_request",
+            format!("Key names must be 1 to {} characters long", MAX_NAME_CHARS),
+        ));
+    }
+    if new.daily_quota == Some(0) {
+        return Err(ApiError::bad_request("invalid_request", "daily_quota must be at least 1; leave it out for no quota"));
+    }
+
+    let (key, secret) = lock(&store)
+        .create(new, config.default_key_rate_limit, unix_now())
+        .map_err(|e| ApiError::internal(format!("Could not save the API key: {}", e)))?;
+    println!("✓ Created API key {} ({})", key.id, key.name);
+
+    Ok(HttpResponse::Created().json(serde_json::json!({ "key": key, "secret": secret })))
+}
+
+async fn revoke_key(
+    _admin: AdminAuth,
+    id: web::Path<String>,
+    store: web::Data<Mutex<ApiKeyStore>>,
+) -> Result<HttpResponse, ApiError> {
+    let key = lock(&store)
+        .revoke(&id, unix_now())
+        .map_err(|e| ApiError::internal(format!("Could not save the API key: {}", e)))?
+        .ok_or_else(|| ApiError::not_found(format!("No API key with id {}", id)))?;
+    println!("✓ Revoked API key {} ({})", key.id, key.name);
+
+    Ok(HttpResponse::Ok().json(serde_json::json!({ "key": key })))
+}
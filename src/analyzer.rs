@@ -1,73 +1,445 @@
 /// AI Text Detection Module
 ///
-/// This module uses Hugging Face's AI detection models for accurate AI text detection.
-/// Falls back to heuristic-based approach if the API is unavailable.
+/// This module scores text with the selected detector (a Hugging Face model by default).
+/// Falls back to heuristic-based approach if the detector is unavailable.
+/// The heuristics split sentences and words by the rules of the text's language.
 
 use std::collections::HashSet;
-use crate::huggingface;
+use futures_util::future;
+use futures_util::stream::{self, StreamExt};
+use serde::{Deserialize, Serialize};
+use crate::chunking::{self, Chunk, ChunkedScores};
+use crate::detectors::{self, Backend, Detector, DetectorConfig, DetectorError};
+use crate::language::{self, Language, Tokenization};
+use crate::profiles::{Profile, Thresholds};
+use crate::progress::{self, Progress, Stage};
 
 pub struct TextAnalyzer;
 
+/// Granularity used when scoring parts of a text individually
+#[derive(Deserialize, Clone, Copy, Debug, PartialEq)]
+#[serde(rename_all = "lowercase")]
+pub enum Segmentation {
+    Sentence,
+    Paragraph,
+}
+
+/// AI score for one contiguous piece of the submitted text.
+/// Concatenating the `text` of all segments reproduces the original input.
+#[derive(Serialize, Clone, Debug)]
+pub struct SegmentScore {
+    pub text: String,
+    pub ai_percentage: f32,
+}
+
+/// One weighted heuristic signal
+#[derive(Serialize, Clone, Debug)]
+pub struct FactorScore {
+    pub name: &'static str,
+    pub score: f32,
+    pub weight: f32,
+}
+
+/// Per-factor explanation of the heuristic score
+#[derive(Serialize, Clone, Debug)]
+pub struct HeuristicBreakdown {
+    pub ai_percentage: f32,
+    pub factors: Vec<FactorScore>,
+    pub matched_phrases: Vec<String>,
+}
+
+/// Score of one member of an ensemble
+#[derive(Serialize, Clone, Debug)]
+pub struct MemberScore {
+    pub id: String,
+    pub detector: Detector,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub ai_percentage: Option<f32>,
+    /// Why the member did not contribute, if it failed
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub error: Option<String>,
+}
+
+/// Full result of analyzing a text
+#[derive(Debug)]
+pub struct Analysis {
+    pub ai_percentage: f32,
+    /// Language the heuristics assumed
+    pub language: &'static Language,
+    pub detector: Detector,
+    /// Id of the requested detector, even if heuristics had to take over
+    pub detector_id: String,
+    /// Why the requested detector was not used, if it wasn't
+    pub fallback_reason: Option<String>,
+    /// Heuristic signals, computed even when the HF model produced the score
+    pub breakdown: Option<HeuristicBreakdown>,
+    /// Per-chunk scores, for texts too long to score in one piece
+    pub chunks: Option<ChunkedScores>,
+    /// Individual scores, when the ensemble detector was used
+    pub ensemble: Option<Vec<MemberScore>>,
+}
+
+/// Chunks sent to a remote detector at the same time
+const CHUNK_CONCURRENCY: usize = 4;
+
+/// Segments scored at the same time
+const SEGMENT_CONCURRENCY: usize = 4;
+
 impl TextAnalyzer {
     /// Analyze text and return AI probability score (0-100)
-    /// Uses Hugging Face API with fallback to heuristics
-    pub async fn analyze(text: &str) -> f32 {
+    /// Uses the given detector with fallback to heuristics tuned by the profile
+    pub async fn analyze(text: &str, detector: &DetectorConfig, profile: &Profile) -> f32 {
+        Self::analyze_detailed(text, language::detect(text), detector, profile, None).await.ai_percentage
+    }
+
+    /// Analyze text in the given language and report which detector produced the score and why
+    pub async fn analyze_detailed(
+        text: &str,
+        language: &'static Language,
+        detector: &DetectorConfig,
+        profile: &Profile,
+        progress: Progress<'_>,
+    ) -> Analysis {
+        Self::analyze_with(text, language, detector, profile, progress, true).await
+    }
+
+    /// `explain` computes the heuristic breakdown even when a remote detector produces the
+    /// score; segments, which only need their score, skip it
+    async fn analyze_with(
+        text: &str,
+        language: &'static Language,
+        detector: &DetectorConfig,
+        profile: &Profile,
+        progress: Progress<'_>,
+        explain: bool,
+    ) -> Analysis {
         if text.trim().is_empty() {
-            return 50.0;
+            return Analysis {
+                ai_percentage: 50.0,
+                language,
+                detector: Detector::Heuristic,
+                detector_id: detector.id.clone(),
+                fallback_reason: Some("Empty text".to_string()),
+                breakdown: None,
+                chunks: None,
+                ensemble: None,
+            };
         }
 
-        // Try Hugging Face API first
-        match huggingface::analyze_with_huggingface(text).await {
-            Ok(score) => {
-                println!("✓ HF API detection: {:.2}% AI", score);
-                score
+        let breakdown = explain.then(|| Self::analyze_heuristic(text, language, profile));
+        let chunks = chunking::split_chunks(text, language);
+        let total = chunks.len();
+
+        // Heuristic scores per chunk; a single chunk is the whole text, scored once at most
+        let heuristic_scores = || -> Vec<f32> {
+            if total == 1 {
+                vec![breakdown
+                    .as_ref()
+                    .map_or_else(|| Self::analyze_heuristic(text, language, profile).ai_percentage, |breakdown| breakdown.ai_percentage)]
+            } else {
+                chunks
+                    .iter()
+                    .map(|chunk| Self::analyze_heuristic(chunk.text, language, profile).ai_percentage)
+                    .collect()
             }
-            Err(e) => {
-                eprintln!("⚠ HF API failed: {}, falling back to heuristics", e);
-                // Fallback to heuristic-based analysis
-                Self::analyze_heuristic(text)
+        };
+
+        let (scores, kind, fallback_reason, ensemble) = match &detector.backend {
+            Backend::Heuristic => (heuristic_scores(), Detector::Heuristic, None, None),
+            Backend::Ensemble(members) => {
+                let results = future::join_all(
+                    members
+                        .iter()
+                        .map(|member| Self::score_chunks(member, &chunks, progress)),
+                )
+                .await;
+
+                // Every member that answered gets an equal vote, next to the heuristics
+                let mut columns = vec![heuristic_scores()];
+                let mut member_scores = Vec::new();
+                let mut errors = Vec::new();
+                for (member, result) in members.iter().zip(results) {
+                    match result {
+                        Ok(scores) => {
+                            member_scores.push(MemberScore {
+                                id: member.id.clone(),
+                                detector: member.kind(),
+                                ai_percentage: Some(chunking::aggregate(&chunks, &scores).ai_percentage),
+                                error: None,
+                            });
+                            columns.push(scores);
+                        }
+                        Err(e) => {
+                            eprintln!("⚠ {} failed: {}, leaving it out of the ensemble", member.label, e);
+                            errors.push(format!("{}: {}", member.id, e));
+                            member_scores.push(MemberScore {
+                                id: member.id.clone(),
+                                detector: member.kind(),
+                                ai_percentage: None,
+                                error: Some(e.to_string()),
+                            });
+                        }
+                    }
+                }
+                member_scores.push(MemberScore {
+                    id: detectors::HEURISTIC_ID.to_string(),
+                    detector: Detector::Heuristic,
+                    ai_percentage: Some(chunking::aggregate(&chunks, &columns[0]).ai_percentage),
+                    error: None,
+                });
+
+                let scores = (0..total)
+                    .map(|i| columns.iter().map(|column| column[i]).sum::<f32>() / columns.len() as f32)
+                    .collect();
+
+                if columns.len() == 1 {
+                    let reason = errors.join("; ");
+                    progress::report(progress, Stage::FallingBack { reason: reason.clone() });
+                    (scores, Detector::Heuristic, Some(reason), Some(member_scores))
+                } else {
+                    (scores, Detector::Ensemble, None, Some(member_scores))
+                }
             }
+            _ => match Self::score_chunks(detector, &chunks, progress).await {
+                Ok(scores) => {
+                    println!("✓ {} detection over {} chunk(s)", detector.label, total);
+                    (scores, detector.kind(), None, None)
+                }
+                Err(e) => {
+                    eprintln!("⚠ {} failed: {}, falling back to heuristics", detector.label, e);
+                    progress::report(progress, Stage::FallingBack { reason: e.to_string() });
+                    // Fallback to heuristic-based analysis, for every chunk so scores stay comparable
+                    (heuristic_scores(), Detector::Heuristic, Some(e.to_string()), None)
+                }
+            },
+        };
+
+        let aggregated = chunking::aggregate(&chunks, &scores);
+
+        Analysis {
+            ai_percentage: aggregated.ai_percentage,
+            language,
+            detector: kind,
+            detector_id: detector.id.clone(),
+            fallback_reason,
+            breakdown,
+            chunks: (total > 1).then_some(aggregated),
+            ensemble,
         }
     }
 
-    /// Heuristic-based analysis (fallback method)
-    fn analyze_heuristic(text: &str) -> f32 {
-        let mut ai_score = 0.0;
-        let mut total_weight = 0.0;
+    /// Score every chunk with a remote detector, a few at a time in document order.
+    /// Fails as soon as one chunk fails, so scores never mix detectors.
+    async fn score_chunks(
+        detector: &DetectorConfig,
+        chunks: &[Chunk<'_>],
+        progress: Progress<'_>,
+    ) -> Result<Vec<f32>, DetectorError> {
+        let total = chunks.len();
+        let mut results = stream::iter(chunks.iter().map(|chunk| detector.score(chunk.text, progress)))
+            .buffered(CHUNK_CONCURRENCY);
+
+        let mut scores = Vec::with_capacity(total);
+        while let Some(result) = results.next().await {
+            scores.push(result?);
+            if total > 1 {
+                progress::report(progress, Stage::ScoringChunks {
+                    detector: detector.id.clone(),
+                    done: scores.len(),
+                    total,
+                });
+            }
+        }
 
-        // Factor 1: Sentence length uniformity (weight: 25%)
-        let uniformity_score = Self::analyze_sentence_uniformity(text);
-        ai_score += uniformity_score * 0.25;
-        total_weight += 0.25;
+        Ok(scores)
+    }
 
-        // Factor 2: Vocabulary diversity (weight: 20%)
-        let diversity_score = Self::analyze_vocabulary_diversity(text);
-        ai_score += diversity_score * 0.20;
-        total_weight += 0.20;
+    /// Score every segment of the text individually, a few at a time in document order.
+    /// Segments are scored with the same pipeline as the full text, in the language of the full text
+    pub async fn analyze_segments(
+        text: &str,
+        mode: Segmentation,
+        language: &'static Language,
+        detector: &DetectorConfig,
+        profile: &Profile,
+        progress: Progress<'_>,
+    ) -> Vec<SegmentScore> {
+        let segments = Self::split_segments(text, mode);
+        let total = segments.len();
+        progress::report(progress, Stage::ScoringSegments { done: 0, total });
+
+        let mut results = stream::iter(segments.into_iter().map(|segment| async move {
+            let analysis = Self::analyze_with(segment, language, detector, profile, None, false).await;
+            SegmentScore {
+                text: segment.to_string(),
+                ai_percentage: analysis.ai_percentage,
+            }
+        }))
+        .buffered(SEGMENT_CONCURRENCY);
 
-        // Factor 3: AI-common phrases (weight: 30%)
-        let phrase_score = Self::detect_ai_phrases(text);
-        ai_score += phrase_score * 0.30;
-        total_weight += 0.30;
+        let mut scores = Vec::with_capacity(total);
+        while let Some(score) = results.next().await {
+            scores.push(score);
+            progress::report(progress, Stage::ScoringSegments { done: scores.len(), total });
+        }
 
-        // Factor 4: Punctuation patterns (weight: 15%)
-        let punctuation_score = Self::analyze_punctuation(text);
-        ai_score += punctuation_score * 0.15;
-        total_weight += 0.15;
+        scores
+    }
 
-        // Factor 5: Text length and structure (weight: 10%)
-        let structure_score = Self::analyze_structure(text);
-        ai_score += structure_score * 0.10;
-        total_weight += 0.10;
+    /// Split text into contiguous segments without dropping any characters,
+    /// so the client can render them back in place of the original text
+    pub fn split_segments(text: &str, mode: Segmentation) -> Vec<&str> {
+        match mode {
+            Segmentation::Sentence => Self::split_sentences(text),
+            Segmentation::Paragraph => Self::split_paragraphs(text),
+        }
+    }
+
+    /// Split on the sentence terminators of every supported language (like
+    /// `analyze_sentence_uniformity`), keeping the terminator and the whitespace
+    /// that follows it with each sentence
+    fn split_sentences(text: &str) -> Vec<&str> {
+        let mut segments = Vec::new();
+        let mut start = 0;
+        let mut chars = text.char_indices().peekable();
+
+        while let Some((_, c)) = chars.next() {
+            if !language::SENTENCE_TERMINATORS.contains(&c) {
+                continue;
+            }
+            let mut closed = language::CLOSED_TERMINATORS.contains(&c);
+
+            // Swallow repeated terminators and closing quotes ("?!", ".\"", "。」")
+            while let Some(&(_, next)) = chars.peek() {
+                if language::SENTENCE_TERMINATORS.contains(&next)
+                    || matches!(next, '"' | '\'' | ')' | '”' | '’' | '」' | '』' | '）')
+                {
+                    closed |= language::CLOSED_TERMINATORS.contains(&next);
+                    chars.next();
+                } else {
+                    break;
+                }
+            }
+
+            // A terminator only ends a sentence before whitespace or end of text ("3.5", "e.g"),
+            // except for the full-width ones of Chinese and Japanese, which are written without spaces
+            if let Some(&(_, next)) = chars.peek() {
+                if !next.is_whitespace() && !closed {
+                    continue;
+                }
+            }
+
+            while let Some(&(_, next)) = chars.peek() {
+                if next.is_whitespace() {
+                    chars.next();
+                } else {
+                    break;
+                }
+            }
+
+            let end = chars.peek().map_or(text.len(), |&(i, _)| i);
+            segments.push(&text[start..end]);
+            start = end;
+        }
+
+        if start < text.len() {
+            segments.push(&text[start..]);
+        }
+
+        segments
+    }
+
+    /// Split on blank lines, keeping the blank lines with the preceding paragraph
+    fn split_paragraphs(text: &str) -> Vec<&str> {
+        let mut segments = Vec::new();
+        let mut start = 0;
+        let mut offset = 0;
+        let mut seen_content = false;
+        let mut in_gap = false;
+
+        for line in text.split_inclusive('\n') {
+            let blank = line.trim().is_empty();
+
+            if !blank && in_gap {
+                segments.push(&text[start..offset]);
+                start = offset;
+                in_gap = false;
+            }
+
+            if blank && seen_content {
+                in_gap = true;
+            } else if !blank {
+                seen_content = true;
+            }
+
+            offset += line.len();
+        }
+
+        if start < text.len() {
+            segments.push(&text[start..]);
+        }
+
+        segments
+    }
+
+    /// Heuristic-based analysis (fallback method)
+    /// Mirrored in frontend/src/lib/heuristic.js for offline use; keep both in sync
+    fn analyze_heuristic(text: &str, language: &Language, profile: &Profile) -> HeuristicBreakdown {
+        let weights = &profile.settings.factor_weights;
+        let (matched_phrases, phrase_weight) = Self::detect_ai_phrases(text, language, profile);
+
+        let factors = vec![
+            // Factor 1: Sentence length uniformity (default weight: 25%)
+            FactorScore {
+                name: "sentence_uniformity",
+                score: Self::analyze_sentence_uniformity(text),
+                weight: weights.sentence_uniformity,
+            },
+            // Factor 2: Vocabulary diversity (default weight: 20%)
+            FactorScore {
+                name: "vocabulary_diversity",
+                score: Self::analyze_vocabulary_diversity(text, language),
+                weight: weights.vocabulary_diversity,
+            },
+            // Factor 3: AI-common phrases (default weight: 30%)
+            FactorScore {
+                name: "ai_phrases",
+                score: Self::score_phrase_matches(phrase_weight),
+                weight: weights.ai_phrases,
+            },
+            // Factor 4: Punctuation patterns (default weight: 15%)
+            FactorScore {
+                name: "punctuation",
+                score: Self::analyze_punctuation(text, language),
+                weight: weights.punctuation,
+            },
+            // Factor 5: Text length and structure (default weight: 10%)
+            FactorScore {
+                name: "structure",
+                score: Self::analyze_structure(text, language),
+                weight: weights.structure,
+            },
+        ];
 
-        // Normalize to 0-100 range
-        (ai_score / total_weight).clamp(0.0, 100.0)
+        let total_weight: f32 = factors.iter().map(|f| f.weight).sum();
+        let ai_score: f32 = factors.iter().map(|f| f.score * f.weight).sum();
+
+        HeuristicBreakdown {
+            // Normalize to 0-100 range
+            ai_percentage: (ai_score / total_weight).clamp(0.0, 100.0),
+            // Report each weight as its share of the total
+            factors: factors
+                .into_iter()
+                .map(|f| FactorScore { weight: f.weight / total_weight, ..f })
+                .collect(),
+            matched_phrases,
+        }
     }
 
     /// Analyze sentence length uniformity
     /// AI text often has more uniform sentence lengths
     fn analyze_sentence_uniformity(text: &str) -> f32 {
-        let sentences: Vec<&str> = text.split(&['.', '!', '?'][..])
+        let sentences: Vec<&str> = text.split(&language::SENTENCE_TERMINATORS[..])
             .filter(|s| !s.trim().is_empty())
             .collect();
 
@@ -75,7 +447,7 @@ impl TextAnalyzer {
             return 50.0;
         }
 
-        let lengths: Vec<usize> = sentences.iter().map(|s| s.len()).collect();
+        let lengths: Vec<usize> = sentences.iter().map(|s| Self::text_length(s)).collect();
         let avg_length: f32 = lengths.iter().sum::<usize>() as f32 / lengths.len() as f32;
 
         let variance: f32 = lengths.iter()
@@ -96,20 +468,36 @@ impl TextAnalyzer {
         }
     }
 
+    /// Length of text with every Han or kana character counted as three, since one
+    /// carries about as much as three Latin letters (and the thresholds below are set
+    /// for Latin text)
+    fn text_length(text: &str) -> usize {
+        text.chars().map(|c| if language::is_cjk(c) { 3 } else { 1 }).sum()
+    }
+
     /// Analyze vocabulary diversity
     /// AI text sometimes has lower unique word ratio
-    fn analyze_vocabulary_diversity(text: &str) -> f32 {
-        let words: Vec<&str> = text.split_whitespace().collect();
+    fn analyze_vocabulary_diversity(text: &str, language: &Language) -> f32 {
+        let mut words: Vec<String> = language::words(text, language)
+            .into_iter()
+            .map(|w| language::normalize_word(w, language))
+            .collect();
         if words.len() < 10 {
             return 50.0;
         }
+        // Chinese and Japanese words are mostly two characters long, and single characters
+        // repeat far more than words do; compare pairs of characters instead
+        if language.tokenization == Tokenization::Characters {
+            words = words.windows(2).map(|pair| pair.concat()).collect();
+        }
 
-        let unique_words: HashSet<String> = words.iter()
-            .map(|w| w.to_lowercase().trim_matches(|c: char| !c.is_alphanumeric()).to_string())
+        let total = words.len();
+        let unique_words: HashSet<String> = words
+            .into_iter()
             .filter(|w| !w.is_empty())
             .collect();
 
-        let diversity_ratio = unique_words.len() as f32 / words.len() as f32;
+        let diversity_ratio = unique_words.len() as f32 / total as f32;
 
         // Higher diversity = more human-like
         if diversity_ratio > 0.7 {
@@ -121,61 +509,44 @@ impl TextAnalyzer {
         }
     }
 
-    /// Detect common AI phrases
-    fn detect_ai_phrases(text: &str) -> f32 {
+    /// Detect the profile's AI phrases for the language, returning the ones found
+    /// in the text and the sum of their weights
+    fn detect_ai_phrases(text: &str, language: &Language, profile: &Profile) -> (Vec<String>, f32) {
         let text_lower = text.to_lowercase();
 
-        let ai_phrases = [
-            "as an ai",
-            "i don't have personal",
-            "i cannot",
-            "i'm sorry, but",
-            "it's important to note",
-            "it is worth noting",
-            "furthermore",
-            "in conclusion",
-            "to summarize",
-            "delve into",
-            "multifaceted",
-            "paradigm shift",
-            "cutting-edge",
-            "state-of-the-art",
-            "best practices",
-            "leverage",
-            "utilize",
-            "facilitate",
-            "comprehensive understanding",
-        ];
+        let matches: Vec<_> = profile
+            .settings
+            .phrases
+            .iter()
+            .filter(|entry| entry.weight > 0.0 && entry.applies_to(language) && text_lower.contains(&entry.phrase))
+            .collect();
+        let total = matches.iter().map(|entry| entry.weight).sum();
 
-        let mut matches = 0;
-        for phrase in ai_phrases.iter() {
-            if text_lower.contains(phrase) {
-                matches += 1;
-            }
-        }
+        (matches.into_iter().map(|entry| entry.phrase.clone()).collect(), total)
+    }
 
-        // More AI phrases = higher AI probability
-        if matches >= 3 {
-            85.0
-        } else if matches == 2 {
-            70.0
-        } else if matches == 1 {
-            55.0
-        } else {
-            30.0
+    /// More AI phrases = higher AI probability
+    /// Each unit of phrase weight counts as one match; fractions fall in between
+    fn score_phrase_matches(matches: f32) -> f32 {
+        const STEPS: [f32; 4] = [30.0, 55.0, 70.0, 85.0];
+
+        if matches >= 3.0 {
+            return STEPS[3];
         }
+        let lower = matches.max(0.0).floor();
+        let i = lower as usize;
+        STEPS[i] + (STEPS[i + 1] - STEPS[i]) * (matches - lower)
     }
 
     /// Analyze punctuation patterns
-    fn analyze_punctuation(text: &str) -> f32 {
-        let total_chars = text.len() as f32;
+    fn analyze_punctuation(text: &str, language: &Language) -> f32 {
+        let total_chars = Self::text_length(text) as f32;
         if total_chars == 0.0 {
             return 50.0;
         }
 
-        let exclamation_count = text.matches('!').count() as f32;
-        let _question_count = text.matches('?').count() as f32;
-        let comma_count = text.matches(',').count() as f32;
+        let exclamation_count = text.matches(language.exclamations).count() as f32;
+        let comma_count = text.matches(language.commas).count() as f32;
 
         let exclamation_ratio = exclamation_count / total_chars * 100.0;
         let comma_ratio = comma_count / total_chars * 100.0;
@@ -198,8 +569,8 @@ impl TextAnalyzer {
     }
 
     /// Analyze overall text structure
-    fn analyze_structure(text: &str) -> f32 {
-        let word_count = text.split_whitespace().count();
+    fn analyze_structure(text: &str, language: &Language) -> f32 {
+        let word_count = language::word_spans(text, language).len();
         let paragraph_count = text.split("\n\n").filter(|p| !p.trim().is_empty()).count();
 
         // AI text often has well-structured paragraphs
@@ -210,11 +581,11 @@ impl TextAnalyzer {
         }
     }
 
-    /// Determine verdict based on AI score
-    pub fn get_verdict(ai_percentage: f32) -> String {
-        if ai_percentage >= 60.0 {
+    /// Determine verdict based on AI score and the profile's thresholds
+    pub fn get_verdict(ai_percentage: f32, thresholds: &Thresholds) -> String {
+        if ai_percentage >= thresholds.ai {
             "AI Generated".to_string()
-        } else if ai_percentage <= 40.0 {
+        } else if ai_percentage <= thresholds.human {
             "Human Written".to_string()
         } else {
             "Uncertain".to_string()
@@ -225,17 +596,201 @@ impl TextAnalyzer {
 #[cfg(test)]
 mod tests {
     use super::*;
+    use crate::detectors::mock::MockServer;
 
-    #[test]
-    fn test_analyze_empty_text() {
-        let score = TextAnalyzer::analyze("");
+    fn english() -> &'static Language {
+        language::by_code("en").unwrap()
+    }
+
+    #[tokio::test]
+    async fn test_analyze_empty_text() {
+        let score = TextAnalyzer::analyze("", &DetectorConfig::heuristic(), &Profile::default()).await;
         assert_eq!(score, 50.0);
     }
 
-    #[test]
-    fn test_analyze_with_ai_phrases() {
+    #[tokio::test]
+    async fn test_analyze_with_ai_phrases() {
         let text = "As an AI, I cannot provide personal opinions. It's important to note that...";
-        let score = TextAnalyzer::analyze(text);
+        let score = TextAnalyzer::analyze(text, &DetectorConfig::heuristic(), &Profile::default()).await;
         assert!(score > 50.0);
     }
+
+    #[test]
+    fn test_heuristic_breakdown_reports_factors_and_phrases() {
+        let text = "It's important to note that we leverage best practices.";
+        let breakdown = TextAnalyzer::analyze_heuristic(text, english(), &Profile::default());
+
+        assert_eq!(breakdown.factors.len(), 5);
+        let total_weight: f32 = breakdown.factors.iter().map(|f| f.weight).sum();
+        assert!((total_weight - 1.0).abs() < 1e-6);
+        assert_eq!(
+            breakdown.matched_phrases,
+            vec!["it's important to note", "best practices", "leverage"]
+        );
+        let phrases = breakdown.factors.iter().find(|f| f.name == "ai_phrases").unwrap();
+        assert_eq!(phrases.score, 85.0);
+    }
+
+    #[test]
+    fn test_profile_tunes_phrases_and_verdict() {
+        let text = "It's important to note that we leverage best practices.";
+        let mut profile = Profile::default();
+        for entry in &mut profile.settings.phrases {
+            entry.weight = match entry.phrase.as_str() {
+                "leverage" | "best practices" => 0.0,
+                "it's important to note" => 1.5,
+                _ => entry.weight,
+            };
+        }
+
+        let breakdown = TextAnalyzer::analyze_heuristic(text, english(), &profile);
+        assert_eq!(breakdown.matched_phrases, vec!["it's important to note"]);
+        let phrases = breakdown.factors.iter().find(|f| f.name == "ai_phrases").unwrap();
+        assert_eq!(phrases.score, 62.5);
+
+        let strict = Thresholds { ai: 80.0, human: 20.0 };
+        assert_eq!(TextAnalyzer::get_verdict(70.0, &Thresholds::default()), "AI Generated");
+        assert_eq!(TextAnalyzer::get_verdict(70.0, &strict), "Uncertain");
+        assert_eq!(TextAnalyzer::get_verdict(20.0, &strict), "Human Written");
+    }
+
+    #[test]
+    fn test_split_sentences_is_lossless() {
+        let text = "First one. Second one?! Version 3.5 is out... \"Quoted.\" Tail";
+        let segments = TextAnalyzer::split_segments(text, Segmentation::Sentence);
+        assert_eq!(segments, vec![
+            "First one. ",
+            "Second one?! ",
+            "Version 3.5 is out... ",
+            "\"Quoted.\" ",
+            "Tail",
+        ]);
+        assert_eq!(segments.concat(), text);
+    }
+
+    #[test]
+    fn test_split_sentences_handles_cjk_and_arabic_terminators() {
+        let text = "今天很好。「真的吗？」他问。Is it? نعم؟ Tail";
+        let segments = TextAnalyzer::split_segments(text, Segmentation::Sentence);
+        assert_eq!(segments, vec![
+            "今天很好。",
+            "「真的吗？」",
+            "他问。",
+            "Is it? ",
+            "نعم؟ ",
+            "Tail",
+        ]);
+        assert_eq!(segments.concat(), text);
+    }
+
+    #[test]
+    fn test_heuristics_follow_the_text_language() {
+        let spanish = "Además, es importante destacar que el proyecto funciona. En conclusión, está listo.";
+        let breakdown = TextAnalyzer::analyze_heuristic(spanish, language::detect(spanish), &Profile::default());
+        assert_eq!(breakdown.matched_phrases, vec!["es importante destacar", "en conclusión", "además"]);
+
+        // Without spaces every character is a word, so diversity can be measured at all
+        let chinese = "我昨天去了市场，买了很多新鲜的水果和蔬菜。回家以后，我给家人做了一顿丰盛的晚饭。";
+        let zh = language::detect(chinese);
+        assert_eq!(zh.code, "zh");
+        assert_ne!(TextAnalyzer::analyze_vocabulary_diversity(chinese, zh), 50.0);
+        assert_eq!(TextAnalyzer::analyze_vocabulary_diversity(chinese, english()), 50.0);
+    }
+
+    #[test]
+    fn test_split_paragraphs_is_lossless() {
+        let text = "Intro line\ncontinues here.\n\n\nSecond paragraph.\n\nThird.";
+        let segments = TextAnalyzer::split_segments(text, Segmentation::Paragraph);
+        assert_eq!(segments, vec![
+            "Intro line\ncontinues here.\n\n\n",
+            "Second paragraph.\n\n",
+            "Third.",
+        ]);
+        assert_eq!(segments.concat(), text);
+    }
+
+    fn http_detector(id: &str, server: &MockServer) -> DetectorConfig {
+        DetectorConfig {
+            id: id.to_string(),
+            label: id.to_string(),
+            backend: Backend::Http(server.endpoint("/classify")),
+        }
+    }
+
+    #[tokio::test]
+    async fn test_failing_detector_falls_back_to_heuristics() {
+        let server = MockServer::start(503, "Service Unavailable").await;
+        let text = "It's important to note that we leverage best practices.";
+
+        let analysis = TextAnalyzer::analyze_detailed(text, english(), &http_detector("http", &server), &Profile::default(), None).await;
+
+        assert_eq!(analysis.detector, Detector::Heuristic);
+        assert_eq!(analysis.detector_id, "http");
+        assert!(analysis.fallback_reason.unwrap().contains("Service Unavailable"));
+        assert_eq!(analysis.ai_percentage, TextAnalyzer::analyze_heuristic(text, english(), &Profile::default()).ai_percentage);
+    }
+
+    #[tokio::test]
+    async fn test_ensemble_averages_members_that_answer() {
+        let working = MockServer::start(200, r#"{"ai_probability":1.0}"#).await;
+        let failing = MockServer::start(500, "boom").await;
+        let ensemble = DetectorConfig {
+            id: detectors::ENSEMBLE_ID.to_string(),
+            label: "Ensemble".to_string(),
+            backend: Backend::Ensemble(vec![
+                http_detector("working", &working),
+                http_detector("failing", &failing),
+            ]),
+        };
+        let text = "A short human sentence about the weather today.";
+        let heuristic = TextAnalyzer::analyze_heuristic(text, english(), &Profile::default()).ai_percentage;
+
+        let analysis = TextAnalyzer::analyze_detailed(text, english(), &ensemble, &Profile::default(), None).await;
+
+        assert_eq!(analysis.detector, Detector::Ensemble);
+        assert!((analysis.ai_percentage - (100.0 + heuristic) / 2.0).abs() < 1e-3);
+        let members = analysis.ensemble.unwrap();
+        let ids: Vec<&str> = members.iter().map(|member| member.id.as_str()).collect();
+        assert_eq!(ids, vec!["working", "failing", detectors::HEURISTIC_ID]);
+        assert_eq!(members[0].ai_percentage, Some(100.0));
+        assert!(members[1].error.as_ref().unwrap().contains("boom"));
+    }
+
+    #[tokio::test]
+    async fn test_segments_keep_document_order_and_report_completion() {
+        let server = MockServer::start(200, r#"{"ai_probability":0.25}"#).await;
+        let text = "One short sentence. Another one here! A third? And a fourth. Then a fifth.";
+        let stages = std::sync::Mutex::new(Vec::new());
+        let listener = |stage: Stage| stages.lock().unwrap().push(stage);
+
+        let segments = TextAnalyzer::analyze_segments(
+            text,
+            Segmentation::Sentence,
+            english(),
+            &http_detector("http", &server),
+            &Profile::default(),
+            Some(&listener),
+        )
+        .await;
+
+        assert_eq!(segments.iter().map(|segment| segment.text.as_str()).collect::<String>(), text);
+        assert!(segments.iter().all(|segment| segment.ai_percentage == 25.0));
+        let stages = stages.into_inner().unwrap();
+        assert_eq!(stages.first(), Some(&Stage::ScoringSegments { done: 0, total: 5 }));
+        assert_eq!(stages.last(), Some(&Stage::ScoringSegments { done: 5, total: 5 }));
+        assert_eq!(stages.len(), 6);
+    }
+
+    #[tokio::test]
+    async fn test_segments_skip_the_heuristic_breakdown() {
+        let server = MockServer::start(200, r#"{"ai_probability":0.5}"#).await;
+        let text = "A short human sentence about the weather today.";
+
+        let segment = TextAnalyzer::analyze_with(text, english(), &http_detector("http", &server), &Profile::default(), None, false).await;
+        assert!(segment.breakdown.is_none());
+        assert_eq!(segment.ai_percentage, 50.0);
+
+        let heuristic = TextAnalyzer::analyze_with(text, english(), &DetectorConfig::heuristic(), &Profile::default(), None, false).await;
+        assert_eq!(heuristic.ai_percentage, TextAnalyzer::analyze_heuristic(text, english(), &Profile::default()).ai_percentage);
+    }
 }
@@ -0,0 +1,381 @@
+/// API Key Module
+///
+/// API keys let other systems, such as an LMS, call the analysis endpoints. Only a
+/// SHA-256 hash of each key is stored, in a JSON file, together with its limits and
+/// usage counts. A key is shown once when it is created and can be revoked but not
+/// recovered. Usage is counted in memory and written now and then, not on every request.
+
+use serde::{Deserialize, Serialize};
+use sha2::{Digest, Sha256};
+use std::io;
+use std::path::{Path, PathBuf};
+use std::sync::{Arc, Mutex, PoisonError};
+use std::time::{Duration, SystemTime, UNIX_EPOCH};
+use crate::storage;
+
+/// Makes keys recognisable in config files and logs
+const KEY_PREFIX: &str = "brb_";
+
+/// Leading characters of a key kept in the clear so admins can tell keys apart
+const DISPLAY_PREFIX_LEN: usize = 12;
+
+const SECS_PER_DAY: u64 = 86_400;
+
+/// How often the server writes usage counted since the last save
+pub const USAGE_FLUSH_INTERVAL: Duration = Duration::from_secs(60);
+
+#[derive(Serialize, Deserialize, Clone, Debug)]
+struct StoredKey {
+    id: String,
+    name: String,
+    prefix: String,
+    /// Hex SHA-256 of the full key
+    hash: String,
+    /// Seconds since the Unix epoch
+    created_at: u64,
+    #[serde(default)]
+    revoked_at: Option<u64>,
+    rate_limit_per_minute: u32,
+    #[serde(default)]
+    daily_quota: Option<u64>,
+    #[serde(default)]
+    usage: Usage,
+}
+
+#[derive(Serialize, Deserialize, Clone, Copy, Debug, Default)]
+struct Usage {
+    /// UTC day the `today` count belongs to, in days since the Unix epoch
+    day: u64,
+    today: u64,
+    total: u64,
+}
+
+/// Public description of a key, as listed by the admin endpoints
+#[derive(Serialize, Clone, Debug)]
+pub struct ApiKeyInfo {
+    pub id: String,
+    pub name: String,
+    /// First characters of the key, e.g. `brb_3f9a0c1d`
+    pub prefix: String,
+    pub created_at: u64,
+    pub revoked_at: Option<u64>,
+    pub rate_limit_per_minute: u32,
+    /// Requests allowed per UTC day; unlimited when absent
+    pub daily_quota: Option<u64>,
+    pub requests_today: u64,
+    pub requests_total: u64,
+}
+
+/// Settings for a new key; limits left out use the server defaults
+#[derive(Deserialize, Debug)]
+pub struct NewApiKey {
+    pub name: String,
+    #[serde(default)]
+    pub rate_limit_per_minute: Option<u32>,
+    #[serde(default)]
+    pub daily_quota: Option<u64>,
+}
+
+/// An active key matching a presented secret
+#[derive(Debug)]
+pub struct KeyGrant {
+    pub id: String,
+    pub rate_limit_per_minute: u32,
+}
+
+#[derive(Debug)]
+pub struct ApiKeyStore {
+    /// File the keys are saved to; `None` keeps them in memory only
+    path: Option<PathBuf>,
+    keys: Vec<StoredKey>,
+    /// Goes up with every change, so a copy being written can tell whether it is the newest
+    version: u64,
+    /// Version of the keys in the file; held while writing, so writes happen one at a time
+    saved: Arc<Mutex<u64>>,
+}
+
+/// A copy of the keys with usage counted since they were last saved, to write without
+/// holding the store's lock
+#[derive(Debug)]
+pub struct UnsavedUsage {
+    path: PathBuf,
+    keys: Vec<StoredKey>,
+    version: u64,
+    saved: Arc<Mutex<u64>>,
+}
+
+impl UnsavedUsage {
+    /// Write the copy, unless newer keys were written in the meantime
+    pub fn write(self) -> io::Result<()> {
+        write_version(&self.path, &self.keys, self.version, &self.saved)
+    }
+}
+
+impl ApiKeyStore {
+    /// Load the keys saved at `path`, starting empty when the file doesn't exist yet
+    pub fn load(path: &Path) -> io::Result<Self> {
+        Ok(Self {
+            path: Some(path.to_path_buf()),
+            keys: storage::load_json(path)?,
+            version: 0,
+            saved: Arc::default(),
+        })
+    }
+
+    pub fn in_memory() -> Self {
+        Self {
+            path: None,
+            keys: Vec::new(),
+            version: 0,
+            saved: Arc::default(),
+        }
+    }
+
+    pub fn list(&self) -> Vec<ApiKeyInfo> {
+        self.keys.iter().map(StoredKey::info).collect()
+    }
+
+    /// Create a key, returning its description and the secret, which isn't stored
+    pub fn create(&mut self, new: NewApiKey, default_rate_limit: u32, now: u64) -> io::Result<(ApiKeyInfo, String)> {
+        let secret = format!("{}{}", KEY_PREFIX, hex::encode(rand::random::<[u8; 24]>()));
+        let key = StoredKey {
+            id: hex::encode(rand::random::<[u8; 8]>()),
+            name: new.name.trim().to_string(),
+            prefix: secret[..DISPLAY_PREFIX_LEN].to_string(),
+            hash: hash_secret(&secret),
+            created_at: now,
+            revoked_at: None,
+            rate_limit_per_minute: new.rate_limit_per_minute.unwrap_or(default_rate_limit),
+            daily_quota: new.daily_quota,
+            usage: Usage::default(),
+        };
+        let info = key.info();
+
+        self.keys.push(key);
+        self.save()?;
+        Ok((info, secret))
+    }
+
+    /// Revoke a key for good; `None` when there is no key with this id
+    pub fn revoke(&mut self, id: &str, now: u64) -> io::Result<Option<ApiKeyInfo>> {
+        let Some(key) = self.keys.iter_mut().find(|key| key.id == id) else {
+            return Ok(None);
+        };
+        key.revoked_at.get_or_insert(now);
+        let info = key.info();
+
+        self.save()?;
+        Ok(Some(info))
+    }
+
+    /// The active key matching a presented secret
+    pub fn find_active(&self, secret: &str) -> Option<KeyGrant> {
+        let hash = hash_secret(secret.trim());
+        self.keys
+            .iter()
+            .find(|key| key.hash == hash && key.revoked_at.is_none())
+            .map(|key| KeyGrant {
+                id: key.id.clone(),
+                rate_limit_per_minute: key.rate_limit_per_minute,
+            })
+    }
+
+    /// Count a request against the key's daily quota.
+    /// Returns the seconds until the quota resets (UTC midnight) when it is used up.
+    pub fn record_use(&mut self, id: &str, now: u64) -> Result<(), u64> {
+        self.record_uses(id, 1, now)
+    }
+
+    /// Count `requests` at once, e.g. the analyses an evaluation runs; none are counted
+    /// unless all of them fit in what is left of the quota
+    pub fn record_uses(&mut self, id: &str, requests: u64, now: u64) -> Result<(), u64> {
+        self.check_quota(id, requests, now)?;
+        let Some(key) = self.keys.iter_mut().find(|key| key.id == id) else {
+            return Ok(());
+        };
+
+        let day = now / SECS_PER_DAY;
+        if key.usage.day != day {
+            key.usage.day = day;
+            key.usage.today = 0;
+        }
+        key.usage.today += requests;
+        key.usage.total += requests;
+        self.version += 1;
+        Ok(())
+    }
+
+    /// Whether `requests` more fit in the key's daily quota, without counting them.
+    /// Returns the seconds until the quota resets (UTC midnight) when they don't.
+    pub fn check_quota(&self, id: &str, requests: u64, now: u64) -> Result<(), u64> {
+        let Some(key) = self.keys.iter().find(|key| key.id == id) else {
+            return Ok(());
+        };
+        let day = now / SECS_PER_DAY;
+        let used = if key.usage.day == day { key.usage.today } else { 0 };
+        if key.daily_quota.is_some_and(|quota| used + requests > quota) {
+            return Err((day + 1) * SECS_PER_DAY - now);
+        }
+        Ok(())
+    }
+
+    /// A copy of the keys to write when usage was counted since they were last saved
+    pub fn unsaved_usage(&self) -> Option<UnsavedUsage> {
+        let path = self.path.as_ref()?;
+        let saved = *self.saved.lock().unwrap_or_else(PoisonError::into_inner);
+        (self.version > saved).then(|| UnsavedUsage {
+            path: path.clone(),
+            keys: self.keys.clone(),
+            version: self.version,
+            saved: Arc::clone(&self.saved),
+        })
+    }
+
+    fn save(&mut self) -> io::Result<()> {
+        self.version += 1;
+        match &self.path {
+            Some(path) => write_version(path, &self.keys, self.version, &self.saved),
+            None => Ok(()),
+        }
+    }
+}
+
+/// Write `keys` as their `version`, unless that or a later version is in the file already
+fn write_version(path: &Path, keys: &[StoredKey], version: u64, saved: &Mutex<u64>) -> io::Result<()> {
+    let mut saved = saved.lock().unwrap_or_else(PoisonError::into_inner);
+    if *saved >= version {
+        return Ok(());
+    }
+    storage::save_json(path, keys)?;
+    *saved = version;
+    Ok(())
+}
+
+impl StoredKey {
+    fn info(&self) -> ApiKeyInfo {
+        ApiKeyInfo {
+            id: self.id.clone(),
+            name: self.name.clone(),
+            prefix: self.prefix.clone(),
+            created_at: self.created_at,
+            revoked_at: self.revoked_at,
+            rate_limit_per_minute: self.rate_limit_per_minute,
+            daily_quota: self.daily_quota,
+            requests_today: self.usage.today,
+            requests_total: self.usage.total,
+        }
+    }
+}
+
+/// Current time in seconds since the Unix epoch
+pub fn unix_now() -> u64 {
+    SystemTime::now()
+        .duration_since(UNIX_EPOCH)
+        .map(|elapsed| elapsed.as_secs())
+        .unwrap_or_default()
+}
+
+fn hash_secret(secret: &str) -> String {
+    hex::encode(Sha256::digest(secret.as_bytes()))
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use std::fs;
+
+    fn new_key(daily_quota: Option<u64>) -> NewApiKey {
+        NewApiKey {
+            name: " LMS ".to_string(),
+            rate_limit_per_minute: None,
+            daily_quota,
+        }
+    }
+
+    #[test]
+    fn test_created_key_authorizes_until_revoked() {
+        let mut store = ApiKeyStore::in_memory();
+        let (info, secret) = store.create(new_key(None), 60, 1_000).unwrap();
+
+        assert!(secret.starts_with(KEY_PREFIX));
+        assert!(secret.starts_with(&info.prefix));
+        assert_eq!(info.name, "LMS");
+        assert_eq!(info.rate_limit_per_minute, 60);
+
+        let grant = store.find_active(&secret).unwrap();
+        assert_eq!(grant.id, info.id);
+        assert!(store.find_active("brb_not-a-key").is_none());
+
+        let revoked = store.revoke(&info.id, 2_000).unwrap().unwrap();
+        assert_eq!(revoked.revoked_at, Some(2_000));
+        assert!(store.find_active(&secret).is_none());
+        assert!(store.revoke("missing", 2_000).unwrap().is_none());
+    }
+
+    #[test]
+    fn test_daily_quota_resets_at_midnight() {
+        let mut store = ApiKeyStore::in_memory();
+        let (info, _) = store.create(new_key(Some(2)), 60, 0).unwrap();
+        let morning = 10 * SECS_PER_DAY + 3_600;
+
+        assert!(store.record_use(&info.id, morning).is_ok());
+        assert!(store.record_use(&info.id, morning).is_ok());
+        assert_eq!(store.record_use(&info.id, morning), Err(SECS_PER_DAY - 3_600));
+        assert!(store.record_use(&info.id, 11 * SECS_PER_DAY).is_ok());
+
+        let listed = &store.list()[0];
+        assert_eq!(listed.requests_today, 1);
+        assert_eq!(listed.requests_total, 3);
+    }
+
+    #[test]
+    fn test_requests_counted_at_once_must_all_fit() {
+        let mut store = ApiKeyStore::in_memory();
+        let (info, _) = store.create(new_key(Some(10)), 60, 0).unwrap();
+
+        assert!(store.record_uses(&info.id, 8, 100).is_ok());
+        assert!(store.record_uses(&info.id, 3, 100).is_err());
+        assert_eq!(store.list()[0].requests_today, 8);
+        assert!(store.record_uses(&info.id, 2, 100).is_ok());
+        assert_eq!(store.check_quota(&info.id, 1, 100), Err(SECS_PER_DAY - 100));
+        assert!(store.record_use(&info.id, 100).is_err());
+        // Checking counts nothing, and a new day starts over
+        assert_eq!(store.list()[0].requests_today, 10);
+        assert!(store.check_quota(&info.id, 10, SECS_PER_DAY).is_ok());
+    }
+
+    #[test]
+    fn test_keys_survive_reload_without_secrets() {
+        let path = std::env::temp_dir().join(format!("brbrbr-keys-{}/keys.json", std::process::id()));
+        let _ = fs::remove_file(&path);
+
+        let mut store = ApiKeyStore::load(&path).unwrap();
+        let (info, secret) = store.create(new_key(None), 30, 0).unwrap();
+
+        let saved = fs::read_to_string(&path).unwrap();
+        assert!(!saved.contains(&secret));
+
+        let reloaded = ApiKeyStore::load(&path).unwrap();
+        assert_eq!(reloaded.find_active(&secret).unwrap().id, info.id);
+        assert_eq!(reloaded.list()[0].rate_limit_per_minute, 30);
+
+        // Usage is only written when flushed
+        assert!(store.unsaved_usage().is_none());
+        store.record_use(&info.id, 0).unwrap();
+        assert_eq!(ApiKeyStore::load(&path).unwrap().list()[0].requests_total, 0);
+        let usage = store.unsaved_usage().unwrap();
+        usage.write().unwrap();
+        assert_eq!(ApiKeyStore::load(&path).unwrap().list()[0].requests_total, 1);
+        assert!(store.unsaved_usage().is_none());
+
+        // A copy taken before a newer save doesn't overwrite it
+        store.record_use(&info.id, 0).unwrap();
+        let stale = store.unsaved_usage().unwrap();
+        store.revoke(&info.id, 5).unwrap();
+        stale.write().unwrap();
+        let reloaded = ApiKeyStore::load(&path).unwrap();
+        assert_eq!((reloaded.list()[0].requests_total, reloaded.list()[0].revoked_at), (2, Some(5)));
+
+        let _ = fs::remove_dir_all(path.parent().unwrap());
+    }
+}
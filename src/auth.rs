@@ -0,0 +1,249 @@
+/// API Authentication Module
+///
+/// Request extractors for access control: `ApiClient` checks the API key, rate limit
+/// and daily quota of analysis requests, `MeteredClient` and `FreeClient` check the key
+/// of requests that count their own quota or cost nothing, `AdminAuth` checks the admin
+/// token of key management requests, and `EditorAuth` guards changes to detection profiles.
+/// Handlers only run once the extractor has accepted the request.
+
+use actix_web::dev::Payload;
+use actix_web::http::{header, StatusCode};
+use actix_web::{web, FromRequest, HttpRequest};
+use sha2::{Digest, Sha256};
+use std::fmt;
+use std::future::{ready, Ready};
+use std::sync::{Mutex, MutexGuard, PoisonError};
+use crate::api_keys::{unix_now, ApiKeyStore};
+use crate::config::ServerConfig;
+use crate::errors::ApiError;
+use crate::rate_limit::RateLimiter;
+
+/// Header carrying an API key; `Authorization: Bearer <key>` works too
+pub const API_KEY_HEADER: &str = "X-API-Key";
+
+/// Who is calling an analysis endpoint
+#[derive(Debug)]
+pub enum ApiClient {
+    Key { id: String },
+    /// No key was sent and keys are optional; rate limited per IP address
+    Anonymous,
+}
+
+impl fmt::Display for ApiClient {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            ApiClient::Key { id } => write!(f, "API key {}", id),
+            ApiClient::Anonymous => write!(f, "Anonymous client"),
+        }
+    }
+}
+
+impl ApiClient {
+    /// Whose results these are: every request with the same key. Anonymous callers can't be
+    /// told apart (many may share an address behind a proxy), so their results belong to
+    /// nobody: they are reused for the same text, but never pointed to or fetched by id.
+    pub fn owner(&self) -> Option<String> {
+        match self {
+            ApiClient::Key { id } => Some(format!("key:{}", id)),
+            ApiClient::Anonymous => None,
+        }
+    }
+}
+
+impl FromRequest for ApiClient {
+    type Error = ApiError;
+    type Future = Ready<Result<Self, Self::Error>>;
+
+    fn from_request(req: &HttpRequest, _payload: &mut Payload) -> Self::Future {
+        ready(authorize(req, Cost::Analysis))
+    }
+}
+
+/// The caller of an endpoint that counts what it uses of the daily quota itself, such as an
+/// evaluation: checked and rate limited like `ApiClient`, but not charged a unit up front
+#[derive(Debug)]
+pub struct MeteredClient(pub ApiClient);
+
+impl FromRequest for MeteredClient {
+    type Error = ApiError;
+    type Future = Ready<Result<Self, Self::Error>>;
+
+    fn from_request(req: &HttpRequest, _payload: &mut Payload) -> Self::Future {
+        ready(authorize(req, Cost::RateLimit).map(MeteredClient))
+    }
+}
+
+/// The caller of an endpoint that costs nothing, such as reading a stored result: the key
+/// is checked, but neither the rate limit nor the quota counts the request
+#[derive(Debug)]
+pub struct FreeClient(pub ApiClient);
+
+impl FromRequest for FreeClient {
+    type Error = ApiError;
+    type Future = Ready<Result<Self, Self::Error>>;
+
+    fn from_request(req: &HttpRequest, _payload: &mut Payload) -> Self::Future {
+        ready(authorize(req, Cost::Free).map(FreeClient))
+    }
+}
+
+/// What a request counts against its caller's limits
+#[derive(Clone, Copy, PartialEq)]
+enum Cost {
+    /// A rate-limit slot and a unit of the daily quota
+    Analysis,
+    /// A rate-limit slot; the handler charges the quota
+    RateLimit,
+    Free,
+}
+
+fn authorize(req: &HttpRequest, cost: Cost) -> Result<ApiClient, ApiError> {
+    let (Some(config), Some(store), Some(limiter)) = (
+        req.app_data::<web::Data<ServerConfig>>(),
+        req.app_data::<web::Data<Mutex<ApiKeyStore>>>(),
+        req.app_data::<web::Data<Mutex<RateLimiter>>>(),
+    ) else {
+        return Err(ApiError::internal("API key checks are not configured"));
+    };
+    let now = unix_now();
+
+    let Some(secret) = presented_key(req) else {
+        if config.require_api_key {
+            return Err(ApiError::unauthorized(
+                "missing_api_key",
+                format!("An API key is required; send it in the {} header", API_KEY_HEADER),
+            ));
+        }
+        if cost == Cost::Free {
+            return Ok(ApiClient::Anonymous);
+        }
+        // The peer address, not X-Forwarded-For, which callers could set to anything
+        let ip = req.peer_addr().map(|addr| addr.ip().to_string()).unwrap_or_default();
+        lock(limiter)
+            .check(&format!("ip:{}", ip), config.anonymous_rate_limit, now)
+            .map_err(rate_limited)?;
+        return Ok(ApiClient::Anonymous);
+    };
+
+    let grant = lock(store).find_active(secret).ok_or_else(|| {
+        ApiError::unauthorized("invalid_api_key", "This API key is not valid or has been revoked")
+    })?;
+    if cost == Cost::Free {
+        return Ok(ApiClient::Key { id: grant.id });
+    }
+    // A key that has used up its quota is turned away before it takes up a rate-limit slot
+    if cost == Cost::Analysis {
+        lock(store).check_quota(&grant.id, 1, now).map_err(quota_exceeded)?;
+    }
+    lock(limiter)
+        .check(&format!("key:{}", grant.id), grant.rate_limit_per_minute, now)
+        .map_err(rate_limited)?;
+    if cost == Cost::Analysis {
+        lock(store).record_use(&grant.id, now).map_err(quota_exceeded)?;
+    }
+
+    Ok(ApiClient::Key { id: grant.id })
+}
+
+fn quota_exceeded(retry_after: u64) -> ApiError {
+    ApiError::too_many_requests("quota_exceeded", "This API key has used up its daily quota", retry_after)
+}
+
+fn rate_limited(retry_after: u64) -> ApiError {
+    ApiError::too_many_requests(
+        "rate_limited",
+        format!("Too many requests; try again in {} seconds", retry_after),
+        retry_after,
+    )
+}
+
+/// Proof that a request carried the admin token
+#[derive(Debug)]
+pub struct AdminAuth;
+
+impl FromRequest for AdminAuth {
+    type Error = ApiError;
+    type Future = Ready<Result<Self, Self::Error>>;
+
+    fn from_request(req: &HttpRequest, _payload: &mut Payload) -> Self::Future {
+        ready(authorize_admin(req))
+    }
+}
+
+fn authorize_admin(req: &HttpRequest) -> Result<AdminAuth, ApiError> {
+    let expected = req
+        .app_data::<web::Data<ServerConfig>>()
+        .and_then(|config| config.admin_token.as_deref())
+        .ok_or_else(|| {
+            ApiError::new(
+                StatusCode::FORBIDDEN,
+                "admin_disabled",
+                "Key management is disabled; set ADMIN_TOKEN on the server to enable it",
+            )
+        })?;
+
+    match bearer_token(req) {
+        Some(token) if same_secret(token, expected) => Ok(AdminAuth),
+        _ => Err(ApiError::unauthorized("unauthorized", "Missing or wrong admin token")),
+    }
+}
+
+/// Permission to change detection profiles: the admin token when one is set. Without one,
+/// profiles are read-only unless `OPEN_PROFILE_EDITING` lets anyone who can reach the
+/// server change them (e.g. a local install).
+#[derive(Debug)]
+pub struct EditorAuth;
+
+impl FromRequest for EditorAuth {
+    type Error = ApiError;
+    type Future = Ready<Result<Self, Self::Error>>;
+
+    fn from_request(req: &HttpRequest, _payload: &mut Payload) -> Self::Future {
+        ready(authorize_editor(req))
+    }
+}
+
+fn authorize_editor(req: &HttpRequest) -> Result<EditorAuth, ApiError> {
+    let config = req
+        .app_data::<web::Data<ServerConfig>>()
+        .ok_or_else(|| ApiError::internal("Profile permissions are not configured"))?;
+    if config.admin_token.is_some() {
+        return authorize_admin(req).map(|_| EditorAuth);
+    }
+    if config.open_profile_editing {
+        return Ok(EditorAuth);
+    }
+    Err(ApiError::new(
+        StatusCode::FORBIDDEN,
+        "admin_disabled",
+        "Detection profiles are read-only; set ADMIN_TOKEN on the server (or OPEN_PROFILE_EDITING=true on a local install) to change them",
+    ))
+}
+
+/// API key from `X-API-Key` or a bearer token
+fn presented_key(req: &HttpRequest) -> Option<&str> {
+    req.headers()
+        .get(API_KEY_HEADER)
+        .and_then(|value| value.to_str().ok())
+        .or_else(|| bearer_token(req))
+        .map(str::trim)
+        .filter(|key| !key.is_empty())
+}
+
+fn bearer_token(req: &HttpRequest) -> Option<&str> {
+    req.headers()
+        .get(header::AUTHORIZATION)?
+        .to_str()
+        .ok()?
+        .strip_prefix("Bearer ")
+}
+
+/// Compare hashes so the time taken doesn't reveal how much of the secret matched
+fn same_secret(presented: &str, expected: &str) -> bool {
+    Sha256::digest(presented.as_bytes()) == Sha256::digest(expected.as_bytes())
+}
+
+/// Lock shared state, carrying on if another request panicked while holding it
+pub fn lock<T>(mutex: &Mutex<T>) -> MutexGuard<'_, T> {
+    mutex.lock().unwrap_or_else(PoisonError::into_inner)
+}
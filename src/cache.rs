@@ -0,0 +1,365 @@
+/// Result Cache Module
+///
+/// Recent analysis results kept in memory, keyed by a hash of the normalized text plus the
+/// detector, profile and segmentation they were computed with, so analyzing the same text
+/// again doesn't call the model again. Each result also keeps a small sketch of the text's
+/// word shingles, which finds earlier submissions of nearly the same text. Entries expire
+/// after a TTL, and the least recently used one makes room when the cache is full.
+
+use sha2::{Digest, Sha256};
+use std::collections::hash_map::DefaultHasher;
+use std::collections::HashMap;
+use std::hash::{Hash, Hasher};
+use crate::analyzer::Segmentation;
+use crate::language;
+use crate::profiles::Profile;
+
+/// Words per shingle; editing one word changes at most this many shingles
+const SHINGLE_WORDS: usize = 3;
+
+/// Shingle hashes kept per text (a bottom-k sketch), which bounds memory per entry
+const SKETCH_SIZE: usize = 256;
+
+/// Estimated share of shared shingles from which two texts count as near-duplicates
+pub const NEAR_DUPLICATE_SIMILARITY: f32 = 0.7;
+
+/// Text with line endings, runs of spaces and blank lines evened out, so copies that
+/// only differ in whitespace share a cache entry
+pub fn normalize(text: &str) -> String {
+    let mut normalized = String::with_capacity(text.len());
+    let mut blank_lines = 0;
+    for line in text.lines() {
+        let line = line.split_whitespace().collect::<Vec<_>>().join(" ");
+        if line.is_empty() {
+            blank_lines += 1;
+            continue;
+        }
+        if !normalized.is_empty() {
+            normalized.push_str(if blank_lines > 0 { "\n\n" } else { "\n" });
+        }
+        normalized.push_str(&line);
+        blank_lines = 0;
+    }
+    normalized
+}
+
+/// Cache key for analyzing `text` with these settings. The profile's settings are part of the
+/// key, so editing a profile never serves results computed with its old rules.
+pub fn key(text: &str, detector_id: &str, profile: &Profile, segmentation: Option<Segmentation>) -> String {
+    let settings = serde_json::to_string(&profile.settings).unwrap_or_default();
+    let mut hasher = Sha256::new();
+    for part in [normalize(text).as_str(), detector_id, &profile.id, &settings, &format!("{:?}", segmentation)] {
+        hasher.update(part.as_bytes());
+        hasher.update([0]);
+    }
+    hex::encode(hasher.finalize())
+}
+
+/// The smallest hashes of a text's word shingles. The shingles two texts share are
+/// estimated from their sketches alone, so texts are compared without being kept.
+#[derive(Clone, Debug, Default, PartialEq)]
+pub struct Sketch(Vec<u64>);
+
+impl Sketch {
+    pub fn of(text: &str) -> Self {
+        let language = language::detect(text);
+        let words: Vec<String> = language::words(text, language)
+            .into_iter()
+            .map(|word| language::normalize_word(word, language))
+            .filter(|word| !word.is_empty())
+            .collect();
+
+        let mut hashes: Vec<u64> = words
+            .windows(SHINGLE_WORDS.min(words.len()).max(1))
+            .map(|shingle| {
+                let mut hasher = DefaultHasher::new();
+                shingle.hash(&mut hasher);
+                hasher.finish()
+            })
+            .collect();
+        hashes.sort_unstable();
+        hashes.dedup();
+        hashes.truncate(SKETCH_SIZE);
+        Sketch(hashes)
+    }
+
+    /// Estimated Jaccard similarity of the two texts' shingles, from 0 to 1
+    pub fn similarity(&self, other: &Sketch) -> f32 {
+        // The smallest hashes of the union are a sample of it; count how many both texts have
+        let mut union: Vec<u64> = self.0.iter().chain(&other.0).copied().collect();
+        union.sort_unstable();
+        union.dedup();
+        union.truncate(SKETCH_SIZE);
+        if union.is_empty() {
+            return 0.0;
+        }
+        let shared = union
+            .iter()
+            .filter(|hash| self.0.binary_search(hash).is_ok() && other.0.binary_search(hash).is_ok())
+            .count();
+        shared as f32 / union.len() as f32
+    }
+}
+
+#[derive(Debug)]
+struct Entry<V> {
+    id: String,
+    /// Who analyzed the text; near-duplicates and results are only shown to the same caller.
+    /// Results of callers that can't be told apart belong to nobody.
+    owner: Option<String>,
+    sketch: Sketch,
+    value: V,
+    analyzed_at: u64,
+    last_used: u64,
+}
+
+/// A result found in the cache
+#[derive(Clone, Debug, PartialEq)]
+pub struct Cached<V> {
+    pub id: String,
+    pub analyzed_at: u64,
+    pub value: V,
+}
+
+/// An earlier result for a similar text
+#[derive(Clone, Debug, PartialEq)]
+pub struct Similar<V> {
+    pub id: String,
+    pub analyzed_at: u64,
+    pub similarity: f32,
+    pub value: V,
+}
+
+#[derive(Debug)]
+pub struct ResultCache<V> {
+    entries: HashMap<String, Entry<V>>,
+    ttl_secs: u64,
+    max_entries: usize,
+}
+
+impl<V: Clone> ResultCache<V> {
+    /// Cache holding up to `max_entries` results for `ttl_secs` seconds; either being 0 disables it
+    pub fn new(ttl_secs: u64, max_entries: usize) -> Self {
+        Self {
+            entries: HashMap::new(),
+            ttl_secs,
+            max_entries,
+        }
+    }
+
+    pub fn enabled(&self) -> bool {
+        self.ttl_secs > 0 && self.max_entries > 0
+    }
+
+    fn is_fresh(&self, entry: &Entry<V>, now: u64) -> bool {
+        now.saturating_sub(entry.analyzed_at) < self.ttl_secs
+    }
+
+    /// Whether `owner` may see the entry: never when either of them has no owner
+    fn is_owned_by(entry: &Entry<V>, owner: Option<&str>) -> bool {
+        owner.is_some() && entry.owner.as_deref() == owner
+    }
+
+    /// The result stored under `key`, unless it has expired
+    pub fn get(&mut self, key: &str, now: u64) -> Option<Cached<V>> {
+        let fresh = self.is_fresh(self.entries.get(key)?, now);
+        if !fresh {
+            self.entries.remove(key);
+            return None;
+        }
+        let entry = self.entries.get_mut(key)?;
+        entry.last_used = now;
+        Some(Cached {
+            id: entry.id.clone(),
+            analyzed_at: entry.analyzed_at,
+            value: entry.value.clone(),
+        })
+    }
+
+    /// A result analyzed by `owner`, looked up by its id
+    pub fn by_id(&self, id: &str, owner: Option<&str>, now: u64) -> Option<Cached<V>> {
+        self.entries
+            .values()
+            .find(|entry| entry.id == id && Self::is_owned_by(entry, owner) && self.is_fresh(entry, now))
+            .map(|entry| Cached {
+                id: entry.id.clone(),
+                analyzed_at: entry.analyzed_at,
+                value: entry.value.clone(),
+            })
+    }
+
+    /// The most similar earlier result of `owner`, if any is a near-duplicate of the sketched
+    /// text, leaving out the result stored under `key` (the text itself)
+    pub fn find_similar(&self, key: &str, owner: Option<&str>, sketch: &Sketch, now: u64) -> Option<Similar<V>> {
+        self.entries
+            .iter()
+            .filter(|(entry_key, entry)| {
+                entry_key.as_str() != key && Self::is_owned_by(entry, owner) && self.is_fresh(entry, now)
+            })
+            .map(|(_, entry)| (entry, entry.sketch.similarity(sketch)))
+            .filter(|(_, similarity)| *similarity >= NEAR_DUPLICATE_SIMILARITY)
+            // Ties go to the earliest submission
+            .max_by(|(a, a_similarity), (b, b_similarity)| {
+                a_similarity.total_cmp(b_similarity).then(b.analyzed_at.cmp(&a.analyzed_at))
+            })
+            .map(|(entry, similarity)| Similar {
+                id: entry.id.clone(),
+                analyzed_at: entry.analyzed_at,
+                similarity,
+                value: entry.value.clone(),
+            })
+    }
+
+    /// Store a result under `key`, returning its new id
+    pub fn insert(&mut self, key: String, owner: Option<&str>, sketch: Sketch, value: V, now: u64) -> String {
+        let id = hex::encode(rand::random::<[u8; 8]>());
+        if !self.enabled() {
+            return id;
+        }
+
+        if self.entries.len() >= self.max_entries && !self.entries.contains_key(&key) {
+            let ttl_secs = self.ttl_secs;
+            self.entries.retain(|_, entry| now.saturating_sub(entry.analyzed_at) < ttl_secs);
+        }
+        while self.entries.len() >= self.max_entries && !self.entries.contains_key(&key) {
+            let Some(oldest) = self
+                .entries
+                .iter()
+                .min_by_key(|(_, entry)| entry.last_used)
+                .map(|(key, _)| key.clone())
+            else {
+                break;
+            };
+            self.entries.remove(&oldest);
+        }
+
+        self.entries.insert(
+            key,
+            Entry {
+                id: id.clone(),
+                owner: owner.map(str::to_string),
+                sketch,
+                value,
+                analyzed_at: now,
+                last_used: now,
+            },
+        );
+        id
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    const ESSAY: &str = "The industrial revolution changed how people worked and lived. \
+        Factories drew workers from the countryside into crowded cities, where wages were low \
+        and hours were long. Over time, unions and new laws improved conditions for many workers.";
+
+    #[test]
+    fn test_normalize_evens_out_whitespace() {
+        assert_eq!(normalize("  One   two\r\nthree \n\n\n\n Four\t five  "), "One two\nthree\n\nFour five");
+        assert_eq!(normalize(" \n "), "");
+    }
+
+    #[test]
+    fn test_key_depends_on_text_and_settings() {
+        let profile = Profile::default();
+        let base = key(ESSAY, "heuristic", &profile, None);
+        assert_eq!(base, key(&format!("  {}\n", ESSAY.replace(". ", ".   ")), "heuristic", &profile, None));
+        assert_ne!(base, key(&ESSAY.replace("low", "high"), "heuristic", &profile, None));
+        assert_ne!(base, key(ESSAY, "ensemble", &profile, None));
+        assert_ne!(base, key(ESSAY, "heuristic", &profile, Some(Segmentation::Sentence)));
+
+        let mut edited = profile.clone();
+        edited.settings.thresholds.ai = 75.0;
+        assert_ne!(base, key(ESSAY, "heuristic", &edited, None));
+    }
+
+    #[test]
+    fn test_sketch_similarity() {
+        let original = Sketch::of(ESSAY);
+        assert_eq!(original.similarity(&original), 1.0);
+
+        let edited = Sketch::of(&ESSAY.replace("crowded", "busy").replace("many", "most"));
+        let similarity = original.similarity(&edited);
+        assert!(similarity >= NEAR_DUPLICATE_SIMILARITY && similarity < 1.0, "similarity {}", similarity);
+
+        let unrelated = Sketch::of("Photosynthesis turns sunlight, water and carbon dioxide into sugar and oxygen.");
+        assert!(original.similarity(&unrelated) < 0.1);
+        assert_eq!(Sketch::of("").similarity(&Sketch::default()), 0.0);
+    }
+
+    #[test]
+    fn test_cache_hits_expire_and_evict() {
+        let mut cache = ResultCache::new(100, 2);
+        let id = cache.insert("a".to_string(), Some("me"), Sketch::default(), 1, 1000);
+        assert_eq!(cache.get("a", 1050), Some(Cached { id: id.clone(), analyzed_at: 1000, value: 1 }));
+        assert_eq!(cache.by_id(&id, Some("me"), 1050).map(|cached| cached.value), Some(1));
+        assert_eq!(cache.by_id(&id, Some("someone else"), 1050), None);
+        assert_eq!(cache.get("a", 1100), None);
+        assert_eq!(cache.entries.len(), 0);
+
+        // "b" was used after "c" was stored, so "c" makes room for "d"
+        cache.insert("b".to_string(), Some("me"), Sketch::default(), 2, 2000);
+        cache.insert("c".to_string(), Some("me"), Sketch::default(), 3, 2001);
+        cache.get("b", 2002);
+        cache.insert("d".to_string(), Some("me"), Sketch::default(), 4, 2003);
+        assert_eq!(cache.entries.len(), 2);
+        assert!(cache.get("c", 2004).is_none());
+        assert!(cache.get("b", 2004).is_some());
+
+        let mut disabled = ResultCache::new(0, 10);
+        disabled.insert("a".to_string(), Some("me"), Sketch::default(), 1, 1000);
+        assert!(!disabled.enabled());
+        assert_eq!(disabled.get("a", 1000), None);
+    }
+
+    #[test]
+    fn test_find_similar_is_per_owner() {
+        let mut cache = ResultCache::new(1000, 10);
+        let id = cache.insert("essay".to_string(), Some("key:1"), Sketch::of(ESSAY), "earlier", 100);
+        cache.insert("other".to_string(), Some("key:1"), Sketch::of("Something else entirely, about cats."), "cats", 101);
+
+        let resubmitted = Sketch::of(&ESSAY.replace("improved", "bettered"));
+        let similar = cache.find_similar("resubmitted", Some("key:1"), &resubmitted, 200).unwrap();
+        assert_eq!((similar.id.as_str(), similar.value), (id.as_str(), "earlier"));
+        assert!(similar.similarity >= NEAR_DUPLICATE_SIMILARITY);
+
+        assert!(cache.find_similar("resubmitted", None, &resubmitted, 200).is_none());
+        assert!(cache.find_similar("resubmitted", Some("key:1"), &resubmitted, 1100).is_none());
+        // A text is never its own near-duplicate
+        assert!(cache.find_similar("essay", Some("key:1"), &Sketch::of(ESSAY), 200).is_none());
+    }
+
+    #[test]
+    fn test_cache_hits_of_two_owners_see_only_their_own_near_duplicates() {
+        let mut cache = ResultCache::new(1000, 10);
+        let resubmitted = ESSAY.replace("improved", "bettered");
+        let first = cache.insert("essay".to_string(), Some("key:1"), Sketch::of(ESSAY), "earlier", 100);
+        cache.insert("resubmitted".to_string(), Some("key:1"), Sketch::of(&resubmitted), "later", 101);
+
+        // Both owners hit the same stored result for the resubmitted text...
+        assert_eq!(cache.get("resubmitted", 200).map(|cached| cached.value), Some("later"));
+        // ...but only the owner of the earlier essay is pointed to it
+        let similar = cache.find_similar("resubmitted", Some("key:1"), &Sketch::of(&resubmitted), 200);
+        assert_eq!(similar.map(|similar| similar.id), Some(first));
+        assert!(cache.find_similar("resubmitted", Some("key:2"), &Sketch::of(&resubmitted), 200).is_none());
+    }
+
+    #[test]
+    fn test_anonymous_callers_never_see_each_others_results() {
+        let mut cache = ResultCache::new(1000, 10);
+        let resubmitted = ESSAY.replace("improved", "bettered");
+        let first = cache.insert("essay".to_string(), None, Sketch::of(ESSAY), "earlier", 100);
+        cache.insert("resubmitted".to_string(), None, Sketch::of(&resubmitted), "later", 101);
+
+        // The same text is still answered from the cache...
+        assert_eq!(cache.get("essay", 200).map(|cached| cached.value), Some("earlier"));
+        // ...but no anonymous caller is pointed to, or can fetch, what another one analyzed
+        assert!(cache.find_similar("resubmitted", None, &Sketch::of(&resubmitted), 200).is_none());
+        assert_eq!(cache.by_id(&first, None, 200), None);
+        assert!(cache.find_similar("resubmitted", Some("key:1"), &Sketch::of(&resubmitted), 200).is_none());
+        assert_eq!(cache.by_id(&first, Some("key:1"), 200), None);
+    }
+}
@@ -0,0 +1,167 @@
+/// Long Document Chunking Module
+///
+/// The RoBERTa detector silently truncates its input at 512 tokens (a few hundred words),
+/// so long texts are split into overlapping word windows that are scored separately
+/// and then aggregated into one length-weighted score.
+
+use serde::Serialize;
+use crate::language::{self, Language};
+
+/// Words per chunk, comfortably below the model's 512-token limit
+pub const CHUNK_WORDS: usize = 300;
+
+/// Words shared by consecutive chunks, so no sentence is only ever seen cut in half
+pub const CHUNK_OVERLAP_WORDS: usize = 50;
+
+/// A window of the original text, borrowed with its formatting intact
+#[derive(Debug, PartialEq)]
+pub struct Chunk<'a> {
+    pub start_word: usize,
+    pub word_count: usize,
+    pub text: &'a str,
+}
+
+/// Score of one chunk, positioned by word offset in the document
+#[derive(Serialize, Clone, Debug)]
+pub struct ChunkScore {
+    pub index: usize,
+    pub start_word: usize,
+    pub word_count: usize,
+    pub ai_percentage: f32,
+}
+
+/// Aggregated chunk scores for a long document
+#[derive(Serialize, Clone, Debug)]
+pub struct ChunkedScores {
+    /// Mean of the chunk scores weighted by chunk length (reported as the overall score)
+    #[serde(skip)]
+    pub ai_percentage: f32,
+    pub min: f32,
+    pub max: f32,
+    /// Difference between the most and least AI-like chunk
+    pub spread: f32,
+    pub items: Vec<ChunkScore>,
+}
+
+/// Split text into overlapping windows of `CHUNK_WORDS` words, as the language counts them.
+/// Texts that fit into a single window come back as one chunk.
+pub fn split_chunks<'a>(text: &'a str, language: &Language) -> Vec<Chunk<'a>> {
+    // Byte ranges of every word, so chunks can be sliced from the original text
+    let words = language::word_spans(text, language);
+
+    if words.len() <= CHUNK_WORDS {
+        return vec![Chunk {
+            start_word: 0,
+            word_count: words.len(),
+            text,
+        }];
+    }
+
+    let step = CHUNK_WORDS - CHUNK_OVERLAP_WORDS;
+    let mut chunks = Vec::new();
+    let mut start = 0;
+
+    loop {
+        let end = (start + CHUNK_WORDS).min(words.len());
+        chunks.push(Chunk {
+            start_word: start,
+            word_count: end - start,
+            text: &text[words[start].0..words[end - 1].1],
+        });
+
+        if end == words.len() {
+            break;
+        }
+        start += step;
+    }
+
+    chunks
+}
+
+/// Combine per-chunk scores (in chunk order) into a document score
+pub fn aggregate(chunks: &[Chunk], scores: &[f32]) -> ChunkedScores {
+    let total_words: usize = chunks.iter().map(|chunk| chunk.word_count).sum();
+    let weighted: f32 = chunks
+        .iter()
+        .zip(scores)
+        .map(|(chunk, score)| score * chunk.word_count as f32)
+        .sum();
+
+    let min = scores.iter().copied().fold(f32::INFINITY, f32::min);
+    let max = scores.iter().copied().fold(f32::NEG_INFINITY, f32::max);
+
+    ChunkedScores {
+        ai_percentage: if total_words == 0 { 50.0 } else { weighted / total_words as f32 },
+        min,
+        max,
+        spread: max - min,
+        items: chunks
+            .iter()
+            .zip(scores)
+            .enumerate()
+            .map(|(index, (chunk, &ai_percentage))| ChunkScore {
+                index,
+                start_word: chunk.start_word,
+                word_count: chunk.word_count,
+                ai_percentage,
+            })
+            .collect(),
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    fn numbered_words(count: usize) -> String {
+        (0..count).map(|i| format!("w{}", i)).collect::<Vec<_>>().join(" ")
+    }
+
+    #[test]
+    fn test_short_text_is_one_chunk() {
+        let text = "  A short text.\n\nWith two paragraphs.  ";
+        let chunks = split_chunks(text, language::detect(text));
+        assert_eq!(chunks.len(), 1);
+        assert_eq!(chunks[0].text, text);
+        assert_eq!(chunks[0].word_count, 6);
+    }
+
+    #[test]
+    fn test_long_text_chunks_overlap_and_cover_everything() {
+        let text = numbered_words(700);
+        let chunks = split_chunks(&text, language::detect(&text));
+
+        // Windows start every 250 words: 0-299, 250-549, 500-699
+        assert_eq!(chunks.len(), 3);
+        assert_eq!(chunks[1].start_word, CHUNK_WORDS - CHUNK_OVERLAP_WORDS);
+        assert!(chunks[1].text.starts_with("w250 "));
+        assert!(chunks[0].text.ends_with(" w299"));
+        assert_eq!(chunks[2].word_count, 200);
+        assert!(chunks[2].text.ends_with(" w699"));
+    }
+
+    #[test]
+    fn test_chinese_text_is_chunked_by_character() {
+        let text = "天".repeat(700);
+        let chunks = split_chunks(&text, language::by_code("zh").unwrap());
+
+        assert_eq!(chunks.len(), 3);
+        assert_eq!(chunks[0].text.chars().count(), CHUNK_WORDS);
+        assert_eq!(chunks[2].word_count, 200);
+    }
+
+    #[test]
+    fn test_aggregate_is_length_weighted() {
+        let text = numbered_words(700);
+        let chunks = split_chunks(&text, language::detect(&text));
+        let scores = [90.0, 60.0, 10.0];
+        let result = aggregate(&chunks, &scores);
+
+        // (90 * 300 + 60 * 300 + 10 * 200) / 800
+        assert!((result.ai_percentage - 58.75).abs() < 1e-4);
+        assert_eq!(result.min, 10.0);
+        assert_eq!(result.max, 90.0);
+        assert_eq!(result.spread, 80.0);
+        assert_eq!(result.items[2].start_word, 500);
+    }
+}
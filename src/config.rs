@@ -0,0 +1,167 @@
+/// Server Configuration Module
+///
+/// Network and access settings read from the environment at startup: the bind address,
+/// which origins may call the API from a browser, request size limits, how API keys
+/// and rate limits are enforced, where server state is kept, how long results are cached
+/// and how long share links may last.
+
+use std::path::PathBuf;
+use crate::detectors::env_var;
+
+/// Address used when `BIND_ADDRESS` is not set
+const DEFAULT_BIND_ADDRESS: &str = "127.0.0.1:8080";
+
+/// Largest accepted JSON body unless `MAX_BODY_BYTES` says otherwise
+const DEFAULT_MAX_BODY_BYTES: usize = 4 * 1024 * 1024;
+
+/// Key store used when `API_KEYS_FILE` is not set
+const DEFAULT_API_KEYS_FILE: &str = "data/api_keys.json";
+
+/// Saved detection profiles, unless `PROFILES_FILE` says otherwise
+const DEFAULT_PROFILES_FILE: &str = "data/profiles.json";
+
+/// Share links, unless `SHARES_FILE` says otherwise
+const DEFAULT_SHARES_FILE: &str = "data/shares.json";
+
+/// Longest lifetime of a share link unless `SHARE_MAX_DAYS` says otherwise
+const DEFAULT_SHARE_MAX_DAYS: u32 = 365;
+
+/// Requests per minute for new API keys unless set per key
+const DEFAULT_KEY_RATE_LIMIT: u32 = 60;
+
+/// Requests per minute per IP address for calls without an API key; unlimited by default
+/// so the web interface (e.g. batch mode) keeps working without keys
+const DEFAULT_ANONYMOUS_RATE_LIMIT: u32 = 0;
+
+/// Seconds an analysis result is reused for unless `CACHE_TTL_SECS` says otherwise
+const DEFAULT_CACHE_TTL_SECS: u64 = 24 * 60 * 60;
+
+/// Results kept in memory unless `CACHE_MAX_ENTRIES` says otherwise
+const DEFAULT_CACHE_MAX_ENTRIES: usize = 1000;
+
+/// Origins allowed to call the API from a browser on another site
+#[derive(Clone, Debug, PartialEq)]
+pub enum CorsOrigins {
+    Any,
+    /// Exact origins such as `https://lms.example.edu`; empty means same-origin only
+    List(Vec<String>),
+}
+
+impl CorsOrigins {
+    /// Parse `CORS_ALLOWED_ORIGINS`: `*` or a comma-separated list
+    pub fn parse(value: Option<&str>) -> Self {
+        match value.map(str::trim) {
+            Some("*") => CorsOrigins::Any,
+            Some(list) => CorsOrigins::List(
+                list.split(',')
+                    .map(|origin| origin.trim().trim_end_matches('/').to_string())
+                    .filter(|origin| !origin.is_empty())
+                    .collect(),
+            ),
+            None => CorsOrigins::List(Vec::new()),
+        }
+    }
+
+    /// Whether a browser on `origin` may call the API; pages served by this server
+    /// (the origin matches the request's `Host`) are always allowed
+    pub fn allows(&self, origin: &str, host: Option<&str>) -> bool {
+        let same_origin = origin
+            .split_once("://")
+            .is_some_and(|(_, origin_host)| Some(origin_host) == host);
+        match self {
+            CorsOrigins::Any => true,
+            CorsOrigins::List(origins) => same_origin || origins.iter().any(|allowed| allowed == origin),
+        }
+    }
+}
+
+#[derive(Clone, Debug)]
+pub struct ServerConfig {
+    /// `host:port` to listen on
+    pub bind_address: String,
+    pub cors_origins: CorsOrigins,
+    pub max_body_bytes: usize,
+    /// Token for the key management endpoints, which are disabled when unset;
+    /// also required to edit detection profiles when set
+    pub admin_token: Option<String>,
+    /// Let anyone who can reach the server edit detection profiles when no admin token is
+    /// set, e.g. on a local install; otherwise profiles are read-only without one
+    pub open_profile_editing: bool,
+    /// Reject analysis requests that don't carry an API key
+    pub require_api_key: bool,
+    pub api_keys_file: PathBuf,
+    pub default_key_rate_limit: u32,
+    /// Per-IP limit for requests without a key; 0 disables it
+    pub anonymous_rate_limit: u32,
+    pub profiles_file: PathBuf,
+    /// How long analysis results are reused; 0 disables the cache
+    pub cache_ttl_secs: u64,
+    /// Most results kept in the cache; 0 disables it
+    pub cache_max_entries: usize,
+    pub shares_file: PathBuf,
+    /// Longest lifetime of a share link, in days; 0 disables share links
+    pub share_max_days: u32,
+}
+
+impl ServerConfig {
+    pub fn from_env() -> Self {
+        Self {
+            bind_address: env_var("BIND_ADDRESS").unwrap_or_else(|| DEFAULT_BIND_ADDRESS.to_string()),
+            cors_origins: CorsOrigins::parse(env_var("CORS_ALLOWED_ORIGINS").as_deref()),
+            max_body_bytes: parsed_env("MAX_BODY_BYTES").unwrap_or(DEFAULT_MAX_BODY_BYTES),
+            admin_token: env_var("ADMIN_TOKEN"),
+            open_profile_editing: parsed_env("OPEN_PROFILE_EDITING").unwrap_or(false),
+            require_api_key: parsed_env("REQUIRE_API_KEY").unwrap_or(false),
+            api_keys_file: env_var("API_KEYS_FILE")
+                .unwrap_or_else(|| DEFAULT_API_KEYS_FILE.to_string())
+                .into(),
+            default_key_rate_limit: parsed_env("DEFAULT_RATE_LIMIT_PER_MIN").unwrap_or(DEFAULT_KEY_RATE_LIMIT),
+            anonymous_rate_limit: parsed_env("ANONYMOUS_RATE_LIMIT_PER_MIN").unwrap_or(DEFAULT_ANONYMOUS_RATE_LIMIT),
+            profiles_file: env_var("PROFILES_FILE")
+                .unwrap_or_else(|| DEFAULT_PROFILES_FILE.to_string())
+                .into(),
+            cache_ttl_secs: parsed_env("CACHE_TTL_SECS").unwrap_or(DEFAULT_CACHE_TTL_SECS),
+            cache_max_entries: parsed_env("CACHE_MAX_ENTRIES").unwrap_or(DEFAULT_CACHE_MAX_ENTRIES),
+            shares_file: env_var("SHARES_FILE")
+                .unwrap_or_else(|| DEFAULT_SHARES_FILE.to_string())
+                .into(),
+            share_max_days: parsed_env("SHARE_MAX_DAYS").unwrap_or(DEFAULT_SHARE_MAX_DAYS),
+        }
+    }
+}
+
+/// Environment variable parsed as `T`, warning about values that don't parse
+fn parsed_env<T: std::str::FromStr>(name: &str) -> Option<T> {
+    let value = env_var(name)?;
+    match value.trim().parse() {
+        Ok(parsed) => Some(parsed),
+        Err(_) => {
+            eprintln!("⚠ Ignoring {}={}: not a valid value", name, value);
+            None
+        }
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn test_parse_cors_origins() {
+        assert_eq!(CorsOrigins::parse(None), CorsOrigins::List(vec![]));
+        assert_eq!(CorsOrigins::parse(Some(" * ")), CorsOrigins::Any);
+
+        let origins = CorsOrigins::parse(Some("https://lms.example.edu/, http://localhost:3000,,"));
+        assert_eq!(
+            origins,
+            CorsOrigins::List(vec![
+                "https://lms.example.edu".to_string(),
+                "http://localhost:3000".to_string(),
+            ])
+        );
+        assert!(origins.allows("https://lms.example.edu", Some("brbrbr.example.edu")));
+        assert!(!origins.allows("https://evil.example.com", Some("brbrbr.example.edu")));
+        assert!(origins.allows("http://brbrbr.example.edu:8080", Some("brbrbr.example.edu:8080")));
+        assert!(!origins.allows("null", None));
+    }
+}
@@ -0,0 +1,539 @@
+/// Detector Registry Module
+///
+/// Lists the detectors this server can score text with: Hugging Face models,
+/// OpenAI-compatible chat endpoints, generic HTTP classifiers, the built-in heuristics,
+/// and an ensemble that combines all of them. Remote detectors are configured through
+/// environment variables and scored through this module. Texts in some languages can be
+/// routed to a different default detector, such as a multilingual model.
+
+use serde::Serialize;
+use std::env;
+use std::sync::{Arc, OnceLock};
+use std::time::Duration;
+use crate::language::{self, Language};
+use crate::progress::Progress;
+use crate::{http_classifier, huggingface, openai};
+
+/// Model used when `HF_MODEL` is not set
+const DEFAULT_HF_MODEL: &str = "Hello-SimpleAI/chatgpt-detector-roberta";
+
+/// Hugging Face inference API, overridable with `HF_API_URL`
+const DEFAULT_HF_API_URL: &str = "https://api-inference.huggingface.co/models";
+
+/// Chat model used when `OPENAI_DETECTOR_MODEL` is not set
+const DEFAULT_OPENAI_MODEL: &str = "gpt-4o-mini";
+
+/// Default per-request timeout for remote detectors, in seconds
+const DEFAULT_TIMEOUT_SECS: u64 = 30;
+
+pub const HEURISTIC_ID: &str = "heuristic";
+pub const ENSEMBLE_ID: &str = "ensemble";
+
+/// Language route that matches every language except English and undetermined text
+pub const ANY_LANGUAGE: &str = "*";
+
+/// Kind of detector that produced a score
+#[derive(Serialize, Clone, Copy, Debug, PartialEq)]
+#[serde(rename_all = "snake_case")]
+pub enum Detector {
+    HuggingFace,
+    OpenAi,
+    Http,
+    Heuristic,
+    Ensemble,
+}
+
+/// Where and how to reach a remote detector
+#[derive(Clone, Debug)]
+pub struct Endpoint {
+    pub url: String,
+    pub token: Option<String>,
+    pub timeout: Duration,
+    /// Built on first use and shared by all copies, so connections are reused across requests
+    client: Arc<OnceLock<reqwest::Client>>,
+}
+
+impl Endpoint {
+    pub fn new(url: String, token: Option<String>, timeout: Duration) -> Self {
+        Self {
+            url,
+            token,
+            timeout,
+            client: Arc::default(),
+        }
+    }
+}
+
+/// How a detector scores text
+#[derive(Clone, Debug)]
+pub enum Backend {
+    HuggingFace(Endpoint),
+    OpenAi { endpoint: Endpoint, model: String },
+    Http(Endpoint),
+    Heuristic,
+    /// Average of the member detectors and the heuristics
+    Ensemble(Vec<DetectorConfig>),
+}
+
+/// A detector offered by this server
+#[derive(Clone, Debug)]
+pub struct DetectorConfig {
+    pub id: String,
+    pub label: String,
+    pub backend: Backend,
+}
+
+/// Public description of a detector, as listed by `GET /api/detectors`
+#[derive(Serialize, Debug)]
+pub struct DetectorInfo {
+    pub id: String,
+    pub label: String,
+    pub kind: Detector,
+    /// False when the detector is missing configuration (e.g. no API token) and will fall back
+    pub available: bool,
+}
+
+/// Error types for remote detector calls
+#[derive(Debug)]
+pub enum DetectorError {
+    ApiError(String),
+    NetworkError(String),
+    ParseError(String),
+    ConfigError(String),
+    TimeoutError(String),
+}
+
+impl std::fmt::Display for DetectorError {
+    fn fmt(&self, f: &mut std::fmt::Formatter) -> std::fmt::Result {
+        match self {
+            DetectorError::ApiError(msg) => write!(f, "API Error: {}", msg),
+            DetectorError::NetworkError(msg) => write!(f, "Network Error: {}", msg),
+            DetectorError::ParseError(msg) => write!(f, "Parse Error: {}", msg),
+            DetectorError::ConfigError(msg) => write!(f, "Config Error: {}", msg),
+            DetectorError::TimeoutError(msg) => write!(f, "Timeout: {}", msg),
+        }
+    }
+}
+
+impl std::error::Error for DetectorError {}
+
+impl DetectorConfig {
+    /// The built-in heuristics, which every registry offers
+    pub fn heuristic() -> Self {
+        DetectorConfig {
+            id: HEURISTIC_ID.to_string(),
+            label: "Heuristics only".to_string(),
+            backend: Backend::Heuristic,
+        }
+    }
+
+    pub fn kind(&self) -> Detector {
+        match self.backend {
+            Backend::HuggingFace(_) => Detector::HuggingFace,
+            Backend::OpenAi { .. } => Detector::OpenAi,
+            Backend::Http(_) => Detector::Http,
+            Backend::Heuristic => Detector::Heuristic,
+            Backend::Ensemble(_) => Detector::Ensemble,
+        }
+    }
+
+    pub fn info(&self) -> DetectorInfo {
+        let available = match &self.backend {
+            Backend::HuggingFace(endpoint) => endpoint.token.is_some(),
+            _ => true,
+        };
+
+        DetectorInfo {
+            id: self.id.clone(),
+            label: self.label.clone(),
+            kind: self.kind(),
+            available,
+        }
+    }
+
+    /// Score one piece of text (0-100) with a remote detector
+    pub async fn score(&self, text: &str, progress: Progress<'_>) -> Result<f32, DetectorError> {
+        match &self.backend {
+            Backend::HuggingFace(endpoint) => {
+                huggingface::analyze_with_huggingface(text, endpoint, progress).await
+            }
+            Backend::OpenAi { endpoint, model } => {
+                openai::analyze_with_openai(text, endpoint, model, progress).await
+            }
+            Backend::Http(endpoint) => http_classifier::analyze_with_http(text, endpoint, progress).await,
+            Backend::Heuristic | Backend::Ensemble(_) => Err(DetectorError::ConfigError(format!(
+                "{} is not a remote detector",
+                self.id
+            ))),
+        }
+    }
+}
+
+/// Detector used by default for texts in a language
+#[derive(Serialize, Clone, Debug, PartialEq)]
+pub struct LanguageRoute {
+    /// Language code, or `*` for any language but English
+    pub language: String,
+    pub detector: String,
+}
+
+/// All detectors offered by this server, plus the one used when a request names none
+pub struct DetectorRegistry {
+    detectors: Vec<DetectorConfig>,
+    default_id: String,
+    language_routes: Vec<LanguageRoute>,
+}
+
+impl DetectorRegistry {
+    /// Build the registry from remote detectors; heuristics and (with at least one
+    /// remote detector) the ensemble are always added. Without a valid `default_id`
+    /// the first detector is the default.
+    pub fn new(remote: Vec<DetectorConfig>, default_id: Option<&str>) -> Self {
+        let mut detectors = remote.clone();
+        detectors.push(DetectorConfig::heuristic());
+        if !remote.is_empty() {
+            detectors.push(DetectorConfig {
+                id: ENSEMBLE_ID.to_string(),
+                label: "Ensemble (all detectors)".to_string(),
+                backend: Backend::Ensemble(remote),
+            });
+        }
+
+        let default_id = match default_id {
+            Some(id) if detectors.iter().any(|detector| detector.id == id) => id.to_string(),
+            other => {
+                if let Some(id) = other {
+                    eprintln!("⚠ Unknown DEFAULT_DETECTOR \"{}\", using \"{}\"", id, detectors[0].id);
+                }
+                detectors[0].id.clone()
+            }
+        };
+
+        DetectorRegistry {
+            detectors,
+            default_id,
+            language_routes: Vec::new(),
+        }
+    }
+
+    /// Add language routes from a comma-separated list of `language=detector` pairs,
+    /// e.g. `zh=hf:some/chinese-model,*=hf:some/multilingual-model`. Pairs naming an
+    /// unknown language or detector are skipped.
+    pub fn with_language_routes(mut self, spec: &str) -> Self {
+        for pair in spec.split(',').map(str::trim).filter(|pair| !pair.is_empty()) {
+            let route = pair.split_once('=').map(|(code, id)| LanguageRoute {
+                language: code.trim().to_string(),
+                detector: id.trim().to_string(),
+            });
+            match route {
+                Some(route)
+                    if (route.language == ANY_LANGUAGE || language::by_code(&route.language).is_some())
+                        && self.get(Some(&route.detector)).is_some() =>
+                {
+                    self.language_routes.push(route)
+                }
+                _ => eprintln!("⚠ Ignoring LANGUAGE_DETECTORS entry \"{}\"", pair),
+            }
+        }
+        self
+    }
+
+    /// Read detector configuration from the environment
+    pub fn from_env() -> Self {
+        let hf_api_url = env_var("HF_API_URL").unwrap_or_else(|| DEFAULT_HF_API_URL.to_string());
+        let hf_token = env_var("HF_API_TOKEN");
+        let hf_timeout = timeout_from_env("HF_TIMEOUT_SECS");
+        let timeout = timeout_from_env("DETECTOR_TIMEOUT_SECS");
+
+        // HF_MODEL may list several comma-separated models
+        let models = env_var("HF_MODEL").unwrap_or_else(|| DEFAULT_HF_MODEL.to_string());
+        let mut remote: Vec<DetectorConfig> = models
+            .split(',')
+            .map(str::trim)
+            .filter(|model| !model.is_empty())
+            .map(|model| DetectorConfig {
+                id: format!("hf:{}", model),
+                label: format!("Hugging Face: {}", model),
+                backend: Backend::HuggingFace(Endpoint::new(
+                    format!("{}/{}", hf_api_url.trim_end_matches('/'), model),
+                    hf_token.clone(),
+                    hf_timeout,
+                )),
+            })
+            .collect();
+
+        if let Some(url) = env_var("OPENAI_DETECTOR_URL") {
+            let model = env_var("OPENAI_DETECTOR_MODEL").unwrap_or_else(|| DEFAULT_OPENAI_MODEL.to_string());
+            remote.push(DetectorConfig {
+                id: format!("openai:{}", model),
+                label: format!("OpenAI-compatible: {}", model),
+                backend: Backend::OpenAi {
+                    endpoint: Endpoint::new(url, env_var("OPENAI_API_KEY"), timeout),
+                    model,
+                },
+            });
+        }
+
+        if let Some(url) = env_var("HTTP_DETECTOR_URL") {
+            remote.push(DetectorConfig {
+                id: "http".to_string(),
+                label: env_var("HTTP_DETECTOR_NAME").unwrap_or_else(|| "HTTP classifier".to_string()),
+                backend: Backend::Http(Endpoint::new(url, env_var("HTTP_DETECTOR_TOKEN"), timeout)),
+            });
+        }
+
+        Self::new(remote, env_var("DEFAULT_DETECTOR").as_deref())
+            .with_language_routes(&env_var("LANGUAGE_DETECTORS").unwrap_or_default())
+    }
+
+    /// Look up a detector by id; `None` selects the default detector
+    pub fn get(&self, id: Option<&str>) -> Option<&DetectorConfig> {
+        let id = id.unwrap_or(&self.default_id);
+        self.detectors.iter().find(|detector| detector.id == id)
+    }
+
+    pub fn default_detector(&self) -> &DetectorConfig {
+        self.get(None).expect("default detector is registered")
+    }
+
+    /// Default detector for text in the given language: the route for that exact
+    /// language, else the `*` route for anything but English, else the default detector
+    pub fn for_language(&self, language: &Language) -> &DetectorConfig {
+        let route_to = |code: &str| self.language_routes.iter().find(|route| route.language == code);
+        let route = route_to(language.code).or_else(|| {
+            let other = language.code != "en" && language.code != language::UNDETERMINED;
+            other.then(|| route_to(ANY_LANGUAGE)).flatten()
+        });
+
+        route
+            .and_then(|route| self.get(Some(&route.detector)))
+            .unwrap_or_else(|| self.default_detector())
+    }
+
+    pub fn language_routes(&self) -> &[LanguageRoute] {
+        &self.language_routes
+    }
+
+    pub fn default_id(&self) -> &str {
+        &self.default_id
+    }
+
+    pub fn all(&self) -> &[DetectorConfig] {
+        &self.detectors
+    }
+
+    pub fn list(&self) -> Vec<DetectorInfo> {
+        self.detectors.iter().map(DetectorConfig::info).collect()
+    }
+}
+
+/// Non-empty environment variable
+pub fn env_var(name: &str) -> Option<String> {
+    env::var(name).ok().filter(|value| !value.trim().is_empty())
+}
+
+fn timeout_from_env(name: &str) -> Duration {
+    let secs = env::var(name)
+        .ok()
+        .and_then(|value| value.parse().ok())
+        .unwrap_or(DEFAULT_TIMEOUT_SECS);
+    Duration::from_secs(secs)
+}
+
+/// The endpoint's HTTP client, which gives up after the endpoint's timeout
+pub fn client(endpoint: &Endpoint) -> Result<reqwest::Client, DetectorError> {
+    if let Some(client) = endpoint.client.get() {
+        return Ok(client.clone());
+    }
+    let client = reqwest::Client::builder()
+        .timeout(endpoint.timeout)
+        .build()
+        .map_err(|e| DetectorError::ConfigError(e.to_string()))?;
+    Ok(endpoint.client.get_or_init(|| client).clone())
+}
+
+/// Classify a failed request as a timeout or a network error
+pub fn send_error(error: reqwest::Error, endpoint: &Endpoint) -> DetectorError {
+    if error.is_timeout() {
+        DetectorError::TimeoutError(format!("no response within {}s", endpoint.timeout.as_secs()))
+    } else {
+        DetectorError::NetworkError(error.to_string())
+    }
+}
+
+/// Local HTTP server that answers every request with one fixed response,
+/// standing in for remote detectors in tests
+#[cfg(test)]
+pub mod mock {
+    use super::Endpoint;
+    use std::sync::{Arc, Mutex};
+    use std::time::Duration;
+    use tokio::io::{AsyncReadExt, AsyncWriteExt};
+    use tokio::net::TcpListener;
+
+    pub struct MockServer {
+        pub url: String,
+        requests: Arc<Mutex<Vec<String>>>,
+    }
+
+    impl MockServer {
+        pub async fn start(status: u16, body: &'static str) -> Self {
+            let listener = TcpListener::bind("127.0.0.1:0").await.unwrap();
+            let url = format!("http://{}", listener.local_addr().unwrap());
+            let requests = Arc::new(Mutex::new(Vec::new()));
+            let seen = requests.clone();
+
+            tokio::spawn(async move {
+                while let Ok((mut socket, _)) = listener.accept().await {
+                    let request = read_request(&mut socket).await;
+                    seen.lock().unwrap().push(request);
+                    let response = format!(
+                        "HTTP/1.1 {} Mock\r\nContent-Type: application/json\r\nContent-Length: {}\r\nConnection: close\r\n\r\n{}",
+                        status,
+                        body.len(),
+                        body
+                    );
+                    let _ = socket.write_all(response.as_bytes()).await;
+                }
+            });
+
+            MockServer { url, requests }
+        }
+
+        pub fn endpoint(&self, path: &str) -> Endpoint {
+            Endpoint::new(format!("{}{}", self.url, path), Some("test-token".to_string()), Duration::from_secs(5))
+        }
+
+        /// Raw requests received so far (head and body)
+        pub fn requests(&self) -> Vec<String> {
+            self.requests.lock().unwrap().clone()
+        }
+    }
+
+    /// Read one request, using Content-Length to know where the body ends
+    async fn read_request(socket: &mut tokio::net::TcpStream) -> String {
+        let mut data = Vec::new();
+        let mut buf = [0u8; 4096];
+        loop {
+            let n = socket.read(&mut buf).await.unwrap_or(0);
+            if n == 0 {
+                break;
+            }
+            data.extend_from_slice(&buf[..n]);
+
+            let text = String::from_utf8_lossy(&data);
+            if let Some(head_end) = text.find("\r\n\r\n") {
+                let content_length = text[..head_end]
+                    .lines()
+                    .find_map(|line| {
+                        let (name, value) = line.split_once(':')?;
+                        name.eq_ignore_ascii_case("content-length").then(|| value.trim().parse().ok())?
+                    })
+                    .unwrap_or(0);
+                if data.len() >= head_end + 4 + content_length {
+                    break;
+                }
+            }
+        }
+        String::from_utf8_lossy(&data).into_owned()
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::mock::MockServer;
+    use super::*;
+
+    fn remote(id: &str, backend: Backend) -> DetectorConfig {
+        DetectorConfig {
+            id: id.to_string(),
+            label: id.to_string(),
+            backend,
+        }
+    }
+
+    #[test]
+    fn test_registry_adds_heuristic_and_ensemble() {
+        let endpoint = Endpoint::new("http://127.0.0.1:9".to_string(), None, Duration::from_secs(1));
+        let registry = DetectorRegistry::new(vec![remote("http", Backend::Http(endpoint))], Some("missing"));
+
+        let ids: Vec<String> = registry.list().into_iter().map(|info| info.id).collect();
+        assert_eq!(ids, vec!["http", HEURISTIC_ID, ENSEMBLE_ID]);
+        assert_eq!(registry.default_id(), "http");
+        assert_eq!(registry.get(Some(ENSEMBLE_ID)).unwrap().kind(), Detector::Ensemble);
+        assert!(registry.get(Some("nope")).is_none());
+
+        let heuristic_only = DetectorRegistry::new(Vec::new(), None);
+        assert_eq!(heuristic_only.list().len(), 1);
+        assert_eq!(heuristic_only.default_detector().kind(), Detector::Heuristic);
+    }
+
+    #[test]
+    fn test_language_routes_pick_the_default_detector() {
+        let endpoint = |url: &str| Endpoint::new(url.to_string(), None, Duration::from_secs(1));
+        let registry = DetectorRegistry::new(
+            vec![
+                remote("hf:english", Backend::HuggingFace(endpoint("http://127.0.0.1:9/en"))),
+                remote("hf:chinese", Backend::HuggingFace(endpoint("http://127.0.0.1:9/zh"))),
+                remote("hf:multilingual", Backend::HuggingFace(endpoint("http://127.0.0.1:9/xx"))),
+            ],
+            None,
+        )
+        .with_language_routes("zh=hf:chinese, *=hf:multilingual, xx=hf:chinese, fr=missing, broken");
+        let route = |code: &str| registry.for_language(language::by_code(code).unwrap()).id.as_str();
+
+        assert_eq!(registry.language_routes().len(), 2);
+        assert_eq!(route("zh"), "hf:chinese");
+        assert_eq!(route("sv"), "hf:multilingual");
+        assert_eq!(route("en"), "hf:english");
+        assert_eq!(route(language::UNDETERMINED), "hf:english");
+    }
+
+    #[tokio::test]
+    async fn test_hugging_face_backend_with_mock_server() {
+        let server = MockServer::start(200, r#"[[{"label":"Human","score":0.25},{"label":"ChatGPT","score":0.75}]]"#).await;
+        let detector = remote("hf:test/model", Backend::HuggingFace(server.endpoint("/models/test/model")));
+
+        let score = detector.score("Some text", None).await.unwrap();
+        assert!((score - 75.0).abs() < 1e-4);
+
+        let request = &server.requests()[0];
+        assert!(request.starts_with("POST /models/test/model "));
+        assert!(request.contains("Bearer test-token"));
+        assert!(request.contains(r#""inputs":"Some text""#));
+    }
+
+    #[tokio::test]
+    async fn test_openai_backend_with_mock_server() {
+        let server = MockServer::start(200, r#"{"choices":[{"message":{"role":"assistant","content":"82"}}]}"#).await;
+        let detector = remote(
+            "openai:test",
+            Backend::OpenAi { endpoint: server.endpoint("/v1"), model: "test-model".to_string() },
+        );
+
+        assert_eq!(detector.score("Some text", None).await.unwrap(), 82.0);
+        let request = &server.requests()[0];
+        assert!(request.starts_with("POST /v1/chat/completions "));
+        assert!(request.contains(r#""model":"test-model""#));
+    }
+
+    #[tokio::test]
+    async fn test_http_backend_with_mock_server() {
+        let server = MockServer::start(200, r#"{"ai_probability":0.4}"#).await;
+        let detector = remote("http", Backend::Http(server.endpoint("/classify")));
+
+        assert!((detector.score("Some text", None).await.unwrap() - 40.0).abs() < 1e-4);
+        assert!(server.requests()[0].contains(r#"{"text":"Some text"}"#));
+    }
+
+    #[tokio::test]
+    async fn test_remote_errors_are_reported() {
+        let server = MockServer::start(500, r#"{"error":"boom"}"#).await;
+        let detector = remote("http", Backend::Http(server.endpoint("/classify")));
+
+        match detector.score("Some text", None).await {
+            Err(DetectorError::ApiError(msg)) => assert!(msg.contains("boom")),
+            other => panic!("expected an API error, got {:?}", other),
+        }
+    }
+}
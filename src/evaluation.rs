@@ -0,0 +1,773 @@
+/// Evaluation Module
+///
+/// Measures how well detectors tell human from AI text on a labeled corpus: accuracy,
+/// precision and recall of the verdicts, ROC-AUC and calibration of the scores. The built-in
+/// corpus is `tests/corpus.json`; `brbrbr evaluate` and `POST /api/evaluation` run it or a
+/// corpus of your own. Remote detectors can be replaced by a mock that answers with scores
+/// recorded in the corpus, so runs are reproducible without network access or API tokens.
+
+use futures_util::stream::{self, StreamExt};
+use serde::{Deserialize, Serialize};
+use std::collections::{BTreeMap, HashSet};
+use std::fmt::Write;
+use std::path::PathBuf;
+use crate::analyzer::TextAnalyzer;
+use crate::detectors::{Backend, Detector, DetectorConfig, DetectorRegistry};
+use crate::language::{self, Language};
+use crate::profiles::{Profile, Thresholds};
+
+/// The labeled samples in tests/corpus.json
+const BUILTIN_CORPUS: &str = include_str!("../tests/corpus.json");
+
+/// Most samples evaluated in one run
+pub const MAX_SAMPLES: usize = 1000;
+
+/// Samples scored at the same time by one detector
+const SAMPLE_CONCURRENCY: usize = 4;
+
+/// Equal-width score ranges of the calibration curve
+const CALIBRATION_BINS: usize = 10;
+
+/// Who wrote a sample
+#[derive(Serialize, Deserialize, Clone, Copy, Debug, PartialEq, Eq)]
+#[serde(rename_all = "lowercase")]
+pub enum Label {
+    Human,
+    Ai,
+}
+
+/// One labeled text
+#[derive(Serialize, Deserialize, Clone, Debug, PartialEq)]
+pub struct Sample {
+    /// Defaults to the sample's position in the corpus, counting from 1
+    #[serde(default)]
+    pub id: String,
+    pub text: String,
+    pub label: Label,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub note: Option<String>,
+    /// AI scores (0-100) recorded from remote detectors, by detector id, for the mock to answer with
+    #[serde(default, skip_serializing_if = "BTreeMap::is_empty")]
+    pub scores: BTreeMap<String, f32>,
+}
+
+/// A labeled corpus: a JSON object `{"name": ..., "samples": [...]}`, or one sample per line
+#[derive(Serialize, Deserialize, Clone, Debug, PartialEq)]
+pub struct Corpus {
+    #[serde(default)]
+    pub name: String,
+    pub samples: Vec<Sample>,
+}
+
+impl Corpus {
+    pub fn builtin() -> Self {
+        Self::parse(BUILTIN_CORPUS).expect("the built-in corpus is valid")
+    }
+
+    /// Read a corpus in either format
+    pub fn parse(input: &str) -> Result<Self, String> {
+        let corpus = match serde_json::from_str::<Corpus>(input) {
+            Ok(corpus) => corpus,
+            // JSON Lines: every non-empty line is a sample, so the first line is a JSON object by itself
+            Err(e) if !first_line_is_sample(input) => return Err(format!("Invalid corpus: {}", e)),
+            Err(_) => {
+                let samples = input
+                    .lines()
+                    .enumerate()
+                    .filter(|(_, line)| !line.trim().is_empty())
+                    .map(|(i, line)| serde_json::from_str(line).map_err(|e| format!("Invalid sample on line {}: {}", i + 1, e)))
+                    .collect::<Result<_, _>>()?;
+                Corpus { name: String::new(), samples }
+            }
+        };
+        corpus.validate()
+    }
+
+    /// Check the samples, numbering those without an id
+    pub fn validate(mut self) -> Result<Self, String> {
+        if self.samples.is_empty() {
+            return Err("The corpus has no samples".to_string());
+        }
+        if self.samples.len() > MAX_SAMPLES {
+            return Err(format!("The corpus has {} samples; at most {} can be evaluated at once", self.samples.len(), MAX_SAMPLES));
+        }
+
+        let mut ids = HashSet::new();
+        for (i, sample) in self.samples.iter_mut().enumerate() {
+            if sample.id.trim().is_empty() {
+                sample.id = (i + 1).to_string();
+            }
+            if !ids.insert(sample.id.clone()) {
+                return Err(format!("Duplicate sample id \"{}\"", sample.id));
+            }
+            if sample.text.trim().is_empty() {
+                return Err(format!("Sample \"{}\" has no text", sample.id));
+            }
+            if let Some((detector, score)) = sample.scores.iter().find(|(_, score)| !(0.0..=100.0).contains(*score)) {
+                return Err(format!("Sample \"{}\" has a recorded {} score of {}, outside 0-100", sample.id, detector, score));
+            }
+        }
+        Ok(self)
+    }
+
+    pub fn count(&self, label: Label) -> usize {
+        self.samples.iter().filter(|sample| sample.label == label).count()
+    }
+}
+
+fn first_line_is_sample(input: &str) -> bool {
+    let first = input.lines().find(|line| !line.trim().is_empty()).unwrap_or_default();
+    serde_json::from_str::<serde_json::Value>(first).is_ok_and(|value| value.is_object() && value.get("samples").is_none())
+}
+
+/// Detectors to evaluate: the given ids, or every detector when there are none.
+/// Fails with the first unknown id.
+pub fn select<'a>(registry: &'a DetectorRegistry, ids: &[String]) -> Result<Vec<&'a DetectorConfig>, String> {
+    if ids.is_empty() {
+        return Ok(registry.all().iter().collect());
+    }
+    ids.iter()
+        .map(|id| registry.get(Some(id)).ok_or_else(|| id.clone()))
+        .collect()
+}
+
+/// Analyses a run makes, one per sample and detector (an ensemble counts once, like an
+/// ensemble analysis). Each costs what an `/api/analyze` request for the sample would, one
+/// unit of the daily quota, whether it is scored, mocked or made of per-segment calls.
+pub fn analyses(corpus: &Corpus, detectors: &[&DetectorConfig]) -> u64 {
+    (detectors.len() * corpus.samples.len()) as u64
+}
+
+/// Whether a run sends samples to remote detectors rather than replaying recorded scores
+pub fn calls_remote(detectors: &[&DetectorConfig], mock: bool) -> bool {
+    !mock && detectors.iter().any(|detector| !matches!(detector.backend, Backend::Heuristic))
+}
+
+/// Score of one sample
+#[derive(Serialize, Clone, Debug, PartialEq)]
+pub struct SampleResult {
+    pub id: String,
+    pub label: Label,
+    pub ai_percentage: f32,
+    pub verdict: String,
+    /// Kind of detector that produced the score
+    pub detector: Detector,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub fallback_reason: Option<String>,
+}
+
+impl SampleResult {
+    fn is_ai_verdict(&self) -> bool {
+        self.verdict == "AI Generated"
+    }
+
+    fn is_human_verdict(&self) -> bool {
+        self.verdict == "Human Written"
+    }
+}
+
+/// Verdicts given to the samples of one label
+#[derive(Serialize, Clone, Copy, Debug, Default, PartialEq)]
+pub struct VerdictCounts {
+    pub human: usize,
+    pub uncertain: usize,
+    pub ai: usize,
+}
+
+/// Verdicts by true label (rows) and verdict (columns)
+#[derive(Serialize, Clone, Copy, Debug, Default, PartialEq)]
+pub struct ConfusionMatrix {
+    pub human: VerdictCounts,
+    pub ai: VerdictCounts,
+}
+
+/// How reliable the verdicts for one label are; `None` when nothing was counted
+#[derive(Serialize, Clone, Copy, Debug, PartialEq)]
+pub struct ClassMetrics {
+    /// Share of the verdicts for this label that were right
+    pub precision: Option<f32>,
+    /// Share of the samples with this label that got its verdict
+    pub recall: Option<f32>,
+    pub f1: Option<f32>,
+}
+
+impl ClassMetrics {
+    fn new(correct: usize, predicted: usize, actual: usize) -> Self {
+        let precision = ratio(correct, predicted);
+        let recall = ratio(correct, actual);
+        let f1 = match (precision, recall) {
+            (Some(p), Some(r)) if p + r > 0.0 => Some(2.0 * p * r / (p + r)),
+            (Some(_), Some(_)) => Some(0.0),
+            _ => None,
+        };
+        Self { precision, recall, f1 }
+    }
+}
+
+/// A point of the ROC curve: calling every sample scored `threshold` or higher AI.
+/// The curve starts at (0, 0), left out of the list.
+#[derive(Serialize, Clone, Copy, Debug, PartialEq)]
+pub struct RocPoint {
+    pub threshold: f32,
+    pub false_positive_rate: f32,
+    pub true_positive_rate: f32,
+}
+
+/// Samples scored within one range of the calibration curve; a calibrated detector's
+/// mean score matches the share of AI samples in every range
+#[derive(Serialize, Clone, Copy, Debug, PartialEq)]
+pub struct CalibrationBin {
+    pub lower: f32,
+    pub upper: f32,
+    pub count: usize,
+    /// Mean AI score of the samples in the range
+    pub mean_score: Option<f32>,
+    /// Percentage of the samples in the range that are AI-written
+    pub ai_share: Option<f32>,
+}
+
+#[derive(Serialize, Clone, Debug, PartialEq)]
+pub struct Metrics {
+    /// Share of samples with the right verdict; "Uncertain" counts as wrong
+    pub accuracy: f32,
+    /// Share of samples that got a verdict other than "Uncertain"
+    pub coverage: f32,
+    pub ai: ClassMetrics,
+    pub human: ClassMetrics,
+    /// Chance that a random AI sample scores higher than a random human one; `None`
+    /// unless both labels occur
+    pub roc_auc: Option<f32>,
+    /// Mean squared difference between the score (as a probability) and the label, from 0 (best) to 1
+    pub brier_score: f32,
+    /// Mean gap between the mean score and the AI share of the calibration bins, weighted by
+    /// their sample counts, in percentage points
+    pub calibration_error: f32,
+    pub confusion: ConfusionMatrix,
+    pub roc: Vec<RocPoint>,
+    pub calibration: Vec<CalibrationBin>,
+}
+
+fn ratio(part: usize, whole: usize) -> Option<f32> {
+    (whole > 0).then(|| part as f32 / whole as f32)
+}
+
+/// Metrics of scored samples; there must be at least one
+pub fn metrics(results: &[SampleResult]) -> Metrics {
+    let mut confusion = ConfusionMatrix::default();
+    for result in results {
+        let row = match result.label {
+            Label::Human => &mut confusion.human,
+            Label::Ai => &mut confusion.ai,
+        };
+        if result.is_ai_verdict() {
+            row.ai += 1;
+        } else if result.is_human_verdict() {
+            row.human += 1;
+        } else {
+            row.uncertain += 1;
+        }
+    }
+
+    let total = results.len();
+    let ai_count = confusion.ai.human + confusion.ai.uncertain + confusion.ai.ai;
+    let human_count = total - ai_count;
+    let correct = confusion.ai.ai + confusion.human.human;
+    let decided = total - confusion.ai.uncertain - confusion.human.uncertain;
+
+    let ai_scores: Vec<f32> = scores_of(results, Label::Ai);
+    let human_scores: Vec<f32> = scores_of(results, Label::Human);
+
+    let brier_score = results
+        .iter()
+        .map(|result| {
+            let truth = if result.label == Label::Ai { 1.0 } else { 0.0 };
+            (result.ai_percentage / 100.0 - truth).powi(2)
+        })
+        .sum::<f32>()
+        / total.max(1) as f32;
+
+    let calibration = calibration_bins(results);
+    let calibration_error = calibration
+        .iter()
+        .filter_map(|bin| Some(bin.count as f32 * (bin.mean_score? - bin.ai_share?).abs()))
+        .sum::<f32>()
+        / total.max(1) as f32;
+
+    Metrics {
+        accuracy: ratio(correct, total).unwrap_or(0.0),
+        coverage: ratio(decided, total).unwrap_or(0.0),
+        ai: ClassMetrics::new(confusion.ai.ai, confusion.ai.ai + confusion.human.ai, ai_count),
+        human: ClassMetrics::new(confusion.human.human, confusion.human.human + confusion.ai.human, human_count),
+        roc_auc: roc_auc(&ai_scores, &human_scores),
+        brier_score,
+        calibration_error,
+        confusion,
+        roc: roc_curve(&ai_scores, &human_scores),
+        calibration,
+    }
+}
+
+fn scores_of(results: &[SampleResult], label: Label) -> Vec<f32> {
+    results
+        .iter()
+        .filter(|result| result.label == label)
+        .map(|result| result.ai_percentage)
+        .collect()
+}
+
+/// Share of (AI, human) pairs where the AI sample scores higher, ties counting half
+fn roc_auc(ai_scores: &[f32], human_scores: &[f32]) -> Option<f32> {
+    if ai_scores.is_empty() || human_scores.is_empty() {
+        return None;
+    }
+    let wins: f32 = ai_scores
+        .iter()
+        .flat_map(|ai| human_scores.iter().map(move |human| (ai, human)))
+        .map(|(ai, human)| if ai > human { 1.0 } else if ai == human { 0.5 } else { 0.0 })
+        .sum();
+    Some(wins / (ai_scores.len() * human_scores.len()) as f32)
+}
+
+/// One point per distinct score, from the highest down to the lowest
+fn roc_curve(ai_scores: &[f32], human_scores: &[f32]) -> Vec<RocPoint> {
+    let mut thresholds: Vec<f32> = ai_scores.iter().chain(human_scores).copied().collect();
+    thresholds.sort_by(|a, b| b.total_cmp(a));
+    thresholds.dedup();
+
+    let rate = |scores: &[f32], threshold: f32| {
+        ratio(scores.iter().filter(|score| **score >= threshold).count(), scores.len()).unwrap_or(0.0)
+    };
+    thresholds
+        .into_iter()
+        .map(|threshold| RocPoint {
+            threshold,
+            false_positive_rate: rate(human_scores, threshold),
+            true_positive_rate: rate(ai_scores, threshold),
+        })
+        .collect()
+}
+
+fn calibration_bins(results: &[SampleResult]) -> Vec<CalibrationBin> {
+    let width = 100.0 / CALIBRATION_BINS as f32;
+    (0..CALIBRATION_BINS)
+        .map(|i| {
+            let (lower, upper) = (i as f32 * width, (i + 1) as f32 * width);
+            // The last range includes 100
+            let in_bin: Vec<&SampleResult> = results
+                .iter()
+                .filter(|result| {
+                    result.ai_percentage >= lower && (result.ai_percentage < upper || i == CALIBRATION_BINS - 1)
+                })
+                .collect();
+            let count = in_bin.len();
+            CalibrationBin {
+                lower,
+                upper,
+                count,
+                mean_score: (count > 0).then(|| in_bin.iter().map(|result| result.ai_percentage).sum::<f32>() / count as f32),
+                ai_share: ratio(in_bin.iter().filter(|result| result.label == Label::Ai).count(), count)
+                    .map(|share| share * 100.0),
+            }
+        })
+        .collect()
+}
+
+/// Results of one detector
+#[derive(Serialize, Clone, Debug)]
+pub struct DetectorReport {
+    pub id: String,
+    pub label: String,
+    /// Samples the heuristics scored because the detector failed or, with the mock, had no recorded score
+    pub fallbacks: usize,
+    pub metrics: Metrics,
+    pub results: Vec<SampleResult>,
+}
+
+#[derive(Serialize, Clone, Debug)]
+pub struct Report {
+    pub corpus: String,
+    pub samples: usize,
+    pub human_samples: usize,
+    pub ai_samples: usize,
+    pub profile: String,
+    pub thresholds: Thresholds,
+    /// Whether remote detectors were replaced by the mock
+    pub mock: bool,
+    pub detectors: Vec<DetectorReport>,
+}
+
+/// Score every sample with every detector; `mock` answers for remote detectors with the
+/// scores recorded in the corpus instead of calling them
+pub async fn evaluate(corpus: &Corpus, detectors: &[&DetectorConfig], profile: &Profile, mock: bool) -> Report {
+    let thresholds = profile.settings.thresholds;
+    let mut reports = Vec::with_capacity(detectors.len());
+
+    for detector in detectors {
+        let results: Vec<SampleResult> = stream::iter(corpus.samples.iter().map(|sample| async move {
+            let language = language::detect(&sample.text);
+            let (ai_percentage, kind, fallback_reason) = if mock && !matches!(detector.backend, Backend::Heuristic) {
+                replay(sample, detector, language, profile).await
+            } else {
+                let analysis = TextAnalyzer::analyze_detailed(&sample.text, language, detector, profile, None).await;
+                (analysis.ai_percentage, analysis.detector, analysis.fallback_reason)
+            };
+            SampleResult {
+                id: sample.id.clone(),
+                label: sample.label,
+                ai_percentage,
+                verdict: TextAnalyzer::get_verdict(ai_percentage, &thresholds),
+                detector: kind,
+                fallback_reason,
+            }
+        }))
+        .buffered(SAMPLE_CONCURRENCY)
+        .collect()
+        .await;
+
+        reports.push(DetectorReport {
+            id: detector.id.clone(),
+            label: detector.label.clone(),
+            fallbacks: results.iter().filter(|result| result.fallback_reason.is_some()).count(),
+            metrics: metrics(&results),
+            results,
+        });
+    }
+
+    Report {
+        corpus: corpus.name.clone(),
+        samples: corpus.samples.len(),
+        human_samples: corpus.count(Label::Human),
+        ai_samples: corpus.count(Label::Ai),
+        profile: profile.id.clone(),
+        thresholds,
+        mock,
+        detectors: reports,
+    }
+}
+
+/// The mock's score for a remote detector: the recorded score, or for the ensemble the
+/// average of the recorded member scores and the heuristics. Without recorded scores the
+/// heuristics take over, as they do when a real detector fails.
+async fn replay(
+    sample: &Sample,
+    detector: &DetectorConfig,
+    language: &'static Language,
+    profile: &Profile,
+) -> (f32, Detector, Option<String>) {
+    let heuristic = TextAnalyzer::analyze_detailed(&sample.text, language, &DetectorConfig::heuristic(), profile, None)
+        .await
+        .ai_percentage;
+    let missing = || Some(format!("Mock: no recorded score for {}", detector.id));
+
+    match &detector.backend {
+        Backend::Ensemble(members) => {
+            let recorded: Vec<f32> = members.iter().filter_map(|member| sample.scores.get(&member.id).copied()).collect();
+            if recorded.is_empty() {
+                (heuristic, Detector::Heuristic, missing())
+            } else {
+                let mean = (heuristic + recorded.iter().sum::<f32>()) / (recorded.len() + 1) as f32;
+                (mean, Detector::Ensemble, None)
+            }
+        }
+        _ => match sample.scores.get(&detector.id) {
+            Some(&score) => (score, detector.kind(), None),
+            None => (heuristic, Detector::Heuristic, missing()),
+        },
+    }
+}
+
+/// The corpus with the scores of every remote detector that answered in `report`, so later
+/// runs can replay them with the mock
+pub fn record(corpus: &Corpus, report: &Report) -> Corpus {
+    let mut recorded = corpus.clone();
+    for detector in &report.detectors {
+        for (sample, result) in recorded.samples.iter_mut().zip(&detector.results) {
+            let remote = !matches!(result.detector, Detector::Heuristic | Detector::Ensemble);
+            if remote && result.fallback_reason.is_none() {
+                sample.scores.insert(detector.id.clone(), result.ai_percentage);
+            }
+        }
+    }
+    recorded
+}
+
+pub const USAGE: &str = "\
+Usage: brbrbr evaluate [CORPUS] [options]
+
+Scores a labeled corpus (default: the built-in tests/corpus.json) with every detector
+and prints accuracy, precision/recall, ROC-AUC and calibration.
+
+Options:
+  --detector ID    Evaluate only this detector (repeatable)
+  --profile ID     Detection profile for the heuristics and the verdicts
+  --mock           Answer for remote detectors with the scores recorded in the corpus
+  --record FILE    Write the corpus with the remote detectors' scores added, for --mock
+  --output FILE    Write the full report as JSON";
+
+/// Arguments of `brbrbr evaluate`
+#[derive(Debug, Default, PartialEq)]
+pub struct Command {
+    pub corpus: Option<PathBuf>,
+    pub detectors: Vec<String>,
+    pub profile: Option<String>,
+    pub mock: bool,
+    pub record: Option<PathBuf>,
+    pub output: Option<PathBuf>,
+}
+
+impl Command {
+    pub fn parse(args: &[String]) -> Result<Self, String> {
+        let mut command = Command::default();
+        let mut args = args.iter();
+        while let Some(arg) = args.next() {
+            let mut value = || args.next().cloned().ok_or_else(|| format!("{} needs a value", arg));
+            match arg.as_str() {
+                "--detector" => command.detectors.push(value()?),
+                "--profile" => command.profile = Some(value()?),
+                "--mock" => command.mock = true,
+                "--record" => command.record = Some(value()?.into()),
+                "--output" => command.output = Some(value()?.into()),
+                flag if flag.starts_with("--") => return Err(format!("Unknown option {}", flag)),
+                path if command.corpus.is_none() => command.corpus = Some(path.into()),
+                extra => return Err(format!("Unexpected argument {}", extra)),
+            }
+        }
+        Ok(command)
+    }
+}
+
+fn percent(value: Option<f32>) -> String {
+    value.map_or_else(|| "-".to_string(), |value| format!("{:.1}%", value * 100.0))
+}
+
+/// Plain-text summary of a report, for the terminal
+pub fn summary(report: &Report) -> String {
+    let mut out = String::new();
+    let name = if report.corpus.is_empty() { "corpus" } else { &report.corpus };
+    let _ = writeln!(
+        out,
+        "{}: {} samples ({} human, {} AI), profile {} (human ≤ {}, AI ≥ {}){}\n",
+        name,
+        report.samples,
+        report.human_samples,
+        report.ai_samples,
+        report.profile,
+        report.thresholds.human,
+        report.thresholds.ai,
+        if report.mock { ", remote detectors mocked" } else { "" }
+    );
+    let _ = writeln!(
+        out,
+        "{:<40} {:>9} {:>9} {:>9} {:>9} {:>8} {:>6} {:>9}",
+        "Detector", "Accuracy", "Coverage", "AI prec.", "AI rec.", "ROC-AUC", "Brier", "Fallbacks"
+    );
+    for detector in &report.detectors {
+        let metrics = &detector.metrics;
+        let _ = writeln!(
+            out,
+            "{:<40} {:>9} {:>9} {:>9} {:>9} {:>8} {:>6.3} {:>9}",
+            detector.id,
+            percent(Some(metrics.accuracy)),
+            percent(Some(metrics.coverage)),
+            percent(metrics.ai.precision),
+            percent(metrics.ai.recall),
+            metrics.roc_auc.map_or_else(|| "-".to_string(), |auc| format!("{:.3}", auc)),
+            metrics.brier_score,
+            detector.fallbacks
+        );
+    }
+
+    for detector in &report.detectors {
+        let confusion = &detector.metrics.confusion;
+        let _ = writeln!(out, "\n{} verdicts (rows: true label)", detector.id);
+        let _ = writeln!(out, "{:<8} {:>6} {:>10} {:>6}", "", "Human", "Uncertain", "AI");
+        for (label, row) in [("human", confusion.human), ("ai", confusion.ai)] {
+            let _ = writeln!(out, "{:<8} {:>6} {:>10} {:>6}", label, row.human, row.uncertain, row.ai);
+        }
+    }
+    out
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use crate::detectors::mock::MockServer;
+    use crate::detectors::HEURISTIC_ID;
+
+    fn result(label: Label, ai_percentage: f32) -> SampleResult {
+        SampleResult {
+            id: String::new(),
+            label,
+            ai_percentage,
+            verdict: TextAnalyzer::get_verdict(ai_percentage, &Thresholds::default()),
+            detector: Detector::Heuristic,
+            fallback_reason: None,
+        }
+    }
+
+    fn sample(id: &str, label: Label, text: &str) -> Sample {
+        Sample {
+            id: id.to_string(),
+            text: text.to_string(),
+            label,
+            note: None,
+            scores: BTreeMap::new(),
+        }
+    }
+
+    #[test]
+    fn test_parse_json_and_json_lines() {
+        let corpus = Corpus::parse(r#"{"name": "mini", "samples": [{"text": "One", "label": "human"}, {"id": "b", "text": "Two", "label": "ai"}]}"#).unwrap();
+        assert_eq!(corpus.name, "mini");
+        assert_eq!(corpus.samples[0].id, "1");
+        assert_eq!(corpus.samples[1].label, Label::Ai);
+
+        let lines = "{\"text\": \"One\", \"label\": \"human\"}\n\n{\"text\": \"Two\", \"label\": \"ai\", \"scores\": {\"hf:x\": 91}}\n";
+        let corpus = Corpus::parse(lines).unwrap();
+        assert_eq!(corpus.samples.len(), 2);
+        assert_eq!(corpus.samples[1].id, "2");
+        assert_eq!(corpus.samples[1].scores["hf:x"], 91.0);
+
+        let error = Corpus::parse("{\"text\": \"One\", \"label\": \"human\"}\n{\"text\": \"Two\", \"label\": \"bot\"}").unwrap_err();
+        assert!(error.starts_with("Invalid sample on line 2"), "{}", error);
+        assert!(Corpus::parse(r#"{"samples": []}"#).is_err());
+        let error = Corpus::parse("{\n  \"samples\": [{\"text\": \"One\", \"label\": \"bot\"}]\n}").unwrap_err();
+        assert!(error.starts_with("Invalid corpus"), "{}", error);
+        assert!(Corpus::parse(r#"{"samples": [{"text": " ", "label": "ai"}]}"#).is_err());
+        assert!(Corpus::parse(r#"{"samples": [{"id": "a", "text": "x", "label": "ai"}, {"id": "a", "text": "y", "label": "ai"}]}"#).is_err());
+        assert!(Corpus::parse(r#"{"samples": [{"text": "x", "label": "ai", "scores": {"hf:x": 120}}]}"#).is_err());
+    }
+
+    #[test]
+    fn test_builtin_corpus_is_balanced() {
+        let corpus = Corpus::builtin();
+        assert!(corpus.samples.len() >= 20);
+        assert_eq!(corpus.count(Label::Human), corpus.count(Label::Ai));
+    }
+
+    #[test]
+    fn test_metrics() {
+        let results = vec![
+            result(Label::Ai, 90.0),
+            result(Label::Ai, 70.0),
+            result(Label::Ai, 50.0),
+            result(Label::Ai, 30.0),
+            result(Label::Human, 10.0),
+            result(Label::Human, 20.0),
+            result(Label::Human, 50.0),
+            result(Label::Human, 65.0),
+        ];
+        let metrics = metrics(&results);
+
+        assert_eq!(metrics.confusion.ai, VerdictCounts { human: 1, uncertain: 1, ai: 2 });
+        assert_eq!(metrics.confusion.human, VerdictCounts { human: 2, uncertain: 1, ai: 1 });
+        assert_eq!(metrics.accuracy, 0.5);
+        assert_eq!(metrics.coverage, 0.75);
+        assert_eq!(metrics.ai.precision, Some(2.0 / 3.0));
+        assert_eq!(metrics.ai.recall, Some(0.5));
+        assert!((metrics.ai.f1.unwrap() - 4.0 / 7.0).abs() < 1e-6);
+
+        // 12.5 of the 16 (AI, human) pairs are ordered right, the tie at 50 counting half
+        assert_eq!(metrics.roc_auc, Some(12.5 / 16.0));
+        let last = metrics.roc.last().unwrap();
+        assert_eq!((last.threshold, last.false_positive_rate, last.true_positive_rate), (10.0, 1.0, 1.0));
+        assert_eq!(metrics.roc.len(), 7);
+
+        let bin = metrics.calibration[5];
+        assert_eq!((bin.count, bin.mean_score, bin.ai_share), (2, Some(50.0), Some(50.0)));
+        assert_eq!(metrics.calibration[4].mean_score, None);
+        assert_eq!(metrics.calibration.iter().map(|bin| bin.count).sum::<usize>(), 8);
+    }
+
+    #[test]
+    fn test_metrics_with_one_label() {
+        let metrics = metrics(&[result(Label::Human, 100.0)]);
+        assert_eq!(metrics.roc_auc, None);
+        assert_eq!(metrics.ai.recall, None);
+        assert_eq!(metrics.ai.precision, Some(0.0));
+        assert_eq!(metrics.brier_score, 1.0);
+        assert_eq!(metrics.calibration[9].count, 1);
+    }
+
+    #[test]
+    fn test_command_arguments() {
+        let args: Vec<String> = ["corpus.jsonl", "--detector", "heuristic", "--detector", "ensemble", "--mock", "--output", "report.json"]
+            .iter()
+            .map(|arg| arg.to_string())
+            .collect();
+        let command = Command::parse(&args).unwrap();
+        assert_eq!(command.corpus, Some("corpus.jsonl".into()));
+        assert_eq!(command.detectors, vec!["heuristic", "ensemble"]);
+        assert!(command.mock);
+        assert_eq!(command.output, Some("report.json".into()));
+
+        assert!(Command::parse(&["--profile".to_string()]).is_err());
+        assert!(Command::parse(&["--verbose".to_string()]).is_err());
+        assert!(Command::parse(&["a.json".to_string(), "b.json".to_string()]).is_err());
+    }
+
+    #[tokio::test]
+    async fn test_mock_replays_recorded_scores() {
+        // Nothing listens here, so any real request would fail
+        let endpoint = crate::detectors::Endpoint::new("http://127.0.0.1:9".to_string(), None, std::time::Duration::from_secs(1));
+        let registry = DetectorRegistry::new(
+            vec![DetectorConfig {
+                id: "hf:test".to_string(),
+                label: "Test model".to_string(),
+                backend: Backend::HuggingFace(endpoint),
+            }],
+            None,
+        );
+        let mut ai = sample("ai", Label::Ai, "It's important to note that we leverage best practices.");
+        ai.scores.insert("hf:test".to_string(), 95.0);
+        let mut human = sample("human", Label::Human, "Missed the bus again, so I walked. Nice out though.");
+        human.scores.insert("hf:test".to_string(), 5.0);
+        let unrecorded = sample("new", Label::Human, "We got pizza after the game and argued about the ref.");
+        let corpus = Corpus { name: "mini".to_string(), samples: vec![ai, human, unrecorded] };
+
+        let detectors = select(&registry, &[]).unwrap();
+        // Every detector analyzes every sample, mocked or not; mocked, nothing is sent
+        assert_eq!(analyses(&corpus, &detectors), 9);
+        assert!(calls_remote(&detectors, false));
+        assert!(!calls_remote(&detectors, true));
+        assert!(!calls_remote(&select(&registry, &[HEURISTIC_ID.to_string()]).unwrap(), false));
+        let report = evaluate(&corpus, &detectors, &Profile::default(), true).await;
+        assert_eq!(report.detectors.iter().map(|d| d.id.as_str()).collect::<Vec<_>>(), vec!["hf:test", HEURISTIC_ID, "ensemble"]);
+
+        let model = &report.detectors[0];
+        assert_eq!(model.results[0].ai_percentage, 95.0);
+        assert_eq!(model.results[0].detector, Detector::HuggingFace);
+        assert_eq!(model.results[2].detector, Detector::Heuristic);
+        assert_eq!(model.fallbacks, 1);
+        assert_eq!(report.detectors[1].fallbacks, 0);
+
+        // The ensemble averages the recorded score with the heuristics
+        let heuristic = report.detectors[1].results[0].ai_percentage;
+        let ensemble = &report.detectors[2].results[0];
+        assert!((ensemble.ai_percentage - (95.0 + heuristic) / 2.0).abs() < 1e-4);
+        assert_eq!(ensemble.detector, Detector::Ensemble);
+
+        // Recording keeps what the remote detector answered and skips the fallbacks
+        let recorded = record(&corpus, &report);
+        assert_eq!(recorded.samples[0].scores["hf:test"], 95.0);
+        assert!(recorded.samples[2].scores.is_empty());
+
+        assert_eq!(select(&registry, &["missing".to_string()]).unwrap_err(), "missing");
+    }
+
+    #[tokio::test]
+    async fn test_live_run_records_remote_scores() {
+        let server = MockServer::start(200, r#"[[{"label":"Human","score":0.2},{"label":"ChatGPT","score":0.8}]]"#).await;
+        let detector = DetectorConfig {
+            id: "hf:test".to_string(),
+            label: "Test model".to_string(),
+            backend: Backend::HuggingFace(server.endpoint("/models/test")),
+        };
+        let corpus = Corpus { name: String::new(), samples: vec![sample("a", Label::Ai, "Some text to score.")] };
+
+        let report = evaluate(&corpus, &[&detector], &Profile::default(), false).await;
+        assert!((report.detectors[0].results[0].ai_percentage - 80.0).abs() < 1e-4);
+        assert!((record(&corpus, &report).samples[0].scores["hf:test"] - 80.0).abs() < 1e-4);
+        assert!(summary(&report).contains("hf:test"));
+    }
+}
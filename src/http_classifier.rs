@@ -0,0 +1,58 @@
+/// Generic HTTP Classifier Module
+///
+/// Scores text with any HTTP service that accepts `{"text": "..."}` and answers
+/// `{"ai_probability": 0.87}`, a probability between 0 and 1.
+
+use serde::{Deserialize, Serialize};
+use crate::detectors::{self, DetectorError, Endpoint};
+use crate::progress::{self, Progress, Stage};
+
+#[derive(Serialize)]
+struct ClassifyRequest<'a> {
+    text: &'a str,
+}
+
+#[derive(Deserialize, Debug)]
+struct ClassifyResponse {
+    ai_probability: f32,
+}
+
+/// Score text with a generic HTTP classifier
+///
+/// # Returns
+/// * `Result<f32, DetectorError>` - AI probability score (0-100) or error
+pub async fn analyze_with_http(
+    text: &str,
+    endpoint: &Endpoint,
+    progress: Progress<'_>,
+) -> Result<f32, DetectorError> {
+    let client = detectors::client(endpoint)?;
+
+    progress::report(progress, Stage::CallingModel { attempt: 1 });
+
+    let mut request = client.post(endpoint.url.as_str()).json(&ClassifyRequest { text });
+    if let Some(token) = &endpoint.token {
+        request = request.bearer_auth(token);
+    }
+
+    let response = request.send().await.map_err(|e| detectors::send_error(e, endpoint))?;
+
+    if !response.status().is_success() {
+        let error_text = response.text().await.unwrap_or_else(|_| "Unknown error".to_string());
+        return Err(DetectorError::ApiError(format!("API returned error: {}", error_text)));
+    }
+
+    let result: ClassifyResponse = response
+        .json()
+        .await
+        .map_err(|e| DetectorError::ParseError(e.to_string()))?;
+
+    if !(0.0..=1.0).contains(&result.ai_probability) {
+        return Err(DetectorError::ParseError(format!(
+            "ai_probability out of range: {}",
+            result.ai_probability
+        )));
+    }
+
+    Ok(result.ai_probability * 100.0)
+}
@@ -1,10 +1,18 @@
 /// Hugging Face API Integration Module
 ///
 /// This module provides integration with Hugging Face's AI text detection models.
-/// Uses the roberta-base-openai-detector model for high-accuracy AI detection.
+/// The model is chosen with `HF_MODEL` (see the detector registry).
 
 use serde::{Deserialize, Serialize};
-use std::env;
+use std::time::Duration;
+use crate::detectors::{self, DetectorError, Endpoint};
+use crate::progress::{self, Progress, Stage};
+
+/// Attempts made while the model reports that it is still loading
+const MAX_ATTEMPTS: u32 = 3;
+
+/// Upper bound for a single wait between loading retries
+const MAX_RETRY_WAIT_SECS: f32 = 20.0;
 
 /// Request payload for Hugging Face inference API
 #[derive(Serialize)]
@@ -20,73 +28,78 @@ struct HfResponse {
     score: f32,
 }
 
-/// Error types for Hugging Face API calls
-#[derive(Debug)]
-pub enum HfError {
-    ApiError(String),
-    NetworkError(String),
-    ParseError(String),
-    ConfigError(String),
-}
-
-impl std::fmt::Display for HfError {
-    fn fmt(&self, f: &mut std::fmt::Formatter) -> std::fmt::Result {
-        match self {
-            HfError::ApiError(msg) => write!(f, "API Error: {}", msg),
-            HfError::NetworkError(msg) => write!(f, "Network Error: {}", msg),
-            HfError::ParseError(msg) => write!(f, "Parse Error: {}", msg),
-            HfError::ConfigError(msg) => write!(f, "Config Error: {}", msg),
-        }
-    }
+/// Error body returned while a model is loading (HTTP 503)
+#[derive(Deserialize, Debug)]
+struct HfLoadingResponse {
+    estimated_time: Option<f32>,
 }
 
-impl std::error::Error for HfError {}
-
 /// Main function to analyze text using Hugging Face API
 ///
 /// # Arguments
 /// * `text` - The text to analyze
+/// * `endpoint` - Model URL, API token and timeout
+/// * `progress` - Optional listener for "calling model" / "model loading" updates
 ///
 /// # Returns
-/// * `Result<f32, HfError>` - AI probability score (0-100) or error
-pub async fn analyze_with_huggingface(text: &str) -> Result<f32, HfError> {
-    // Get API token from environment variable
-    let api_token = env::var("HF_API_TOKEN")
-        .map_err(|_| HfError::ConfigError("HF_API_TOKEN not set in environment".to_string()))?;
-
-    // Hugging Face model endpoint
-    // Using Hello-SimpleAI/chatgpt-detector-roberta for AI detection
-    let model_url = "https://api-inference.huggingface.co/models/Hello-SimpleAI/chatgpt-detector-roberta";
-
-    // Create HTTP client
-    let client = reqwest::Client::new();
+/// * `Result<f32, DetectorError>` - AI probability score (0-100) or error
+pub async fn analyze_with_huggingface(
+    text: &str,
+    endpoint: &Endpoint,
+    progress: Progress<'_>,
+) -> Result<f32, DetectorError> {
+    let api_token = endpoint
+        .token
+        .as_ref()
+        .ok_or_else(|| DetectorError::ConfigError("HF_API_TOKEN not set in environment".to_string()))?;
+
+    // Reused HTTP client with a timeout so a stuck model can't hang the request
+    let client = detectors::client(endpoint)?;
 
     // Prepare request payload
     let request_body = HfRequest {
         inputs: text.to_string(),
     };
 
-    // Make API request
-    let response = client
-        .post(model_url)
-        .header("Authorization", format!("Bearer {}", api_token))
-        .header("Content-Type", "application/json")
-        .json(&request_body)
-        .send()
-        .await
-        .map_err(|e| HfError::NetworkError(e.to_string()))?;
+    let mut attempt = 1;
+    let response = loop {
+        progress::report(progress, Stage::CallingModel { attempt });
+
+        // Make API request
+        let response = client
+            .post(endpoint.url.as_str())
+            .header("Authorization", format!("Bearer {}", api_token))
+            .header("Content-Type", "application/json")
+            .json(&request_body)
+            .send()
+            .await
+            .map_err(|e| detectors::send_error(e, endpoint))?;
+
+        if response.status().is_success() {
+            break response;
+        }
 
-    // Check response status
-    if !response.status().is_success() {
+        let status = response.status().as_u16();
         let error_text = response.text().await.unwrap_or_else(|_| "Unknown error".to_string());
-        return Err(HfError::ApiError(format!("API returned error: {}", error_text)));
-    }
+
+        // 503 with an estimated time means the model is cold and still loading
+        if status == 503 && attempt < MAX_ATTEMPTS {
+            if let Some(wait) = loading_wait_secs(&error_text) {
+                progress::report(progress, Stage::ModelLoading { attempt, retry_in_secs: wait });
+                tokio::time::sleep(Duration::from_secs_f32(wait)).await;
+                attempt += 1;
+                continue;
+            }
+        }
+
+        return Err(DetectorError::ApiError(format!("API returned error: {}", error_text)));
+    };
 
     // Parse response
     let hf_results: Vec<Vec<HfResponse>> = response
         .json()
         .await
-        .map_err(|e| HfError::ParseError(e.to_string()))?;
+        .map_err(|e| DetectorError::ParseError(e.to_string()))?;
 
     // Extract AI probability from results
     // The model returns [{"label": "Human", "score": 0.1}, {"label": "ChatGPT", "score": 0.9}]
@@ -96,10 +109,18 @@ pub async fn analyze_with_huggingface(text: &str) -> Result<f32, HfError> {
     Ok(ai_score * 100.0) // Convert to percentage
 }
 
+/// Seconds to wait before retrying, if the error body says the model is loading
+fn loading_wait_secs(error_body: &str) -> Option<f32> {
+    let loading: HfLoadingResponse = serde_json::from_str(error_body).ok()?;
+    loading
+        .estimated_time
+        .map(|secs| secs.clamp(1.0, MAX_RETRY_WAIT_SECS))
+}
+
 /// Extract AI probability score from Hugging Face response
-fn extract_ai_score(results: &[Vec<HfResponse>]) -> Result<f32, HfError> {
+fn extract_ai_score(results: &[Vec<HfResponse>]) -> Result<f32, DetectorError> {
     if results.is_empty() || results[0].is_empty() {
-        return Err(HfError::ParseError("Empty response from API".to_string()));
+        return Err(DetectorError::ParseError("Empty response from API".to_string()));
     }
 
     // Get the first result (we only send one input)
@@ -130,7 +151,7 @@ fn extract_ai_score(results: &[Vec<HfResponse>]) -> Result<f32, HfError> {
         }
     }
 
-    Err(HfError::ParseError("Could not find AI score in response".to_string()))
+    Err(DetectorError::ParseError("Could not find AI score in response".to_string()))
 }
 
 #[cfg(test)]
@@ -153,4 +174,16 @@ mod tests {
         let result = extract_ai_score(&mock_response).unwrap();
         assert_eq!(result, 0.15);
     }
+
+    #[test]
+    fn test_loading_wait_secs() {
+        let body = r#"{"error":"Model is currently loading","estimated_time":42.5}"#;
+        assert_eq!(loading_wait_secs(body), Some(MAX_RETRY_WAIT_SECS));
+
+        let body = r#"{"error":"Model is currently loading","estimated_time":3.0}"#;
+        assert_eq!(loading_wait_secs(body), Some(3.0));
+
+        assert_eq!(loading_wait_secs(r#"{"error":"Bad token"}"#), None);
+        assert_eq!(loading_wait_secs("Service Unavailable"), None);
+    }
 }
@@ -0,0 +1,384 @@
+/// Language Module
+///
+/// Detects the language of submitted text and holds the tokenization rules the
+/// heuristics use for it. Detection looks at the writing system first (Han, kana,
+/// Arabic, Cyrillic, ...) and tells Latin-script languages apart by their most
+/// common words. Languages with their own rules and phrase lists are "supported";
+/// others are still detected and reported, but scored with generic rules.
+
+use serde::Serialize;
+
+/// Reported when the text has too few letters or common words to tell
+pub const UNDETERMINED: &str = "und";
+
+/// How a language's text is split into words
+#[derive(Clone, Copy, Debug, PartialEq)]
+pub enum Tokenization {
+    /// Words are separated by whitespace
+    Whitespace,
+    /// Every Han or kana character counts as a word (Chinese, Japanese)
+    Characters,
+}
+
+/// A language the detector can report, with the rules used to analyze it
+#[derive(Serialize, Debug, PartialEq)]
+pub struct Language {
+    /// ISO 639-1 code, or `und`
+    pub code: &'static str,
+    /// English name
+    pub name: &'static str,
+    /// Whether the heuristics have rules and phrases for this language
+    pub supported: bool,
+    #[serde(skip)]
+    pub tokenization: Tokenization,
+    #[serde(skip)]
+    pub commas: &'static [char],
+    #[serde(skip)]
+    pub exclamations: &'static [char],
+    /// Prefixes written together with the next word, stripped before comparing words
+    #[serde(skip)]
+    pub clitics: &'static [&'static str],
+    /// Common words, used to tell Latin-script languages apart
+    #[serde(skip)]
+    stopwords: &'static [&'static str],
+}
+
+/// Characters that end a sentence in any supported language
+pub const SENTENCE_TERMINATORS: [char; 8] = ['.', '!', '?', '。', '！', '？', '؟', '۔'];
+
+/// Terminators that end a sentence even when no whitespace follows (Chinese, Japanese)
+pub const CLOSED_TERMINATORS: [char; 3] = ['。', '！', '？'];
+
+const fn whitespace(
+    code: &'static str,
+    name: &'static str,
+    supported: bool,
+    stopwords: &'static [&'static str],
+) -> Language {
+    Language {
+        code,
+        name,
+        supported,
+        tokenization: Tokenization::Whitespace,
+        commas: &[','],
+        exclamations: &['!'],
+        clitics: &[],
+        stopwords,
+    }
+}
+
+pub static UNKNOWN: Language = Language {
+    code: UNDETERMINED,
+    name: "Unknown",
+    supported: false,
+    tokenization: Tokenization::Whitespace,
+    commas: &[',', '،', '，', '、'],
+    exclamations: &['!', '！'],
+    clitics: &[],
+    stopwords: &[],
+};
+
+static LANGUAGES: [Language; 17] = [
+    // Supported: own rules and default phrase lists
+    whitespace("en", "English", true, &[
+        "the", "and", "of", "to", "is", "that", "it", "in", "for", "with",
+        "was", "are", "this", "be", "on", "not", "you", "we", "have", "as",
+    ]),
+    whitespace("es", "Spanish", true, &[
+        "el", "la", "los", "las", "de", "que", "y", "en", "un", "una",
+        "es", "por", "con", "para", "no", "se", "del", "lo", "como", "pero",
+    ]),
+    whitespace("fr", "French", true, &[
+        "le", "la", "les", "de", "des", "et", "est", "un", "une", "que",
+        "en", "du", "pour", "pas", "dans", "qui", "sur", "ce", "avec", "il",
+    ]),
+    whitespace("de", "German", true, &[
+        "der", "die", "das", "und", "ist", "nicht", "ein", "eine", "zu", "den",
+        "mit", "sich", "auf", "dem", "auch", "es", "ich", "von", "für", "wir",
+    ]),
+    whitespace("sv", "Swedish", true, &[
+        "och", "att", "det", "som", "en", "är", "på", "för", "med", "inte",
+        "av", "till", "har", "den", "jag", "de", "om", "ett", "var", "vi",
+    ]),
+    Language {
+        code: "ar",
+        name: "Arabic",
+        supported: true,
+        tokenization: Tokenization::Whitespace,
+        commas: &[',', '،'],
+        exclamations: &['!'],
+        // "and the", "with the", "like the", "so the", "the", "and"
+        clitics: &["وال", "بال", "كال", "فال", "ال", "و"],
+        stopwords: &[],
+    },
+    Language {
+        code: "zh",
+        name: "Chinese",
+        supported: true,
+        tokenization: Tokenization::Characters,
+        commas: &['，', '、', ','],
+        exclamations: &['！', '!'],
+        clitics: &[],
+        stopwords: &[],
+    },
+    Language {
+        code: "ja",
+        name: "Japanese",
+        supported: true,
+        tokenization: Tokenization::Characters,
+        commas: &['、', '，', ','],
+        exclamations: &['！', '!'],
+        clitics: &[],
+        stopwords: &[],
+    },
+    // Detected, but scored with generic rules
+    whitespace("pt", "Portuguese", false, &[
+        "o", "a", "os", "de", "que", "e", "do", "da", "em", "um",
+        "uma", "não", "para", "com", "por", "se", "mais", "as", "dos", "é",
+    ]),
+    whitespace("it", "Italian", false, &[
+        "il", "la", "di", "che", "e", "un", "una", "per", "non", "è",
+        "con", "sono", "del", "della", "gli", "le", "si", "da", "in", "ma",
+    ]),
+    whitespace("nl", "Dutch", false, &[
+        "de", "het", "een", "en", "van", "is", "dat", "niet", "op", "te",
+        "zijn", "voor", "met", "ik", "die", "er", "aan", "ook", "wij", "maar",
+    ]),
+    whitespace("ru", "Russian", false, &[]),
+    whitespace("uk", "Ukrainian", false, &[]),
+    whitespace("el", "Greek", false, &[]),
+    whitespace("he", "Hebrew", false, &[]),
+    whitespace("hi", "Hindi", false, &[]),
+    whitespace("ko", "Korean", false, &[]),
+];
+
+/// Look up a language by code
+pub fn by_code(code: &str) -> Option<&'static Language> {
+    match code {
+        UNDETERMINED => Some(&UNKNOWN),
+        _ => LANGUAGES.iter().find(|language| language.code == code),
+    }
+}
+
+/// All languages the detector can report, supported ones first
+pub fn all() -> &'static [Language] {
+    &LANGUAGES
+}
+
+#[derive(Clone, Copy, PartialEq)]
+enum Script {
+    Latin,
+    Han,
+    Kana,
+    Hangul,
+    Arabic,
+    Hebrew,
+    Cyrillic,
+    Greek,
+    Devanagari,
+}
+
+/// Every script, in the order that breaks ties between equally common ones
+const SCRIPTS: [Script; 9] = [
+    Script::Latin,
+    Script::Han,
+    Script::Kana,
+    Script::Hangul,
+    Script::Arabic,
+    Script::Hebrew,
+    Script::Cyrillic,
+    Script::Greek,
+    Script::Devanagari,
+];
+
+fn script(c: char) -> Option<Script> {
+    match c as u32 {
+        0x3040..=0x30FF | 0x31F0..=0x31FF => Some(Script::Kana),
+        0x3400..=0x4DBF | 0x4E00..=0x9FFF | 0xF900..=0xFAFF | 0x20000..=0x2A6DF => Some(Script::Han),
+        0x1100..=0x11FF | 0xAC00..=0xD7AF => Some(Script::Hangul),
+        0x0600..=0x06FF | 0x0750..=0x077F | 0xFB50..=0xFDFF | 0xFE70..=0xFEFF => Some(Script::Arabic),
+        0x0590..=0x05FF => Some(Script::Hebrew),
+        0x0400..=0x04FF => Some(Script::Cyrillic),
+        0x0370..=0x03FF => Some(Script::Greek),
+        0x0900..=0x097F => Some(Script::Devanagari),
+        _ if c.is_alphabetic() => Some(Script::Latin),
+        _ => None,
+    }
+}
+
+/// Han or kana character, which counts as a word of its own in Chinese and Japanese
+pub fn is_cjk(c: char) -> bool {
+    matches!(script(c), Some(Script::Han | Script::Kana))
+}
+
+/// Detect the language of a text
+pub fn detect(text: &str) -> &'static Language {
+    let mut counts = [0usize; SCRIPTS.len()];
+    for c in text.chars() {
+        if let Some(script) = script(c) {
+            counts[script as usize] += 1;
+        }
+    }
+
+    // Chinese and Japanese share Han characters; kana only appear in Japanese
+    let kana = counts[Script::Kana as usize];
+    counts[Script::Han as usize] += kana;
+    counts[Script::Kana as usize] = 0;
+
+    let mut dominant: Option<(Script, usize)> = None;
+    for (script, count) in SCRIPTS.into_iter().zip(counts) {
+        if count > dominant.map_or(0, |(_, best)| best) {
+            dominant = Some((script, count));
+        }
+    }
+
+    let code = match dominant {
+        None => UNDETERMINED,
+        Some((Script::Han | Script::Kana, cjk)) if kana * 10 >= cjk => "ja",
+        Some((Script::Han | Script::Kana, _)) => "zh",
+        Some((Script::Hangul, _)) => "ko",
+        Some((Script::Arabic, _)) => "ar",
+        Some((Script::Hebrew, _)) => "he",
+        Some((Script::Greek, _)) => "el",
+        Some((Script::Devanagari, _)) => "hi",
+        // Letters only Ukrainian uses among Cyrillic languages
+        Some((Script::Cyrillic, _)) if text.contains(['є', 'ї', 'і', 'ґ']) => "uk",
+        Some((Script::Cyrillic, _)) => "ru",
+        Some((Script::Latin, _)) => detect_latin(text),
+    };
+
+    by_code(code).unwrap_or(&UNKNOWN)
+}
+
+/// Latin-script language whose common words occur most often; undetermined on a tie
+/// or when fewer than two common words are found
+fn detect_latin(text: &str) -> &'static str {
+    let lower = text.to_lowercase();
+    let words: Vec<&str> = lower
+        .split(|c: char| !c.is_alphanumeric() && c != '\'')
+        .filter(|word| !word.is_empty())
+        .collect();
+
+    let mut counts: Vec<(&'static str, usize)> = LANGUAGES
+        .iter()
+        .filter(|language| !language.stopwords.is_empty())
+        .map(|language| {
+            let count = words.iter().filter(|word| language.stopwords.contains(word)).count();
+            (language.code, count)
+        })
+        .collect();
+    counts.sort_by(|a, b| b.1.cmp(&a.1));
+
+    match counts.as_slice() {
+        [(code, best), (_, second), ..] if *best >= 2 && best > second => code,
+        _ => UNDETERMINED,
+    }
+}
+
+/// Byte ranges of the words in `text` under the language's tokenization
+pub fn word_spans(text: &str, language: &Language) -> Vec<(usize, usize)> {
+    let offset = |word: &str| word.as_ptr() as usize - text.as_ptr() as usize;
+
+    match language.tokenization {
+        Tokenization::Whitespace => text
+            .split_whitespace()
+            .map(|word| (offset(word), offset(word) + word.len()))
+            .collect(),
+        Tokenization::Characters => {
+            let mut spans = Vec::new();
+            let mut run: Option<usize> = None;
+            for (i, c) in text.char_indices() {
+                // Full-width punctuation and spaces separate words without being one
+                let separator = c.is_whitespace() || matches!(c as u32, 0x3000..=0x303F | 0xFF00..=0xFF0F | 0xFF1A..=0xFF20);
+                if separator || is_cjk(c) {
+                    if let Some(start) = run.take() {
+                        spans.push((start, i));
+                    }
+                    if is_cjk(c) {
+                        spans.push((i, i + c.len_utf8()));
+                    }
+                } else if run.is_none() {
+                    run = Some(i);
+                }
+            }
+            if let Some(start) = run {
+                spans.push((start, text.len()));
+            }
+            spans
+        }
+    }
+}
+
+/// Words of `text` under the language's tokenization
+pub fn words<'a>(text: &'a str, language: &Language) -> Vec<&'a str> {
+    word_spans(text, language)
+        .into_iter()
+        .map(|(start, end)| &text[start..end])
+        .collect()
+}
+
+/// Word reduced to the form used to compare vocabulary: lowercase, without surrounding
+/// punctuation, Arabic vowel marks, or clitic prefixes
+pub fn normalize_word(word: &str, language: &Language) -> String {
+    let word: String = word
+        .to_lowercase()
+        .trim_matches(|c: char| !c.is_alphanumeric())
+        .chars()
+        // Arabic short vowels and other marks, and the tatweel used to stretch words
+        .filter(|c| !matches!(*c as u32, 0x064B..=0x065F | 0x0670 | 0x0640))
+        .collect();
+
+    for clitic in language.clitics {
+        if let Some(rest) = word.strip_prefix(clitic) {
+            // Keep short words whole, as the "prefix" is then likely part of the word
+            if rest.chars().count() > 2 {
+                return rest.to_string();
+            }
+        }
+    }
+    word
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn test_detects_scripts_and_latin_languages() {
+        let cases = [
+            ("The weather is nice and it is warm in the city today.", "en"),
+            ("El tiempo es bueno y hace calor en la ciudad, pero no por la noche.", "es"),
+            ("Le temps est beau et il fait chaud dans la ville, mais pas pour les enfants.", "fr"),
+            ("Das Wetter ist schön und es ist warm in der Stadt, auch für die Kinder.", "de"),
+            ("Det är fint väder och det är varmt i staden, men inte för de som jobbar.", "sv"),
+            ("الطقس جميل اليوم والجو دافئ في المدينة.", "ar"),
+            ("今天天气很好，城市里很暖和。", "zh"),
+            ("今日はとても良い天気で、街は暖かいです。", "ja"),
+            ("Сегодня хорошая погода, и в городе тепло.", "ru"),
+            ("오늘은 날씨가 좋고 도시가 따뜻합니다.", "ko"),
+            ("Hello!", UNDETERMINED),
+            ("12345 ...", UNDETERMINED),
+        ];
+
+        for (text, code) in cases {
+            assert_eq!(detect(text).code, code, "{}", text);
+        }
+        assert!(detect("今天天气很好。").supported);
+        assert!(!detect("Сегодня хорошая погода.").supported);
+    }
+
+    #[test]
+    fn test_character_tokenization_splits_cjk() {
+        let zh = by_code("zh").unwrap();
+        assert_eq!(words("我们使用 GPT-4 模型。", zh), vec!["我", "们", "使", "用", "GPT-4", "模", "型"]);
+        assert_eq!(words("two  words", by_code("en").unwrap()), vec!["two", "words"]);
+    }
+
+    #[test]
+    fn test_normalize_word_strips_arabic_marks_and_clitics() {
+        let ar = by_code("ar").unwrap();
+        assert_eq!(normalize_word("والكتابُ،", ar), "كتاب");
+        assert_eq!(normalize_word("ولد", ar), "ولد");
+        assert_eq!(normalize_word("Hello,", by_code("en").unwrap()), "hello");
+    }
+}
@@ -1,25 +1,137 @@
+mod admin;
 mod analyzer;
+mod api_keys;
+mod auth;
+mod cache;
+mod chunking;
+mod config;
+mod detectors;
+mod errors;
+mod evaluation;
+mod http_classifier;
 mod huggingface;
+mod language;
+mod openai;
+mod openapi;
+mod process;
+mod profiles;
+mod progress;
+mod rate_limit;
+mod settings;
+mod shares;
+mod sharing;
+mod storage;
 
 use actix_web::{web, App, HttpResponse, HttpServer, Responder};
 use actix_cors::Cors;
 use actix_files::{Files, NamedFile};
 use serde::{Deserialize, Serialize};
 use std::path::PathBuf;
-use analyzer::TextAnalyzer;
+use std::sync::Mutex;
+use analyzer::{HeuristicBreakdown, MemberScore, Segmentation, SegmentScore, TextAnalyzer};
+use api_keys::{unix_now, ApiKeyStore, USAGE_FLUSH_INTERVAL};
+use auth::{lock, ApiClient, FreeClient, MeteredClient};
+use cache::{ResultCache, Sketch};
+use chunking::ChunkedScores;
+use config::{CorsOrigins, ServerConfig};
+use detectors::{Detector, DetectorConfig, DetectorRegistry};
+use errors::ApiError;
+use evaluation::Corpus;
+use language::Language;
+use process::{ProcessSignal, ProcessStats};
+use profiles::{Profile, ProfileStore, Thresholds};
+use progress::{Progress, Stage};
+use rate_limit::RateLimiter;
+use shares::{ShareContent, ShareLink, ShareOptions, ShareStore, SharedResult};
+use tokio::sync::mpsc;
 
 #[derive(Deserialize)]
 struct AnalyzeRequest {
     text: String,
+    /// Optional per-sentence or per-paragraph scoring
+    segmentation: Option<Segmentation>,
+    /// Id from `/api/detectors`; the server default for the text's language when omitted
+    detector: Option<String>,
+    /// Id from `/api/profiles`; the built-in profile when omitted
+    profile: Option<String>,
+    /// How the text was written, recorded by the web interface's compose mode
+    process: Option<ProcessStats>,
+    /// Save the result for a share link
+    share: Option<ShareOptions>,
 }
 
-#[derive(Serialize)]
+/// Whether a result came from the cache, and its id for `/api/results/{id}`
+#[derive(Serialize, Clone)]
+struct CacheStatus {
+    hit: bool,
+    id: String,
+    /// When the result was computed, in seconds since the Unix epoch
+    analyzed_at: u64,
+}
+
+/// An earlier result of the same caller for nearly the same text
+#[derive(Serialize, Clone)]
+struct NearDuplicate {
+    id: String,
+    analyzed_at: u64,
+    /// Estimated share of three-word phrases the texts have in common, from 0 to 1
+    similarity: f32,
+    ai_percentage: f32,
+    verdict: String,
+}
+
+#[derive(Serialize, Clone)]
 struct AnalyzeResponse {
     human_percentage: f32,
     ai_percentage: f32,
     verdict: String,
+    detector: Detector,
+    detector_id: String,
+    /// Id of the detection profile used for the heuristics and the verdict
+    profile: String,
+    thresholds: Thresholds,
+    /// Language detected in the text, and whether the heuristics have rules for it
+    language: &'static Language,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    fallback_reason: Option<String>,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    breakdown: Option<HeuristicBreakdown>,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    segments: Option<Vec<SegmentScore>>,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    chunks: Option<ChunkedScores>,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    ensemble: Option<Vec<MemberScore>>,
+    /// Absent when the cache is disabled or the result was not stored
+    #[serde(skip_serializing_if = "Option::is_none")]
+    cache: Option<CacheStatus>,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    similar_to: Option<NearDuplicate>,
+    /// Present when the request had writing-process statistics; the percentages and the
+    /// verdict then include them
+    #[serde(skip_serializing_if = "Option::is_none")]
+    process: Option<ProcessSignal>,
+    /// Present when the request asked for a share link
+    #[serde(skip_serializing_if = "Option::is_none")]
+    share: Option<ShareLink>,
 }
 
+#[derive(Deserialize)]
+struct EvaluateRequest {
+    /// Labeled samples; the built-in corpus when omitted
+    corpus: Option<Corpus>,
+    /// Ids from `/api/detectors`; every detector when empty
+    #[serde(default)]
+    detectors: Vec<String>,
+    profile: Option<String>,
+    /// Answer for remote detectors with the scores recorded in the corpus
+    #[serde(default)]
+    mock: bool,
+}
+
+/// Recent results, shared by all requests
+type AnalysisCache = Mutex<ResultCache<AnalyzeResponse>>;
+
 async fn health_check() -> impl Responder {
     HttpResponse::Ok().json(serde_json::json!({
         "status": "ok",
@@ -27,21 +139,390 @@ async fn health_check() -> impl Responder {
     }))
 }
 
-async fn analyze_text(req: web::Json<AnalyzeRequest>) -> impl Responder {
+async fn list_detectors(registry: web::Data<DetectorRegistry>) -> impl Responder {
+    HttpResponse::Ok().json(serde_json::json!({
+        "default": registry.default_id(),
+        "detectors": registry.list(),
+        "language_routes": registry.language_routes()
+    }))
+}
+
+/// The OpenAPI document, generated once at startup
+async fn openapi_document(document: web::Data<serde_json::Value>) -> impl Responder {
+    HttpResponse::Ok().json(document.get_ref())
+}
+
+/// One line of the NDJSON stream returned by `/api/analyze/stream`
+#[derive(Serialize)]
+#[serde(tag = "type", rename_all = "snake_case")]
+enum StreamEvent {
+    Progress(Stage),
+    Result(AnalyzeResponse),
+}
+
+/// Run the full analysis pipeline for a request
+async fn run_analysis(
+    req: &AnalyzeRequest,
+    detector: &DetectorConfig,
+    profile: &Profile,
+    progress: Progress<'_>,
+) -> AnalyzeResponse {
     let text = &req.text;
+    let thresholds = profile.settings.thresholds;
 
     // Perform AI detection analysis
-    let ai_percentage = TextAnalyzer::analyze(text).await;
+    let language = language::detect(text);
+    let analysis = TextAnalyzer::analyze_detailed(text, language, detector, profile, progress).await;
+    let ai_percentage = analysis.ai_percentage;
     let human_percentage = 100.0 - ai_percentage;
-    let verdict = TextAnalyzer::get_verdict(ai_percentage);
+    let verdict = TextAnalyzer::get_verdict(ai_percentage, &thresholds);
 
-    let response = AnalyzeResponse {
+    let segments = match req.segmentation {
+        Some(mode) if !text.trim().is_empty() => {
+            Some(TextAnalyzer::analyze_segments(text, mode, language, detector, profile, progress).await)
+        }
+        _ => None,
+    };
+
+    AnalyzeResponse {
         human_percentage,
         ai_percentage,
         verdict,
+        detector: analysis.detector,
+        detector_id: analysis.detector_id,
+        profile: profile.id.clone(),
+        thresholds,
+        language,
+        fallback_reason: analysis.fallback_reason,
+        breakdown: analysis.breakdown,
+        segments,
+        chunks: analysis.chunks,
+        ensemble: analysis.ensemble,
+        cache: None,
+        similar_to: None,
+        process: None,
+        share: None,
+    }
+}
+
+/// Reuse the result for the same text and settings if there is one, otherwise run the
+/// analysis and store it; either way, point out an earlier result of the caller for nearly
+/// the same text
+async fn cached_analysis(
+    req: &AnalyzeRequest,
+    detector: &DetectorConfig,
+    profile: &Profile,
+    owner: Option<&str>,
+    cache: &AnalysisCache,
+    progress: Progress<'_>,
+) -> AnalyzeResponse {
+    if !lock(cache).enabled() {
+        return run_analysis(req, detector, profile, progress).await;
+    }
+
+    let key = cache::key(&req.text, &detector.id, profile, req.segmentation);
+    let sketch = Sketch::of(&req.text);
+    let cached = lock(cache).get(&key, unix_now());
+    let mut response = match cached {
+        Some(cached) => {
+            let mut response = cached.value;
+            response.cache = Some(CacheStatus {
+                hit: true,
+                id: cached.id,
+                analyzed_at: cached.analyzed_at,
+            });
+            response
+        }
+        None => {
+            let mut response = run_analysis(req, detector, profile, progress).await;
+            // Results the heuristics stood in for are not reused, so the detector is tried again
+            if response.fallback_reason.is_none() {
+                let now = unix_now();
+                // Stored without `cache` and `similar_to`, which depend on who asks and when
+                let id = lock(cache).insert(key.clone(), owner, sketch.clone(), response.clone(), now);
+                response.cache = Some(CacheStatus {
+                    hit: false,
+                    id,
+                    analyzed_at: now,
+                });
+            }
+            response
+        }
+    };
+
+    // Any caller may hit a result; near-duplicates are looked up among their own, so
+    // anonymous callers get none
+    response.similar_to = lock(cache).find_similar(&key, owner, &sketch, unix_now()).map(|similar| NearDuplicate {
+        id: similar.id,
+        analyzed_at: similar.analyzed_at,
+        similarity: similar.similarity,
+        ai_percentage: similar.value.ai_percentage,
+        verdict: similar.value.verdict,
+    });
+    response
+}
+
+/// Reject writing-process statistics that can't have come from writing the submitted text
+fn check_process(req: &AnalyzeRequest) -> Result<(), ApiError> {
+    match &req.process {
+        Some(stats) => process::validate(stats, &req.text).map_err(|e| ApiError::bad_request("invalid_request", e)),
+        None => Ok(()),
+    }
+}
+
+/// Blend the writing-process statistics sent with the text into the score and the verdict.
+/// This happens after the cache, which keeps the score of the text alone.
+fn account_for_process(mut response: AnalyzeResponse, req: &AnalyzeRequest) -> AnalyzeResponse {
+    let Some(stats) = &req.process else {
+        return response;
     };
+    let signal = process::assess(stats.clone(), &req.text, response.ai_percentage);
+    response.ai_percentage = signal.ai_percentage();
+    response.human_percentage = 100.0 - response.ai_percentage;
+    response.verdict = TextAnalyzer::get_verdict(response.ai_percentage, &response.thresholds);
+    response.process = Some(signal);
+    response
+}
+
+/// What a share link with `content` shows of a result: never the caller's cache entries,
+/// and the text's segments only when the full text is shared
+fn shared_result(response: &AnalyzeResponse, text: &str, content: ShareContent) -> SharedResult {
+    let mut result = response.clone();
+    result.cache = None;
+    result.similar_to = None;
+    result.share = None;
+    let segments = match content {
+        ShareContent::Full => None,
+        ShareContent::Scores | ShareContent::Excerpts => result.segments.take(),
+    };
+
+    SharedResult {
+        result: serde_json::to_value(&result).unwrap_or_default(),
+        text: (content == ShareContent::Full).then(|| text.to_string()),
+        excerpts: (content == ShareContent::Excerpts).then(|| shares::excerpts(segments.as_deref().unwrap_or_default())),
+    }
+}
+
+/// Save the result for a share link lasting `days` when the request asks for one
+fn share_response(
+    mut response: AnalyzeResponse,
+    req: &AnalyzeRequest,
+    days: Option<u32>,
+    store: &Mutex<ShareStore>,
+) -> Result<AnalyzeResponse, ApiError> {
+    let (Some(options), Some(days)) = (req.share, days) else {
+        return Ok(response);
+    };
+    let shared = shared_result(&response, &req.text, options.content);
+    let link = lock(store)
+        .create(options.content, days, shared, unix_now())
+        .map_err(|e| ApiError::internal(format!("Could not save the shared result: {}", e)))?;
+    println!("✓ Created share link {} for {} days", link.info.id, days);
+    response.share = Some(link);
+    Ok(response)
+}
+
+/// The requested detector, or the default one for the language of the text
+fn requested_detector<'a>(req: &AnalyzeRequest, registry: &'a DetectorRegistry) -> Result<&'a DetectorConfig, ApiError> {
+    match req.detector.as_deref() {
+        None => Ok(registry.for_language(language::detect(&req.text))),
+        Some(id) => registry.get(Some(id)).ok_or_else(|| ApiError::unknown_detector(Some(id))),
+    }
+}
 
-    HttpResponse::Ok().json(response)
+/// Copy of the requested profile, so the store isn't locked while the analysis runs
+fn requested_profile(req: &AnalyzeRequest, store: &Mutex<ProfileStore>) -> Result<Profile, ApiError> {
+    lock(store)
+        .get(req.profile.as_deref())
+        .ok_or_else(|| ApiError::unknown_profile(req.profile.as_deref()))
+}
+
+async fn analyze_text(
+    client: ApiClient,
+    req: web::Json<AnalyzeRequest>,
+    registry: web::Data<DetectorRegistry>,
+    profiles: web::Data<Mutex<ProfileStore>>,
+    cache: web::Data<AnalysisCache>,
+    shares: web::Data<Mutex<ShareStore>>,
+    config: web::Data<ServerConfig>,
+) -> Result<HttpResponse, ApiError> {
+    let detector = requested_detector(&req, &registry)?;
+    let profile = requested_profile(&req, &profiles)?;
+    check_process(&req)?;
+    let share_days = sharing::share_days(req.share.as_ref(), &config)?;
+    let response = cached_analysis(&req, detector, &profile, client.owner().as_deref(), &cache, None).await;
+    let response = share_response(account_for_process(response, &req), &req, share_days, &shares)?;
+    Ok(HttpResponse::Ok().json(response))
+}
+
+/// Same as `/api/analyze`, but streams progress events as NDJSON before the result.
+/// The analysis is abandoned as soon as the client disconnects.
+async fn analyze_text_stream(
+    client: ApiClient,
+    req: web::Json<AnalyzeRequest>,
+    registry: web::Data<DetectorRegistry>,
+    profiles: web::Data<Mutex<ProfileStore>>,
+    cache: web::Data<AnalysisCache>,
+    shares: web::Data<Mutex<ShareStore>>,
+    config: web::Data<ServerConfig>,
+) -> Result<HttpResponse, ApiError> {
+    let req = req.into_inner();
+    let owner = client.owner();
+    let detector = requested_detector(&req, &registry)?.clone();
+    let profile = requested_profile(&req, &profiles)?;
+    check_process(&req)?;
+    let share_days = sharing::share_days(req.share.as_ref(), &config)?;
+    let (tx, rx) = mpsc::unbounded_channel::<StreamEvent>();
+
+    actix_web::rt::spawn(async move {
+        let progress_tx = tx.clone();
+        let on_progress = move |stage: Stage| {
+            let _ = progress_tx.send(StreamEvent::Progress(stage));
+        };
+
+        tokio::select! {
+            response = cached_analysis(&req, &detector, &profile, owner.as_deref(), &cache, Some(&on_progress)) => {
+                let response = account_for_process(response, &req);
+                // The stream has started, so a link that can't be saved is left out
+                let response = share_response(response.clone(), &req, share_days, &shares).unwrap_or_else(|e| {
+                    eprintln!("⚠ {}", e);
+                    response
+                });
+                let _ = tx.send(StreamEvent::Result(response));
+            }
+            _ = tx.closed() => {
+                println!("✗ {} disconnected, analysis cancelled", client);
+            }
+        }
+    });
+
+    let body = futures_util::stream::unfold(rx, |mut rx| async move {
+        let event = rx.recv().await?;
+        let mut line = serde_json::to_vec(&event).unwrap_or_default();
+        line.push(b'\n');
+        Some((Ok::<_, actix_web::Error>(web::Bytes::from(line)), rx))
+    });
+
+    Ok(HttpResponse::Ok()
+        .content_type("application/x-ndjson")
+        .insert_header(("Cache-Control", "no-cache"))
+        .streaming(body))
+}
+
+/// A stored result by id, such as the earlier one a near-duplicate points to; only the
+/// caller that analyzed the text can fetch it, with the same API key. Reading it again costs
+/// neither rate-limit slots nor quota.
+async fn cached_result(
+    FreeClient(client): FreeClient,
+    id: web::Path<String>,
+    cache: web::Data<AnalysisCache>,
+) -> Result<HttpResponse, ApiError> {
+    let cached = lock(&cache)
+        .by_id(&id, client.owner().as_deref(), unix_now())
+        .ok_or_else(|| ApiError::not_found(format!("No stored result with id {}", id)))?;
+    let mut response = cached.value;
+    response.cache = Some(CacheStatus {
+        hit: true,
+        id: cached.id,
+        analyzed_at: cached.analyzed_at,
+    });
+    Ok(HttpResponse::Ok().json(response))
+}
+
+/// Count the analyses of an evaluation against the caller's daily quota, one unit per sample
+/// and detector, as if each sample had been sent to `/api/analyze`. Without a key there is no
+/// quota to count against, so only servers that don't rate limit anonymous analyses let them
+/// call remote detectors.
+fn charge_evaluation(
+    client: &ApiClient,
+    analyses: u64,
+    calls_remote: bool,
+    keys: &Mutex<ApiKeyStore>,
+    config: &ServerConfig,
+) -> Result<(), ApiError> {
+    match client {
+        ApiClient::Key { .. } if analyses == 0 => Ok(()),
+        ApiClient::Key { id } => lock(keys).record_uses(id, analyses, unix_now()).map_err(|retry_after| {
+            ApiError::too_many_requests(
+                "quota_exceeded",
+                format!("This evaluation needs {} requests, more than this API key has left today", analyses),
+                retry_after,
+            )
+        }),
+        ApiClient::Anonymous if !calls_remote || config.anonymous_rate_limit == 0 => Ok(()),
+        ApiClient::Anonymous => Err(ApiError::unauthorized(
+            "missing_api_key",
+            "Evaluating remote detectors needs an API key; without one, evaluate the heuristics or replay recorded scores",
+        )),
+    }
+}
+
+/// Score a labeled corpus with the requested detectors and report how well they did
+async fn evaluate_corpus(
+    MeteredClient(client): MeteredClient,
+    req: web::Json<EvaluateRequest>,
+    registry: web::Data<DetectorRegistry>,
+    profiles: web::Data<Mutex<ProfileStore>>,
+    keys: web::Data<Mutex<ApiKeyStore>>,
+    config: web::Data<ServerConfig>,
+) -> Result<HttpResponse, ApiError> {
+    let req = req.into_inner();
+    let corpus = match req.corpus {
+        Some(corpus) => corpus.validate().map_err(|e| ApiError::bad_request("invalid_request", e))?,
+        None => Corpus::builtin(),
+    };
+    let profile = lock(&profiles)
+        .get(req.profile.as_deref())
+        .ok_or_else(|| ApiError::unknown_profile(req.profile.as_deref()))?;
+    let detectors = evaluation::select(&registry, &req.detectors).map_err(|id| ApiError::unknown_detector(Some(&id)))?;
+    charge_evaluation(
+        &client,
+        evaluation::analyses(&corpus, &detectors),
+        evaluation::calls_remote(&detectors, req.mock),
+        &keys,
+        &config,
+    )?;
+
+    println!("✓ {} is evaluating {} detector(s) on {} samples", client, detectors.len(), corpus.samples.len());
+    let report = evaluation::evaluate(&corpus, &detectors, &profile, req.mock).await;
+    Ok(HttpResponse::Ok().json(report))
+}
+
+/// The built-in labeled corpus, also an example of the format
+async fn builtin_corpus() -> impl Responder {
+    HttpResponse::Ok().json(Corpus::builtin())
+}
+
+/// `brbrbr evaluate`: score a corpus from the command line and print the summary
+async fn evaluate_command(args: &[String], registry: &DetectorRegistry, config: &ServerConfig) -> std::io::Result<()> {
+    use std::io::{Error, ErrorKind};
+    let invalid = |message: String| Error::new(ErrorKind::InvalidInput, message);
+
+    if args.iter().any(|arg| arg == "--help" || arg == "-h") {
+        println!("{}", evaluation::USAGE);
+        return Ok(());
+    }
+    let command = evaluation::Command::parse(args).map_err(|e| invalid(format!("{}\n\n{}", e, evaluation::USAGE)))?;
+    let corpus = match &command.corpus {
+        Some(path) => Corpus::parse(&std::fs::read_to_string(path)?).map_err(invalid)?,
+        None => Corpus::builtin(),
+    };
+    let profile = ProfileStore::load(&config.profiles_file)?
+        .get(command.profile.as_deref())
+        .ok_or_else(|| invalid(format!("Unknown profile: {}", command.profile.as_deref().unwrap_or_default())))?;
+    let detectors = evaluation::select(registry, &command.detectors).map_err(|id| invalid(format!("Unknown detector: {}", id)))?;
+
+    let report = evaluation::evaluate(&corpus, &detectors, &profile, command.mock).await;
+    println!("\n{}", evaluation::summary(&report));
+    if let Some(path) = &command.output {
+        storage::save_json(path, &report)?;
+        println!("✓ Report written to {}", path.display());
+    }
+    if let Some(path) = &command.record {
+        storage::save_json(path, &evaluation::record(&corpus, &report))?;
+        println!("✓ Corpus with recorded scores written to {}", path.display());
+    }
+    Ok(())
 }
 
 async fn index() -> actix_web::Result<NamedFile> {
@@ -49,28 +530,170 @@ async fn index() -> actix_web::Result<NamedFile> {
     Ok(NamedFile::open(path)?)
 }
 
+/// Service worker that caches the frontend for offline use; never cached itself,
+/// so browsers pick up new builds right away
+async fn service_worker() -> actix_web::Result<impl Responder> {
+    let path: PathBuf = "./static/sw.js".parse().unwrap();
+    Ok(NamedFile::open(path)?
+        .customize()
+        .insert_header(("Cache-Control", "no-cache")))
+}
+
+/// Embeddable widget for other sites (see frontend/src/widget.js); revalidated on every
+/// load so pages pick up new builds
+async fn widget_script() -> actix_web::Result<impl Responder> {
+    let path: PathBuf = "./static/widget.js".parse().unwrap();
+    Ok(NamedFile::open(path)?
+        .customize()
+        .insert_header(("Cache-Control", "no-cache")))
+}
+
+/// CORS policy for the configured allow-list; the server's own pages are always allowed
+fn cors_policy(origins: &CorsOrigins) -> Cors {
+    let origins = origins.clone();
+    Cors::default()
+        .allowed_origin_fn(move |origin, head| {
+            let host = head.headers().get("Host").and_then(|host| host.to_str().ok());
+            origin.to_str().is_ok_and(|origin| origins.allows(origin, host))
+        })
+        .allow_any_method()
+        .allow_any_header()
+        .expose_headers(["Retry-After"])
+        .max_age(3600)
+}
+
 #[actix_web::main]
 async fn main() -> std::io::Result<()> {
     // Load environment variables from .env file
     dotenv::dotenv().ok();
 
-    println!("🚀 Starting brbrbr server on http://localhost:8080");
+    let config = ServerConfig::from_env();
+    let registry = DetectorRegistry::from_env();
+
+    // `brbrbr evaluate ...` scores a labeled corpus instead of starting the server
+    let args: Vec<String> = std::env::args().skip(1).collect();
+    if args.first().is_some_and(|arg| arg == "evaluate") {
+        return evaluate_command(&args[1..], &registry, &config).await;
+    }
 
-    HttpServer::new(|| {
-        let cors = Cors::default()
-            .allow_any_origin()
-            .allow_any_method()
-            .allow_any_header();
+    for info in registry.list() {
+        let status = if info.available { "" } else { " (not configured, falls back to heuristics)" };
+        println!("✓ Detector {}: {}{}", info.id, info.label, status);
+    }
+    println!("✓ Default detector: {}", registry.default_id());
+    for route in registry.language_routes() {
+        println!("✓ Language {}: {}", route.language, route.detector);
+    }
+
+    let keys = ApiKeyStore::load(&config.api_keys_file).inspect_err(|e| {
+        eprintln!("⚠ Could not read API keys from {}: {}", config.api_keys_file.display(), e);
+    })?;
+    let required = if config.require_api_key { "required" } else { "optional" };
+    println!("✓ API keys: {} stored, {}", keys.list().len(), required);
+    if config.admin_token.is_none() {
+        println!("⚠ ADMIN_TOKEN not set, key management is disabled");
+    }
+    let profiles = ProfileStore::load(&config.profiles_file).inspect_err(|e| {
+        eprintln!("⚠ Could not read profiles from {}: {}", config.profiles_file.display(), e);
+    })?;
+    println!("✓ Detection profiles: {}", profiles.list().len());
+    let shares = ShareStore::load(&config.shares_file).inspect_err(|e| {
+        eprintln!("⚠ Could not read share links from {}: {}", config.shares_file.display(), e);
+    })?;
+    if config.share_max_days > 0 {
+        println!("✓ Share links: {} active, lasting up to {} days", shares.active(unix_now()), config.share_max_days);
+    } else {
+        println!("✓ Share links: disabled");
+    }
+    match &config.cors_origins {
+        CorsOrigins::Any => println!("✓ CORS: any origin"),
+        CorsOrigins::List(origins) if origins.is_empty() => println!("✓ CORS: same origin only"),
+        CorsOrigins::List(origins) => println!("✓ CORS: {}", origins.join(", ")),
+    }
+
+    if config.cache_ttl_secs > 0 && config.cache_max_entries > 0 {
+        println!("✓ Result cache: up to {} results for {}s", config.cache_max_entries, config.cache_ttl_secs);
+    } else {
+        println!("✓ Result cache: disabled");
+    }
+
+    let api_document = web::Data::new(openapi::document(&registry, &config));
+    let cache: web::Data<AnalysisCache> =
+        web::Data::new(Mutex::new(ResultCache::new(config.cache_ttl_secs, config.cache_max_entries)));
+    let registry = web::Data::new(registry);
+    let keys = web::Data::new(Mutex::new(keys));
+    let profiles = web::Data::new(Mutex::new(profiles));
+    let shares = web::Data::new(Mutex::new(shares));
+    let limiter = web::Data::new(Mutex::new(RateLimiter::new()));
+    let bind_address = config.bind_address.clone();
+    let config = web::Data::new(config);
+
+    println!("🚀 Starting brbrbr server on http://{}", bind_address);
+    println!("✓ OpenAPI document at {}", openapi::OPENAPI_PATH);
+
+    let flushed_keys = keys.clone();
+    actix_web::rt::spawn(async move {
+        let mut interval = actix_web::rt::time::interval(USAGE_FLUSH_INTERVAL);
+        loop {
+            interval.tick().await;
+            flush_usage(flushed_keys.clone()).await;
+        }
+    });
+    let server_keys = keys.clone();
+
+    HttpServer::new(move || {
+        let json_config = web::JsonConfig::default()
+            .limit(config.max_body_bytes)
+            .error_handler(errors::json_error_handler);
 
         App::new()
-            .wrap(cors)
+            .wrap(cors_policy(&config.cors_origins))
+            .app_data(json_config)
+            .app_data(config.clone())
+            .app_data(registry.clone())
+            .app_data(server_keys.clone())
+            .app_data(profiles.clone())
+            .app_data(limiter.clone())
+            .app_data(cache.clone())
+            .app_data(shares.clone())
+            .app_data(api_document.clone())
             .route("/health", web::get().to(health_check))
-            .route("/api/analyze", web::post().to(analyze_text))
+            .service(
+                web::scope("/api")
+                    .route("/openapi.json", web::get().to(openapi_document))
+                    .route("/detectors", web::get().to(list_detectors))
+                    .route("/analyze", web::post().to(analyze_text))
+                    .route("/analyze/stream", web::post().to(analyze_text_stream))
+                    .route("/results/{id}", web::get().to(cached_result))
+                    .route("/evaluation", web::post().to(evaluate_corpus))
+                    .route("/evaluation/corpus", web::get().to(builtin_corpus))
+                    .configure(settings::configure)
+                    .configure(sharing::configure)
+                    .configure(admin::configure)
+                    .default_service(web::to(errors::api_not_found)),
+            )
             .service(Files::new("/assets", "./static/assets"))
+            .route("/sw.js", web::get().to(service_worker))
+            .route("/widget.js", web::get().to(widget_script))
             .route("/", web::get().to(index))
             .default_service(web::get().to(index))
     })
-    .bind(("127.0.0.1", 8080))?
+    .bind(bind_address.as_str())?
     .run()
-    .await
+    .await?;
+
+    // Keep the usage counted since the last flush
+    flush_usage(keys).await;
+    Ok(())
+}
+
+/// Write API key usage to disk on the blocking thread pool. The store is only locked to copy
+/// the keys, so requests checking their key don't wait for the file.
+async fn flush_usage(keys: web::Data<Mutex<ApiKeyStore>>) {
+    let Some(usage) = lock(&keys).unsaved_usage() else {
+        return;
+    };
+    if let Ok(Err(e)) = web::block(move || usage.write()).await {
+        eprintln!("⚠ Could not save API key usage: {}", e);
+    }
 }
@@ -0,0 +1,116 @@
+/// OpenAI-Compatible Detector Module
+///
+/// Asks any chat-completions endpoint (OpenAI, Azure OpenAI, vLLM, Ollama, ...) to rate
+/// how likely a text is to be AI-generated, answering with a single percentage.
+
+use serde::{Deserialize, Serialize};
+use crate::detectors::{self, DetectorError, Endpoint};
+use crate::progress::{self, Progress, Stage};
+
+/// Instructions sent with every request; the reply must be a bare number
+const SYSTEM_PROMPT: &str = "You are an AI-generated text detector. \
+Reply with a single number from 0 to 100: the probability, in percent, \
+that the user's text was written by an AI. Reply with the number only.";
+
+/// Request payload for `/chat/completions`
+#[derive(Serialize)]
+struct ChatRequest<'a> {
+    model: &'a str,
+    messages: [ChatMessage<'a>; 2],
+    temperature: f32,
+}
+
+#[derive(Serialize)]
+struct ChatMessage<'a> {
+    role: &'a str,
+    content: &'a str,
+}
+
+#[derive(Deserialize, Debug)]
+struct ChatResponse {
+    choices: Vec<ChatChoice>,
+}
+
+#[derive(Deserialize, Debug)]
+struct ChatChoice {
+    message: ChatReply,
+}
+
+#[derive(Deserialize, Debug)]
+struct ChatReply {
+    content: Option<String>,
+}
+
+/// Score text with a chat model behind an OpenAI-compatible API
+///
+/// # Returns
+/// * `Result<f32, DetectorError>` - AI probability score (0-100) or error
+pub async fn analyze_with_openai(
+    text: &str,
+    endpoint: &Endpoint,
+    model: &str,
+    progress: Progress<'_>,
+) -> Result<f32, DetectorError> {
+    let client = detectors::client(endpoint)?;
+    let request_body = ChatRequest {
+        model,
+        messages: [
+            ChatMessage { role: "system", content: SYSTEM_PROMPT },
+            ChatMessage { role: "user", content: text },
+        ],
+        temperature: 0.0,
+    };
+
+    progress::report(progress, Stage::CallingModel { attempt: 1 });
+
+    // The API key is optional: local servers usually don't need one
+    let mut request = client
+        .post(format!("{}/chat/completions", endpoint.url.trim_end_matches('/')))
+        .json(&request_body);
+    if let Some(token) = &endpoint.token {
+        request = request.bearer_auth(token);
+    }
+
+    let response = request.send().await.map_err(|e| detectors::send_error(e, endpoint))?;
+
+    if !response.status().is_success() {
+        let error_text = response.text().await.unwrap_or_else(|_| "Unknown error".to_string());
+        return Err(DetectorError::ApiError(format!("API returned error: {}", error_text)));
+    }
+
+    let chat: ChatResponse = response
+        .json()
+        .await
+        .map_err(|e| DetectorError::ParseError(e.to_string()))?;
+
+    let reply = chat
+        .choices
+        .first()
+        .and_then(|choice| choice.message.content.as_deref())
+        .ok_or_else(|| DetectorError::ParseError("Empty response from API".to_string()))?;
+
+    parse_percentage(reply)
+}
+
+/// First number in the model's reply, which must lie between 0 and 100
+fn parse_percentage(reply: &str) -> Result<f32, DetectorError> {
+    reply
+        .split(|c: char| !(c.is_ascii_digit() || c == '.'))
+        .find_map(|token| token.parse::<f32>().ok())
+        .filter(|value| (0.0..=100.0).contains(value))
+        .ok_or_else(|| DetectorError::ParseError(format!("No percentage in reply: {}", reply.trim())))
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn test_parse_percentage() {
+        assert_eq!(parse_percentage("85").unwrap(), 85.0);
+        assert_eq!(parse_percentage(" 12.5%\n").unwrap(), 12.5);
+        assert_eq!(parse_percentage("Probability: 70.").unwrap(), 70.0);
+        assert!(parse_percentage("I cannot tell.").is_err());
+        assert!(parse_percentage("250").is_err());
+    }
+}
@@ -0,0 +1,907 @@
+/// OpenAPI Module
+///
+/// Builds the OpenAPI 3.1 description of the HTTP API served at `/api/openapi.json`.
+/// The document is generated at startup from the running configuration, so the list of
+/// detectors and the authentication requirements match what the server actually accepts.
+
+use serde_json::{json, Value};
+use crate::config::ServerConfig;
+use crate::detectors::{DetectorRegistry, ANY_LANGUAGE};
+use crate::evaluation;
+use crate::language;
+use crate::process;
+use crate::profiles::{Profile, ProfileSettings, DEFAULT_PROFILE_ID};
+use crate::shares;
+
+/// Stable URL of the document
+pub const OPENAPI_PATH: &str = "/api/openapi.json";
+
+/// Error codes the API can return in `error.code` (see src/errors.rs)
+const ERROR_CODES: [&str; 19] = [
+    "invalid_json",
+    "unsupported_media_type",
+    "payload_too_large",
+    "invalid_request",
+    "unknown_detector",
+    "unknown_profile",
+    "missing_api_key",
+    "invalid_api_key",
+    "rate_limited",
+    "quota_exceeded",
+    "unauthorized",
+    "admin_disabled",
+    "profile_read_only",
+    "sharing_disabled",
+    "invalid_share_token",
+    "not_found",
+    "share_expired",
+    "share_revoked",
+    "internal_error",
+];
+
+pub fn document(registry: &DetectorRegistry, config: &ServerConfig) -> Value {
+    // Keys are optional unless REQUIRE_API_KEY is set; `{}` marks anonymous access
+    let analyze_security = if config.require_api_key {
+        json!([{ "ApiKey": [] }, { "BearerKey": [] }])
+    } else {
+        json!([{}, { "ApiKey": [] }, { "BearerKey": [] }])
+    };
+    let admin_security = json!([{ "AdminToken": [] }]);
+    // Without an admin token, profile changes are refused unless the server opened them to anyone
+    let editor_security = if config.admin_token.is_none() && config.open_profile_editing {
+        json!([{}])
+    } else {
+        admin_security.clone()
+    };
+
+    json!({
+        "openapi": "3.1.0",
+        "info": {
+            "title": "brbrbr API",
+            "version": env!("CARGO_PKG_VERSION"),
+            "description": "Estimate how likely a text is to be AI-generated. Errors are returned as `{\"error\": {\"code\", \"message\"}}`."
+        },
+        "paths": {
+            "/health": {
+                "get": {
+                    "summary": "Health check",
+                    "operationId": "health",
+                    "responses": {
+                        "200": { "description": "The server is up", "content": json_content(json!({
+                            "type": "object",
+                            "properties": { "status": { "type": "string" }, "service": { "type": "string" } }
+                        })) }
+                    }
+                }
+            },
+            "/api/detectors": {
+                "get": {
+                    "summary": "List detectors",
+                    "operationId": "listDetectors",
+                    "responses": {
+                        "200": { "description": "Detectors offered by this server", "content": json_content(schema_ref("DetectorList")) }
+                    }
+                }
+            },
+            "/api/analyze": {
+                "post": {
+                    "summary": "Analyze text",
+                    "description": "Counts as one request against the API key's daily quota, however many segments or chunks the detector scores.",
+                    "operationId": "analyze",
+                    "security": analyze_security,
+                    "requestBody": analyze_body(),
+                    "responses": analysis_responses(json_content(schema_ref("AnalyzeResponse")))
+                }
+            },
+            "/api/analyze/stream": {
+                "post": {
+                    "summary": "Analyze text, streaming progress",
+                    "description": "Newline-delimited JSON: `progress` events followed by one `result` event with the same fields as `/api/analyze`, and counts against the quota the same way. Closing the connection cancels the analysis.",
+                    "operationId": "analyzeStream",
+                    "security": analyze_security,
+                    "requestBody": analyze_body(),
+                    "responses": analysis_responses(json!({
+                        "application/x-ndjson": { "schema": schema_ref("StreamEvent") }
+                    }))
+                }
+            },
+            "/api/results/{id}": {
+                "get": {
+                    "summary": "Get a stored result",
+                    "description": "A result from the cache by the `id` in its `cache` field, such as the earlier result a `similar_to` points to. Only the API key that analyzed the text can fetch it, until it expires; results of requests without a key can't be fetched. Reading a result uses neither the rate limit nor the quota.",
+                    "operationId": "getResult",
+                    "security": analyze_security,
+                    "parameters": [{ "name": "id", "in": "path", "required": true, "schema": { "type": "string" } }],
+                    "responses": {
+                        "200": { "description": "The stored result", "content": json_content(schema_ref("AnalyzeResponse")) },
+                        "401": error_response("Missing, invalid or revoked API key"),
+                        "404": error_response("No stored result with this id, or it has expired")
+                    }
+                }
+            },
+            "/api/shares/{id}": share_path(),
+            "/api/evaluation": {
+                "post": {
+                    "summary": "Evaluate detectors on a labeled corpus",
+                    "description": format!("Scores every sample (at most {}) with each requested detector and reports accuracy, precision and recall of the verdicts, ROC-AUC and calibration. Runs on the built-in corpus when `corpus` is omitted. With `mock`, remote detectors are not called; the scores recorded in each sample's `scores` stand in for them. Every sample counts as one request per detector against the API key's daily quota, mocked or not, as an `/api/analyze` request would; callers without a key may only call remote detectors when anonymous requests are not rate limited.", evaluation::MAX_SAMPLES),
+                    "operationId": "evaluate",
+                    "security": analyze_security,
+                    "requestBody": {
+                        "required": true,
+                        "content": {
+                            "application/json": {
+                                "schema": schema_ref("EvaluationRequest"),
+                                "example": { "detectors": ["heuristic"], "mock": true }
+                            }
+                        }
+                    },
+                    "responses": {
+                        "200": { "description": "Metrics and per-sample scores of each detector", "content": json_content(schema_ref("EvaluationReport")) },
+                        "400": error_response("Invalid corpus, unknown detector or unknown profile"),
+                        "401": error_response("Missing, invalid or revoked API key, or no key for an evaluation of remote detectors that needs one"),
+                        "413": error_response("The corpus is too large"),
+                        "429": error_response("Rate limited, or the evaluation needs more requests than the API key's daily quota has left")
+                    }
+                }
+            },
+            "/api/evaluation/corpus": {
+                "get": {
+                    "summary": "Get the built-in labeled corpus",
+                    "operationId": "getBuiltinCorpus",
+                    "responses": {
+                        "200": { "description": "The corpus evaluated by default", "content": json_content(schema_ref("Corpus")) }
+                    }
+                }
+            },
+            OPENAPI_PATH: {
+                "get": {
+                    "summary": "This document",
+                    "operationId": "openapi",
+                    "responses": { "200": { "description": "OpenAPI document", "content": json_content(json!({ "type": "object" })) } }
+                }
+            },
+            "/api/profiles": {
+                "get": {
+                    "summary": "List detection profiles",
+                    "operationId": "listProfiles",
+                    "responses": {
+                        "200": { "description": "The built-in profile followed by the saved ones", "content": json_content(json!({
+                            "type": "object",
+                            "properties": {
+                                "default": { "type": "string" },
+                                "profiles": { "type": "array", "items": schema_ref("Profile") }
+                            }
+                        })) }
+                    }
+                },
+                "post": {
+                    "summary": "Save a new detection profile",
+                    "description": "The id is derived from the name.",
+                    "operationId": "createProfile",
+                    "security": editor_security,
+                    "requestBody": profile_body(),
+                    "responses": profile_responses("201", "The new profile")
+                }
+            },
+            "/api/profiles/{id}": {
+                "put": {
+                    "summary": "Update a detection profile",
+                    "operationId": "updateProfile",
+                    "security": editor_security,
+                    "parameters": [{ "name": "id", "in": "path", "required": true, "schema": { "type": "string" } }],
+                    "requestBody": profile_body(),
+                    "responses": profile_responses("200", "The updated profile")
+                },
+                "delete": {
+                    "summary": "Delete a detection profile",
+                    "operationId": "deleteProfile",
+                    "security": editor_security,
+                    "parameters": [{ "name": "id", "in": "path", "required": true, "schema": { "type": "string" } }],
+                    "responses": {
+                        "204": { "description": "The profile was deleted" },
+                        "401": error_response("Missing or wrong admin token"),
+                        "403": error_response("The built-in profile can't be deleted, or profiles are read-only on this server"),
+                        "404": error_response("No profile with this id")
+                    }
+                }
+            },
+            "/api/admin/keys": {
+                "get": {
+                    "summary": "List API keys",
+                    "operationId": "listApiKeys",
+                    "security": admin_security,
+                    "responses": admin_responses("200", "API keys, including revoked ones", json!({
+                        "type": "object",
+                        "properties": { "keys": { "type": "array", "items": schema_ref("ApiKey") } }
+                    }))
+                },
+                "post": {
+                    "summary": "Create an API key",
+                    "description": "The key itself is only returned in this response.",
+                    "operationId": "createApiKey",
+                    "security": admin_security,
+                    "requestBody": {
+                        "required": true,
+                        "content": {
+                            "application/json": {
+                                "schema": schema_ref("NewApiKey"),
+                                "example": { "name": "LMS production", "rate_limit_per_minute": config.default_key_rate_limit, "daily_quota": 5000 }
+                            }
+                        }
+                    },
+                    "responses": admin_responses("201", "The new key", json!({
+                        "type": "object",
+                        "required": ["key", "secret"],
+                        "properties": { "key": schema_ref("ApiKey"), "secret": { "type": "string" } }
+                    }))
+                }
+            },
+            "/api/admin/keys/{id}": {
+                "delete": {
+                    "summary": "Revoke an API key",
+                    "operationId": "revokeApiKey",
+                    "security": admin_security,
+                    "parameters": [{ "name": "id", "in": "path", "required": true, "schema": { "type": "string" } }],
+                    "responses": admin_responses("200", "The revoked key", json!({
+                        "type": "object",
+                        "properties": { "key": schema_ref("ApiKey") }
+                    }))
+                }
+            }
+        },
+        "components": {
+            "securitySchemes": {
+                "ApiKey": { "type": "apiKey", "in": "header", "name": "X-API-Key" },
+                "BearerKey": { "type": "http", "scheme": "bearer", "description": "An API key sent as a bearer token" },
+                "AdminToken": { "type": "http", "scheme": "bearer", "description": "The server's ADMIN_TOKEN" }
+            },
+            "schemas": schemas(registry, config)
+        }
+    })
+}
+
+/// Request, response and error bodies, referenced from the paths with `schema_ref`
+fn schemas(registry: &DetectorRegistry, config: &ServerConfig) -> Value {
+    let detector_ids: Vec<String> = registry.list().into_iter().map(|info| info.id).collect();
+    let language_codes: Vec<&str> = language::all()
+        .iter()
+        .map(|language| language.code)
+        .chain([language::UNDETERMINED])
+        .collect();
+
+    json!({
+        "AnalyzeRequest": {
+            "type": "object",
+            "required": ["text"],
+            "properties": {
+                "text": { "type": "string" },
+                "segmentation": { "type": "string", "enum": ["sentence", "paragraph"] },
+                "detector": {
+                    "type": "string",
+                    "enum": detector_ids,
+                    "default": registry.default_id(),
+                    "description": "When omitted, the default detector for the text's language (see `language_routes` in `/api/detectors`)"
+                },
+                "profile": { "type": "string", "default": DEFAULT_PROFILE_ID, "description": "Id from `/api/profiles`" },
+                "process": schema_ref("ProcessStats"),
+                "share": schema_ref("ShareOptions")
+            }
+        },
+        "AnalyzeResponse": analyze_response_schema(config),
+        "ProcessStats": process_stats_schema(),
+        "ProcessSignal": process_signal_schema(),
+        "ShareOptions": share_options_schema(config),
+        "ShareInfo": share_info_schema(),
+        "ShareLink": share_link_schema(),
+        "SharedResult": shared_result_schema(),
+        "StreamEvent": {
+            "type": "object",
+            "required": ["type"],
+            "properties": {
+                "type": { "type": "string", "enum": ["progress", "result"] },
+                "stage": { "type": "string", "enum": ["calling_model", "model_loading", "falling_back", "scoring_chunks", "scoring_segments"] }
+            },
+            "additionalProperties": true
+        },
+        "Corpus": corpus_schema(),
+        "EvaluationRequest": {
+            "type": "object",
+            "properties": {
+                "corpus": schema_ref("Corpus"),
+                "detectors": { "type": "array", "items": { "type": "string", "enum": detector_ids }, "description": "Every detector when omitted" },
+                "profile": { "type": "string", "default": DEFAULT_PROFILE_ID, "description": "Id from `/api/profiles`" },
+                "mock": { "type": "boolean", "default": false }
+            }
+        },
+        "EvaluationReport": evaluation_report_schema(),
+        "EvaluationMetrics": evaluation_metrics_schema(),
+        "ClassMetrics": {
+            "type": "object",
+            "properties": {
+                "precision": { "type": ["number", "null"] },
+                "recall": { "type": ["number", "null"] },
+                "f1": { "type": ["number", "null"] }
+            }
+        },
+        "VerdictCounts": {
+            "type": "object",
+            "properties": { "human": { "type": "integer" }, "uncertain": { "type": "integer" }, "ai": { "type": "integer" } }
+        },
+        "DetectorKind": { "type": "string", "enum": ["hugging_face", "open_ai", "http", "heuristic", "ensemble"] },
+        "Language": {
+            "type": "object",
+            "required": ["code", "name", "supported"],
+            "properties": {
+                "code": { "type": "string", "enum": language_codes, "description": "ISO 639-1 code; `und` if it couldn't be determined" },
+                "name": { "type": "string" },
+                "supported": { "type": "boolean", "description": "Whether the heuristics have tokenization rules and phrases for the language" }
+            }
+        },
+        "DetectorList": {
+            "type": "object",
+            "properties": {
+                "default": { "type": "string" },
+                "detectors": { "type": "array", "items": {
+                    "type": "object",
+                    "properties": {
+                        "id": { "type": "string" },
+                        "label": { "type": "string" },
+                        "kind": schema_ref("DetectorKind"),
+                        "available": { "type": "boolean" }
+                    }
+                } },
+                "language_routes": { "type": "array", "items": {
+                    "type": "object",
+                    "description": format!("Detector used by default for texts in a language; `{}` matches any language but English", ANY_LANGUAGE),
+                    "properties": { "language": { "type": "string" }, "detector": { "type": "string" } }
+                } }
+            }
+        },
+        "ProfileSettings": {
+            "type": "object",
+            "required": ["name", "phrases"],
+            "properties": {
+                "name": { "type": "string", "maxLength": 100 },
+                "description": { "type": "string" },
+                "phrases": { "type": "array", "items": {
+                    "type": "object",
+                    "required": ["phrase"],
+                    "properties": {
+                        "phrase": { "type": "string", "description": "Matched case-insensitively" },
+                        "weight": { "type": "number", "minimum": 0, "maximum": 10, "default": 1, "description": "1 counts as one match; 0 ignores the phrase" },
+                        "language": { "type": "string", "description": "Only look for the phrase in text of this language; omit to look for it in every text" }
+                    }
+                } },
+                "factor_weights": {
+                    "type": "object",
+                    "description": "Relative weights of the heuristic factors",
+                    "properties": {
+                        "sentence_uniformity": { "type": "number", "minimum": 0 },
+                        "vocabulary_diversity": { "type": "number", "minimum": 0 },
+                        "ai_phrases": { "type": "number", "minimum": 0 },
+                        "punctuation": { "type": "number", "minimum": 0 },
+                        "structure": { "type": "number", "minimum": 0 }
+                    }
+                },
+                "thresholds": schema_ref("Thresholds")
+            }
+        },
+        "Profile": {
+            "allOf": [
+                schema_ref("ProfileSettings"),
+                {
+                    "type": "object",
+                    "properties": { "id": { "type": "string" }, "read_only": { "type": "boolean" } }
+                }
+            ]
+        },
+        "Thresholds": {
+            "type": "object",
+            "description": "Scores at or above `ai` are \"AI Generated\", at or below `human` \"Human Written\"",
+            "properties": { "ai": { "type": "number" }, "human": { "type": "number" } }
+        },
+        "ApiKey": {
+            "type": "object",
+            "properties": {
+                "id": { "type": "string" },
+                "name": { "type": "string" },
+                "prefix": { "type": "string" },
+                "created_at": { "type": "integer", "description": "Unix time in seconds" },
+                "revoked_at": { "type": ["integer", "null"] },
+                "rate_limit_per_minute": { "type": "integer", "description": "0 means unlimited" },
+                "daily_quota": { "type": ["integer", "null"], "description": "Requests per UTC day; unlimited when null" },
+                "requests_today": { "type": "integer" },
+                "requests_total": { "type": "integer" }
+            }
+        },
+        "NewApiKey": {
+            "type": "object",
+            "required": ["name"],
+            "properties": {
+                "name": { "type": "string" },
+                "rate_limit_per_minute": { "type": "integer", "minimum": 0, "default": config.default_key_rate_limit },
+                "daily_quota": { "type": ["integer", "null"], "minimum": 1 }
+            }
+        },
+        "Error": {
+            "type": "object",
+            "required": ["error"],
+            "properties": {
+                "error": {
+                    "type": "object",
+                    "required": ["code", "message"],
+                    "properties": {
+                        "code": { "type": "string", "enum": ERROR_CODES },
+                        "message": { "type": "string" }
+                    }
+                }
+            }
+        }
+    })
+}
+
+fn schema_ref(name: &str) -> Value {
+    json!({ "$ref": format!("#/components/schemas/{}", name) })
+}
+
+fn json_content(schema: Value) -> Value {
+    json!({ "application/json": { "schema": schema } })
+}
+
+fn error_response(description: &str) -> Value {
+    json!({ "description": description, "content": json_content(schema_ref("Error")) })
+}
+
+fn analyze_response_schema(config: &ServerConfig) -> Value {
+    json!({
+        "type": "object",
+        "required": ["human_percentage", "ai_percentage", "verdict", "detector", "detector_id", "profile", "thresholds", "language"],
+        "properties": {
+            "human_percentage": { "type": "number" },
+            "ai_percentage": { "type": "number" },
+            "verdict": { "type": "string", "enum": ["AI Generated", "Uncertain", "Human Written"] },
+            "detector": schema_ref("DetectorKind"),
+            "detector_id": { "type": "string" },
+            "profile": { "type": "string" },
+            "thresholds": schema_ref("Thresholds"),
+            "language": schema_ref("Language"),
+            "fallback_reason": { "type": "string" },
+            "breakdown": {
+                "type": "object",
+                "properties": {
+                    "ai_percentage": { "type": "number" },
+                    "factors": { "type": "array", "items": {
+                        "type": "object",
+                        "properties": { "name": { "type": "string" }, "score": { "type": "number" }, "weight": { "type": "number" } }
+                    } },
+                    "matched_phrases": { "type": "array", "items": { "type": "string" } }
+                }
+            },
+            "segments": { "type": "array", "items": {
+                "type": "object",
+                "properties": { "text": { "type": "string" }, "ai_percentage": { "type": "number" } }
+            } },
+            "chunks": {
+                "type": "object",
+                "properties": {
+                    "min": { "type": "number" },
+                    "max": { "type": "number" },
+                    "spread": { "type": "number" },
+                    "items": { "type": "array", "items": {
+                        "type": "object",
+                        "properties": {
+                            "index": { "type": "integer" },
+                            "start_word": { "type": "integer" },
+                            "word_count": { "type": "integer" },
+                            "ai_percentage": { "type": "number" }
+                        }
+                    } }
+                }
+            },
+            "ensemble": { "type": "array", "items": {
+                "type": "object",
+                "properties": {
+                    "id": { "type": "string" },
+                    "detector": schema_ref("DetectorKind"),
+                    "ai_percentage": { "type": "number" },
+                    "error": { "type": "string" }
+                }
+            } },
+            "cache": {
+                "type": "object",
+                "description": format!("Whether the result was reused from an analysis of the same text with the same settings (kept for {}s). Absent when the cache is disabled or the result was not stored.", config.cache_ttl_secs),
+                "required": ["hit", "id", "analyzed_at"],
+                "properties": {
+                    "hit": { "type": "boolean" },
+                    "id": { "type": "string", "description": "For `/api/results/{id}`" },
+                    "analyzed_at": { "type": "integer", "description": "Seconds since the Unix epoch" }
+                }
+            },
+            "similar_to": {
+                "type": "object",
+                "description": "An earlier result of the same caller for nearly the same text",
+                "required": ["id", "analyzed_at", "similarity", "ai_percentage", "verdict"],
+                "properties": {
+                    "id": { "type": "string", "description": "For `/api/results/{id}`" },
+                    "analyzed_at": { "type": "integer", "description": "Seconds since the Unix epoch" },
+                    "similarity": { "type": "number", "minimum": 0, "maximum": 1, "description": "Estimated share of three-word phrases the texts have in common" },
+                    "ai_percentage": { "type": "number" },
+                    "verdict": { "type": "string" }
+                }
+            },
+            "process": schema_ref("ProcessSignal"),
+            "share": schema_ref("ShareLink")
+        }
+    })
+}
+
+/// What the web interface's compose mode recorded while the text was written
+fn process_stats_schema() -> Value {
+    json!({
+        "type": "object",
+        "description": "How the text was written, counting characters as code points; the score and the verdict then include the writing process. Counts that can't have come from writing the text are rejected with 400 invalid_request",
+        "properties": {
+            "duration_ms": { "type": "integer", "description": "Time from the first to the last edit" },
+            "initial_chars": { "type": "integer", "description": "Characters already there when the recording started" },
+            "typed_chars": { "type": "integer" },
+            "pasted_chars": { "type": "integer" },
+            "deleted_chars": { "type": "integer" },
+            "paste_count": { "type": "integer" },
+            "largest_paste": { "type": "integer" },
+            "bursts": { "type": "integer", "description": "Runs of typing without a pause of two seconds or more" },
+            "revisions": { "type": "integer", "description": "Deletions and replacements" },
+            "interval_variation": { "type": ["number", "null"], "description": "Coefficient of variation of the gaps between keystrokes within bursts" }
+        }
+    })
+}
+
+fn process_signal_schema() -> Value {
+    json!({
+        "type": "object",
+        "description": "How the writing process shifted the score: `ai_percentage` is `text_ai_percentage` moved toward `score` by `weight`",
+        "properties": {
+            "stats": schema_ref("ProcessStats"),
+            "pasted_share": { "type": "number", "minimum": 0, "maximum": 1 },
+            "mechanical_typing": { "type": "boolean", "description": "Keystrokes came at a machine-even pace" },
+            "long_bursts": { "type": "boolean", "description": "Long runs of typing without pauses, as when copying a text" },
+            "score": { "type": "number", "description": "How likely the process makes it that the text came from elsewhere, 0 to 100" },
+            "weight": { "type": "number", "minimum": 0, "maximum": process::PROCESS_WEIGHT },
+            "text_ai_percentage": { "type": "number", "description": "Score of the text alone" }
+        }
+    })
+}
+
+/// Opening and revoking share links
+fn share_path() -> Value {
+    json!({
+        "get": {
+            "summary": "Open a share link",
+            "description": "The result a share link shows. No API key is needed: the id is the secret. `text` is present when the full text was shared, `excerpts` when only the most AI-like passages were.",
+            "operationId": "getShare",
+            "parameters": [{ "name": "id", "in": "path", "required": true, "schema": { "type": "string" } }],
+            "responses": {
+                "200": { "description": "The shared result", "content": json_content(schema_ref("SharedResult")) },
+                "404": error_response("No share link with this id"),
+                "410": error_response("The link has expired or been revoked")
+            }
+        },
+        "delete": {
+            "summary": "Revoke a share link",
+            "description": "Deletes the shared result for good. Needs the `revoke_token` returned when the link was created, in the `X-Share-Token` header.",
+            "operationId": "revokeShare",
+            "parameters": [
+                { "name": "id", "in": "path", "required": true, "schema": { "type": "string" } },
+                { "name": "X-Share-Token", "in": "header", "required": true, "schema": { "type": "string" } }
+            ],
+            "responses": {
+                "200": { "description": "The revoked link", "content": json_content(json!({
+                    "type": "object",
+                    "properties": { "share": schema_ref("ShareInfo") }
+                })) },
+                "403": error_response("Missing or wrong revocation token"),
+                "404": error_response("No share link with this id")
+            }
+        }
+    })
+}
+
+/// Sent as `share` with an analysis request
+fn share_options_schema(config: &ServerConfig) -> Value {
+    json!({
+        "type": "object",
+        "description": "Save the result for a share link. Only as much of the text as `content` says is stored.",
+        "properties": {
+            "content": {
+                "type": "string",
+                "enum": ["scores", "excerpts", "full"],
+                "default": "scores",
+                "description": "`scores`: the scores and their explanation only; `excerpts`: also the most AI-like segments (needs `segmentation`); `full`: also the full text"
+            },
+            "expires_in_days": {
+                "type": "integer",
+                "minimum": 1,
+                "maximum": config.share_max_days,
+                "default": shares::DEFAULT_EXPIRY_DAYS.min(config.share_max_days)
+            }
+        }
+    })
+}
+
+fn share_info_schema() -> Value {
+    json!({
+        "type": "object",
+        "required": ["id", "path", "content", "created_at", "expires_at"],
+        "properties": {
+            "id": { "type": "string" },
+            "path": { "type": "string", "description": "Path of the read-only results page in the web interface" },
+            "content": { "type": "string", "enum": ["scores", "excerpts", "full"] },
+            "created_at": { "type": "integer", "description": "Seconds since the Unix epoch" },
+            "expires_at": { "type": "integer", "description": "Seconds since the Unix epoch" },
+            "revoked_at": { "type": "integer", "description": "Seconds since the Unix epoch" }
+        }
+    })
+}
+
+/// A new share link, as returned in `share` by the analysis endpoints
+fn share_link_schema() -> Value {
+    json!({
+        "allOf": [schema_ref("ShareInfo")],
+        "type": "object",
+        "required": ["revoke_token"],
+        "properties": {
+            "revoke_token": { "type": "string", "description": "Revokes the link (see `DELETE /api/shares/{id}`); only returned here" }
+        }
+    })
+}
+
+fn shared_result_schema() -> Value {
+    json!({
+        "allOf": [schema_ref("ShareInfo")],
+        "type": "object",
+        "required": ["result"],
+        "properties": {
+            "result": {
+                "allOf": [schema_ref("AnalyzeResponse")],
+                "description": "The analysis without `cache` and `similar_to`, and without `segments` unless the full text is shared"
+            },
+            "text": { "type": "string" },
+            "excerpts": { "type": "array", "items": {
+                "type": "object",
+                "properties": {
+                    "index": { "type": "integer", "description": "Position of the segment in the text" },
+                    "text": { "type": "string" },
+                    "ai_percentage": { "type": "number" }
+                }
+            } }
+        }
+    })
+}
+
+/// Labeled samples for `/api/evaluation`
+fn corpus_schema() -> Value {
+    json!({
+        "type": "object",
+        "required": ["samples"],
+        "properties": {
+            "name": { "type": "string" },
+            "samples": { "type": "array", "items": {
+                "type": "object",
+                "required": ["text", "label"],
+                "properties": {
+                    "id": { "type": "string", "description": "Defaults to the sample's position, counting from 1" },
+                    "text": { "type": "string" },
+                    "label": { "type": "string", "enum": ["human", "ai"] },
+                    "note": { "type": "string" },
+                    "scores": {
+                        "type": "object",
+                        "additionalProperties": { "type": "number", "minimum": 0, "maximum": 100 },
+                        "description": "AI scores recorded from remote detectors, by detector id, for `mock` runs"
+                    }
+                }
+            } }
+        }
+    })
+}
+
+fn evaluation_report_schema() -> Value {
+    json!({
+        "type": "object",
+        "properties": {
+            "corpus": { "type": "string" },
+            "samples": { "type": "integer" },
+            "human_samples": { "type": "integer" },
+            "ai_samples": { "type": "integer" },
+            "profile": { "type": "string" },
+            "thresholds": schema_ref("Thresholds"),
+            "mock": { "type": "boolean" },
+            "detectors": { "type": "array", "items": {
+                "type": "object",
+                "properties": {
+                    "id": { "type": "string" },
+                    "label": { "type": "string" },
+                    "fallbacks": { "type": "integer", "description": "Samples the heuristics scored instead" },
+                    "metrics": schema_ref("EvaluationMetrics"),
+                    "results": { "type": "array", "items": {
+                        "type": "object",
+                        "properties": {
+                            "id": { "type": "string" },
+                            "label": { "type": "string", "enum": ["human", "ai"] },
+                            "ai_percentage": { "type": "number" },
+                            "verdict": { "type": "string" },
+                            "detector": schema_ref("DetectorKind"),
+                            "fallback_reason": { "type": "string" }
+                        }
+                    } }
+                }
+            } }
+        }
+    })
+}
+
+fn evaluation_metrics_schema() -> Value {
+    json!({
+        "type": "object",
+        "description": "Rates are fractions from 0 to 1; `null` when undefined, e.g. ROC-AUC with only one label",
+        "properties": {
+            "accuracy": { "type": "number" },
+            "coverage": { "type": "number", "description": "Share of samples with a verdict other than \"Uncertain\"" },
+            "ai": schema_ref("ClassMetrics"),
+            "human": schema_ref("ClassMetrics"),
+            "roc_auc": { "type": ["number", "null"] },
+            "brier_score": { "type": "number" },
+            "calibration_error": { "type": "number", "description": "In percentage points" },
+            "confusion": {
+                "type": "object",
+                "description": "Verdict counts (human, uncertain, ai) by true label",
+                "properties": { "human": schema_ref("VerdictCounts"), "ai": schema_ref("VerdictCounts") }
+            },
+            "roc": { "type": "array", "items": {
+                "type": "object",
+                "properties": {
+                    "threshold": { "type": "number" },
+                    "false_positive_rate": { "type": "number" },
+                    "true_positive_rate": { "type": "number" }
+                }
+            } },
+            "calibration": { "type": "array", "items": {
+                "type": "object",
+                "properties": {
+                    "lower": { "type": "number" },
+                    "upper": { "type": "number" },
+                    "count": { "type": "integer" },
+                    "mean_score": { "type": ["number", "null"] },
+                    "ai_share": { "type": ["number", "null"], "description": "Percentage of AI samples" }
+                }
+            } }
+        }
+    })
+}
+
+fn analyze_body() -> Value {
+    json!({
+        "required": true,
+        "content": {
+            "application/json": {
+                "schema": schema_ref("AnalyzeRequest"),
+                "example": { "text": "Paste the text to check here.", "segmentation": "sentence" }
+            }
+        }
+    })
+}
+
+fn analysis_responses(content: Value) -> Value {
+    json!({
+        "200": { "description": "Analysis result", "content": content },
+        "400": error_response("Invalid JSON, unknown detector, unknown profile, invalid share options or writing-process statistics that don't match the text"),
+        "401": error_response("Missing, invalid or revoked API key"),
+        "403": error_response("A share link was requested, but share links are disabled"),
+        "413": error_response("The text is too long"),
+        "429": {
+            "description": "Rate limit or daily quota reached",
+            "headers": { "Retry-After": { "schema": { "type": "integer" }, "description": "Seconds until the limit resets" } },
+            "content": json_content(schema_ref("Error"))
+        }
+    })
+}
+
+fn profile_body() -> Value {
+    let example = ProfileSettings {
+        name: "Business writing".to_string(),
+        description: String::new(),
+        ..Profile::default().settings
+    };
+    json!({
+        "required": true,
+        "content": {
+            "application/json": {
+                "schema": schema_ref("ProfileSettings"),
+                "example": example
+            }
+        }
+    })
+}
+
+fn profile_responses(status: &str, description: &str) -> Value {
+    json!({
+        status: { "description": description, "content": json_content(json!({
+            "type": "object",
+            "properties": { "profile": schema_ref("Profile") }
+        })) },
+        "400": error_response("Invalid settings"),
+        "401": error_response("Missing or wrong admin token"),
+        "403": error_response("The built-in profile can't be changed, or profiles are read-only on this server"),
+        "404": error_response("No profile with this id")
+    })
+}
+
+fn admin_responses(status: &str, description: &str, schema: Value) -> Value {
+    json!({
+        status: { "description": description, "content": json_content(schema) },
+        "401": error_response("Missing or wrong admin token"),
+        "403": error_response("Key management is disabled because ADMIN_TOKEN is not set"),
+        "404": error_response("No key with this id")
+    })
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use crate::config::CorsOrigins;
+
+    fn config(require_api_key: bool) -> ServerConfig {
+        ServerConfig {
+            bind_address: "127.0.0.1:0".to_string(),
+            cors_origins: CorsOrigins::List(vec![]),
+            max_body_bytes: 1024,
+            admin_token: None,
+            open_profile_editing: false,
+            require_api_key,
+            api_keys_file: "unused.json".into(),
+            default_key_rate_limit: 60,
+            anonymous_rate_limit: 0,
+            profiles_file: "unused.json".into(),
+            cache_ttl_secs: 0,
+            cache_max_entries: 0,
+            shares_file: "unused.json".into(),
+            share_max_days: 365,
+        }
+    }
+
+    #[test]
+    fn test_document_lists_routes_and_detectors() {
+        let registry = DetectorRegistry::new(vec![], None);
+        let doc = document(&registry, &config(false));
+
+        assert_eq!(doc["openapi"], "3.1.0");
+        for path in ["/health", "/api/detectors", "/api/analyze", "/api/analyze/stream", OPENAPI_PATH, "/api/results/{id}", "/api/shares/{id}", "/api/evaluation", "/api/evaluation/corpus", "/api/profiles", "/api/profiles/{id}", "/api/admin/keys", "/api/admin/keys/{id}"] {
+            assert!(doc["paths"][path].is_object(), "missing {}", path);
+        }
+        assert_eq!(
+            doc["components"]["schemas"]["AnalyzeRequest"]["properties"]["detector"]["enum"],
+            json!(["heuristic"])
+        );
+        // Anonymous access is allowed
+        assert_eq!(doc["paths"]["/api/analyze"]["post"]["security"][0], json!({}));
+    }
+
+    #[test]
+    fn test_required_keys_drop_anonymous_access() {
+        let registry = DetectorRegistry::new(vec![], None);
+        let doc = document(&registry, &config(true));
+        let security = doc["paths"]["/api/analyze"]["post"]["security"].as_array().unwrap();
+
+        assert!(security.iter().all(|scheme| scheme != &json!({})));
+    }
+
+    #[test]
+    fn test_schema_refs_resolve() {
+        let registry = DetectorRegistry::new(vec![], None);
+        let doc = document(&registry, &config(false));
+        let text = doc.to_string();
+
+        for reference in text.split("#/components/schemas/").skip(1) {
+            let name = reference.split('"').next().unwrap();
+            assert!(doc["components"]["schemas"][name].is_object(), "dangling $ref {}", name);
+        }
+    }
+}
@@ -0,0 +1,271 @@
+/// Writing Process Module
+///
+/// Statistics of how a text was written in the web interface's compose mode, sent along with
+/// the text, and the score they give. Text pasted in, or typed at a machine-even pace, was
+/// produced somewhere else; typing in bursts with pauses and reworking earlier sentences is
+/// what writers do. The process score is blended into the text's score in proportion to how
+/// much of the text the recording saw being written. Characters are counted as code points on
+/// both sides, and statistics that record more text than was submitted are rejected.
+
+use serde::{Deserialize, Serialize};
+
+/// Share of the final score the writing process decides when it saw the whole text written
+pub const PROCESS_WEIGHT: f32 = 0.35;
+
+/// Fewer typed characters say too little about the typing rhythm
+const MIN_TYPED_FOR_RHYTHM: usize = 50;
+
+/// Keystroke gaps that vary less than this (as a coefficient of variation) look scripted
+const MECHANICAL_VARIATION: f32 = 0.2;
+
+/// Typing this many characters per burst on average, without pausing to think, looks like
+/// copying a text from another screen
+const TRANSCRIPTION_BURST_CHARS: usize = 400;
+
+/// Most points deleting and rewriting can take off the process score
+const MAX_REVISION_CREDIT: f32 = 20.0;
+
+/// Characters the recorded counts may be off from the text by, e.g. where an edit replaced
+/// half of a character the browser stores as two
+const COUNT_TOLERANCE: usize = 10;
+
+/// What the compose mode recorded; every field defaults to zero
+#[derive(Deserialize, Serialize, Clone, Debug, Default, PartialEq)]
+#[serde(default)]
+pub struct ProcessStats {
+    /// Time from the first to the last edit, in milliseconds
+    pub duration_ms: u64,
+    /// Characters already in the editor when the recording started
+    pub initial_chars: usize,
+    pub typed_chars: usize,
+    pub pasted_chars: usize,
+    pub deleted_chars: usize,
+    pub paste_count: usize,
+    pub largest_paste: usize,
+    /// Runs of typing without a pause of two seconds or more
+    pub bursts: usize,
+    /// Deletions and replacements, counting a run of deleted characters once
+    pub revisions: usize,
+    /// Coefficient of variation of the gaps between keystrokes within bursts; absent when
+    /// too few keys were typed
+    pub interval_variation: Option<f32>,
+}
+
+/// How the writing process shifted the score
+#[derive(Serialize, Clone, Debug, PartialEq)]
+pub struct ProcessSignal {
+    pub stats: ProcessStats,
+    /// Share of the written characters that were pasted, from 0 to 1
+    pub pasted_share: f32,
+    /// The keystrokes came at a machine-even pace
+    pub mechanical_typing: bool,
+    /// The text was typed in long runs without pauses
+    pub long_bursts: bool,
+    /// How likely the process makes it that the text came from elsewhere, from 0 to 100
+    pub score: f32,
+    /// Share of the final score the process decided, from 0 to `PROCESS_WEIGHT`
+    pub weight: f32,
+    /// The score of the text alone
+    pub text_ai_percentage: f32,
+}
+
+fn ratio(part: usize, whole: usize) -> f32 {
+    if whole == 0 { 0.0 } else { part as f32 / whole as f32 }
+}
+
+/// Check that the statistics could have come from writing `text`: what was there, typed and
+/// pasted, less what was deleted, can't be more than the text, and the counts must agree
+/// with each other. Text from undo and other changes isn't counted, so it may be less.
+pub fn validate(stats: &ProcessStats, text: &str) -> Result<(), String> {
+    if stats.interval_variation.is_some_and(|variation| !variation.is_finite() || variation < 0.0) {
+        return Err("process.interval_variation must be a number of at least 0".to_string());
+    }
+    if stats.largest_paste > stats.pasted_chars || stats.paste_count > stats.pasted_chars || (stats.paste_count == 0) != (stats.pasted_chars == 0) {
+        return Err("process.paste_count and process.largest_paste don't match process.pasted_chars".to_string());
+    }
+    if stats.revisions > stats.deleted_chars || (stats.revisions == 0) != (stats.deleted_chars == 0) {
+        return Err("process.revisions doesn't match process.deleted_chars".to_string());
+    }
+
+    let text_chars = text.chars().count();
+    let recorded = stats
+        .initial_chars
+        .checked_add(stats.typed_chars)
+        .and_then(|chars| chars.checked_add(stats.pasted_chars))
+        .ok_or_else(|| "The writing process records more characters than can be counted".to_string())?
+        .saturating_sub(stats.deleted_chars);
+    if recorded > text_chars + COUNT_TOLERANCE {
+        return Err(format!(
+            "The writing process records {} characters, but the text has {}",
+            recorded, text_chars
+        ));
+    }
+    Ok(())
+}
+
+/// Weigh the recorded process of `text` against the score the text got on its own
+pub fn assess(stats: ProcessStats, text: &str, text_ai_percentage: f32) -> ProcessSignal {
+    // Counts that passed `validate` can't overflow; saturating keeps others from panicking
+    let written = stats.typed_chars.saturating_add(stats.pasted_chars);
+    let pasted_share = ratio(stats.pasted_chars, written);
+    let typed_share = if written == 0 { 0.0 } else { 1.0 - pasted_share };
+
+    let mechanical_typing = stats.typed_chars >= MIN_TYPED_FOR_RHYTHM
+        && stats.interval_variation.is_some_and(|variation| variation < MECHANICAL_VARIATION);
+    let long_bursts = !mechanical_typing
+        && stats.typed_chars >= TRANSCRIPTION_BURST_CHARS
+        && stats.typed_chars / stats.bursts.max(1) >= TRANSCRIPTION_BURST_CHARS;
+
+    // Pasted text and scripted typing count in full, transcription-like typing by half
+    let typed_elsewhere = if mechanical_typing { 1.0 } else if long_bursts { 0.5 } else { 0.0 };
+    let elsewhere_share = pasted_share + typed_share * typed_elsewhere;
+    let revision_credit = (ratio(stats.deleted_chars, written) * 100.0).min(MAX_REVISION_CREDIT);
+    let score = (elsewhere_share * 100.0 - revision_credit).clamp(0.0, 100.0);
+
+    // Only the text the recording saw typed or pasted speaks for the process: not what was
+    // already there when it started, nor what undo and other changes it can't attribute put in
+    let text_chars = text.chars().count();
+    let accounted = stats.initial_chars.saturating_add(written).saturating_sub(stats.deleted_chars).min(text_chars);
+    let coverage = if written == 0 { 0.0 } else { ratio(accounted.saturating_sub(stats.initial_chars), text_chars) };
+
+    ProcessSignal {
+        stats,
+        pasted_share,
+        mechanical_typing,
+        long_bursts,
+        score,
+        weight: PROCESS_WEIGHT * coverage,
+        text_ai_percentage,
+    }
+}
+
+impl ProcessSignal {
+    /// The text's score moved toward the process score by the process weight
+    pub fn ai_percentage(&self) -> f32 {
+        self.text_ai_percentage * (1.0 - self.weight) + self.score * self.weight
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    fn typed(chars: usize) -> ProcessStats {
+        ProcessStats {
+            duration_ms: chars as u64 * 250,
+            typed_chars: chars,
+            bursts: chars / 80 + 1,
+            interval_variation: Some(0.8),
+            ..ProcessStats::default()
+        }
+    }
+
+    #[test]
+    fn test_pasted_text_raises_the_score() {
+        let text = "x".repeat(1000);
+        let stats = ProcessStats { pasted_chars: 1000, paste_count: 1, largest_paste: 1000, ..ProcessStats::default() };
+        let signal = assess(stats, &text, 40.0);
+        assert_eq!(signal.pasted_share, 1.0);
+        assert_eq!(signal.score, 100.0);
+        assert_eq!(signal.weight, PROCESS_WEIGHT);
+        assert!((signal.ai_percentage() - (40.0 * 0.65 + 100.0 * 0.35)).abs() < 1e-3);
+    }
+
+    #[test]
+    fn test_typed_and_revised_text_lowers_the_score() {
+        let text = "x".repeat(300);
+        let stats = ProcessStats { deleted_chars: 30, revisions: 6, ..typed(330) };
+        let signal = assess(stats, &text, 70.0);
+        assert!(!signal.mechanical_typing && !signal.long_bursts);
+        assert_eq!(signal.score, 0.0);
+        assert!(signal.ai_percentage() < 70.0);
+    }
+
+    #[test]
+    fn test_typing_rhythm() {
+        let text = "x".repeat(600);
+        let scripted = assess(ProcessStats { interval_variation: Some(0.05), ..typed(600) }, &text, 50.0);
+        assert!(scripted.mechanical_typing);
+        assert_eq!(scripted.score, 100.0);
+
+        let transcribed = assess(ProcessStats { bursts: 1, ..typed(600) }, &text, 50.0);
+        assert!(transcribed.long_bursts);
+        assert_eq!(transcribed.score, 50.0);
+
+        // Too few keystrokes to judge the rhythm
+        let short = assess(ProcessStats { interval_variation: Some(0.05), ..typed(20) }, "x".repeat(20).as_str(), 50.0);
+        assert!(!short.mechanical_typing);
+    }
+
+    #[test]
+    fn test_weight_follows_the_recorded_share() {
+        // Half the text was there before the recording started
+        let text = "x".repeat(400);
+        let signal = assess(ProcessStats { initial_chars: 200, ..typed(200) }, &text, 50.0);
+        assert!((signal.weight - PROCESS_WEIGHT / 2.0).abs() < 1e-6);
+
+        // Nothing recorded, nothing changes
+        let signal = assess(ProcessStats { initial_chars: 400, ..ProcessStats::default() }, &text, 50.0);
+        assert_eq!(signal.weight, 0.0);
+        assert_eq!(signal.ai_percentage(), 50.0);
+    }
+
+    #[test]
+    fn test_unrecorded_text_does_not_count() {
+        // A few typed characters can't speak for a text that arrived some other way
+        let text = "x".repeat(1000);
+        let signal = assess(typed(100), &text, 80.0);
+        assert!((signal.weight - PROCESS_WEIGHT * 0.1).abs() < 1e-6);
+        assert!(signal.ai_percentage() > 70.0);
+    }
+
+    #[test]
+    fn test_validate_rejects_stats_that_do_not_match_the_text() {
+        let text = "Emoji count once: 😀😀😀".to_string() + &"x".repeat(100);
+        let chars = text.chars().count();
+        assert!(validate(&typed(chars), &text).is_ok());
+        assert!(validate(&ProcessStats { initial_chars: 50, ..typed(chars - 50) }, &text).is_ok());
+        // Typed and deleted again
+        assert!(validate(&ProcessStats { deleted_chars: 400, revisions: 3, ..typed(chars + 400) }, &text).is_ok());
+        // Undo put back text the recording saw deleted
+        assert!(validate(&ProcessStats { deleted_chars: 40, revisions: 1, ..typed(chars) }, &text).is_ok());
+
+        // Far more typed than the text holds
+        assert!(validate(&typed(10_000), &text).is_err());
+        // Counts that contradict each other
+        assert!(validate(&ProcessStats { pasted_chars: 10, paste_count: 0, ..ProcessStats::default() }, &text).is_err());
+        assert!(validate(&ProcessStats { pasted_chars: 10, paste_count: 1, largest_paste: 20, ..ProcessStats::default() }, &text).is_err());
+        assert!(validate(&ProcessStats { deleted_chars: 5, revisions: 0, ..typed(chars) }, &text).is_err());
+        assert!(validate(&ProcessStats { interval_variation: Some(-0.5), ..typed(chars) }, &text).is_err());
+    }
+
+    #[test]
+    fn test_counts_too_large_to_add_up_are_rejected() {
+        let text = "x".repeat(100);
+        let huge = ProcessStats {
+            initial_chars: usize::MAX,
+            typed_chars: usize::MAX,
+            pasted_chars: usize::MAX,
+            deleted_chars: usize::MAX,
+            paste_count: 1,
+            largest_paste: usize::MAX,
+            bursts: usize::MAX,
+            revisions: 1,
+            ..ProcessStats::default()
+        };
+        assert!(validate(&huge, &text).is_err());
+        // Wrapping around to a small total doesn't get past the check either
+        let wrapping = ProcessStats { initial_chars: usize::MAX, typed_chars: 50, bursts: 1, ..ProcessStats::default() };
+        assert!(validate(&wrapping, &text).is_err());
+
+        // Assessing such counts doesn't panic
+        let signal = assess(huge, &text, 50.0);
+        assert!((0.0..=100.0).contains(&signal.ai_percentage()));
+    }
+
+    #[test]
+    fn test_missing_fields_default_to_zero() {
+        let stats: ProcessStats = serde_json::from_str(r#"{"typed_chars": 12}"#).unwrap();
+        assert_eq!(stats, ProcessStats { typed_chars: 12, ..ProcessStats::default() });
+    }
+}
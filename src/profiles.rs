@@ -0,0 +1,422 @@
+/// Detection Profile Module
+///
+/// A profile tunes the heuristic detector and the verdict for a group of writers: which
+/// phrases count as AI-typical and how much, how the heuristic factors are weighted, and
+/// where the "AI Generated" and "Human Written" thresholds lie. The built-in `default`
+/// profile holds the stock rules; named profiles are saved in a JSON file on the server.
+
+use serde::{Deserialize, Serialize};
+use std::collections::HashSet;
+use std::fmt;
+use std::io;
+use std::path::{Path, PathBuf};
+use std::sync::OnceLock;
+use crate::language::{self, Language};
+use crate::storage;
+
+/// Id of the built-in profile, used when a request names none
+pub const DEFAULT_PROFILE_ID: &str = "default";
+
+/// Settings of the built-in profile, which the browser's copy of the heuristic detector
+/// (frontend/src/lib/heuristic.js) reads too: phrases that show up far more often in
+/// AI-generated text, by language, and the stock factor weights and thresholds
+const DEFAULT_SETTINGS: &str = include_str!("default_profile.json");
+
+fn default_settings() -> &'static ProfileSettings {
+    static SETTINGS: OnceLock<ProfileSettings> = OnceLock::new();
+    SETTINGS.get_or_init(|| serde_json::from_str(DEFAULT_SETTINGS).expect("the built-in profile is valid"))
+}
+
+const MAX_NAME_CHARS: usize = 100;
+const MAX_PHRASES: usize = 500;
+const MAX_PHRASE_CHARS: usize = 200;
+const MAX_PHRASE_WEIGHT: f32 = 10.0;
+
+/// A phrase and how strongly it suggests AI text; 1.0 counts as one ordinary match
+#[derive(Serialize, Deserialize, Clone, Debug, PartialEq)]
+pub struct WeightedPhrase {
+    pub phrase: String,
+    #[serde(default = "default_phrase_weight")]
+    pub weight: f32,
+    /// Language the phrase is looked for in; `None` looks for it in every text
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub language: Option<String>,
+}
+
+fn default_phrase_weight() -> f32 {
+    1.0
+}
+
+impl WeightedPhrase {
+    /// Whether to look for the phrase in text of the given language.
+    /// Texts whose language couldn't be determined are checked for every phrase.
+    pub fn applies_to(&self, language: &Language) -> bool {
+        match &self.language {
+            None => true,
+            Some(code) => code == language.code || language.code == language::UNDETERMINED,
+        }
+    }
+}
+
+/// Relative weight of each heuristic factor; they don't need to add up to 1
+#[derive(Serialize, Deserialize, Clone, Copy, Debug, PartialEq)]
+pub struct FactorWeights {
+    pub sentence_uniformity: f32,
+    pub vocabulary_diversity: f32,
+    pub ai_phrases: f32,
+    pub punctuation: f32,
+    pub structure: f32,
+}
+
+impl Default for FactorWeights {
+    fn default() -> Self {
+        default_settings().factor_weights
+    }
+}
+
+impl FactorWeights {
+    fn values(&self) -> [f32; 5] {
+        [
+            self.sentence_uniformity,
+            self.vocabulary_diversity,
+            self.ai_phrases,
+            self.punctuation,
+            self.structure,
+        ]
+    }
+}
+
+/// AI percentages at or above `ai` are "AI Generated", at or below `human` "Human Written"
+#[derive(Serialize, Deserialize, Clone, Copy, Debug, PartialEq)]
+pub struct Thresholds {
+    pub ai: f32,
+    pub human: f32,
+}
+
+impl Default for Thresholds {
+    fn default() -> Self {
+        default_settings().thresholds
+    }
+}
+
+/// Everything about a profile that can be edited
+#[derive(Serialize, Deserialize, Clone, Debug, PartialEq)]
+pub struct ProfileSettings {
+    pub name: String,
+    #[serde(default)]
+    pub description: String,
+    pub phrases: Vec<WeightedPhrase>,
+    #[serde(default)]
+    pub factor_weights: FactorWeights,
+    #[serde(default)]
+    pub thresholds: Thresholds,
+}
+
+#[derive(Serialize, Deserialize, Clone, Debug, PartialEq)]
+pub struct Profile {
+    pub id: String,
+    #[serde(flatten)]
+    pub settings: ProfileSettings,
+    /// True for the built-in profile, which can be copied but not changed
+    #[serde(default, skip_deserializing)]
+    pub read_only: bool,
+}
+
+impl Default for Profile {
+    fn default() -> Self {
+        Self {
+            id: DEFAULT_PROFILE_ID.to_string(),
+            settings: default_settings().clone(),
+            read_only: true,
+        }
+    }
+}
+
+impl ProfileSettings {
+    /// Check the settings and tidy them up: phrases are trimmed and lowercased,
+    /// since matching ignores case
+    pub fn normalized(mut self) -> Result<Self, ProfileError> {
+        self.name = self.name.trim().to_string();
+        self.description = self.description.trim().to_string();
+        if self.name.is_empty() || self.name.chars().count() > MAX_NAME_CHARS {
+            return invalid(format!("Profile names must be 1 to {} characters long", MAX_NAME_CHARS));
+        }
+
+        if self.phrases.len() > MAX_PHRASES {
+            return invalid(format!("A profile can have at most {} phrases", MAX_PHRASES));
+        }
+        let mut seen = HashSet::new();
+        for entry in &mut self.phrases {
+            entry.phrase = entry.phrase.trim().to_lowercase();
+            if entry.phrase.is_empty() || entry.phrase.chars().count() > MAX_PHRASE_CHARS {
+                return invalid(format!("Phrases must be 1 to {} characters long", MAX_PHRASE_CHARS));
+            }
+            if !(0.0..=MAX_PHRASE_WEIGHT).contains(&entry.weight) {
+                return invalid(format!("The weight of \"{}\" must be between 0 and {}", entry.phrase, MAX_PHRASE_WEIGHT));
+            }
+            if let Some(code) = &entry.language {
+                if language::by_code(code).is_none() || code == language::UNDETERMINED {
+                    return invalid(format!("Unknown language for \"{}\": {}", entry.phrase, code));
+                }
+            }
+            if !seen.insert((entry.language.clone(), entry.phrase.clone())) {
+                return invalid(format!("\"{}\" is listed twice", entry.phrase));
+            }
+        }
+
+        let weights = self.factor_weights.values();
+        if weights.iter().any(|weight| !weight.is_finite() || *weight < 0.0) || weights.iter().sum::<f32>() <= 0.0 {
+            return invalid("Factor weights must be zero or more, and at least one must be above zero".to_string());
+        }
+
+        let Thresholds { ai, human } = self.thresholds;
+        if !(0.0..=100.0).contains(&human) || !(0.0..=100.0).contains(&ai) || human >= ai {
+            return invalid("Thresholds must satisfy 0 ≤ human < AI ≤ 100".to_string());
+        }
+
+        Ok(self)
+    }
+}
+
+fn invalid<T>(message: String) -> Result<T, ProfileError> {
+    Err(ProfileError::Invalid(message))
+}
+
+#[derive(Debug)]
+pub enum ProfileError {
+    Invalid(String),
+    NotFound(String),
+    ReadOnly,
+    Io(io::Error),
+}
+
+impl fmt::Display for ProfileError {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            ProfileError::Invalid(msg) => write!(f, "{}", msg),
+            ProfileError::NotFound(id) => write!(f, "Unknown profile: {}", id),
+            ProfileError::ReadOnly => write!(f, "The built-in profile can't be changed; save a copy instead"),
+            ProfileError::Io(e) => write!(f, "Could not save profiles: {}", e),
+        }
+    }
+}
+
+impl From<io::Error> for ProfileError {
+    fn from(e: io::Error) -> Self {
+        ProfileError::Io(e)
+    }
+}
+
+/// The built-in profile plus the ones saved on the server
+#[derive(Debug)]
+pub struct ProfileStore {
+    /// File the saved profiles live in; `None` keeps them in memory only
+    path: Option<PathBuf>,
+    saved: Vec<Profile>,
+}
+
+impl ProfileStore {
+    pub fn load(path: &Path) -> io::Result<Self> {
+        Ok(Self {
+            path: Some(path.to_path_buf()),
+            saved: storage::load_json(path)?,
+        })
+    }
+
+    pub fn in_memory() -> Self {
+        Self {
+            path: None,
+            saved: Vec::new(),
+        }
+    }
+
+    /// All profiles, the built-in one first
+    pub fn list(&self) -> Vec<Profile> {
+        std::iter::once(Profile::default()).chain(self.saved.iter().cloned()).collect()
+    }
+
+    /// Look up a profile by id; `None` selects the built-in profile
+    pub fn get(&self, id: Option<&str>) -> Option<Profile> {
+        match id {
+            None | Some(DEFAULT_PROFILE_ID) => Some(Profile::default()),
+            Some(id) => self.saved.iter().find(|profile| profile.id == id).cloned(),
+        }
+    }
+
+    /// Save a new profile under an id derived from its name
+    pub fn create(&mut self, settings: ProfileSettings) -> Result<Profile, ProfileError> {
+        let settings = settings.normalized()?;
+        let profile = Profile {
+            id: self.unique_id(&settings.name),
+            settings,
+            read_only: false,
+        };
+
+        self.saved.push(profile.clone());
+        self.save()?;
+        Ok(profile)
+    }
+
+    pub fn update(&mut self, id: &str, settings: ProfileSettings) -> Result<Profile, ProfileError> {
+        if id == DEFAULT_PROFILE_ID {
+            return Err(ProfileError::ReadOnly);
+        }
+        let settings = settings.normalized()?;
+        let profile = self
+            .saved
+            .iter_mut()
+            .find(|profile| profile.id == id)
+            .ok_or_else(|| ProfileError::NotFound(id.to_string()))?;
+        profile.settings = settings;
+        let updated = profile.clone();
+
+        self.save()?;
+        Ok(updated)
+    }
+
+    pub fn delete(&mut self, id: &str) -> Result<(), ProfileError> {
+        if id == DEFAULT_PROFILE_ID {
+            return Err(ProfileError::ReadOnly);
+        }
+        let index = self
+            .saved
+            .iter()
+            .position(|profile| profile.id == id)
+            .ok_or_else(|| ProfileError::NotFound(id.to_string()))?;
+        self.saved.remove(index);
+
+        self.save()?;
+        Ok(())
+    }
+
+    /// Slug of the name, numbered if it is taken ("business", "business-2", ...)
+    fn unique_id(&self, name: &str) -> String {
+        let slug = slugify(name);
+        let base = if slug.is_empty() { "profile".to_string() } else { slug };
+        let taken = |id: &str| id == DEFAULT_PROFILE_ID || self.saved.iter().any(|profile| profile.id == id);
+
+        let mut id = base.clone();
+        let mut n = 2;
+        while taken(&id) {
+            id = format!("{}-{}", base, n);
+            n += 1;
+        }
+        id
+    }
+
+    fn save(&self) -> io::Result<()> {
+        match &self.path {
+            Some(path) => storage::save_json(path, &self.saved),
+            None => Ok(()),
+        }
+    }
+}
+
+/// Lowercase letters and digits, with single dashes in between
+fn slugify(name: &str) -> String {
+    name.to_lowercase()
+        .split(|c: char| !c.is_alphanumeric())
+        .filter(|part| !part.is_empty())
+        .collect::<Vec<_>>()
+        .join("-")
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    fn settings(name: &str) -> ProfileSettings {
+        ProfileSettings {
+            name: name.to_string(),
+            description: String::new(),
+            phrases: vec![WeightedPhrase {
+                phrase: "  Delve Into ".to_string(),
+                weight: 2.0,
+                language: None,
+            }],
+            factor_weights: FactorWeights::default(),
+            thresholds: Thresholds { ai: 70.0, human: 30.0 },
+        }
+    }
+
+    #[test]
+    fn test_created_profiles_get_unique_ids_and_normalized_phrases() {
+        let mut store = ProfileStore::in_memory();
+        let first = store.create(settings("Business writing")).unwrap();
+        let second = store.create(settings("Business  writing!")).unwrap();
+        let fallback = store.create(settings("Default")).unwrap();
+
+        assert_eq!(first.id, "business-writing");
+        assert_eq!(second.id, "business-writing-2");
+        assert_eq!(fallback.id, "default-2");
+        assert_eq!(first.settings.phrases[0].phrase, "delve into");
+        assert_eq!(store.list().len(), 4);
+        assert_eq!(store.get(None).unwrap().id, DEFAULT_PROFILE_ID);
+    }
+
+    #[test]
+    fn test_invalid_settings_are_rejected() {
+        let mut store = ProfileStore::in_memory();
+
+        let mut reversed = settings("Reversed");
+        reversed.thresholds = Thresholds { ai: 40.0, human: 60.0 };
+        assert!(matches!(store.create(reversed), Err(ProfileError::Invalid(_))));
+
+        let mut duplicate = settings("Duplicate");
+        duplicate.phrases.push(WeightedPhrase { phrase: "delve into".to_string(), weight: 1.0, language: None });
+        assert!(matches!(store.create(duplicate), Err(ProfileError::Invalid(_))));
+
+        let mut unknown_language = settings("Unknown language");
+        unknown_language.phrases[0].language = Some("xx".to_string());
+        assert!(matches!(store.create(unknown_language), Err(ProfileError::Invalid(_))));
+
+        let mut weightless = settings("Weightless");
+        weightless.factor_weights = FactorWeights {
+            sentence_uniformity: 0.0,
+            vocabulary_diversity: 0.0,
+            ai_phrases: 0.0,
+            punctuation: 0.0,
+            structure: 0.0,
+        };
+        assert!(matches!(store.create(weightless), Err(ProfileError::Invalid(_))));
+    }
+
+    #[test]
+    fn test_phrases_apply_to_their_language() {
+        let profile = Profile::default();
+        let spanish = language::by_code("es").unwrap();
+        let applies = |phrase: &str, language: &Language| {
+            profile.settings.phrases.iter().any(|entry| entry.phrase == phrase && entry.applies_to(language))
+        };
+
+        assert!(applies("en conclusión", spanish));
+        assert!(!applies("in conclusion", spanish));
+        assert!(applies("in conclusion", &language::UNKNOWN));
+        assert!(settings("Any").phrases[0].applies_to(spanish));
+    }
+
+    #[test]
+    fn test_built_in_settings_are_valid_as_written() {
+        let settings = Profile::default().settings;
+        assert!(settings.phrases.iter().all(|entry| entry.language.is_some()));
+        assert_eq!(settings.clone().normalized().unwrap(), settings);
+    }
+
+    #[test]
+    fn test_built_in_profile_is_read_only() {
+        let mut store = ProfileStore::in_memory();
+        assert!(matches!(store.update(DEFAULT_PROFILE_ID, settings("x")), Err(ProfileError::ReadOnly)));
+        assert!(matches!(store.delete(DEFAULT_PROFILE_ID), Err(ProfileError::ReadOnly)));
+        assert!(matches!(store.delete("missing"), Err(ProfileError::NotFound(_))));
+    }
+
+    #[test]
+    fn test_saved_profiles_round_trip() {
+        let profile = ProfileStore::in_memory().create(settings("Round trip")).unwrap();
+        let json = serde_json::to_string(&profile).unwrap();
+        let parsed: Profile = serde_json::from_str(&json).unwrap();
+
+        assert!(json.contains(r#""name":"Round trip""#));
+        assert_eq!(parsed, profile);
+    }
+}
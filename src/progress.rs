@@ -0,0 +1,55 @@
+/// Progress Reporting Module
+///
+/// Long analyses (cold Hugging Face models, long documents, many segments) report what they are
+/// doing through an optional callback, which the streaming endpoint forwards to the client.
+
+use serde::Serialize;
+
+/// A step of the analysis pipeline
+#[derive(Serialize, Clone, Debug, PartialEq)]
+#[serde(tag = "stage", rename_all = "snake_case")]
+pub enum Stage {
+    /// Sending the text to a remote detector
+    CallingModel { attempt: u32 },
+    /// The model is still loading on Hugging Face; the call is retried after a pause
+    ModelLoading { attempt: u32, retry_in_secs: f32 },
+    /// The detector could not be used, so heuristics produce the score
+    FallingBack { reason: String },
+    /// Scoring a long document chunk by chunk with the given detector
+    ScoringChunks { detector: String, done: usize, total: usize },
+    /// Per-segment scoring for highlighting
+    ScoringSegments { done: usize, total: usize },
+}
+
+/// Callback receiving progress updates; `None` when nobody is listening
+pub type Progress<'a> = Option<&'a (dyn Fn(Stage) + Send + Sync)>;
+
+/// Send a stage to the listener, if there is one
+pub fn report(progress: Progress, stage: Stage) {
+    if let Some(listener) = progress {
+        listener(stage);
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use std::sync::Mutex;
+
+    #[test]
+    fn test_report_forwards_stages() {
+        let seen = Mutex::new(Vec::new());
+        let listener = |stage: Stage| seen.lock().unwrap().push(stage);
+
+        report(Some(&listener), Stage::CallingModel { attempt: 1 });
+        report(None, Stage::CallingModel { attempt: 2 });
+
+        assert_eq!(*seen.lock().unwrap(), vec![Stage::CallingModel { attempt: 1 }]);
+    }
+
+    #[test]
+    fn test_stage_serialization() {
+        let json = serde_json::to_value(Stage::ModelLoading { attempt: 1, retry_in_secs: 5.0 }).unwrap();
+        assert_eq!(json, serde_json::json!({ "stage": "model_loading", "attempt": 1, "retry_in_secs": 5.0 }));
+    }
+}
@@ -0,0 +1,82 @@
+/// Rate Limiting Module
+///
+/// Fixed one-minute windows of request counts per bucket (an API key or a client IP),
+/// kept in memory. Counts start over when the server restarts.
+
+use std::collections::HashMap;
+
+const WINDOW_SECS: u64 = 60;
+
+/// Buckets kept before idle ones are dropped
+const MAX_BUCKETS: usize = 10_000;
+
+#[derive(Clone, Copy, Debug)]
+struct Window {
+    /// Start of the window, in seconds since the Unix epoch
+    start: u64,
+    count: u32,
+}
+
+#[derive(Default, Debug)]
+pub struct RateLimiter {
+    windows: HashMap<String, Window>,
+}
+
+impl RateLimiter {
+    pub fn new() -> Self {
+        Self::default()
+    }
+
+    /// Count a request against `bucket`, allowing at most `limit` per minute (0 = unlimited).
+    /// Returns the seconds until the window resets when the limit is reached.
+    pub fn check(&mut self, bucket: &str, limit: u32, now: u64) -> Result<(), u64> {
+        if limit == 0 {
+            return Ok(());
+        }
+        let start = now - now % WINDOW_SECS;
+
+        if self.windows.len() >= MAX_BUCKETS && !self.windows.contains_key(bucket) {
+            self.windows.retain(|_, window| window.start == start);
+        }
+
+        let window = self
+            .windows
+            .entry(bucket.to_string())
+            .or_insert(Window { start, count: 0 });
+        if window.start != start {
+            *window = Window { start, count: 0 };
+        }
+
+        if window.count >= limit {
+            return Err(start + WINDOW_SECS - now);
+        }
+        window.count += 1;
+        Ok(())
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn test_limit_resets_each_minute() {
+        let mut limiter = RateLimiter::new();
+
+        assert!(limiter.check("key:a", 2, 120).is_ok());
+        assert!(limiter.check("key:a", 2, 130).is_ok());
+        assert_eq!(limiter.check("key:a", 2, 135), Err(45));
+        // Other buckets are counted separately
+        assert!(limiter.check("key:b", 2, 135).is_ok());
+        // Next window
+        assert!(limiter.check("key:a", 2, 180).is_ok());
+    }
+
+    #[test]
+    fn test_zero_limit_is_unlimited() {
+        let mut limiter = RateLimiter::new();
+        for _ in 0..100 {
+            assert!(limiter.check("ip:127.0.0.1", 0, 0).is_ok());
+        }
+    }
+}
@@ -0,0 +1,71 @@
+/// Settings Module
+///
+/// Endpoints for the detection profiles edited on the frontend's settings page. Anyone
+/// may list profiles to pick one for an analysis; changes need `EditorAuth`.
+
+use actix_web::http::StatusCode;
+use actix_web::{web, HttpResponse};
+use std::sync::Mutex;
+use crate::auth::{lock, EditorAuth};
+use crate::errors::ApiError;
+use crate::profiles::{ProfileError, ProfileSettings, ProfileStore, DEFAULT_PROFILE_ID};
+
+/// Mount the profile routes (under `/api`)
+pub fn configure(cfg: &mut web::ServiceConfig) {
+    cfg.route("/profiles", web::get().to(list_profiles))
+        .route("/profiles", web::post().to(create_profile))
+        .route("/profiles/{id}", web::put().to(update_profile))
+        .route("/profiles/{id}", web::delete().to(delete_profile));
+}
+
+impl From<ProfileError> for ApiError {
+    fn from(e: ProfileError) -> Self {
+        match e {
+            ProfileError::Invalid(msg) => ApiError::bad_request("invalid_request", msg),
+            ProfileError::NotFound(_) => ApiError::not_found(e.to_string()),
+            ProfileError::ReadOnly => ApiError::new(StatusCode::FORBIDDEN, "profile_read_only", e.to_string()),
+            ProfileError::Io(_) => ApiError::internal(e.to_string()),
+        }
+    }
+}
+
+async fn list_profiles(store: web::Data<Mutex<ProfileStore>>) -> HttpResponse {
+    HttpResponse::Ok().json(serde_json::json!({
+        "default": DEFAULT_PROFILE_ID,
+        "profiles": lock(&store).list()
+    }))
+}
+
+async fn create_profile(
+    _editor: EditorAuth,
+    settings: web::Json<ProfileSettings>,
+    store: web::Data<Mutex<ProfileStore>>,
+) -> Result<HttpResponse, ApiError> {
+    let profile = lock(&store).create(settings.into_inner())?;
+    println!("✓ Created profile {} ({})", profile.id, profile.settings.name);
+
+    Ok(HttpResponse::Created().json(serde_json::json!({ "profile": profile })))
+}
+
+async fn update_profile(
+    _editor: EditorAuth,
+    id: web::Path<String>,
+    settings: web::Json<ProfileSettings>,
+    store: web::Data<Mutex<ProfileStore>>,
+) -> Result<HttpResponse, ApiError> {
+    let profile = lock(&store).update(&id, settings.into_inner())?;
+    println!("✓ Updated profile {} ({})", profile.id, profile.settings.name);
+
+    Ok(HttpResponse::Ok().json(serde_json::json!({ "profile": profile })))
+}
+
+async fn delete_profile(
+    _editor: EditorAuth,
+    id: web::Path<String>,
+    store: web::Data<Mutex<ProfileStore>>,
+) -> Result<HttpResponse, ApiError> {
+    lock(&store).delete(&id)?;
+    println!("✓ Deleted profile {}", id);
+
+    Ok(HttpResponse::NoContent().finish())
+}
@@ -0,0 +1,447 @@
+/// Share Module
+///
+/// Permalinks to analysis results, for sending a finding to a colleague. A shared result is
+/// saved in a JSON file with only as much of the text as its creator chose: none of it, the
+/// most AI-like excerpts, or all of it. Links expire, and can be revoked with a token that
+/// is returned once, when the link is created. An expired or revoked link loses the result
+/// but keeps its dates for a while, so opening it says what happened instead of "not found".
+
+use serde::{Deserialize, Serialize};
+use serde_json::Value;
+use sha2::{Digest, Sha256};
+use std::fmt;
+use std::io;
+use std::path::{Path, PathBuf};
+use crate::analyzer::SegmentScore;
+use crate::api_keys::unix_now;
+use crate::storage;
+
+/// Lifetime of a link when the request doesn't set one (capped by the server's maximum)
+pub const DEFAULT_EXPIRY_DAYS: u32 = 30;
+
+/// Passages kept by links that show excerpts instead of the full text
+const EXCERPT_COUNT: usize = 5;
+
+/// Longer passages (e.g. whole paragraphs) are cut short in excerpts
+const MAX_EXCERPT_CHARS: usize = 300;
+
+const SECS_PER_DAY: u64 = 86_400;
+
+/// How long an expired or revoked link is remembered
+const TOMBSTONE_SECS: u64 = 30 * SECS_PER_DAY;
+
+/// How much of the text a link shows besides the scores
+#[derive(Serialize, Deserialize, Clone, Copy, Debug, Default, PartialEq, Eq)]
+#[serde(rename_all = "snake_case")]
+pub enum ShareContent {
+    /// Scores, explanation and charts only; nothing of the text is stored
+    #[default]
+    Scores,
+    /// Also the most AI-like sentences or paragraphs, highlighted
+    Excerpts,
+    /// Also the full text, highlighted when it was segmented
+    Full,
+}
+
+/// Sent as `share` with an analysis request to get a link to its result
+#[derive(Deserialize, Clone, Copy, Debug)]
+pub struct ShareOptions {
+    #[serde(default)]
+    pub content: ShareContent,
+    /// Days until the link stops working; `DEFAULT_EXPIRY_DAYS` when omitted
+    #[serde(default)]
+    pub expires_in_days: Option<u32>,
+}
+
+impl ShareOptions {
+    /// Days the link lasts, which must be between 1 and `max_days`
+    pub fn expiry_days(&self, max_days: u32) -> Result<u32, String> {
+        match self.expires_in_days {
+            None => Ok(DEFAULT_EXPIRY_DAYS.min(max_days)),
+            Some(days) if (1..=max_days).contains(&days) => Ok(days),
+            Some(_) => Err(format!("expires_in_days must be between 1 and {}", max_days)),
+        }
+    }
+}
+
+/// A passage of the text and its score, shown instead of the full text
+#[derive(Serialize, Deserialize, Clone, Debug, PartialEq)]
+pub struct Excerpt {
+    /// Position of the segment in the analysis
+    pub index: usize,
+    pub text: String,
+    pub ai_percentage: f32,
+}
+
+/// What a link shows
+#[derive(Serialize, Deserialize, Clone, Debug)]
+pub struct SharedResult {
+    /// The analysis as `/api/analyze` returned it, without `segments` unless the full
+    /// text is shared
+    pub result: Value,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub text: Option<String>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub excerpts: Option<Vec<Excerpt>>,
+}
+
+#[derive(Serialize, Deserialize, Clone, Debug)]
+struct StoredShare {
+    id: String,
+    /// Hex SHA-256 of the revocation token
+    token_hash: String,
+    content: ShareContent,
+    /// Seconds since the Unix epoch
+    created_at: u64,
+    expires_at: u64,
+    #[serde(default)]
+    revoked_at: Option<u64>,
+    /// Dropped once the link has expired or been revoked
+    #[serde(default)]
+    shared: Option<SharedResult>,
+}
+
+/// Public description of a link
+#[derive(Serialize, Clone, Debug)]
+pub struct ShareInfo {
+    pub id: String,
+    /// Path of the read-only results page, e.g. `/r/9c1f...`
+    pub path: String,
+    pub content: ShareContent,
+    pub created_at: u64,
+    pub expires_at: u64,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub revoked_at: Option<u64>,
+}
+
+/// A new link, with the token that revokes it
+#[derive(Serialize, Clone, Debug)]
+pub struct ShareLink {
+    #[serde(flatten)]
+    pub info: ShareInfo,
+    pub revoke_token: String,
+}
+
+/// A link and what it shows, as its page loads it
+#[derive(Serialize, Debug)]
+pub struct SharedView {
+    #[serde(flatten)]
+    pub info: ShareInfo,
+    #[serde(flatten)]
+    pub shared: SharedResult,
+}
+
+#[derive(Debug)]
+pub enum ShareError {
+    NotFound(String),
+    Expired,
+    Revoked,
+    WrongToken,
+    Io(io::Error),
+}
+
+impl fmt::Display for ShareError {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        match self {
+            ShareError::NotFound(id) => write!(f, "No shared result with id {}", id),
+            ShareError::Expired => write!(f, "This link has expired"),
+            ShareError::Revoked => write!(f, "This link has been revoked"),
+            ShareError::WrongToken => write!(f, "Wrong revocation token for this link"),
+            ShareError::Io(e) => write!(f, "Could not save shared results: {}", e),
+        }
+    }
+}
+
+impl From<io::Error> for ShareError {
+    fn from(e: io::Error) -> Self {
+        ShareError::Io(e)
+    }
+}
+
+#[derive(Debug)]
+pub struct ShareStore {
+    /// File the links are saved to; `None` keeps them in memory only
+    path: Option<PathBuf>,
+    shares: Vec<StoredShare>,
+}
+
+impl ShareStore {
+    /// Load the links saved at `path`, forgetting the results of any that expired meanwhile
+    pub fn load(path: &Path) -> io::Result<Self> {
+        let mut store = Self {
+            path: Some(path.to_path_buf()),
+            shares: storage::load_json(path)?,
+        };
+        if store.prune(unix_now()) {
+            store.save()?;
+        }
+        Ok(store)
+    }
+
+    pub fn in_memory() -> Self {
+        Self {
+            path: None,
+            shares: Vec::new(),
+        }
+    }
+
+    /// Number of links that still work
+    pub fn active(&self, now: u64) -> usize {
+        self.shares.iter().filter(|share| share.status(now).is_ok()).count()
+    }
+
+    /// Save a result for a new link that works for `days` days
+    pub fn create(&mut self, content: ShareContent, days: u32, shared: SharedResult, now: u64) -> io::Result<ShareLink> {
+        let token = hex::encode(rand::random::<[u8; 16]>());
+        let share = StoredShare {
+            id: hex::encode(rand::random::<[u8; 12]>()),
+            token_hash: hash_token(&token),
+            content,
+            created_at: now,
+            expires_at: now + u64::from(days) * SECS_PER_DAY,
+            revoked_at: None,
+            shared: Some(shared),
+        };
+        let info = share.info();
+
+        self.prune(now);
+        self.shares.push(share);
+        self.save()?;
+        Ok(ShareLink { info, revoke_token: token })
+    }
+
+    /// What the link shows, while it works
+    pub fn get(&self, id: &str, now: u64) -> Result<SharedView, ShareError> {
+        let share = self.find(id)?;
+        share.status(now)?;
+        let shared = share.shared.clone().ok_or(ShareError::Expired)?;
+        Ok(SharedView { info: share.info(), shared })
+    }
+
+    /// Stop a link from working and delete its result; revoking twice is harmless
+    pub fn revoke(&mut self, id: &str, token: &str, now: u64) -> Result<ShareInfo, ShareError> {
+        let hash = hash_token(token.trim());
+        let share = self
+            .shares
+            .iter_mut()
+            .find(|share| share.id == id)
+            .ok_or_else(|| ShareError::NotFound(id.to_string()))?;
+        if share.token_hash != hash {
+            return Err(ShareError::WrongToken);
+        }
+        share.revoked_at.get_or_insert(now);
+        share.shared = None;
+        let info = share.info();
+
+        self.save()?;
+        Ok(info)
+    }
+
+    fn find(&self, id: &str) -> Result<&StoredShare, ShareError> {
+        self.shares
+            .iter()
+            .find(|share| share.id == id)
+            .ok_or_else(|| ShareError::NotFound(id.to_string()))
+    }
+
+    /// Drop the results of expired links and forget links that ended long ago.
+    /// Returns whether anything changed.
+    fn prune(&mut self, now: u64) -> bool {
+        let before = self.shares.len();
+        self.shares.retain(|share| share.ended_at() + TOMBSTONE_SECS > now);
+        let mut changed = self.shares.len() != before;
+        for share in &mut self.shares {
+            if share.expires_at <= now && share.shared.is_some() {
+                share.shared = None;
+                changed = true;
+            }
+        }
+        changed
+    }
+
+    fn save(&self) -> io::Result<()> {
+        match &self.path {
+            Some(path) => storage::save_json(path, &self.shares),
+            None => Ok(()),
+        }
+    }
+}
+
+impl StoredShare {
+    fn info(&self) -> ShareInfo {
+        ShareInfo {
+            id: self.id.clone(),
+            path: format!("/r/{}", self.id),
+            content: self.content,
+            created_at: self.created_at,
+            expires_at: self.expires_at,
+            revoked_at: self.revoked_at,
+        }
+    }
+
+    /// When the link stopped or will stop working
+    fn ended_at(&self) -> u64 {
+        self.revoked_at.map_or(self.expires_at, |revoked| revoked.min(self.expires_at))
+    }
+
+    fn status(&self, now: u64) -> Result<(), ShareError> {
+        if self.revoked_at.is_some() {
+            Err(ShareError::Revoked)
+        } else if self.expires_at <= now {
+            Err(ShareError::Expired)
+        } else {
+            Ok(())
+        }
+    }
+}
+
+/// The most AI-like segments, in the order they appear in the text
+pub fn excerpts(segments: &[SegmentScore]) -> Vec<Excerpt> {
+    let mut ranked: Vec<usize> = (0..segments.len())
+        .filter(|&index| !segments[index].text.trim().is_empty())
+        .collect();
+    ranked.sort_by(|&a, &b| segments[b].ai_percentage.total_cmp(&segments[a].ai_percentage));
+    ranked.truncate(EXCERPT_COUNT);
+    ranked.sort_unstable();
+
+    ranked
+        .into_iter()
+        .map(|index| Excerpt {
+            index,
+            text: shorten(segments[index].text.trim()),
+            ai_percentage: segments[index].ai_percentage,
+        })
+        .collect()
+}
+
+fn shorten(text: &str) -> String {
+    if text.chars().count() <= MAX_EXCERPT_CHARS {
+        return text.to_string();
+    }
+    let cut: String = text.chars().take(MAX_EXCERPT_CHARS).collect();
+    format!("{}…", cut.trim_end())
+}
+
+fn hash_token(token: &str) -> String {
+    hex::encode(Sha256::digest(token.as_bytes()))
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use serde_json::json;
+    use std::fs;
+
+    fn shared() -> SharedResult {
+        SharedResult {
+            result: json!({ "ai_percentage": 72.0, "verdict": "AI Generated" }),
+            text: Some("Full text".to_string()),
+            excerpts: None,
+        }
+    }
+
+    fn segment(text: &str, ai_percentage: f32) -> SegmentScore {
+        SegmentScore {
+            text: text.to_string(),
+            ai_percentage,
+        }
+    }
+
+    #[test]
+    fn test_link_works_until_it_expires() {
+        let mut store = ShareStore::in_memory();
+        let link = store.create(ShareContent::Full, 7, shared(), 1_000).unwrap();
+
+        assert_eq!(link.info.path, format!("/r/{}", link.info.id));
+        assert_eq!(link.info.expires_at, 1_000 + 7 * SECS_PER_DAY);
+        let view = store.get(&link.info.id, 2_000).unwrap();
+        assert_eq!(view.shared.result["verdict"], "AI Generated");
+        assert_eq!(view.shared.text.as_deref(), Some("Full text"));
+        assert_eq!(store.active(2_000), 1);
+
+        assert!(matches!(store.get(&link.info.id, link.info.expires_at), Err(ShareError::Expired)));
+        assert!(matches!(store.get("missing", 2_000), Err(ShareError::NotFound(_))));
+        assert_eq!(store.active(link.info.expires_at), 0);
+    }
+
+    #[test]
+    fn test_revoking_needs_the_token_and_drops_the_result() {
+        let mut store = ShareStore::in_memory();
+        let link = store.create(ShareContent::Scores, 30, shared(), 0).unwrap();
+
+        assert!(matches!(store.revoke(&link.info.id, "not-the-token", 10), Err(ShareError::WrongToken)));
+        assert!(store.get(&link.info.id, 10).is_ok());
+
+        let revoked = store.revoke(&link.info.id, &link.revoke_token, 20).unwrap();
+        assert_eq!(revoked.revoked_at, Some(20));
+        assert!(matches!(store.get(&link.info.id, 30), Err(ShareError::Revoked)));
+        assert!(store.shares[0].shared.is_none());
+        assert_eq!(store.revoke(&link.info.id, &link.revoke_token, 40).unwrap().revoked_at, Some(20));
+    }
+
+    #[test]
+    fn test_prune_forgets_old_links() {
+        let mut store = ShareStore::in_memory();
+        let link = store.create(ShareContent::Excerpts, 1, shared(), 0).unwrap();
+
+        assert!(store.prune(SECS_PER_DAY));
+        assert!(matches!(store.get(&link.info.id, SECS_PER_DAY), Err(ShareError::Expired)));
+        assert!(!store.prune(SECS_PER_DAY + 1));
+        assert!(store.prune(SECS_PER_DAY + TOMBSTONE_SECS));
+        assert!(matches!(store.get(&link.info.id, 0), Err(ShareError::NotFound(_))));
+    }
+
+    #[test]
+    fn test_expiry_days() {
+        let options = |expires_in_days| ShareOptions {
+            content: ShareContent::Scores,
+            expires_in_days,
+        };
+
+        assert_eq!(options(None).expiry_days(365), Ok(DEFAULT_EXPIRY_DAYS));
+        assert_eq!(options(None).expiry_days(7), Ok(7));
+        assert_eq!(options(Some(90)).expiry_days(365), Ok(90));
+        assert!(options(Some(0)).expiry_days(365).is_err());
+        assert!(options(Some(400)).expiry_days(365).is_err());
+    }
+
+    #[test]
+    fn test_excerpts_keep_the_most_ai_like_segments_in_order() {
+        let long = "word ".repeat(100);
+        let segments = vec![
+            segment("Low one. ", 10.0),
+            segment("High one. ", 90.0),
+            segment("  ", 99.0),
+            segment("Middle. ", 50.0),
+            segment(&long, 80.0),
+            segment("Second lowest. ", 20.0),
+            segment("Third. ", 40.0),
+            segment("Fourth. ", 45.0),
+        ];
+        let excerpts = excerpts(&segments);
+
+        let indices: Vec<usize> = excerpts.iter().map(|excerpt| excerpt.index).collect();
+        assert_eq!(indices, vec![1, 3, 4, 6, 7]);
+        assert_eq!(excerpts[0].text, "High one.");
+        assert!(excerpts[2].text.ends_with('…'));
+        assert_eq!(excerpts[2].text.chars().count(), MAX_EXCERPT_CHARS);
+    }
+
+    #[test]
+    fn test_links_survive_reload_without_tokens() {
+        let path = std::env::temp_dir().join(format!("brbrbr-shares-{}/shares.json", std::process::id()));
+        let _ = fs::remove_file(&path);
+
+        let mut store = ShareStore::load(&path).unwrap();
+        let link = store.create(ShareContent::Full, 30, shared(), unix_now()).unwrap();
+
+        let saved = fs::read_to_string(&path).unwrap();
+        assert!(!saved.contains(&link.revoke_token));
+
+        let mut reloaded = ShareStore::load(&path).unwrap();
+        assert!(reloaded.get(&link.info.id, unix_now()).is_ok());
+        assert!(reloaded.revoke(&link.info.id, &link.revoke_token, unix_now()).is_ok());
+
+        let _ = fs::remove_dir_all(path.parent().unwrap());
+    }
+}
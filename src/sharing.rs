@@ -0,0 +1,76 @@
+/// Sharing Module
+///
+/// Endpoints behind share links. Anyone with a link can load its result, without an API
+/// key; whoever created the link can revoke it with its token. Links are created by sending
+/// `share` with an analysis request.
+
+use actix_web::http::StatusCode;
+use actix_web::{web, HttpRequest, HttpResponse};
+use std::sync::Mutex;
+use crate::api_keys::unix_now;
+use crate::auth::lock;
+use crate::config::ServerConfig;
+use crate::errors::ApiError;
+use crate::shares::{ShareError, ShareOptions, ShareStore};
+
+/// Header carrying the revocation token returned when the link was created
+pub const SHARE_TOKEN_HEADER: &str = "X-Share-Token";
+
+/// Mount the share link routes (under `/api`)
+pub fn configure(cfg: &mut web::ServiceConfig) {
+    cfg.route("/shares/{id}", web::get().to(get_share))
+        .route("/shares/{id}", web::delete().to(revoke_share));
+}
+
+impl From<ShareError> for ApiError {
+    fn from(e: ShareError) -> Self {
+        match e {
+            ShareError::NotFound(_) => ApiError::not_found(e.to_string()),
+            ShareError::Expired => ApiError::new(StatusCode::GONE, "share_expired", e.to_string()),
+            ShareError::Revoked => ApiError::new(StatusCode::GONE, "share_revoked", e.to_string()),
+            ShareError::WrongToken => ApiError::new(StatusCode::FORBIDDEN, "invalid_share_token", e.to_string()),
+            ShareError::Io(_) => ApiError::internal(e.to_string()),
+        }
+    }
+}
+
+/// Days a requested link will last, checked before the analysis runs; `None` when the
+/// request doesn't ask for a link
+pub fn share_days(options: Option<&ShareOptions>, config: &ServerConfig) -> Result<Option<u32>, ApiError> {
+    let Some(options) = options else {
+        return Ok(None);
+    };
+    if config.share_max_days == 0 {
+        return Err(ApiError::new(
+            StatusCode::FORBIDDEN,
+            "sharing_disabled",
+            "Share links are disabled on this server",
+        ));
+    }
+    options
+        .expiry_days(config.share_max_days)
+        .map(Some)
+        .map_err(|e| ApiError::bad_request("invalid_request", e))
+}
+
+async fn get_share(id: web::Path<String>, store: web::Data<Mutex<ShareStore>>) -> Result<HttpResponse, ApiError> {
+    let view = lock(&store).get(&id, unix_now())?;
+    // A revoked link must stop working everywhere, including in caches
+    Ok(HttpResponse::Ok().insert_header(("Cache-Control", "no-store")).json(view))
+}
+
+async fn revoke_share(
+    req: HttpRequest,
+    id: web::Path<String>,
+    store: web::Data<Mutex<ShareStore>>,
+) -> Result<HttpResponse, ApiError> {
+    let token = req
+        .headers()
+        .get(SHARE_TOKEN_HEADER)
+        .and_then(|value| value.to_str().ok())
+        .unwrap_or_default();
+    let share = lock(&store).revoke(&id, token, unix_now())?;
+    println!("✓ Revoked share link {}", share.id);
+
+    Ok(HttpResponse::Ok().json(serde_json::json!({ "share": share })))
+}